@@ -0,0 +1,137 @@
+import { isPartitioned, archiveLogPartitions, getArchiveAfterMonths } from '../lib/partitions.js';
+import { getArchiveSink } from '../lib/sinks/index.js';
+import { acquireRunLock, releaseRunLock } from '../lib/state-manager.js';
+import { logPartitionArchive, logSheetsError, flush } from '../lib/system-logger.js';
+import { requireAuth } from '../lib/auth.js';
+import { runForUsers } from '../lib/users.js';
+
+/**
+ * Vercel Serverless Function: Archive Listening Log Partitions
+ *
+ * Runs daily via cron. With LISTENING_LOG_PARTITIONS=monthly, moves monthly
+ * partitions older than ARCHIVE_AFTER_MONTHS (default 3, counting the current
+ * month) into one tab per year of the archive ("Listening Log 2024" in the
+ * ARCHIVE_SHEETS_ID spreadsheet, or .data/archive/ for local sinks) and
+ * deletes them from the live sheet. See lib/partitions.js.
+ *
+ * Endpoint: /api/archive-partitions
+ * Method: GET (triggered by cron or manual request)
+ * Auth scope: trigger-log (CRON_SECRET or API key)
+ * Query params:
+ *   - user=ID: Only archive this registered user's partitions (default: every enabled user)
+ * Response: JSON with the archived partitions, 500 if any partition failed
+ * (it is retried on the next run), or 409 while another run holds the run lock.
+ * Users without partitions or an archive get 200 with nothing archived.
+ */
+
+/**
+ * Archive the current user's old partitions (the caller holds the run lock)
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+async function runArchivePartitions(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (!isPartitioned()) {
+      return res.status(200).json({
+        success: true,
+        message: 'Listening Log partitions are disabled (set LISTENING_LOG_PARTITIONS=monthly)',
+        archived: [],
+        executionTimeMs: Date.now() - startTime
+      });
+    }
+
+    const archiveSink = getArchiveSink();
+    if (!archiveSink) {
+      return res.status(200).json({
+        success: true,
+        message: 'No archive configured (set ARCHIVE_SHEETS_ID to the archive spreadsheet)',
+        archived: [],
+        executionTimeMs: Date.now() - startTime
+      });
+    }
+
+    console.log(`[Archive Partitions] Archiving partitions older than ${getArchiveAfterMonths()} month(s) to ${archiveSink.location}`);
+    const result = await archiveLogPartitions({ archiveSink });
+
+    for (const archived of result.archived) {
+      await logPartitionArchive(archived, result.location);
+    }
+    for (const failed of result.failed) {
+      await logSheetsError('archive-partition', `${failed.sheet}: ${failed.error}`);
+    }
+    await flush();
+
+    const executionTimeMs = Date.now() - startTime;
+    console.log(`[Archive Partitions] Archived ${result.archived.length} partition(s) in ${executionTimeMs}ms`);
+
+    return res.status(result.failed.length > 0 ? 500 : 200).json({
+      success: result.failed.length === 0,
+      message: result.archived.length > 0 || result.failed.length > 0
+        ? `Archived ${result.archived.length} partition(s), ${result.failed.length} failed`
+        : 'No partitions to archive',
+      keptFrom: result.keptFrom,
+      location: result.location,
+      archived: result.archived,
+      failed: result.failed,
+      executionTimeMs
+    });
+
+  } catch (error) {
+    console.error('[Archive Partitions] Fatal error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      executionTimeMs: Date.now() - startTime
+    });
+  }
+}
+
+/**
+ * Archive the current user's partitions
+ * Holds the run lock so a logger run can't append to a partition being archived.
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+async function archivePartitionsForUser(req, res) {
+  let lock;
+  try {
+    lock = await acquireRunLock('archive-partitions');
+  } catch (error) {
+    console.error('[Archive Partitions] Could not acquire run lock:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: `Could not acquire run lock: ${error.message}`
+    });
+  }
+
+  if (!lock.acquired) {
+    return res.status(409).json({
+      success: false,
+      error: 'Another run is in progress',
+      holder: lock.holder
+    });
+  }
+
+  try {
+    return await runArchivePartitions(req, res);
+  } finally {
+    await releaseRunLock(lock.lease);
+  }
+}
+
+/**
+ * Main serverless handler
+ * Runs once per registered user, or only for ?user=<id> (see runForUsers).
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+export default async function handler(req, res) {
+  if (!(await requireAuth(req, res, 'trigger-log'))) {
+    return;
+  }
+
+  return await runForUsers(req, res, archivePartitionsForUser);
+}
@@ -0,0 +1,114 @@
+import { auditConsistency } from '../lib/consistency-audit.js';
+import { acquireRunLock, releaseRunLock } from '../lib/state-manager.js';
+import { logConsistencyAudit, flush } from '../lib/system-logger.js';
+import { requireAuth } from '../lib/auth.js';
+import { runForUsers } from '../lib/users.js';
+
+/**
+ * Vercel Serverless Function: Sheet / State Consistency Audit
+ *
+ * Cross-checks the Listening Log, Historical Data, the failed queue and the
+ * lastProcessed cursor (see lib/consistency-audit.js) and reports duplicated
+ * rows, ERROR rows nothing will retry, queued plays whose row is gone and
+ * gaps left by runs that failed silently. With fix=true it removes exact
+ * duplicates, re-queues orphaned ERROR rows for /api/retry-failed and logs
+ * the missed plays that are still in Spotify's recent history.
+ *
+ * Endpoint: /api/audit
+ * Method: GET (manual request)
+ * Auth scope: read-metrics (admin for fix=true)
+ * Query params:
+ *   - fix=true: Repair what can be repaired (holds the run lock)
+ *   - history=false: Don't compare with Spotify's recent history
+ *   - user=ID: Only audit this registered user (default: every enabled user)
+ * Response: JSON report ({ success, clean, summary, duplicates, ... }, with
+ * `fixed` counts for fix=true), or 409 while another run holds the run lock.
+ * Findings don't fail the request; check `clean`.
+ *
+ * Example:
+ *   curl -H "X-API-Key: $ADMIN_KEY" "https://your-app.vercel.app/api/audit?fix=true"
+ */
+
+/**
+ * Audit the current user (the caller holds the run lock when fixing)
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+async function runAudit(req, res) {
+  const startTime = Date.now();
+  const fix = req.query.fix === 'true';
+
+  try {
+    console.log(`[Audit] Auditing sheets and state${fix ? ' (fixing)' : ''}...`);
+    const report = await auditConsistency({ fix, history: req.query.history !== 'false' });
+
+    await logConsistencyAudit(report);
+    await flush();
+
+    return res.status(200).json({
+      success: true,
+      ...report,
+      executionTimeMs: Date.now() - startTime
+    });
+
+  } catch (error) {
+    console.error('[Audit] Fatal error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      executionTimeMs: Date.now() - startTime
+    });
+  }
+}
+
+/**
+ * Audit the current user's sheets
+ * Fixing holds the run lock so no logger run appends while rows are deleted.
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+async function auditForUser(req, res) {
+  if (req.query.fix !== 'true') {
+    return await runAudit(req, res);
+  }
+
+  let lock;
+  try {
+    lock = await acquireRunLock('audit');
+  } catch (error) {
+    console.error('[Audit] Could not acquire run lock:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: `Could not acquire run lock: ${error.message}`
+    });
+  }
+
+  if (!lock.acquired) {
+    return res.status(409).json({
+      success: false,
+      error: 'Another run is in progress',
+      holder: lock.holder
+    });
+  }
+
+  try {
+    return await runAudit(req, res);
+  } finally {
+    await releaseRunLock(lock.lease);
+  }
+}
+
+/**
+ * Main serverless handler
+ * Runs once per registered user, or only for ?user=<id> (see runForUsers).
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+export default async function handler(req, res) {
+  if (!(await requireAuth(req, res, req.query.fix === 'true' ? 'admin' : 'read-metrics'))) {
+    return;
+  }
+
+  return await runForUsers(req, res, auditForUser);
+}
@@ -1,4 +1,7 @@
 import { getAccessToken, refreshAccessToken, isTokenExpired } from '../lib/spotify-auth.js';
+import { requireAuth } from '../lib/auth.js';
+import { getSpotifyAuth } from '../lib/state-manager.js';
+import { runForUser, getUserRefreshToken } from '../lib/users.js';
 
 /**
  * Vercel Serverless Function: Test Spotify Authentication
@@ -9,9 +12,12 @@ import { getAccessToken, refreshAccessToken, isTokenExpired } from '../lib/spoti
  *
  * Endpoint: /api/auth-spotify
  * Method: GET
+ * Auth scope: read-metrics (admin for refresh=true)
  * Query params:
  *   - refresh=true: Force token refresh (default: false)
- * Response: JSON with token status and metadata
+ *   - user=ID: Registered user to test (required with several users)
+ * Response: JSON with token status and metadata, including where the refresh
+ * token comes from (stored by /api/auth/login or the environment)
  *
  * Example usage:
  *   GET /api/auth-spotify
@@ -19,11 +25,23 @@ import { getAccessToken, refreshAccessToken, isTokenExpired } from '../lib/spoti
  */
 
 /**
- * Main serverless handler
+ * Describe the current user's refresh token without exposing it
+ * @returns {Promise<object>} { source: 'stored' | 'env' | null, obtainedAt, rotatedAt }
+ */
+async function describeRefreshToken() {
+  const stored = await getSpotifyAuth().catch(() => null);
+  if (stored?.refreshToken) {
+    return { source: 'stored', obtainedAt: stored.obtainedAt, rotatedAt: stored.rotatedAt };
+  }
+  return { source: getUserRefreshToken() ? 'env' : null, obtainedAt: null, rotatedAt: null };
+}
+
+/**
+ * Test the current user's Spotify authentication
  * @param {object} req - Vercel request object
  * @param {object} res - Vercel response object
  */
-export default async function handler(req, res) {
+async function testAuthForUser(req, res) {
   try {
     const forceRefresh = req.query.refresh === 'true';
 
@@ -52,7 +70,8 @@ export default async function handler(req, res) {
     // Check if credentials are present (without exposing them)
     const hasClientId = !!process.env.SPOTIFY_CLIENT_ID;
     const hasClientSecret = !!process.env.SPOTIFY_CLIENT_SECRET;
-    const hasRefreshToken = !!process.env.SPOTIFY_REFRESH_TOKEN;
+    const refreshToken = await describeRefreshToken();
+    const hasRefreshToken = !!refreshToken.source;
 
     // Mask the access token for security (show first/last 4 chars)
     const maskedAccessToken = accessToken
@@ -70,6 +89,7 @@ export default async function handler(req, res) {
         hasRefreshToken,
         allPresent: hasClientId && hasClientSecret && hasRefreshToken
       },
+      refreshToken,
       token: {
         present: !!accessToken,
         masked: maskedAccessToken,
@@ -98,7 +118,7 @@ export default async function handler(req, res) {
       helpMessage = 'Check that SPOTIFY_CLIENT_ID, SPOTIFY_CLIENT_SECRET, and SPOTIFY_REFRESH_TOKEN are set in environment variables';
     } else if (error.message.includes('invalid_grant')) {
       errorType = 'invalid_refresh_token';
-      helpMessage = 'Your refresh token may be expired or invalid. Generate a new one using scripts/get-refresh-token.js';
+      helpMessage = 'Your refresh token may be expired or invalid. Authorize again at /api/auth/login or generate a new one using scripts/get-refresh-token.js';
     } else if (error.message.includes('invalid_client')) {
       errorType = 'invalid_client_credentials';
       helpMessage = 'Your SPOTIFY_CLIENT_ID or SPOTIFY_CLIENT_SECRET may be incorrect';
@@ -107,6 +127,8 @@ export default async function handler(req, res) {
       helpMessage = 'Spotify API rate limit exceeded. Wait a moment and try again.';
     }
 
+    const refreshToken = await describeRefreshToken();
+
     return res.status(500).json({
       success: false,
       error: error.message,
@@ -115,10 +137,25 @@ export default async function handler(req, res) {
       credentials: {
         hasClientId: !!process.env.SPOTIFY_CLIENT_ID,
         hasClientSecret: !!process.env.SPOTIFY_CLIENT_SECRET,
-        hasRefreshToken: !!process.env.SPOTIFY_REFRESH_TOKEN
+        hasRefreshToken: !!refreshToken.source
       },
+      refreshToken,
       timestamp: new Date().toISOString(),
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
 }
+
+/**
+ * Main serverless handler
+ * Runs for the user named by ?user=<id> (required once several users are registered).
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+export default async function handler(req, res) {
+  if (!(await requireAuth(req, res, req.query.refresh === 'true' ? 'admin' : 'read-metrics'))) {
+    return;
+  }
+
+  return await runForUser(req, res, testAuthForUser);
+}
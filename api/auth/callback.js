@@ -0,0 +1,126 @@
+import { completeAuthorization, parseOAuthState, OAUTH_STATE_INVALID } from '../../lib/spotify-oauth.js';
+import { getUser, runAsUser } from '../../lib/users.js';
+import { logAuthFailure, logAuthRefresh, flush } from '../../lib/system-logger.js';
+import { getClientIp } from '../../lib/auth.js';
+
+/**
+ * Vercel Serverless Function: Spotify Authorization Callback
+ *
+ * Second step of the hosted authorization-code flow started at
+ * /api/auth/login. Validates the state against the stored login request
+ * (single use, expires after 10 minutes), exchanges the code with the PKCE
+ * verifier and stores the refresh token encrypted in the user's state.
+ *
+ * Spotify redirects the browser here, so the request carries no API key; the
+ * unguessable, single-use state is what authorizes it. Rejected callbacks are
+ * logged as AUTH_FAILURE (rate-limited per client IP); a bad state only gets
+ * a generic message, so anonymous callers learn nothing about the registry.
+ *
+ * Endpoint: /api/auth/callback
+ * Method: GET (redirect from Spotify)
+ * Auth scope: none (state validation)
+ * Query params (set by Spotify):
+ *   - code: Authorization code
+ *   - state: `<userId>.<requestId>` from /api/auth/login
+ *   - error: Set instead of code when the user denied access
+ * Response: HTML page (200 when connected, 400 for a denied, unknown or
+ * expired request, 500 when the token exchange fails)
+ */
+
+const ENDPOINT = '/api/auth/callback';
+
+// Shown for every state that doesn't match a pending login request
+const INVALID_STATE_MESSAGE = 'Invalid or expired state; start again at /api/auth/login';
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Send a small result page
+ * @param {object} res - Vercel response object
+ * @param {number} status - HTTP status
+ * @param {string} title - Page heading
+ * @param {string} message - Explanation
+ */
+function sendPage(res, status, title, message) {
+  const color = status === 200 ? '#1db954' : '#e74c3c';
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  return res.status(status).send(`<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+    <h1 style="color: ${color};">${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+    <p>You can close this window.</p>
+  </body>
+</html>`);
+}
+
+/**
+ * Reject a callback and record it in System Logs
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ * @param {string} reason - Why the callback was rejected (logged)
+ * @param {string} message - What the caller is shown (default: the reason)
+ */
+async function reject(req, res, reason, message = reason) {
+  console.warn(`[Auth Callback] Rejected: ${reason}`);
+  try {
+    await logAuthFailure(ENDPOINT, reason, { status: 400, ip: getClientIp(req) });
+  } catch (error) {
+    console.error('[Auth Callback] Could not record auth failure:', error.message);
+  }
+  return sendPage(res, 400, 'Authorization failed', message);
+}
+
+/**
+ * Main serverless handler
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+export default async function handler(req, res) {
+  const { code, state, error } = req.query || {};
+
+  if (error) {
+    return reject(req, res, `Spotify authorization was not granted: ${error}`);
+  }
+
+  const parsed = parseOAuthState(state);
+  if (!parsed) {
+    return reject(req, res, 'Missing or malformed state parameter', INVALID_STATE_MESSAGE);
+  }
+
+  let user;
+  try {
+    user = getUser(parsed.userId);
+  } catch (lookupError) {
+    return reject(req, res, lookupError.message, INVALID_STATE_MESSAGE);
+  }
+
+  return runAsUser(user, async () => {
+    try {
+      await completeAuthorization(code, parsed.requestId);
+      await logAuthRefresh(true, 'Authorized via /api/auth/login');
+      await flush();
+
+      return sendPage(res, 200, 'Spotify connected', `The logger now uses this account for ${user.name}.`);
+    } catch (authError) {
+      if (authError.code === OAUTH_STATE_INVALID) {
+        return reject(req, res, authError.message, INVALID_STATE_MESSAGE);
+      }
+
+      console.error('[Auth Callback] Error:', authError.message);
+      return sendPage(res, 500, 'Authorization failed', authError.message);
+    }
+  });
+}
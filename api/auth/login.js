@@ -0,0 +1,64 @@
+import { startAuthorization, getCallbackUrl } from '../../lib/spotify-oauth.js';
+import { requireAuth } from '../../lib/auth.js';
+import { runForUser } from '../../lib/users.js';
+
+/**
+ * Vercel Serverless Function: Start Spotify Authorization
+ *
+ * First step of the hosted authorization-code flow (PKCE). Creates a login
+ * request for the user and returns the Spotify authorize URL; after consent
+ * Spotify redirects to /api/auth/callback, which stores the refresh token
+ * encrypted in state storage. Replaces running scripts/get-refresh-token.js
+ * and pasting the token into env vars.
+ *
+ * Requires TOKEN_ENCRYPTION_KEY, and the callback URL registered as a
+ * redirect URI of the Spotify app.
+ *
+ * Endpoint: /api/auth/login
+ * Method: GET
+ * Auth scope: admin
+ * Query params:
+ *   - user=ID: Registered user to authorize (required with several users)
+ *   - redirect=true: Redirect to Spotify instead of returning the URL
+ *     (for browsers on local runs, where no API key is needed)
+ * Response: JSON { success, authorizeUrl, expiresAt } or a 302 redirect
+ *
+ * Example:
+ *   curl -H "X-API-Key: $ADMIN_KEY" "https://your-app.vercel.app/api/auth/login?user=alice"
+ *   # open authorizeUrl in the browser of the account's owner within 10 minutes
+ */
+
+/**
+ * Start an authorization for the current user
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+async function startLoginForUser(req, res) {
+  try {
+    const { authorizeUrl, expiresAt } = await startAuthorization(getCallbackUrl(req));
+
+    if (req.query.redirect === 'true') {
+      res.setHeader('Location', authorizeUrl);
+      return res.status(302).send('');
+    }
+
+    return res.status(200).json({ success: true, authorizeUrl, expiresAt });
+  } catch (error) {
+    console.error('[Auth Login] Error:', error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Main serverless handler
+ * Runs for the user named by ?user=<id> (required once several users are registered).
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+export default async function handler(req, res) {
+  if (!(await requireAuth(req, res, 'admin'))) {
+    return;
+  }
+
+  return await runForUser(req, res, startLoginForUser);
+}
@@ -1,32 +1,49 @@
-import { getRecentlyPlayed, getAudioFeatures, getBatchArtistDetails, getBatchAudioFeatures } from '../lib/spotify-api.js';
-import { formatTrackForLogging, formatAsSheetRow, getSheetHeaders } from '../lib/data-formatter.js';
-import { appendRows, createSheetIfNotExists, getAllRows } from '../lib/sheets-api.js';
-import { loadState, saveState } from '../lib/state-manager.js';
+import { getRecentlyPlayed, persistCache } from '../lib/spotify-api.js';
+import { createProviders, prefetchEnrichment, enrichPlay } from '../lib/enrichment.js';
+import { appendRows, ensureSheetSchema } from '../lib/sinks/index.js';
+import { getSheetSchema, toSheetRow } from '../lib/sheet-schema.js';
+import { createDedupLookup, hasDedupKey } from '../lib/deduplication.js';
+import { loadDedupKeys, addToDedupIndex, coversPlays } from '../lib/dedup-index.js';
+import { loadState, updateState, acquireRunLock, releaseRunLock } from '../lib/state-manager.js';
+import { requireAuth } from '../lib/auth.js';
+import { runForUser } from '../lib/users.js';
 
 /**
  * Vercel Serverless Function: Historical Import
  *
- * Performs a one-time import of the last 50 songs from Spotify into the
- * "Historical Data" sheet. This is separate from the main "Listening Log"
- * to distinguish historical data from real-time logging.
+ * Backfills recently played history from Spotify into the "Historical Data"
+ * sheet. This is separate from the main "Listening Log" to distinguish
+ * historical data from real-time logging.
+ *
+ * Pages backwards through /me/player/recently-played with the `before`
+ * cursor until Spotify returns no more plays. The cursor is saved after every
+ * page, so a run that approaches the 60s Vercel limit stops early and the
+ * next call resumes where it stopped.
  *
  * Features:
- * - Idempotent: Can be run multiple times without duplicating data
+ * - Idempotent: Can be run multiple times without duplicating data (checked
+ *   against the dedup index, see lib/dedup-index.js)
+ * - Resumable: Cursor persisted in import state after each page
  * - Rate limiting: 1 request per 500ms to avoid hitting Spotify limits
- * - Progress tracking: Stores import state in case of failure
  * - Batch operations: Uses batch audio features API for efficiency
  *
  * Endpoint: /api/import-history
  * Method: GET (manual trigger only)
+ * Auth scope: trigger-log (admin for force=true)
  * Query params:
- *   - force=true: Force re-import even if already completed
- *   - limit=N: Import only N tracks (default: 50, max: 50)
- * Response: JSON with import results
+ *   - force=true: Restart from the most recent play even if already completed
+ *   - limit=N: Tracks per page (default: 50, max: 50)
+ *   - pages=N: Maximum pages to fetch in this call (default: until done or out of time)
+ *   - user=ID: Registered user to import (required with several users)
+ * Response: JSON with import results and per-page progress, or 409 while
+ * another run holds the run lock
  */
 
 const SHEET_NAME = 'Historical Data';
 const DEFAULT_LIMIT = 50;
 const REQUEST_DELAY_MS = 500; // 500ms between API calls to avoid rate limits
+const EXECUTION_TIMEOUT_MS = 50000; // 50 seconds to leave buffer
+const DUPLICATE_WINDOW_MS = 5 * 60 * 1000; // Plays of the same track this close were already imported
 
 /**
  * Sleep for specified milliseconds
@@ -43,11 +60,15 @@ function sleep(ms) {
  */
 async function getImportState() {
   const state = await loadState();
-  return state.historicalImport || {
+  return {
     completed: false,
     lastImportDate: null,
     importedTrackIds: [],
-    totalImported: 0
+    totalImported: 0,
+    cursor: null, // `before` timestamp (ms) for the next page, null = most recent
+    pagesFetched: 0,
+    oldestPlayedAt: null,
+    ...state.historicalImport
   };
 }
 
@@ -57,56 +78,47 @@ async function getImportState() {
  * @returns {Promise<void>}
  */
 async function saveImportState(importState) {
-  const state = await loadState();
-  state.historicalImport = importState;
-  await saveState(state);
+  await updateState(state => {
+    state.historicalImport = importState;
+  });
 }
 
 /**
  * Check if a track was already imported
  * @param {string} trackId - Track ID
  * @param {string} playedAt - Played at timestamp
- * @param {array} existingRows - Existing rows in the sheet
+ * @param {Map} lookup - Dedup lookup of the imported rows (createDedupLookup)
  * @returns {boolean} True if already imported
  */
-function isAlreadyImported(trackId, playedAt, existingRows) {
-  // Check sheet rows for existing entry
-  // Track ID is column 8 (index 7), Timestamp is column 1 (index 0)
-  for (let i = 1; i < existingRows.length; i++) {
-    const row = existingRows[i];
-    const rowTrackId = row[7];
-    const rowTimestamp = row[0];
-
-    if (rowTrackId === trackId) {
-      // Check if timestamps are within a few minutes
-      const rowTime = new Date(rowTimestamp).getTime();
-      const targetTime = new Date(playedAt).getTime();
-      const timeDiff = Math.abs(rowTime - targetTime);
-
-      if (timeDiff < 5 * 60 * 1000) {
-        return true;
-      }
-    }
-  }
-
-  return false;
+function isAlreadyImported(trackId, playedAt, lookup) {
+  return hasDedupKey(lookup, trackId, playedAt, DUPLICATE_WINDOW_MS);
 }
 
 /**
- * Get headers for Historical Data sheet (same as Listening Log + Import Timestamp)
- * @returns {array} Header row
+ * Format a single recently played item as a Historical Data row
+ * @param {object} item - Recently played item
+ * @param {array} providers - Enrichment providers (caches warmed per page)
+ * @param {string} importTimestamp - Value for the Import Timestamp column
+ * @param {array} headerRow - Header row of the Historical Data sheet
+ * @returns {Promise<array>} Sheet row
  */
-function getHistoricalHeaders() {
-  const baseHeaders = getSheetHeaders();
-  return [...baseHeaders, 'Import Timestamp'];
+async function buildHistoricalRow(item, providers, importTimestamp, headerRow) {
+  // Stay under Spotify rate limits for anything the page prefetch missed
+  await sleep(REQUEST_DELAY_MS);
+  const formatted = await enrichPlay(item, { providers });
+  if (formatted.missingEnrichment) {
+    console.warn(`[Import History] Missing enrichment for ${item.track.name}: ${formatted.missingEnrichment}`);
+  }
+
+  return toSheetRow({ ...formatted, importTimestamp }, headerRow, getSheetSchema(SHEET_NAME));
 }
 
 /**
- * Main serverless handler
+ * Run the historical import (the caller holds the run lock)
  * @param {object} req - Vercel request object
  * @param {object} res - Vercel response object
  */
-export default async function handler(req, res) {
+async function runImportHistory(req, res) {
   const startTime = Date.now();
   const results = {
     fetched: 0,
@@ -115,6 +127,7 @@ export default async function handler(req, res) {
     failed: 0,
     tracks: []
   };
+  const pages = [];
 
   try {
     const forceImport = req.query.force === 'true';
@@ -122,9 +135,10 @@ export default async function handler(req, res) {
       parseInt(req.query.limit || DEFAULT_LIMIT, 10),
       50 // Spotify API max
     );
+    const maxPages = parseInt(req.query.pages, 10) > 0 ? parseInt(req.query.pages, 10) : Infinity;
 
     console.log('[Import History] Starting historical import...');
-    console.log(`[Import History] Force: ${forceImport}, Limit: ${limit}`);
+    console.log(`[Import History] Force: ${forceImport}, Limit: ${limit}, Pages: ${maxPages}`);
 
     // Check if already imported (unless force=true)
     const importState = await getImportState();
@@ -140,142 +154,191 @@ export default async function handler(req, res) {
       });
     }
 
-    // Ensure the Historical Data sheet exists
+    if (forceImport) {
+      // Start again from the most recent play
+      importState.completed = false;
+      importState.cursor = null;
+      importState.pagesFetched = 0;
+    }
+
+    if (importState.cursor) {
+      console.log(`[Import History] Resuming before ${new Date(importState.cursor).toISOString()} (${importState.pagesFetched} page(s) already fetched)`);
+    }
+
+    // Ensure the Historical Data sheet exists and has the current columns
     console.log('[Import History] Ensuring sheet exists...');
-    await createSheetIfNotExists(SHEET_NAME, getHistoricalHeaders());
+    const { headers } = await ensureSheetSchema(SHEET_NAME);
 
-    // Get existing rows for deduplication
-    const existingRows = await getAllRows(SHEET_NAME);
-    console.log(`[Import History] Found ${existingRows.length - 1} existing entries`);
+    // Get the dedup keys of the imported rows (the sheet is only read if the index can't be used)
+    let dedup = await loadDedupKeys(SHEET_NAME, { headers });
+    let lookup = createDedupLookup(dedup.keys);
+    console.log(`[Import History] Found ${dedup.keys.length} existing entries (${dedup.source})`);
 
-    // Fetch recently played tracks from Spotify
-    console.log(`[Import History] Fetching last ${limit} tracks from Spotify...`);
-    const recentlyPlayed = await getRecentlyPlayed(limit);
-    const tracks = recentlyPlayed.items || [];
-    results.fetched = tracks.length;
+    const importTimestamp = new Date().toISOString();
+    const providers = createProviders();
+    const importedTrackIds = [];
+    let timedOut = false;
+
+    while (pages.length < maxPages && !importState.completed) {
+      if (Date.now() - startTime >= EXECUTION_TIMEOUT_MS) {
+        timedOut = true;
+        break;
+      }
 
-    console.log(`[Import History] Fetched ${tracks.length} tracks`);
+      if (pages.length > 0) {
+        await sleep(REQUEST_DELAY_MS);
+      }
 
-    if (tracks.length === 0) {
-      return res.status(200).json({
-        success: true,
-        message: 'No tracks found to import',
-        stats: results,
-        executionTimeMs: Date.now() - startTime
-      });
-    }
+      // Fetch the next page, walking backwards from the saved cursor
+      const recentlyPlayed = await getRecentlyPlayed(limit, null, importState.cursor);
+      const items = (recentlyPlayed.items || [])
+        .filter(item => item.track?.id)
+        .sort((a, b) => new Date(b.played_at) - new Date(a.played_at));
+
+      const page = {
+        page: importState.pagesFetched + 1,
+        fetched: items.length,
+        imported: 0,
+        skipped: 0,
+        failed: 0,
+        newestPlayedAt: items[0]?.played_at || null,
+        oldestPlayedAt: items[items.length - 1]?.played_at || null,
+        partial: false
+      };
+      results.fetched += items.length;
+
+      console.log(`[Import History] Page ${page.page}: fetched ${items.length} tracks`);
+
+      if (items.length === 0) {
+        // Reached the end of what Spotify keeps
+        importState.completed = true;
+        importState.cursor = null;
+        pages.push(page);
+        break;
+      }
 
-    // Batch fetch audio features for all tracks
-    console.log('[Import History] Fetching audio features (batch)...');
-    const trackIds = tracks.map(t => t.track.id);
-    const audioFeaturesMap = {};
+      // Pages older than the dedup index are checked against the whole sheet
+      if (!coversPlays(dedup, items.map(item => item.played_at))) {
+        dedup = await loadDedupKeys(SHEET_NAME, { headers, timestamps: items.map(item => item.played_at) });
+        lookup = createDedupLookup(dedup.keys);
+      }
 
-    try {
-      const batchFeatures = await getBatchAudioFeatures(trackIds);
-      batchFeatures.forEach((features, index) => {
-        if (features) {
-          audioFeaturesMap[trackIds[index]] = features;
+      await prefetchEnrichment(items.map(item => item.track), providers);
+      const rowsToAppend = [];
+      let lastProcessed = null;
+
+      for (const item of items) {
+        // Stop mid-page rather than risk the function timeout
+        if (Date.now() - startTime >= EXECUTION_TIMEOUT_MS) {
+          page.partial = true;
+          break;
         }
-      });
-      console.log(`[Import History] Got audio features for ${Object.keys(audioFeaturesMap).length} tracks`);
-    } catch (error) {
-      console.warn('[Import History] Batch audio features failed:', error.message);
-    }
 
-    // Process each track
-    const rowsToAppend = [];
-    const importTimestamp = new Date().toISOString();
+        const track = item.track;
+        lastProcessed = item;
 
-    for (const item of tracks) {
-      const track = item.track;
-      const trackId = track.id;
-      const playedAt = item.played_at;
+        // Check for duplicates
+        if (isAlreadyImported(track.id, item.played_at, lookup)) {
+          console.log(`[Import History] Skipping (duplicate): ${track.name}`);
+          page.skipped++;
+          continue;
+        }
 
-      // Check for duplicates
-      if (isAlreadyImported(trackId, playedAt, existingRows)) {
-        console.log(`[Import History] Skipping (duplicate): ${track.name}`);
-        results.skipped++;
-        continue;
+        try {
+          rowsToAppend.push(await buildHistoricalRow(item, providers, importTimestamp, headers));
+          page.imported++;
+          importedTrackIds.push(track.id);
+          results.tracks.push({
+            name: track.name,
+            artist: track.artists?.[0]?.name || 'Unknown',
+            playedAt: item.played_at
+          });
+
+          console.log(`[Import History] Prepared: ${track.name}`);
+
+        } catch (error) {
+          console.error(`[Import History] Error processing ${track.name}:`, error.message);
+          page.failed++;
+        }
       }
 
-      try {
-        // Get audio features (from batch or fetch individually)
-        let audioFeatures = audioFeaturesMap[trackId];
-        if (!audioFeatures) {
-          await sleep(REQUEST_DELAY_MS);
-          try {
-            audioFeatures = await getAudioFeatures(trackId);
-          } catch (e) {
-            console.warn(`[Import History] Could not get audio features for: ${track.name}`);
-          }
-        }
+      // Batch append the page's rows to the sheet
+      if (rowsToAppend.length > 0) {
+        console.log(`[Import History] Appending ${rowsToAppend.length} rows to sheet...`);
+        await appendRows(SHEET_NAME, rowsToAppend);
+        console.log('[Import History] Rows appended successfully');
+
+        const appendedKeys = await addToDedupIndex(SHEET_NAME, rowsToAppend, headers);
+        dedup = { ...dedup, keys: [...dedup.keys, ...appendedKeys] };
+        lookup = createDedupLookup(dedup.keys);
+      }
 
-        // Get artist details for genres
-        let primaryArtist = null;
-        if (track.artists && track.artists.length > 0) {
-          await sleep(REQUEST_DELAY_MS);
-          try {
-            const artistIds = track.artists.map(a => a.id);
-            const artists = await getBatchArtistDetails(artistIds.slice(0, 1));
-            primaryArtist = artists[0] || null;
-          } catch (e) {
-            console.warn(`[Import History] Could not get artist details for: ${track.name}`);
-          }
+      // Advance the cursor past everything processed on this page
+      if (page.partial) {
+        if (lastProcessed) {
+          importState.cursor = new Date(lastProcessed.played_at).getTime();
+        }
+      } else {
+        importState.pagesFetched++;
+        importState.cursor = Number(recentlyPlayed.cursors?.before) ||
+          new Date(page.oldestPlayedAt).getTime();
+
+        if (!recentlyPlayed.next || !recentlyPlayed.cursors?.before) {
+          importState.completed = true;
+          importState.cursor = null;
         }
+      }
 
-        // Format track data
-        const formatted = formatTrackForLogging(
-          track,
-          item,
-          audioFeatures,
-          primaryArtist,
-          'COMPLETED',
-          ''
-        );
-
-        // Convert to sheet row and add import timestamp
-        const row = formatAsSheetRow(formatted);
-        row.push(importTimestamp); // Add import timestamp as last column
-
-        rowsToAppend.push(row);
-        results.imported++;
-        results.tracks.push({
-          name: track.name,
-          artist: track.artists?.[0]?.name || 'Unknown',
-          playedAt: playedAt
-        });
-
-        console.log(`[Import History] Prepared: ${track.name}`);
-
-      } catch (error) {
-        console.error(`[Import History] Error processing ${track.name}:`, error.message);
-        results.failed++;
+      if (lastProcessed && (!importState.oldestPlayedAt || lastProcessed.played_at < importState.oldestPlayedAt)) {
+        importState.oldestPlayedAt = lastProcessed.played_at;
       }
-    }
 
-    // Batch append all rows to the sheet
-    if (rowsToAppend.length > 0) {
-      console.log(`[Import History] Appending ${rowsToAppend.length} rows to sheet...`);
-      await appendRows(SHEET_NAME, rowsToAppend);
-      console.log('[Import History] Rows appended successfully');
+      // Save progress after every page so the next call can resume
+      importState.lastImportDate = importTimestamp;
+      importState.totalImported = (importState.totalImported || 0) + page.imported;
+      importState.importedTrackIds = importedTrackIds.slice(-DEFAULT_LIMIT);
+      await saveImportState(importState);
+      await persistCache();
+
+      results.imported += page.imported;
+      results.skipped += page.skipped;
+      results.failed += page.failed;
+      pages.push(page);
+
+      console.log(`[Import History] Page ${page.page}: imported ${page.imported}, skipped ${page.skipped}, failed ${page.failed}${page.partial ? ' (partial)' : ''}`);
+
+      if (page.partial) {
+        timedOut = true;
+        break;
+      }
     }
 
-    // Update import state
-    const newImportState = {
-      completed: true,
-      lastImportDate: importTimestamp,
-      importedTrackIds: tracks.map(t => t.track.id),
-      totalImported: (importState.totalImported || 0) + results.imported
-    };
-    await saveImportState(newImportState);
+    if (importState.completed) {
+      await saveImportState(importState);
+    }
 
     const executionTimeMs = Date.now() - startTime;
-    console.log(`[Import History] Completed in ${executionTimeMs}ms`);
+    console.log(`[Import History] ${importState.completed ? 'Completed' : 'Paused'} in ${executionTimeMs}ms`);
+
+    let message = 'Historical import completed';
+    if (!importState.completed) {
+      message = timedOut
+        ? 'Historical import paused before timeout - call again to continue'
+        : 'Historical import paused - call again to continue';
+    } else if (results.fetched === 0 && importState.totalImported === 0) {
+      message = 'No tracks found to import';
+    }
 
     return res.status(200).json({
       success: true,
-      message: 'Historical import completed',
+      message,
+      completed: importState.completed,
+      resume: !importState.completed,
+      cursor: importState.cursor,
+      oldestPlayedAt: importState.oldestPlayedAt,
+      totalImported: importState.totalImported,
       stats: results,
+      pages,
       recentTracks: results.tracks.slice(0, 5),
       executionTimeMs
     });
@@ -287,7 +350,55 @@ export default async function handler(req, res) {
       success: false,
       error: error.message,
       stats: results,
+      pages,
       executionTimeMs: Date.now() - startTime
     });
   }
 }
+
+/**
+ * Import the current user's recent history
+ * Holds the run lock for the whole run; returns 409 while another run holds it.
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+async function importHistoryForUser(req, res) {
+  let lock;
+  try {
+    lock = await acquireRunLock('import-history');
+  } catch (error) {
+    console.error('[Import History] Could not acquire run lock:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: `Could not acquire run lock: ${error.message}`
+    });
+  }
+
+  if (!lock.acquired) {
+    return res.status(409).json({
+      success: false,
+      error: 'Another run is in progress',
+      holder: lock.holder
+    });
+  }
+
+  try {
+    return await runImportHistory(req, res);
+  } finally {
+    await releaseRunLock(lock.lease);
+  }
+}
+
+/**
+ * Main serverless handler
+ * Runs for the user named by ?user=<id> (required once several users are registered).
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+export default async function handler(req, res) {
+  if (!(await requireAuth(req, res, req.query.force === 'true' ? 'admin' : 'trigger-log'))) {
+    return;
+  }
+
+  return await runForUser(req, res, importHistoryForUser);
+}
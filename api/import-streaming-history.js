@@ -0,0 +1,134 @@
+import {
+  importStreamingHistory,
+  isStreamingHistoryFile,
+  parseJsonArrayStream,
+  DEFAULT_IMPORT_SHEET
+} from '../lib/streaming-history.js';
+import { requireAuth } from '../lib/auth.js';
+import { runForUser } from '../lib/users.js';
+
+/**
+ * Vercel Serverless Function: Extended Streaming History Upload
+ *
+ * Imports one Streaming_History_Audio_*.json / endsong_*.json file from
+ * Spotify's privacy export. The file content is the request body. Plays that
+ * already exist in the target sheet (or the Listening Log) are skipped, so
+ * files can be re-uploaded safely.
+ *
+ * Vercel limits request bodies to 4.5MB; split larger files or use
+ * scripts/import-streaming-history.js for full multi-year exports.
+ *
+ * Endpoint: /api/import-streaming-history
+ * Method: POST
+ * Auth scope: admin
+ * Body: JSON array from the export file (or { entries: [...] })
+ * Query params:
+ *   - file=NAME: Original file name (validated against the export naming)
+ *   - sheet=NAME: Target sheet (default: Historical Data)
+ *   - dryRun=true: Parse and dedupe without writing rows
+ *   - includeShort=true: Also import plays under 30 seconds
+ *   - user=ID: Registered user the export belongs to (required with several users)
+ * Response: JSON with import stats
+ *
+ * Example:
+ *   curl -X POST -H "Content-Type: application/json" \
+ *     --data-binary @Streaming_History_Audio_2023.json \
+ *     "https://your-app.vercel.app/api/import-streaming-history?file=Streaming_History_Audio_2023.json"
+ */
+
+/**
+ * Get export entries from the request body
+ * @param {object} req - Vercel request object
+ * @returns {Iterable|AsyncIterable} Raw export entries
+ */
+function getUploadedEntries(req) {
+  const body = req.body;
+
+  if (Array.isArray(body)) {
+    return body;
+  }
+  if (body && Array.isArray(body.entries)) {
+    return body.entries;
+  }
+  if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    return parseJsonArrayStream([body]);
+  }
+
+  // Body not parsed - read the request stream
+  return parseJsonArrayStream(req);
+}
+
+/**
+ * Import an uploaded export for the current user
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+async function importStreamingHistoryForUser(req, res) {
+  const startTime = Date.now();
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Use POST with the export file as the request body'
+    });
+  }
+
+  const fileName = req.query.file || null;
+  if (fileName && !isStreamingHistoryFile(fileName)) {
+    return res.status(400).json({
+      success: false,
+      error: `"${fileName}" is not a Streaming_History_Audio_*.json or endsong_*.json file`
+    });
+  }
+
+  try {
+    const sheetName = req.query.sheet || DEFAULT_IMPORT_SHEET;
+    const dryRun = req.query.dryRun === 'true';
+    const includeShort = req.query.includeShort === 'true';
+
+    console.log(`[Import Streaming History] Importing ${fileName || 'upload'} into "${sheetName}"${dryRun ? ' (dry run)' : ''}`);
+
+    const stats = await importStreamingHistory(getUploadedEntries(req), {
+      sheetName,
+      dryRun,
+      includeShort
+    });
+
+    const executionTimeMs = Date.now() - startTime;
+    console.log(`[Import Streaming History] Imported ${stats.imported} of ${stats.read} entries in ${executionTimeMs}ms`);
+
+    return res.status(200).json({
+      success: true,
+      message: dryRun ? 'Dry run completed' : 'Streaming history imported',
+      file: fileName,
+      sheet: sheetName,
+      stats,
+      executionTimeMs
+    });
+
+  } catch (error) {
+    console.error('[Import Streaming History] Import failed:', error);
+
+    const invalidUpload = error instanceof SyntaxError || error.message.includes('JSON array');
+
+    return res.status(invalidUpload ? 400 : 500).json({
+      success: false,
+      error: error.message,
+      executionTimeMs: Date.now() - startTime
+    });
+  }
+}
+
+/**
+ * Main serverless handler
+ * Runs for the user named by ?user=<id> (required once several users are registered).
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+export default async function handler(req, res) {
+  if (!(await requireAuth(req, res, 'admin'))) {
+    return;
+  }
+
+  return await runForUser(req, res, importStreamingHistoryForUser);
+}
@@ -1,30 +1,157 @@
-import { getRecentlyPlayed, getAudioFeatures, getBatchArtistDetails } from '../lib/spotify-api.js';
-import { filterNewPlays, sortTracksByTimestamp, getMostRecentTrack } from '../lib/play-filter.js';
+import { getRecentlyPlayed, persistCache } from '../lib/spotify-api.js';
+import { filterNewPlays, filterNewSkips, estimateListenTimes, sortTracksByTimestamp, getMostRecentTrack } from '../lib/play-filter.js';
 import { formatTrackForLogging, formatAsSheetRow, createErrorPlaceholder } from '../lib/data-formatter.js';
-import { appendRows, getAllRows } from '../lib/sheets-api.js';
-import { loadState, updateLastProcessed, addToFailedQueue, updateStats, getStats, getStorageBackend } from '../lib/state-manager.js';
-import { reconcileState, filterDuplicatesAgainstSheet } from '../lib/deduplication.js';
-import { logCronStart, logCronEnd, logSpotifyError, logSheetsError, flush } from '../lib/system-logger.js';
-import { startExecution, endExecution, trackError, trackTracks } from '../lib/metrics.js';
-import { trackSuccessfulRun, trackFailedRun, checkAlertThresholds } from '../lib/alerting.js';
-import { validateFormattedTrack, sanitizeTrackData } from '../lib/data-validator.js';
+import { createProviders, prefetchEnrichment, enrichPlay } from '../lib/enrichment.js';
+import { appendRows, ensureSheetSchema, getSinkInfo } from '../lib/sinks/index.js';
+import { loadListeningLog, appendToListeningLog } from '../lib/partitions.js';
+import { loadState, updateLastProcessed, addToFailedQueue, updateStats, getStats, getStorageBackend, getPlaybackSessions, prunePlaybackSessions, recordSessionPlays, updateListeningStreak, acquireRunLock, releaseRunLock } from '../lib/state-manager.js';
+import { attachMeasuredPlayTimes } from '../lib/playback-sessions.js';
+import { toSessionPlay, logSessions } from '../lib/sessions.js';
+import { reconcileStateWithKeys, filterDuplicatesAgainstKeys } from '../lib/deduplication.js';
+import { loadDedupKeys, addToDedupIndex } from '../lib/dedup-index.js';
+import { logCronStart, logCronEnd, logSpotifyError, logSheetsError, logSchemaMigration, flush } from '../lib/system-logger.js';
+import { startExecution, endExecution, trackError, trackTracks, trackApiCallsSaved } from '../lib/metrics.js';
+import { trackSuccessfulRun, trackFailedRun, checkAlertThresholds, alertStreakChange } from '../lib/alerting.js';
+import { validateFormattedTrack, sanitizeTrackData, partitionMusic } from '../lib/data-validator.js';
+import { EVENT_TYPES, emitEvents, deliverWebhooks } from '../lib/webhooks.js';
+import { requireAuth } from '../lib/auth.js';
+import { runForUsers, getUserSetting } from '../lib/users.js';
 
 /**
  * Vercel Serverless Function: Log Recent Spotify Plays
  *
  * This function runs hourly via cron to:
  * 1. Fetch recently played tracks from Spotify
- * 2. Filter for 30+ second plays
- * 3. Enrich with audio features and metadata
- * 4. Check for duplicates against sheet data
+ * 2. Filter for 30+ second plays (measured via /api/sample-playback sessions when available)
+ *    - Plays under 30 seconds go to the optional "Skips" sheet (ENABLE_SKIPS_TAB=true)
+ * 3. Enrich with audio features and genres (lib/enrichment.js; failed providers are listed in "Missing Enrichment")
+ * 4. Check for duplicates against the dedup index (lib/dedup-index.js; the
+ *    sheet is only read when the index is missing or fails verification)
  * 5. Append new rows to Google Sheets
  * 6. Update state with last processed track
+ * 7. Group logged plays into listening sessions ("Sessions" sheet) and update the daily streak
+ * 8. Send a play.logged webhook event for every logged play (WEBHOOK_URLS)
  *
  * Endpoint: /api/log-spotify
  * Method: GET (triggered by cron or manual request)
- * Response: JSON execution summary
+ * Auth scope: trigger-log (CRON_SECRET or API key)
+ * Query params:
+ *   - user=ID: Only log this registered user (default: every enabled user)
+ * Response: JSON execution summary, or 409 with the lock holder while
+ * another run (log-spotify, retry-failed, import-history) is in progress.
+ * With several users: { success, users: [{ userId, statusCode, ...summary }] },
+ * 207 if some users failed and 500 if all did.
  */
 
+const SKIPS_SHEET = 'Skips';
+
+/**
+ * Log skipped plays to the optional "Skips" sheet
+ * Skips are never enriched with audio features - they only need the basic
+ * track info and the skip classification. Skips already in the sheet (from a
+ * run that failed after writing them) are checked against its dedup keys
+ * (lib/dedup-index.js) and not written again.
+ *
+ * @param {array} skippedTracks - Recently played items classified as skips
+ * @param {array} executionLog - Execution log to append messages to
+ * @returns {Promise<number>} Number of skips written to the sheet
+ */
+async function logSkips(skippedTracks, executionLog) {
+  if (skippedTracks.length === 0) {
+    return 0;
+  }
+
+  if (getUserSetting('ENABLE_SKIPS_TAB') !== 'true') {
+    executionLog.push(`${skippedTracks.length} skip(s) not logged (set ENABLE_SKIPS_TAB=true to log them)`);
+    return 0;
+  }
+
+  try {
+    const schema = await ensureSheetSchema(SKIPS_SHEET);
+    await logSchemaMigration(SKIPS_SHEET, schema);
+
+    const sortedSkips = sortTracksByTimestamp(skippedTracks);
+    const dedup = await loadDedupKeys(SKIPS_SHEET, { headers: schema.headers, timestamps: sortedSkips.map(item => item.played_at) });
+    const newSkips = filterDuplicatesAgainstKeys(sortedSkips, dedup.keys);
+    if (newSkips.length === 0) {
+      executionLog.push(`${skippedTracks.length} skip(s) already in "${SKIPS_SHEET}" sheet`);
+      return 0;
+    }
+
+    const rows = newSkips.map(item =>
+      formatAsSheetRow(sanitizeTrackData(formatTrackForLogging(item.track, item)), schema.headers)
+    );
+    await appendRows(SKIPS_SHEET, rows);
+    await addToDedupIndex(SKIPS_SHEET, rows, schema.headers);
+
+    executionLog.push(`Logged ${rows.length} skip(s) to "${SKIPS_SHEET}" sheet`);
+    return rows.length;
+  } catch (error) {
+    console.warn('[Log Spotify] Failed to log skips:', error.message);
+    trackError('sheets', error);
+    await logSheetsError('append-skips', error);
+    executionLog.push(`Failed to log ${skippedTracks.length} skip(s): ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Add logged plays to listening sessions and the daily streak
+ * Sessions closed by these plays (or by the gap elapsing) go to the "Sessions"
+ * sheet. ERROR placeholders are left out, they aren't confirmed plays.
+ *
+ * @param {array} formattedTracks - Tracks logged this run (may be empty)
+ * @param {array} executionLog - Execution log to append messages to
+ * @returns {Promise<number>} Number of sessions written to the sheet
+ */
+async function logListeningSessions(formattedTracks, executionLog) {
+  const plays = formattedTracks.filter(t => t.status !== 'ERROR');
+
+  try {
+    const closed = await recordSessionPlays(plays.map(toSessionPlay), logSessions, { now: Date.now() });
+    if (closed.length > 0) {
+      executionLog.push(`Logged ${closed.length} listening session(s)`);
+    }
+
+    if (plays.length > 0) {
+      const { previous, streak } = await updateListeningStreak(plays.map(t => t.timestamp));
+      executionLog.push(`Listening streak: ${streak.current} day(s)`);
+      await alertStreakChange(previous, streak);
+    }
+
+    return closed.length;
+  } catch (error) {
+    console.warn('[Log Spotify] Failed to update listening sessions:', error.message);
+    trackError('sheets', error);
+    await logSheetsError('append-sessions', error);
+    executionLog.push(`Failed to update listening sessions: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Emit play.logged events and deliver the webhook outbox
+ * Also retries earlier deliveries, so it runs even when nothing new was logged.
+ *
+ * @param {array} loggedTracks - Successfully formatted tracks (may be empty)
+ * @param {array} executionLog - Execution log to append messages to
+ * @returns {Promise<number>} Number of events queued
+ */
+async function emitPlayEvents(loggedTracks, executionLog) {
+  try {
+    const queued = await emitEvents(EVENT_TYPES.PLAY_LOGGED, loggedTracks);
+    const delivery = await deliverWebhooks();
+    if (queued > 0 || delivery.pending > 0) {
+      executionLog.push(`Webhooks: ${queued} event(s) queued, ${delivery.delivered} delivered, ${delivery.pending} pending`);
+    }
+    return queued;
+  } catch (error) {
+    console.warn('[Log Spotify] Failed to emit webhook events:', error.message);
+    executionLog.push(`Failed to emit webhook events: ${error.message}`);
+    return 0;
+  }
+}
+
 /**
  * Helper function to finalize execution metrics and logging
  * @param {number} executionTimeMs - Execution time in milliseconds
@@ -50,11 +177,11 @@ async function finalizeExecution(executionTimeMs, tracksLogged, errorCount) {
 }
 
 /**
- * Main serverless handler
+ * Run the logger (the caller holds the run lock)
  * @param {object} req - Vercel request object
  * @param {object} res - Vercel response object
  */
-export default async function handler(req, res) {
+async function runLogSpotify(req, res) {
   const startTime = Date.now();
   let successCount = 0;
   let failureCount = 0;
@@ -70,6 +197,9 @@ export default async function handler(req, res) {
     executionLog.push(`Using storage backend: ${backend.backend}`);
     console.log('[Log Spotify] Using storage backend:', backend.backend);
 
+    const sinkInfo = getSinkInfo();
+    executionLog.push(`Using storage sink: ${sinkInfo.sink}`);
+
     // Step 1: Load state
     console.log('[Log Spotify] Loading state...');
     let state = await loadState();
@@ -82,10 +212,12 @@ export default async function handler(req, res) {
 
     // Step 2: Fetch recently played tracks
     console.log('[Log Spotify] Fetching recently played tracks...');
-    const limit = parseInt(process.env.SPOTIFY_FETCH_LIMIT || '50', 10);
+    const limit = parseInt(getUserSetting('SPOTIFY_FETCH_LIMIT') || '50', 10);
     const recentlyPlayed = await getRecentlyPlayed(limit);
-    const tracks = recentlyPlayed.items || [];
-    executionLog.push(`Fetched ${tracks.length} tracks from Spotify`);
+    const playbackSessions = await getPlaybackSessions();
+    const tracks = estimateListenTimes(attachMeasuredPlayTimes(recentlyPlayed.items || [], playbackSessions));
+    const measuredCount = tracks.filter(t => t.measured_play_ms !== undefined).length;
+    executionLog.push(`Fetched ${tracks.length} tracks from Spotify (${measuredCount} with measured play time)`);
 
     if (tracks.length === 0) {
       executionLog.push('No recent tracks found');
@@ -110,10 +242,26 @@ export default async function handler(req, res) {
     console.log('[Log Spotify] Filtering for 30+ second plays...');
     const filteredTracks = filterNewPlays(tracks, state);
     const sortedTracks = sortTracksByTimestamp(filteredTracks);
-    executionLog.push(`Filtered to ${filteredTracks.length} new plays`);
+    const skippedTracks = filterNewSkips(tracks, state);
+    executionLog.push(`Filtered to ${filteredTracks.length} new plays (${skippedTracks.length} skips)`);
+
+    // Log skips separately instead of dropping them silently
+    const skipsLogged = await logSkips(skippedTracks, executionLog);
 
     if (filteredTracks.length === 0) {
       executionLog.push('No new plays to log. Everything is up to date!');
+
+      // Advance past the skips so they aren't picked up again next run
+      if (skippedTracks.length > 0) {
+        await updateLastProcessed(getMostRecentTrack(skippedTracks));
+      }
+
+      // Close the open listening session once the gap has elapsed
+      const sessionsLogged = await logListeningSessions([], executionLog);
+
+      // Retry webhook deliveries left in the outbox
+      await emitPlayEvents([], executionLog);
+
       const executionTimeMs = Date.now() - startTime;
       await finalizeExecution(executionTimeMs, 0, 0);
       return res.status(200).json({
@@ -125,29 +273,47 @@ export default async function handler(req, res) {
           unique: 0,
           logged: 0,
           failed: 0,
+          skipped: skippedTracks.length,
+          skipsLogged,
+          sessionsLogged,
           executionTimeMs
         },
         log: executionLog
       });
     }
 
-    // Step 4: Load sheet data for deduplication
-    console.log('[Log Spotify] Loading existing sheet data for deduplication...');
-    const sheetRows = await getAllRows('Listening Log');
-    executionLog.push(`Loaded ${sheetRows.length} rows from sheet`);
+    // Step 4: Load the dedup keys (after adding any new columns)
+    // With monthly partitions only the months around these plays are checked
+    console.log('[Log Spotify] Loading dedup keys...');
+    const logSheets = await loadListeningLog(sortedTracks.map(t => t.played_at), { index: true });
+    for (const { sheetName, migration } of logSheets) {
+      if (migration?.migrated) {
+        executionLog.push(`Migrated "${sheetName}" from schema v${migration.fromVersion} to v${migration.toVersion} (added ${migration.addedColumns.join(', ')})`);
+        await logSchemaMigration(sheetName, migration);
+      }
+    }
+    const dedupKeys = logSheets.flatMap(sheet => sheet.keys);
+    const sources = logSheets.map(sheet => `"${sheet.sheetName}" (${sheet.source === 'sheet' ? `read ${sheet.rows.length} rows` : sheet.source})`);
+    executionLog.push(`Loaded ${dedupKeys.length} dedup key(s) from ${sources.join(', ')}`);
 
-    // Reconcile state with sheet data
-    state = reconcileState(sheetRows, state);
+    // Reconcile state with the most recent rows
+    const latestKeys = [...logSheets].reverse().find(sheet => sheet.keys.length > 0)?.keys || [];
+    state = reconcileStateWithKeys(latestKeys, state);
     executionLog.push('State reconciled with sheet data');
 
-    // Step 5: Filter duplicates against sheet
+    // Step 5: Filter duplicates against the logged rows
     console.log('[Log Spotify] Checking for duplicates in sheet...');
-    const uniqueTracks = filterDuplicatesAgainstSheet(sortedTracks, sheetRows);
+    const uniqueTracks = filterDuplicatesAgainstKeys(sortedTracks, dedupKeys);
     const duplicateCount = sortedTracks.length - uniqueTracks.length;
     executionLog.push(`${uniqueTracks.length} unique tracks to log (${duplicateCount} duplicates filtered)`);
 
     if (uniqueTracks.length === 0) {
       executionLog.push('All tracks already logged. Nothing new to add!');
+
+      if (skippedTracks.length > 0) {
+        await updateLastProcessed(getMostRecentTrack([...sortedTracks, ...skippedTracks]));
+      }
+
       const executionTimeMs = Date.now() - startTime;
       await finalizeExecution(executionTimeMs, 0, 0);
       return res.status(200).json({
@@ -166,27 +332,25 @@ export default async function handler(req, res) {
     }
 
     // Step 6: Enrich with audio features and metadata
+    // A failing enrichment provider only leaves its own columns empty
     console.log('[Log Spotify] Enriching tracks with audio features and metadata...');
     const formattedTracks = [];
     const failedTracks = [];
+    const providers = createProviders();
+    let partialCount = 0;
+
+    // Batch-load audio features and artists for all plays up front (deduped,
+    // chunked to the API maximum) instead of two requests per play
+    const prefetch = await prefetchEnrichment(uniqueTracks.map(t => t.track), providers);
+    trackApiCallsSaved(prefetch.saved);
+    executionLog.push(`Batch enrichment: ${prefetch.requests} request(s), ${prefetch.saved} API call(s) saved`);
 
     for (const track of uniqueTracks) {
       try {
-        // Fetch audio features
-        const audioFeatures = await getAudioFeatures(track.track.id);
-
-        // Fetch artist details for genres
-        const artistIds = track.track.artists.map(a => a.id);
-        const artists = await getBatchArtistDetails(artistIds);
-        const primaryArtist = artists[0];
-
-        // Format track
-        const formatted = formatTrackForLogging(
-          track.track,
-          track,
-          audioFeatures,
-          primaryArtist
-        );
+        const formatted = await enrichPlay(track, { providers });
+        if (formatted.missingEnrichment) {
+          partialCount++;
+        }
 
         // Validate and sanitize
         const validation = validateFormattedTrack(formatted);
@@ -202,7 +366,7 @@ export default async function handler(req, res) {
 
         // Track the error
         trackError('spotify', error);
-        await logSpotifyError('audio-features', error, { affectedTracks: [track.track.id] });
+        await logSpotifyError('enrichment', error, { affectedTracks: [track.track.id] });
 
         // Create error placeholder
         const errorPlaceholder = createErrorPlaceholder(track, error.message);
@@ -214,21 +378,29 @@ export default async function handler(req, res) {
       }
     }
     executionLog.push(`Enriched ${formattedTracks.length} tracks (${successCount} success, ${failureCount} failures)`);
+    await persistCache();
+    if (partialCount > 0) {
+      const missingProviders = new Set(formattedTracks.flatMap(t => (t.missingEnrichment ? t.missingEnrichment.split(', ') : [])));
+      executionLog.push(`${partialCount} track(s) logged with missing enrichment: ${[...missingProviders].join(', ')}`);
+    }
 
-    // Step 7: Format for sheets
-    console.log('[Log Spotify] Formatting data for Google Sheets...');
-    const rowsToAppend = formattedTracks.map(track => formatAsSheetRow(track));
+    // Podcast-like plays are still logged, with the reason in "Non-Music Reason",
+    // so music-only analytics can exclude them
+    const { nonMusic } = partitionMusic(formattedTracks.filter(t => t.status !== 'ERROR'));
+    if (nonMusic.length > 0) {
+      executionLog.push(`Flagged ${nonMusic.length} non-music play(s): ${nonMusic.map(n => `${n.track.trackName} (${n.reason})`).join(', ')}`);
+    }
 
-    // Step 8: Write to sheets
+    // Step 7: Format for sheets and write each play to its tab
     console.log('[Log Spotify] Appending to Google Sheets "Listening Log"...');
-    const appendResult = await appendRows('Listening Log', rowsToAppend);
-    executionLog.push(`Successfully wrote ${appendResult.updates.updatedRows} row(s) to sheet`);
+    const appendResult = await appendToListeningLog(formattedTracks, logSheets, formatAsSheetRow);
+    executionLog.push(`Successfully wrote ${appendResult.updatedRows} row(s) to ${appendResult.sheets.map(name => `"${name}"`).join(', ')}`);
 
-    // Step 9: Update state
+    // Step 8: Update state
     console.log('[Log Spotify] Updating state...');
 
     // Update last processed track
-    const mostRecent = getMostRecentTrack(uniqueTracks);
+    const mostRecent = getMostRecentTrack([...uniqueTracks, ...skippedTracks]);
     if (mostRecent) {
       await updateLastProcessed(mostRecent);
       executionLog.push(`Updated last processed: ${mostRecent.track.name}`);
@@ -246,7 +418,16 @@ export default async function handler(req, res) {
     await updateStats(successCount, failureCount);
     executionLog.push('Updated stats');
 
-    // Step 10: Finalize metrics and logging
+    // Drop playback sessions that can no longer match a recently-played item
+    await prunePlaybackSessions();
+
+    // Group the new plays into listening sessions and update the daily streak
+    const sessionsLogged = await logListeningSessions(formattedTracks, executionLog);
+
+    // Send play.logged for every successfully formatted track
+    const eventsQueued = await emitPlayEvents(formattedTracks.filter(t => t.status !== 'ERROR'), executionLog);
+
+    // Step 9: Finalize metrics and logging
     const executionTimeMs = Date.now() - startTime;
     const executionTimeSec = (executionTimeMs / 1000).toFixed(2);
 
@@ -274,6 +455,13 @@ export default async function handler(req, res) {
         unique: uniqueTracks.length,
         logged: successCount,
         failed: failureCount,
+        skipped: skippedTracks.length,
+        skipsLogged,
+        nonMusic: nonMusic.length,
+        partialEnrichment: partialCount,
+        apiCallsSaved: prefetch.saved,
+        sessionsLogged,
+        eventsQueued,
         executionTimeMs: executionTimeMs,
         executionTimeSec: executionTimeSec
       },
@@ -321,3 +509,50 @@ export default async function handler(req, res) {
     });
   }
 }
+
+/**
+ * Log the current user's recent plays
+ * Holds the run lock for the whole run; returns 409 while another run holds it.
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+async function logSpotifyForUser(req, res) {
+  let lock;
+  try {
+    lock = await acquireRunLock('log-spotify');
+  } catch (error) {
+    console.error('[Log Spotify] Could not acquire run lock:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: `Could not acquire run lock: ${error.message}`
+    });
+  }
+
+  if (!lock.acquired) {
+    return res.status(409).json({
+      success: false,
+      error: 'Another run is in progress',
+      holder: lock.holder
+    });
+  }
+
+  try {
+    return await runLogSpotify(req, res);
+  } finally {
+    await releaseRunLock(lock.lease);
+  }
+}
+
+/**
+ * Main serverless handler
+ * Runs once per registered user, or only for ?user=<id> (see runForUsers).
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+export default async function handler(req, res) {
+  if (!(await requireAuth(req, res, 'trigger-log'))) {
+    return;
+  }
+
+  return await runForUsers(req, res, logSpotifyForUser);
+}
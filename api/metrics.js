@@ -1,27 +1,35 @@
 import { getMetricsSummary, getWeeklyMetrics, checkHealth, cleanupOldMetrics } from '../lib/metrics.js';
 import { getAlertStatus } from '../lib/alerting.js';
-import { getStorageBackend, getStats, getFailedQueue } from '../lib/state-manager.js';
+import { getStorageBackend, getStats, getFailedQueue, getListeningStreak, getOpenSession } from '../lib/state-manager.js';
+import { getStreakStatus, summarizeSession } from '../lib/sessions.js';
+import { getPersistedCacheStats } from '../lib/metadata-cache.js';
+import { requireAuth } from '../lib/auth.js';
+import { runForUsers } from '../lib/users.js';
 
 /**
  * Vercel Serverless Function: Metrics Dashboard
  *
- * Provides access to system metrics, health status, and operational data.
+ * Provides access to system metrics, health status, and operational data,
+ * plus the daily listening streak, the current listening session and the
+ * hit rates of the persistent Spotify metadata cache.
  * Useful for monitoring and debugging.
  *
  * Endpoint: /api/metrics
  * Method: GET
+ * Auth scope: read-metrics (admin for cleanup=true)
  * Query params:
  *   - view=weekly: Get weekly aggregated metrics
  *   - cleanup=true: Run metrics cleanup (removes data >30 days)
+ *   - user=ID: Only this registered user (default: every enabled user)
  * Response: JSON with metrics data
  */
 
 /**
- * Main serverless handler
+ * Report the current user's metrics
  * @param {object} req - Vercel request object
  * @param {object} res - Vercel response object
  */
-export default async function handler(req, res) {
+async function getMetricsForUser(req, res) {
   try {
     const view = req.query.view || 'summary';
     const shouldCleanup = req.query.cleanup === 'true';
@@ -47,6 +55,13 @@ export default async function handler(req, res) {
     const stats = await getStats();
     const failedQueue = await getFailedQueue();
 
+    // Get listening streak and open session
+    const streak = getStreakStatus(await getListeningStreak());
+    const openSession = await getOpenSession();
+
+    // Get metadata cache hit rates
+    const metadataCache = await getPersistedCacheStats();
+
     let metricsData;
     if (view === 'weekly') {
       metricsData = await getWeeklyMetrics();
@@ -74,6 +89,11 @@ export default async function handler(req, res) {
           lastError: t.error
         }))
       },
+      listening: {
+        streak,
+        currentSession: openSession ? summarizeSession(openSession) : null
+      },
+      metadataCache,
       alerts: alertStatus,
       system: {
         storageBackend: storageBackend.backend,
@@ -94,3 +114,17 @@ export default async function handler(req, res) {
     });
   }
 }
+
+/**
+ * Main serverless handler
+ * Runs once per registered user, or only for ?user=<id> (see runForUsers).
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+export default async function handler(req, res) {
+  if (!(await requireAuth(req, res, req.query.cleanup === 'true' ? 'admin' : 'read-metrics'))) {
+    return;
+  }
+
+  return await runForUsers(req, res, getMetricsForUser);
+}
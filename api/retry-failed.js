@@ -1,7 +1,13 @@
-import { getFailedQueue, clearFromFailedQueue, updateStats, loadState, saveState } from '../lib/state-manager.js';
-import { getAudioFeatures, getBatchArtistDetails } from '../lib/spotify-api.js';
-import { formatTrackForLogging, formatAsSheetRow } from '../lib/data-formatter.js';
-import { updateRow, getAllRows } from '../lib/sheets-api.js';
+import { getFailedQueue, clearFromFailedQueue, updateStats, loadState, updateState, acquireRunLock, releaseRunLock } from '../lib/state-manager.js';
+import { persistCache } from '../lib/spotify-api.js';
+import { formatAsSheetRow } from '../lib/data-formatter.js';
+import { createProviders, enrichPlay } from '../lib/enrichment.js';
+import { updateRow } from '../lib/sinks/index.js';
+import { loadListeningLog } from '../lib/partitions.js';
+import { createColumnMap, readColumn } from '../lib/sheet-schema.js';
+import { EVENT_TYPES, emitEvents, deliverWebhooks } from '../lib/webhooks.js';
+import { requireAuth } from '../lib/auth.js';
+import { runForUsers } from '../lib/users.js';
 
 /**
  * Vercel Serverless Function: Retry Failed Tracks
@@ -9,13 +15,19 @@ import { updateRow, getAllRows } from '../lib/sheets-api.js';
  * This function processes failed attempts from the retry queue:
  * 1. Load failed entries from state
  * 2. Retry Spotify API calls for missing data
- * 3. Update corresponding ERROR rows in sheet with complete data
+ * 3. Update corresponding ERROR rows in sheet with complete data (with
+ *    LISTENING_LOG_PARTITIONS=monthly, in the partitions around each play)
  * 4. Remove successful retries from queue
  * 5. Alert after 3 failed attempts
+ * 6. Send play.retried / play.failed webhook events (WEBHOOK_URLS)
  *
  * Endpoint: /api/retry-failed
  * Method: GET (triggered by cron or manual request)
- * Response: JSON with retry results
+ * Auth scope: trigger-log (CRON_SECRET or API key)
+ * Query params:
+ *   - user=ID: Only retry this registered user's queue (default: every enabled user)
+ * Response: JSON with retry results, or 409 while another run holds the run lock
+ * (per user in { users: [...] } when several users are registered)
  *
  * Retry Strategy:
  * - Attempt 1: Immediate (via this function)
@@ -36,13 +48,14 @@ const EXECUTION_TIMEOUT_MS = 45000; // 45 seconds to leave buffer
  * @returns {number|null} Row index (1-indexed) or null if not found
  */
 function findErrorRowIndex(sheetRows, trackId, playedAt) {
+  const columns = createColumnMap(sheetRows[0]);
+
   // Header is row 1, data starts at row 2
   for (let i = 1; i < sheetRows.length; i++) {
     const row = sheetRows[i];
-    // Track ID is column 8 (index 7), Status is column 27 (index 26)
-    const rowTrackId = row[7];
-    const rowStatus = row[26];
-    const rowTimestamp = row[0];
+    const rowTrackId = readColumn(row, columns, 'trackId');
+    const rowStatus = readColumn(row, columns, 'status');
+    const rowTimestamp = readColumn(row, columns, 'timestamp');
 
     // Match by track ID, ERROR status, and similar timestamp
     if (rowTrackId === trackId && rowStatus === 'ERROR') {
@@ -88,44 +101,36 @@ function isReadyForRetry(failedEntry) {
 /**
  * Process a single failed entry
  * @param {object} failedEntry - Failed queue entry
- * @param {array} sheetRows - Current sheet data
+ * @param {array} logSheets - Listening Log tabs from loadListeningLog
+ * @param {array} providers - Enrichment providers
  * @returns {Promise<object>} Result of the retry attempt
  */
-async function processFailedEntry(failedEntry, sheetRows) {
+async function processFailedEntry(failedEntry, logSheets, providers) {
   const { trackId, trackName, playedAt, partialData } = failedEntry;
 
   console.log(`[Retry Failed] Processing: ${trackName} (attempt ${failedEntry.attemptCount + 1})`);
 
   try {
-    // Try to fetch missing data
-    const track = partialData.track;
-
-    // Fetch audio features
-    const audioFeatures = await getAudioFeatures(track.id);
-
-    // Fetch artist details for genres
-    const artistIds = track.artists?.map(a => a.id) || [];
-    const artists = artistIds.length > 0 ? await getBatchArtistDetails(artistIds) : [];
-    const primaryArtist = artists[0] || null;
-
-    // Format the complete track data
-    const formatted = formatTrackForLogging(
-      track,
-      partialData,
-      audioFeatures,
-      primaryArtist,
-      'COMPLETED',
-      ''
-    );
+    // Re-run the enrichment pipeline; providers that still fail only
+    // leave their own columns empty (see "Missing Enrichment")
+    const formatted = await enrichPlay(partialData, { providers });
 
     // Find the ERROR row in the sheet
-    const rowIndex = findErrorRowIndex(sheetRows, trackId, playedAt);
+    let sheet = null;
+    let rowIndex = null;
+    for (const candidate of logSheets) {
+      rowIndex = findErrorRowIndex(candidate.rows, trackId, playedAt);
+      if (rowIndex) {
+        sheet = candidate;
+        break;
+      }
+    }
 
     if (rowIndex) {
       // Update the existing ERROR row with complete data
-      const rowData = formatAsSheetRow(formatted);
-      await updateRow('Listening Log', rowIndex, rowData);
-      console.log(`[Retry Failed] Updated row ${rowIndex} for: ${trackName}`);
+      const rowData = formatAsSheetRow(formatted, sheet.rows[0]);
+      await updateRow(sheet.sheetName, rowIndex, rowData);
+      console.log(`[Retry Failed] Updated row ${rowIndex} of "${sheet.sheetName}" for: ${trackName}`);
     } else {
       console.warn(`[Retry Failed] Could not find ERROR row for: ${trackName}`);
     }
@@ -134,7 +139,8 @@ async function processFailedEntry(failedEntry, sheetRows) {
       success: true,
       trackId,
       trackName,
-      message: 'Retry successful'
+      message: 'Retry successful',
+      formatted
     };
 
   } catch (error) {
@@ -151,11 +157,29 @@ async function processFailedEntry(failedEntry, sheetRows) {
 }
 
 /**
- * Main serverless handler
+ * Build the play.failed payload for a failed queue entry
+ * @param {object} entry - Failed queue entry (with the latest attemptCount and error)
+ * @param {boolean} permanent - True when the entry is removed from the queue without being completed
+ * @returns {object} Event payload
+ */
+function toFailedEvent(entry, permanent) {
+  return {
+    trackId: entry.trackId,
+    trackName: entry.trackName,
+    playedAt: entry.playedAt,
+    attemptCount: entry.attemptCount,
+    maxAttempts: MAX_RETRY_ATTEMPTS,
+    error: entry.error,
+    permanent
+  };
+}
+
+/**
+ * Run the retry processor (the caller holds the run lock)
  * @param {object} req - Vercel request object
  * @param {object} res - Vercel response object
  */
-export default async function handler(req, res) {
+async function runRetryFailed(req, res) {
   const startTime = Date.now();
   const results = {
     processed: 0,
@@ -184,18 +208,23 @@ export default async function handler(req, res) {
 
     console.log(`[Retry Failed] Found ${failedQueue.length} failed entries`);
 
-    // Load sheet data for finding ERROR rows
-    const sheetRows = await getAllRows('Listening Log');
-    console.log(`[Retry Failed] Loaded ${sheetRows.length} rows from sheet`);
+    // Process entries (max 50 per run, stop at 45s)
+    const entriesToProcess = failedQueue.slice(0, MAX_ENTRIES_PER_RUN);
+
+    // Bring older sheets up to the current columns, then load the ERROR rows
+    // (only the partitions around these plays when the log is partitioned)
+    const logSheets = await loadListeningLog(entriesToProcess.map(entry => entry.playedAt), { create: false });
+    const loadedRows = logSheets.reduce((count, sheet) => count + sheet.rows.length, 0);
+    console.log(`[Retry Failed] Loaded ${loadedRows} rows from ${logSheets.length} sheet(s)`);
 
     // Load current state for updates
     const state = await loadState();
 
-    // Process entries (max 50 per run, stop at 45s)
-    const entriesToProcess = failedQueue.slice(0, MAX_ENTRIES_PER_RUN);
     const entriesToRemove = [];
     const entriesToUpdate = [];
     const maxedOutEntries = [];
+    const retriedTracks = [];
+    const providers = createProviders();
 
     for (const entry of entriesToProcess) {
       // Check timeout
@@ -220,12 +249,14 @@ export default async function handler(req, res) {
       }
 
       // Process the entry
-      const result = await processFailedEntry(entry, sheetRows);
+      const result = await processFailedEntry(entry, logSheets, providers);
+      const { formatted, ...detail } = result;
       results.processed++;
-      results.details.push(result);
+      results.details.push(detail);
 
       if (result.success) {
         results.succeeded++;
+        retriedTracks.push({ ...formatted, attemptCount: entry.attemptCount + 1 });
         entriesToRemove.push({ trackId: entry.trackId, playedAt: entry.playedAt });
       } else {
         results.failed++;
@@ -246,27 +277,27 @@ export default async function handler(req, res) {
 
     // Update state: update failed entries with new attempt counts
     if (entriesToUpdate.length > 0) {
-      const currentState = await loadState();
-      for (const updatedEntry of entriesToUpdate) {
-        const index = currentState.failedQueue.findIndex(
-          e => e.trackId === updatedEntry.trackId && e.playedAt === updatedEntry.playedAt
-        );
-        if (index >= 0) {
-          currentState.failedQueue[index] = updatedEntry;
+      await updateState(currentState => {
+        for (const updatedEntry of entriesToUpdate) {
+          const index = currentState.failedQueue.findIndex(
+            e => e.trackId === updatedEntry.trackId && e.playedAt === updatedEntry.playedAt
+          );
+          if (index >= 0) {
+            currentState.failedQueue[index] = updatedEntry;
+          }
         }
-      }
-      await saveState(currentState);
+      });
     }
 
     // Handle maxed out entries (remove from queue, they're permanent failures)
     if (maxedOutEntries.length > 0) {
-      const currentState = await loadState();
-      for (const entry of maxedOutEntries) {
-        currentState.failedQueue = currentState.failedQueue.filter(
-          e => !(e.trackId === entry.trackId && e.playedAt === entry.playedAt)
-        );
-      }
-      await saveState(currentState);
+      await updateState(currentState => {
+        for (const entry of maxedOutEntries) {
+          currentState.failedQueue = currentState.failedQueue.filter(
+            e => !(e.trackId === entry.trackId && e.playedAt === entry.playedAt)
+          );
+        }
+      });
       console.log(`[Retry Failed] Removed ${maxedOutEntries.length} maxed-out entries from queue`);
 
       // TODO: Send alert for maxed out entries (Task 4.5)
@@ -274,6 +305,19 @@ export default async function handler(req, res) {
 
     // Update stats
     await updateStats(results.succeeded, results.failed);
+    await persistCache();
+
+    // Send webhook events (failures here don't fail the retry run)
+    try {
+      await emitEvents(EVENT_TYPES.PLAY_RETRIED, retriedTracks);
+      await emitEvents(EVENT_TYPES.PLAY_FAILED, [
+        ...entriesToUpdate.map(entry => toFailedEvent(entry, false)),
+        ...maxedOutEntries.map(entry => toFailedEvent(entry, true))
+      ]);
+      await deliverWebhooks();
+    } catch (error) {
+      console.warn('[Retry Failed] Failed to emit webhook events:', error.message);
+    }
 
     const executionTimeMs = Date.now() - startTime;
     console.log(`[Retry Failed] Completed in ${executionTimeMs}ms`);
@@ -301,3 +345,50 @@ export default async function handler(req, res) {
     });
   }
 }
+
+/**
+ * Retry the current user's failed tracks
+ * Holds the run lock for the whole run; returns 409 while another run holds it.
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+async function retryFailedForUser(req, res) {
+  let lock;
+  try {
+    lock = await acquireRunLock('retry-failed');
+  } catch (error) {
+    console.error('[Retry Failed] Could not acquire run lock:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: `Could not acquire run lock: ${error.message}`
+    });
+  }
+
+  if (!lock.acquired) {
+    return res.status(409).json({
+      success: false,
+      error: 'Another run is in progress',
+      holder: lock.holder
+    });
+  }
+
+  try {
+    return await runRetryFailed(req, res);
+  } finally {
+    await releaseRunLock(lock.lease);
+  }
+}
+
+/**
+ * Main serverless handler
+ * Runs once per registered user, or only for ?user=<id> (see runForUsers).
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+export default async function handler(req, res) {
+  if (!(await requireAuth(req, res, 'trigger-log'))) {
+    return;
+  }
+
+  return await runForUsers(req, res, retryFailedForUser);
+}
@@ -0,0 +1,235 @@
+import { getCurrentlyPlaying } from '../lib/spotify-api.js';
+import { createPlaybackSample } from '../lib/playback-sessions.js';
+import { createEpisodeSample, logEpisodeListens } from '../lib/podcasts.js';
+import {
+  recordPlaybackSample,
+  prunePlaybackSessions,
+  recordEpisodeSample,
+  expireCurrentEpisode,
+  getPendingEpisodes,
+  clearPendingEpisodes,
+  acquireRunLock,
+  releaseRunLock
+} from '../lib/state-manager.js';
+import { requireAuth } from '../lib/auth.js';
+import { runForUsers } from '../lib/users.js';
+
+/**
+ * Vercel Serverless Function: Sample Current Playback
+ *
+ * Polls the currently-playing endpoint between hourly logger runs and records
+ * progress samples per play session. The hourly logger uses these sessions to
+ * fill in the real Play Duration and Completion % and to enforce the
+ * 30-second rule.
+ *
+ * Each invocation takes several samples spaced apart so that a once-a-minute
+ * cron gives ~15 second resolution while staying within the 60s limit.
+ *
+ * Podcast episodes and audiobook chapters are sampled too (recently-played
+ * only returns music). A finished episode listen is written to the
+ * "Podcasts" sheet when playback moves on or stays idle for 10 minutes;
+ * until the write succeeds it is kept in state and retried on the next run.
+ *
+ * State and the "Podcasts" sheet are only written under the run lock shared
+ * with /api/log-spotify and /api/retry-failed. The lock is held with a short
+ * lease and released while waiting between polls, so the hourly runs (which
+ * wait for short leases) aren't turned away; when another run holds it, the
+ * sampler stops and leaves the rest to the next minute.
+ *
+ * Endpoint: /api/sample-playback
+ * Method: GET (triggered by cron or manual request)
+ * Auth scope: trigger-log (CRON_SECRET or API key)
+ * Query params:
+ *   - samples=N: Number of polls in this invocation (default: 4, max: 6)
+ *   - interval=MS: Delay between polls in ms (default: 15000)
+ *   - user=ID: Only sample this registered user (default: every enabled user)
+ * Response: JSON with sampling results, or 409 with the lock holder while
+ * another run is in progress.
+ */
+
+const DEFAULT_SAMPLES = parseInt(process.env.SAMPLE_POLLS_PER_RUN || '4', 10);
+const DEFAULT_INTERVAL_MS = parseInt(process.env.SAMPLE_INTERVAL_MS || '15000', 10);
+const MAX_SAMPLES = 6;
+const EXECUTION_TIMEOUT_MS = 50000; // 50 seconds to leave buffer
+
+// Covers one poll and its writes; the lock is released between polls
+const SAMPLE_LOCK_TTL_MS = 20000;
+
+/**
+ * Sleep for specified milliseconds
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Take the run lock for one poll without waiting for other runs
+ * @returns {Promise<object>} { acquired: true, lease } or { acquired: false, holder }
+ */
+function acquireSampleLock() {
+  return acquireRunLock('sample-playback', { ttlMs: SAMPLE_LOCK_TTL_MS, waitMs: 0 });
+}
+
+/**
+ * Sample the current user's playback
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+async function samplePlaybackForUser(req, res) {
+  const startTime = Date.now();
+  const results = {
+    polls: 0,
+    recorded: 0,
+    episodes: 0,
+    idle: 0
+  };
+  let current = null;
+
+  let lock;
+  try {
+    lock = await acquireSampleLock();
+  } catch (error) {
+    console.error('[Sample Playback] Could not acquire run lock:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: `Could not acquire run lock: ${error.message}`
+    });
+  }
+
+  if (!lock.acquired) {
+    return res.status(409).json({
+      success: false,
+      error: 'Another run is in progress',
+      holder: lock.holder
+    });
+  }
+
+  try {
+    const samples = Math.min(
+      Math.max(parseInt(req.query.samples || DEFAULT_SAMPLES, 10) || 1, 1),
+      MAX_SAMPLES
+    );
+    const intervalMs = Math.max(parseInt(req.query.interval || DEFAULT_INTERVAL_MS, 10) || 0, 0);
+
+    console.log(`[Sample Playback] Taking ${samples} sample(s), ${intervalMs}ms apart`);
+
+    for (let i = 0; i < samples; i++) {
+      if (i > 0) {
+        // Stop early rather than risk the function timeout
+        if (Date.now() - startTime + intervalMs > EXECUTION_TIMEOUT_MS) {
+          console.log('[Sample Playback] Approaching timeout, stopping sampling');
+          break;
+        }
+
+        await releaseRunLock(lock.lease);
+        await sleep(intervalMs);
+        lock = await acquireSampleLock();
+        if (!lock.acquired) {
+          console.log('[Sample Playback] Another run took the run lock, stopping sampling');
+          break;
+        }
+      }
+
+      const playback = await getCurrentlyPlaying(['episode', 'audiobook']);
+      const sample = createPlaybackSample(playback);
+      const episodeSample = sample ? null : createEpisodeSample(playback);
+      results.polls++;
+
+      if (episodeSample) {
+        const { current: listen } = await recordEpisodeSample(episodeSample);
+        results.episodes++;
+        current = {
+          episodeId: listen.episodeId,
+          episodeName: listen.episodeName,
+          showName: listen.showName,
+          progressMs: listen.lastProgressMs,
+          isPlaying: listen.isPlaying,
+          listenedMs: listen.listenedMs
+        };
+        continue;
+      }
+
+      // A track ends any episode listen straight away; silence only after 10 minutes
+      await expireCurrentEpisode(sample ? 0 : undefined);
+
+      if (!sample) {
+        results.idle++;
+        current = null;
+        continue;
+      }
+
+      const session = await recordPlaybackSample(sample);
+      results.recorded++;
+      current = {
+        trackId: sample.trackId,
+        trackName: sample.trackName,
+        progressMs: sample.progressMs,
+        isPlaying: sample.isPlaying,
+        sessionId: session.id,
+        listenedMs: session.listenedMs
+      };
+    }
+
+    // Finished listens stay pending until they are written, so a failed
+    // sheet write is retried by the next run instead of losing them
+    let episodesLogged = 0;
+    let pruned = 0;
+    if (lock.acquired) {
+      try {
+        const pending = await getPendingEpisodes();
+        episodesLogged = await logEpisodeListens(pending);
+        await clearPendingEpisodes(pending);
+      } catch (error) {
+        console.error('[Sample Playback] Failed to log episode listens, keeping them for the next run:', error.message);
+      }
+
+      // Keep the session list bounded
+      pruned = await prunePlaybackSessions();
+    }
+
+    const executionTimeMs = Date.now() - startTime;
+    console.log(`[Sample Playback] Completed in ${executionTimeMs}ms`);
+
+    return res.status(200).json({
+      success: true,
+      message: results.recorded > 0 || results.episodes > 0 ? 'Playback sampled' : 'Nothing playing',
+      stats: {
+        ...results,
+        episodesLogged,
+        prunedSessions: pruned
+      },
+      current,
+      executionTimeMs
+    });
+
+  } catch (error) {
+    console.error('[Sample Playback] Fatal error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      stats: results,
+      executionTimeMs: Date.now() - startTime
+    });
+  } finally {
+    if (lock.acquired) {
+      await releaseRunLock(lock.lease);
+    }
+  }
+}
+
+/**
+ * Main serverless handler
+ * Runs once per registered user, or only for ?user=<id> (see runForUsers).
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+export default async function handler(req, res) {
+  if (!(await requireAuth(req, res, 'trigger-log'))) {
+    return;
+  }
+
+  return await runForUsers(req, res, samplePlaybackForUser);
+}
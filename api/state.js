@@ -0,0 +1,114 @@
+import { exportState, restoreState, parseStateArchive } from '../lib/state-archive.js';
+import { acquireRunLock, releaseRunLock, STATE_CONFLICT } from '../lib/state-manager.js';
+import { requireAuth } from '../lib/auth.js';
+import { runForUser } from '../lib/users.js';
+
+/**
+ * Vercel Serverless Function: State Export / Restore
+ *
+ * Downloads the full logger state (lastProcessed, failed queue, stats,
+ * alerts, metrics, import state) as a portable JSON archive, or restores an
+ * archive into the active backend. Requires an API key with the admin scope
+ * (see lib/auth.js). Use scripts/state.js to move state between backends.
+ *
+ * Endpoint: /api/state
+ * Methods:
+ *   - GET: Export the state archive
+ *   - POST: Restore the archive in the request body
+ * Auth scope: admin
+ * Query params:
+ *   - user=ID: Registered user whose state to export/restore (required with several users)
+ *   - dryRun=true (POST): Return the diff without writing
+ * Response: JSON archive (GET) or restore result with the changed fields
+ * (POST), 401/403 without an admin key, 409 while another run holds the run lock
+ *
+ * Example:
+ *   curl -H "X-API-Key: $ADMIN_KEY" https://your-app.vercel.app/api/state > state.json
+ *   curl -X POST -H "X-API-Key: $ADMIN_KEY" -H "Content-Type: application/json" \
+ *     --data-binary @state.json "https://your-app.vercel.app/api/state?dryRun=true"
+ */
+
+/**
+ * Get the archive from the request body
+ * @param {object} req - Vercel request object
+ * @returns {object} Parsed archive
+ */
+function getArchive(req) {
+  const body = req.body;
+  if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    return JSON.parse(body.toString());
+  }
+  return body;
+}
+
+/**
+ * Restore an archive while holding the run lock
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+async function runRestore(req, res) {
+  let archive;
+  try {
+    archive = getArchive(req);
+    parseStateArchive(archive);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: `Invalid state archive: ${error.message}` });
+  }
+
+  const lock = await acquireRunLock('state-restore');
+  if (!lock.acquired) {
+    return res.status(409).json({
+      success: false,
+      error: 'Another run is in progress',
+      holder: lock.holder
+    });
+  }
+
+  try {
+    const result = await restoreState(archive, { dryRun: req.query.dryRun === 'true' });
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error('[State API] Restore failed:', error.message);
+    return res.status(error.code === STATE_CONFLICT ? 409 : 500).json({ success: false, error: error.message });
+  } finally {
+    await releaseRunLock(lock.lease);
+  }
+}
+
+/**
+ * Export or restore the current user's state
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+async function handleStateForUser(req, res) {
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json(await exportState());
+    }
+    if (req.method === 'POST') {
+      return await runRestore(req, res);
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: 'Use GET to export or POST to restore the state'
+    });
+  } catch (error) {
+    console.error('[State API] Error:', error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Main serverless handler
+ * Runs for the user named by ?user=<id> (required once several users are registered).
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+export default async function handler(req, res) {
+  if (!(await requireAuth(req, res, 'admin'))) {
+    return;
+  }
+
+  return await runForUser(req, res, handleStateForUser);
+}
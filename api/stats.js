@@ -0,0 +1,99 @@
+import { getListeningStats, parseWindowDate, GROUP_BY_OPTIONS, DEFAULT_STATS_SHEET } from '../lib/stats.js';
+import { getSinkInfo } from '../lib/sinks/index.js';
+import { requireAuth } from '../lib/auth.js';
+import { runForUser } from '../lib/users.js';
+
+/**
+ * Vercel Serverless Function: Listening Stats
+ *
+ * Aggregates the Listening Log (or another sheet) from the configured
+ * storage sink into top tracks, artists, albums and genres for a window.
+ * Results are cached in state per window; pass refresh=true to recompute.
+ *
+ * Endpoint: /api/stats
+ * Method: GET
+ * Auth scope: read-metrics
+ * Query params:
+ *   - from: Window start (YYYY-MM-DD or ISO timestamp, inclusive)
+ *   - to: Window end (YYYY-MM-DD or ISO timestamp, inclusive)
+ *   - groupBy: day | week | month | hour | device
+ *   - limit: Entries per top list (default: 10, max: 100)
+ *   - sheet: Sheet to aggregate (default: "Listening Log")
+ *   - includeNonMusic=true: Count plays flagged as podcasts/spoken word
+ *   - refresh=true: Ignore the cache
+ *   - user=ID: Registered user (required with several users)
+ * Response: JSON with stats
+ */
+
+/**
+ * Compute the current user's listening stats
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+async function getStatsForUser(req, res) {
+  const startTime = Date.now();
+
+  let query;
+  try {
+    const groupBy = req.query.groupBy || null;
+    if (groupBy && !GROUP_BY_OPTIONS.includes(groupBy)) {
+      throw new Error(`Invalid groupBy "${groupBy}". Expected one of: ${GROUP_BY_OPTIONS.join(', ')}`);
+    }
+
+    query = {
+      from: parseWindowDate(req.query.from),
+      to: parseWindowDate(req.query.to, true),
+      groupBy,
+      limit: Math.min(Math.max(parseInt(req.query.limit || '10', 10) || 10, 1), 100),
+      sheetName: req.query.sheet || DEFAULT_STATS_SHEET,
+      includeNonMusic: req.query.includeNonMusic === 'true',
+      refresh: req.query.refresh === 'true'
+    };
+
+    if (query.from && query.to && query.from > query.to) {
+      throw new Error('"from" must be before "to"');
+    }
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    console.log(`[Stats API] Request: sheet=${query.sheetName}, from=${query.from || '*'}, to=${query.to || '*'}, groupBy=${query.groupBy || '-'}`);
+
+    const stats = await getListeningStats(query);
+
+    return res.status(200).json({
+      success: true,
+      sheet: query.sheetName,
+      sink: getSinkInfo().sink,
+      ...stats,
+      executionTimeMs: Date.now() - startTime
+    });
+
+  } catch (error) {
+    console.error('[Stats API] Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Main serverless handler
+ * Runs for the user named by ?user=<id> (required once several users are registered).
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+export default async function handler(req, res) {
+  if (!(await requireAuth(req, res, 'read-metrics'))) {
+    return;
+  }
+
+  return await runForUser(req, res, getStatsForUser);
+}
@@ -0,0 +1,89 @@
+import { generateWrappedReport, renderWrappedHtml, parseReportYear } from '../lib/wrapped.js';
+import { requireAuth } from '../lib/auth.js';
+import { runForUser } from '../lib/users.js';
+
+/**
+ * Vercel Serverless Function: Yearly Wrapped Report
+ *
+ * Builds a year-in-review from the Listening Log: top artists, tracks and
+ * genres, total minutes, longest streak, most-replayed track, mood by month
+ * and first-listened dates for the top artists.
+ *
+ * Endpoint: /api/wrapped
+ * Method: GET
+ * Auth scope: read-metrics
+ * Query params:
+ *   - year: Report year (default: current year)
+ *   - format=html: Return the self-contained HTML page instead of JSON
+ *   - includeHistorical=true: Also read the "Historical Data" sheet
+ *   - includeNonMusic=true: Count plays flagged as podcasts/spoken word
+ *   - user=ID: Registered user (required with several users)
+ * Response: JSON report or HTML page
+ */
+
+/**
+ * Build the current user's Wrapped report
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+async function getWrappedForUser(req, res) {
+  const startTime = Date.now();
+  const format = req.query.format || 'json';
+
+  let year;
+  try {
+    if (format !== 'json' && format !== 'html') {
+      throw new Error(`Invalid format "${format}". Expected json or html`);
+    }
+    year = parseReportYear(req.query.year);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    console.log(`[Wrapped API] Request: year=${year}, format=${format}`);
+
+    const report = await generateWrappedReport({
+      year,
+      includeHistorical: req.query.includeHistorical === 'true',
+      includeNonMusic: req.query.includeNonMusic === 'true'
+    });
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.status(200).send(renderWrappedHtml(report));
+    }
+
+    return res.status(200).json({
+      success: true,
+      report,
+      executionTimeMs: Date.now() - startTime
+    });
+
+  } catch (error) {
+    console.error('[Wrapped API] Error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Main serverless handler
+ * Runs for the user named by ?user=<id> (required once several users are registered).
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ */
+export default async function handler(req, res) {
+  if (!(await requireAuth(req, res, 'read-metrics'))) {
+    return;
+  }
+
+  return await runForUser(req, res, getWrappedForUser);
+}
@@ -1,5 +1,6 @@
-import { loadState, saveState } from './state-manager.js';
+import { loadState, updateState } from './state-manager.js';
 import { logAlertSent } from './system-logger.js';
+import { getUserSetting } from './users.js';
 
 /**
  * Alerting System Module
@@ -24,6 +25,7 @@ import { logAlertSent } from './system-logger.js';
  * - 5 tracks in failed queue for >24 hours
  * - Execution time >50 seconds
  * - Error rate >10% over 24 hours
+ * - Daily listening streak of STREAK_ALERT_MIN_DAYS+ (default 7) ended or set a record (INFO)
  */
 
 const ALERT_DEDUP_HOURS = 24; // Only send same alert once per 24 hours
@@ -33,23 +35,22 @@ const ALERT_DEDUP_HOURS = 24; // Only send same alert once per 24 hours
  */
 function getAlertConfig() {
   return {
-    enabled: process.env.ENABLE_ALERTS !== 'false',
-    slackWebhook: process.env.SLACK_WEBHOOK_URL || null,
-    discordWebhook: process.env.DISCORD_WEBHOOK_URL || null,
+    enabled: getUserSetting('ENABLE_ALERTS') !== 'false',
+    slackWebhook: getUserSetting('SLACK_WEBHOOK_URL') || null,
+    discordWebhook: getUserSetting('DISCORD_WEBHOOK_URL') || null,
     emailEnabled: !!(process.env.SENDGRID_API_KEY || process.env.RESEND_API_KEY),
-    alertEmail: process.env.ALERT_EMAIL || null,
+    alertEmail: getUserSetting('ALERT_EMAIL') || null,
     sendgridKey: process.env.SENDGRID_API_KEY || null,
     resendKey: process.env.RESEND_API_KEY || null
   };
 }
 
 /**
- * Get alert state from storage
- * @returns {Promise<object>} Alert state
+ * Create an empty alert state
+ * @returns {object} Alert state
  */
-async function getAlertState() {
-  const state = await loadState();
-  return state.alerts || {
+function createAlertState() {
+  return {
     sentAlerts: {},
     consecutiveFailures: 0,
     lastSuccessfulRun: null
@@ -57,14 +58,26 @@ async function getAlertState() {
 }
 
 /**
- * Save alert state to storage
- * @param {object} alertState - Alert state to save
- * @returns {Promise<void>}
+ * Get alert state from storage (read only)
+ * @returns {Promise<object>} Alert state
  */
-async function saveAlertState(alertState) {
+async function getAlertState() {
   const state = await loadState();
-  state.alerts = alertState;
-  await saveState(state);
+  return state.alerts || createAlertState();
+}
+
+/**
+ * Change the stored alert state
+ * The mutator runs inside updateState on the latest alert state, and again
+ * after a conflict, so concurrent runs don't overwrite each other's changes.
+ * @param {function} mutate - (alertState) => result, changes it in place
+ * @returns {Promise<*>} Result of the mutator
+ */
+async function updateAlertState(mutate) {
+  return await updateState(state => {
+    state.alerts = state.alerts || createAlertState();
+    return mutate(state.alerts);
+  });
 }
 
 /**
@@ -90,18 +103,19 @@ async function isAlertDuplicate(alertKey) {
  * @returns {Promise<void>}
  */
 async function markAlertSent(alertKey) {
-  const alertState = await getAlertState();
-  alertState.sentAlerts[alertKey] = new Date().toISOString();
+  const sentAt = new Date().toISOString();
 
-  // Clean up old alert keys (older than 7 days)
-  const cutoff = Date.now() - 7 * 24 * 60 * 60 * 1000;
-  for (const key of Object.keys(alertState.sentAlerts)) {
-    if (new Date(alertState.sentAlerts[key]).getTime() < cutoff) {
-      delete alertState.sentAlerts[key];
-    }
-  }
+  await updateAlertState(alertState => {
+    alertState.sentAlerts[alertKey] = sentAt;
 
-  await saveAlertState(alertState);
+    // Clean up old alert keys (older than 7 days)
+    const cutoff = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    for (const key of Object.keys(alertState.sentAlerts)) {
+      if (new Date(alertState.sentAlerts[key]).getTime() < cutoff) {
+        delete alertState.sentAlerts[key];
+      }
+    }
+  });
 }
 
 /**
@@ -397,15 +411,55 @@ export async function alertDataLoss(trackIds) {
   );
 }
 
+/**
+ * Alert when a notable daily listening streak ends or sets a new record
+ * @param {object|null} previous - Streak before this run
+ * @param {object|null} streak - Streak after this run
+ * @returns {Promise<object>} Alert result
+ */
+export async function alertStreakChange(previous, streak) {
+  const minDays = parseInt(process.env.STREAK_ALERT_MIN_DAYS || '7', 10);
+
+  if (!previous || !streak || streak === previous) {
+    return { sent: false, reason: 'no_change' };
+  }
+
+  if (streak.current === 1 && previous.current >= minDays) {
+    return await sendAlert(
+      'INFO',
+      'Listening Streak Ended',
+      `Your ${previous.current}-day listening streak (since ${previous.currentStart}) ended. A new one started on ${streak.currentStart}.`,
+      { 'Streak': `${previous.current} days`, 'Longest': `${streak.longest} days` }
+    );
+  }
+
+  // Only alert on the day the record is taken, not on every day the record streak grows
+  const tookRecord = streak.longest > previous.longest &&
+    (previous.longestStart !== streak.currentStart || previous.longest < minDays);
+
+  if (streak.current >= minDays && tookRecord) {
+    return await sendAlert(
+      'INFO',
+      'New Listening Streak Record',
+      `You've listened every day for ${streak.current} days in a row (since ${streak.currentStart}), your longest streak so far.`,
+      { 'Streak': `${streak.current} days`, 'Since': streak.currentStart }
+    );
+  }
+
+  return { sent: false, reason: 'below_threshold' };
+}
+
 /**
  * Track successful run (resets consecutive failure counter)
  * @returns {Promise<void>}
  */
 export async function trackSuccessfulRun() {
-  const alertState = await getAlertState();
-  alertState.consecutiveFailures = 0;
-  alertState.lastSuccessfulRun = new Date().toISOString();
-  await saveAlertState(alertState);
+  const lastSuccessfulRun = new Date().toISOString();
+
+  await updateAlertState(alertState => {
+    alertState.consecutiveFailures = 0;
+    alertState.lastSuccessfulRun = lastSuccessfulRun;
+  });
 }
 
 /**
@@ -413,14 +467,12 @@ export async function trackSuccessfulRun() {
  * @returns {Promise<number>} New consecutive failure count
  */
 export async function trackFailedRun() {
-  const alertState = await getAlertState();
-  alertState.consecutiveFailures++;
-  await saveAlertState(alertState);
+  const consecutiveFailures = await updateAlertState(alertState => ++alertState.consecutiveFailures);
 
   // Check if we should alert
-  await alertConsecutiveFailures(alertState.consecutiveFailures);
+  await alertConsecutiveFailures(consecutiveFailures);
 
-  return alertState.consecutiveFailures;
+  return consecutiveFailures;
 }
 
 /**
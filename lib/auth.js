@@ -0,0 +1,202 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { logAuthFailure } from './system-logger.js';
+
+/**
+ * Endpoint Authentication Module
+ *
+ * Shared auth layer for the /api routes. Two kinds of credentials are accepted:
+ * - CRON_SECRET: sent by Vercel Cron as `Authorization: Bearer <secret>`,
+ *   grants the scopes cron jobs need (trigger-log)
+ * - API keys for manual calls, configured in API_KEYS and sent as
+ *   `Authorization: Bearer <key>` or `X-API-Key: <key>`
+ *
+ * API_KEYS format: comma-separated `name:key:scope+scope` entries, e.g.
+ *   API_KEYS=grafana:k_3f9a...:read-metrics,ops:k_81c2...:admin
+ *
+ * Scopes:
+ * - read-metrics: /api/metrics, /api/stats, /api/wrapped, /api/auth-spotify
+ * - trigger-log: /api/log-spotify, /api/retry-failed, /api/sample-playback, /api/import-history
+ * - admin: everything, including /api/state, /api/auth/login, uploads, forced
+ *   imports, metric cleanup and token refreshes
+ *
+ * /api/auth/callback doesn't call requireAuth: Spotify's redirect can't carry
+ * a key, and the single-use OAuth state (lib/spotify-oauth.js) authorizes it.
+ *
+ * Missing or unknown credentials get 401, a valid key without the scope gets
+ * 403; both are recorded in the System Logs sheet. Local runs without any
+ * credentials configured (no CRON_SECRET, no API_KEYS, not on Vercel) are
+ * allowed so `vercel dev` keeps working; deployments fail closed.
+ */
+
+export const SCOPES = ['read-metrics', 'trigger-log', 'admin'];
+
+// Scopes granted to Vercel Cron calls
+export const CRON_SCOPES = ['trigger-log'];
+
+/**
+ * Hash a credential so comparisons take the same time for any length
+ * @param {string} value - Credential
+ * @returns {Buffer} SHA-256 digest
+ */
+function digest(value) {
+  return createHash('sha256').update(value).digest();
+}
+
+/**
+ * Compare two credentials in constant time
+ * @param {string} provided - Credential from the request
+ * @param {string} expected - Configured credential
+ * @returns {boolean} True if they match
+ */
+function safeEqual(provided, expected) {
+  return timingSafeEqual(digest(provided), digest(expected));
+}
+
+/**
+ * Parse the API_KEYS setting
+ * @param {string} value - Comma-separated `name:key:scope+scope` entries
+ * @returns {array} [{ name, key, scopes }]
+ * @throws {Error} If an entry is malformed or uses an unknown scope
+ */
+export function parseApiKeys(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, key, scopeList] = entry.split(':');
+      if (!name || !key || !scopeList) {
+        throw new Error(`Invalid API_KEYS entry "${name || entry.slice(0, 8)}..." (expected name:key:scope+scope)`);
+      }
+
+      const scopes = scopeList.split('+').map(scope => scope.trim().toLowerCase());
+      const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown scope(s) for API key "${name}": ${unknown.join(', ')}. Expected: ${SCOPES.join(', ')}`);
+      }
+
+      return { name, key, scopes };
+    });
+}
+
+/**
+ * Get the credential sent with a request
+ * @param {object} req - Vercel request object
+ * @returns {string|null} Bearer token or X-API-Key value
+ */
+function getCredential(req) {
+  const headers = req.headers || {};
+  const authorization = headers.authorization || '';
+
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim() || null;
+  }
+  return headers['x-api-key'] || null;
+}
+
+/**
+ * Check whether a principal has a scope
+ * @param {object} principal - Principal from authenticate
+ * @param {string} scope - Required scope
+ * @returns {boolean} True if the scope (or admin) was granted
+ */
+export function hasScope(principal, scope) {
+  return principal.scopes.includes(scope) || principal.scopes.includes('admin');
+}
+
+/**
+ * Authenticate a request and check its scope
+ * @param {object} req - Vercel request object
+ * @param {string} scope - Required scope
+ * @returns {object} { allowed, status, error, principal }
+ * @throws {Error} If API_KEYS is malformed
+ */
+export function authenticate(req, scope) {
+  const cronSecret = process.env.CRON_SECRET;
+  const apiKeys = parseApiKeys(process.env.API_KEYS);
+
+  if (!cronSecret && apiKeys.length === 0) {
+    if (process.env.VERCEL_ENV === undefined) {
+      return { allowed: true, principal: { type: 'local', name: 'local', scopes: ['admin'] } };
+    }
+    return { allowed: false, status: 401, error: 'Authentication is not configured (set CRON_SECRET or API_KEYS)' };
+  }
+
+  const credential = getCredential(req);
+  if (!credential) {
+    return { allowed: false, status: 401, error: 'Missing credentials' };
+  }
+
+  let principal = null;
+  if (cronSecret && safeEqual(credential, cronSecret)) {
+    principal = { type: 'cron', name: 'cron', scopes: CRON_SCOPES };
+  } else {
+    const apiKey = apiKeys.find(entry => safeEqual(credential, entry.key));
+    if (apiKey) {
+      principal = { type: 'api-key', name: apiKey.name, scopes: apiKey.scopes };
+    }
+  }
+
+  if (!principal) {
+    return { allowed: false, status: 401, error: 'Invalid credentials' };
+  }
+  if (!hasScope(principal, scope)) {
+    return { allowed: false, status: 403, error: `${principal.type === 'cron' ? 'CRON_SECRET' : `API key "${principal.name}"`} lacks the "${scope}" scope`, principal };
+  }
+
+  return { allowed: true, principal };
+}
+
+/**
+ * Get the client IP of a request
+ * @param {object} req - Vercel request object
+ * @returns {string|null} First X-Forwarded-For address, or null
+ */
+export function getClientIp(req) {
+  return req.headers?.['x-forwarded-for']?.split(',')[0].trim() || null;
+}
+
+/**
+ * Authenticate a request, sending 401/403 when it may not proceed
+ * Handlers return right away when this resolves to null.
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ * @param {string} scope - Required scope
+ * @returns {Promise<object|null>} Principal, or null if a response was sent
+ */
+export async function requireAuth(req, res, scope) {
+  let result;
+  try {
+    result = authenticate(req, scope);
+  } catch (error) {
+    console.error('[Auth] Invalid auth configuration:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+    return null;
+  }
+
+  if (result.allowed) {
+    return result.principal;
+  }
+
+  const endpoint = (req.url || '').split('?')[0] || 'unknown endpoint';
+  console.warn(`[Auth] ${result.status} for ${endpoint}: ${result.error}`);
+  try {
+    await logAuthFailure(endpoint, result.error, {
+      status: result.status,
+      ip: getClientIp(req)
+    });
+  } catch (error) {
+    console.error('[Auth] Could not record auth failure:', error.message);
+  }
+
+  if (result.status === 401 && typeof res.setHeader === 'function') {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+  }
+
+  res.status(result.status).json({
+    success: false,
+    error: result.error,
+    ...(result.status === 403 && { requiredScope: scope })
+  });
+  return null;
+}
@@ -0,0 +1,396 @@
+/**
+ * Computed Column Expressions
+ *
+ * A small expression language for the computed columns of config/columns.json
+ * (see lib/sheet-schema.js). Expressions read fields of the formatted track
+ * (lib/data-formatter.js) by name and can call the functions in
+ * COLUMN_FUNCTIONS:
+ *
+ *   hour(timestamp)                                  -> 14
+ *   weekday(timestamp, "Europe/Berlin")              -> "Monday"
+ *   decade(releaseDate)                              -> "1990s"
+ *   "https://open.spotify.com/track/" + trackId
+ *   completion >= 90 ? "full" : "partial"
+ *
+ * Syntax: numbers, "strings" or 'strings', true/false/null, field names,
+ * function calls, + - * / %, == != < <= > >=, && || !, ?: and parentheses.
+ * `+` concatenates when either side is a string. Expressions are parsed into
+ * a tree once and evaluated by walking it; nothing is passed to eval, so a
+ * config file can only read the track it is given.
+ */
+
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', ','];
+
+const KEYWORDS = { true: true, false: false, null: null };
+
+// Binary operators from lowest to highest precedence
+const BINARY_PRECEDENCE = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+/**
+ * Parse a date value
+ * @param {*} value - ISO timestamp or Date
+ * @returns {Date|null} Date, or null if the value isn't a valid date
+ */
+function toDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get the calendar parts of a date in a time zone
+ * @param {*} value - ISO timestamp or Date
+ * @param {string} timeZone - IANA time zone (default: UTC)
+ * @returns {object|null} { year, month, day, hour, weekday }, or null for invalid dates
+ * @throws {RangeError} If the time zone is unknown
+ */
+function getDateParts(value, timeZone = 'UTC') {
+  const date = toDate(value);
+  if (!date) {
+    return null;
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    hourCycle: 'h23',
+    weekday: 'long'
+  }).formatToParts(date);
+  const part = type => parts.find(entry => entry.type === type).value;
+
+  return {
+    year: Number(part('year')),
+    month: Number(part('month')),
+    day: Number(part('day')),
+    hour: Number(part('hour')),
+    weekday: part('weekday')
+  };
+}
+
+/**
+ * Get the year of a timestamp or a Spotify release date ("1994", "1994-05" or "1994-05-03")
+ * @param {*} value - Date value
+ * @returns {number|null} Year
+ */
+function getYear(value) {
+  const match = /^(\d{4})/.exec(String(value ?? ''));
+  return match ? Number(match[1]) : null;
+}
+
+// Functions expressions may call; all return null for missing or invalid input
+export const COLUMN_FUNCTIONS = {
+  hour: (value, timeZone) => getDateParts(value, timeZone)?.hour ?? null,
+  weekday: (value, timeZone) => getDateParts(value, timeZone)?.weekday ?? null,
+  date: (value, timeZone) => {
+    const parts = getDateParts(value, timeZone);
+    return parts ? `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}` : null;
+  },
+  month: (value, timeZone) => getDateParts(value, timeZone)?.month ?? null,
+  year: value => getYear(value),
+  decade: value => {
+    const year = getYear(value);
+    return year === null ? null : `${Math.floor(year / 10) * 10}s`;
+  },
+  round: (value, digits = 0) => {
+    const factor = 10 ** digits;
+    return Math.round(Number(value) * factor) / factor;
+  },
+  floor: value => Math.floor(Number(value)),
+  lower: value => String(value ?? '').toLowerCase(),
+  upper: value => String(value ?? '').toUpperCase()
+};
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression
+ * @returns {array} Tokens ({ type, value, position })
+ * @throws {Error} On characters outside the language or unterminated strings
+ */
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const rest = source.slice(position);
+
+    const space = /^\s+/.exec(rest);
+    if (space) {
+      position += space[0].length;
+      continue;
+    }
+
+    const number = /^\d+(\.\d+)?/.exec(rest);
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position });
+      position += number[0].length;
+      continue;
+    }
+
+    const identifier = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest);
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], position });
+      position += identifier[0].length;
+      continue;
+    }
+
+    if (rest[0] === '"' || rest[0] === '\'') {
+      const quote = rest[0];
+      let value = '';
+      let index = 1;
+      while (index < rest.length && rest[index] !== quote) {
+        if (rest[index] === '\\' && index + 1 < rest.length) {
+          index++;
+        }
+        value += rest[index];
+        index++;
+      }
+      if (index >= rest.length) {
+        throw new Error(`Unterminated string at position ${position}`);
+      }
+      tokens.push({ type: 'string', value, position });
+      position += index + 1;
+      continue;
+    }
+
+    const operator = OPERATORS.find(candidate => rest.startsWith(candidate));
+    if (!operator) {
+      throw new Error(`Unexpected character "${rest[0]}" at position ${position}`);
+    }
+    tokens.push({ type: 'operator', value: operator, position });
+    position += operator.length;
+  }
+
+  tokens.push({ type: 'end', value: null, position });
+  return tokens;
+}
+
+/**
+ * Parse tokens into an expression tree (recursive descent)
+ * @param {array} tokens - Tokens from tokenize
+ * @returns {object} Root node
+ * @throws {Error} On syntax errors
+ */
+function parse(tokens) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+  const describe = token => (token.type === 'end' ? 'end of expression' : `"${token.value}" at position ${token.position}`);
+
+  function expect(value) {
+    if (!isOperator(value)) {
+      throw new Error(`Expected "${value}" but found ${describe(peek())}`);
+    }
+    index++;
+  }
+
+  function parseConditional() {
+    const test = parseBinary(0);
+    if (!isOperator('?')) {
+      return test;
+    }
+    index++;
+    const consequent = parseConditional();
+    expect(':');
+    const alternate = parseConditional();
+    return { type: 'conditional', test, consequent, alternate };
+  }
+
+  function parseBinary(level) {
+    if (level === BINARY_PRECEDENCE.length) {
+      return parseUnary();
+    }
+
+    let left = parseBinary(level + 1);
+    while (isOperator(...BINARY_PRECEDENCE[level])) {
+      const operator = tokens[index++].value;
+      left = { type: 'binary', operator, left, right: parseBinary(level + 1) };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOperator('!', '-')) {
+      const operator = tokens[index++].value;
+      return { type: 'unary', operator, operand: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[index++];
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      if (Object.hasOwn(KEYWORDS, token.value)) {
+        return { type: 'literal', value: KEYWORDS[token.value] };
+      }
+      if (!isOperator('(')) {
+        return { type: 'field', name: token.value };
+      }
+
+      index++;
+      const args = [];
+      while (!isOperator(')')) {
+        if (args.length > 0) {
+          expect(',');
+        }
+        args.push(parseConditional());
+      }
+      index++;
+      return { type: 'call', name: token.value, args };
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      const inner = parseConditional();
+      expect(')');
+      return inner;
+    }
+
+    throw new Error(`Unexpected ${describe(token)}`);
+  }
+
+  const root = parseConditional();
+  if (peek().type !== 'end') {
+    throw new Error(`Unexpected ${describe(peek())}`);
+  }
+  return root;
+}
+
+/**
+ * Check that an expression only uses known fields and functions
+ * @param {object} node - Expression tree
+ * @param {array} fields - Field names the expression may read
+ * @throws {Error} On unknown fields or functions
+ */
+function checkNames(node, fields) {
+  switch (node.type) {
+    case 'field':
+      if (!fields.includes(node.name)) {
+        throw new Error(`Unknown field "${node.name}"`);
+      }
+      break;
+    case 'call':
+      if (!Object.hasOwn(COLUMN_FUNCTIONS, node.name)) {
+        throw new Error(`Unknown function "${node.name}" (available: ${Object.keys(COLUMN_FUNCTIONS).join(', ')})`);
+      }
+      node.args.forEach(arg => checkNames(arg, fields));
+      break;
+    case 'unary':
+      checkNames(node.operand, fields);
+      break;
+    case 'binary':
+      checkNames(node.left, fields);
+      checkNames(node.right, fields);
+      break;
+    case 'conditional':
+      checkNames(node.test, fields);
+      checkNames(node.consequent, fields);
+      checkNames(node.alternate, fields);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Apply a binary operator
+ * @param {string} operator - Operator
+ * @param {*} left - Left value
+ * @param {*} right - Right value
+ * @returns {*} Result
+ */
+function applyBinary(operator, left, right) {
+  switch (operator) {
+    case '+':
+      if (typeof left === 'string' || typeof right === 'string') {
+        return `${left ?? ''}${right ?? ''}`;
+      }
+      return Number(left) + Number(right);
+    case '-':
+      return Number(left) - Number(right);
+    case '*':
+      return Number(left) * Number(right);
+    case '/':
+      return Number(left) / Number(right);
+    case '%':
+      return Number(left) % Number(right);
+    case '==':
+      return left === right;
+    case '!=':
+      return left !== right;
+    case '<':
+      return left < right;
+    case '<=':
+      return left <= right;
+    case '>':
+      return left > right;
+    case '>=':
+      return left >= right;
+    default:
+      throw new Error(`Unknown operator "${operator}"`);
+  }
+}
+
+/**
+ * Evaluate an expression tree against a record
+ * @param {object} node - Expression tree
+ * @param {object} record - Field values
+ * @returns {*} Value
+ */
+function evaluate(node, record) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'field':
+      return record[node.name] ?? null;
+    case 'call':
+      return COLUMN_FUNCTIONS[node.name](...node.args.map(arg => evaluate(arg, record)));
+    case 'unary':
+      return node.operator === '!' ? !evaluate(node.operand, record) : -Number(evaluate(node.operand, record));
+    case 'conditional':
+      return evaluate(node.test, record) ? evaluate(node.consequent, record) : evaluate(node.alternate, record);
+    case 'binary':
+      if (node.operator === '&&') {
+        return evaluate(node.left, record) && evaluate(node.right, record);
+      }
+      if (node.operator === '||') {
+        return evaluate(node.left, record) || evaluate(node.right, record);
+      }
+      return applyBinary(node.operator, evaluate(node.left, record), evaluate(node.right, record));
+    default:
+      throw new Error(`Unknown expression node "${node.type}"`);
+  }
+}
+
+/**
+ * Compile a computed column expression
+ * @param {string} source - Expression
+ * @param {array} fields - Field names the expression may read
+ * @returns {Function} (record) => value; null, undefined, NaN and Infinity become ''
+ * @throws {Error} If the expression is invalid or uses unknown fields or functions
+ */
+export function compileExpression(source, fields) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('Expression must be a non-empty string');
+  }
+
+  const root = parse(tokenize(source));
+  checkNames(root, fields);
+
+  return record => {
+    const value = evaluate(root, record);
+    if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) {
+      return '';
+    }
+    return value;
+  };
+}
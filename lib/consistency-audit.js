@@ -0,0 +1,471 @@
+import { getAllRows, deleteRows } from './sinks/index.js';
+import { getFailedQueue, getLastProcessed, addToFailedQueue, getPlaybackSessions } from './state-manager.js';
+import { listLogSheets, loadListeningLog, appendToListeningLog, isPartitioned, LISTENING_LOG_SHEET } from './partitions.js';
+import { removeFromDedupIndex } from './dedup-index.js';
+import { createColumnMap, readColumn } from './sheet-schema.js';
+import { toDedupKey, readDedupKeys, parseDedupKey, createDedupLookup, hasDedupKey, filterDuplicatesAgainstKeys } from './deduplication.js';
+import { getRecentlyPlayed, getTrackDetails, persistCache } from './spotify-api.js';
+import { isValidPlay, estimateListenTimes, sortTracksByTimestamp } from './play-filter.js';
+import { attachMeasuredPlayTimes } from './playback-sessions.js';
+import { createProviders, prefetchEnrichment, enrichPlay } from './enrichment.js';
+import { formatAsSheetRow, createErrorPlaceholder } from './data-formatter.js';
+import { sanitizeTrackData } from './data-validator.js';
+
+/**
+ * Sheet / State Consistency Audit
+ *
+ * Cross-checks the Listening Log (every live tab, see listLogSheets in
+ * lib/partitions.js), the Historical Data tab, the failed queue and the
+ * lastProcessed cursor, and reports:
+ * - duplicates: rows of the same tab with the same track ID and timestamp
+ *   (exactCopies are the later copies identical to the first row)
+ * - orphanedErrors: Listening Log ERROR rows no failed queue entry will retry
+ * - vanishedQueueEntries: failed queue entries without an ERROR row to update
+ * - cursor: lastProcessed compared with the newest logged play
+ * - gaps: plays the logger skipped over (a run that advanced the cursor but
+ *   never wrote its rows). Spotify's recently-played history (the last 50
+ *   plays) is compared with the log: 30+ second plays at or before the cursor
+ *   that aren't logged are recoverable gaps. A cursor ahead of the newest row
+ *   whose window starts before that history is a gap that can't be checked
+ *   any more (recoverable: false; null when the history couldn't be loaded).
+ *
+ * With `fix`, exact copies are deleted (the dedup index of the tab is
+ * rebuilt on the next run), orphaned ERROR rows are re-queued for
+ * api/retry-failed.js and the plays of recoverable gaps are enriched and
+ * logged. Rows that differ between copies, queue entries without a row
+ * (retry-failed drops them once they succeed) and unrecoverable gaps are
+ * only reported.
+ */
+
+export const HISTORICAL_DATA_SHEET = 'Historical Data';
+
+// retry-failed matches ERROR rows within 5 minutes of the queued play
+const ERROR_MATCH_WINDOW_MS = 5 * 60 * 1000;
+
+// Same tolerance the logger uses to match plays to logged rows
+const PLAY_MATCH_WINDOW_MS = 30 * 1000;
+
+// Spotify only returns the last 50 recently played items
+const HISTORY_LIMIT = 50;
+
+/**
+ * Drop the trailing empty cells the Sheets API leaves off a row
+ * @param {array} row - Row values
+ * @returns {array} Row without trailing empty cells
+ */
+function trimRow(row) {
+  const trimmed = [...row];
+  while (trimmed.length > 0 && (trimmed[trimmed.length - 1] ?? '') === '') {
+    trimmed.pop();
+  }
+  return trimmed;
+}
+
+/**
+ * Find rows that log the same play more than once
+ * @param {string} sheetName - Name of the tab
+ * @param {array} rows - All rows of the tab (header first)
+ * @returns {array} [{ sheet, trackId, trackName, timestamp, rows, exactCopies }] (1-indexed rows)
+ */
+export function findDuplicateRows(sheetName, rows) {
+  const columns = createColumnMap(rows[0] || []);
+  const groups = new Map();
+
+  rows.slice(1).forEach((row, i) => {
+    const trackId = readColumn(row, columns, 'trackId');
+    const timestamp = readColumn(row, columns, 'timestamp');
+    if (!trackId || !timestamp) {
+      return;
+    }
+
+    const key = toDedupKey(trackId, timestamp);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push({ row, rowIndex: i + 2 });
+  });
+
+  return [...groups.values()]
+    .filter(group => group.length > 1)
+    .map(([first, ...copies]) => {
+      const original = JSON.stringify(trimRow(first.row));
+      return {
+        sheet: sheetName,
+        trackId: readColumn(first.row, columns, 'trackId'),
+        trackName: readColumn(first.row, columns, 'trackName') || '',
+        timestamp: readColumn(first.row, columns, 'timestamp'),
+        rows: [first.rowIndex, ...copies.map(copy => copy.rowIndex)],
+        exactCopies: copies.filter(copy => JSON.stringify(trimRow(copy.row)) === original).map(copy => copy.rowIndex)
+      };
+    });
+}
+
+/**
+ * Check whether a failed queue entry belongs to a play
+ * @param {object} entry - Failed queue entry
+ * @param {string} trackId - Track ID of the row
+ * @param {string} timestamp - Timestamp of the row
+ * @returns {boolean} True if retry-failed would update this row for the entry
+ */
+function matchesQueueEntry(entry, trackId, timestamp) {
+  return entry.trackId === trackId &&
+    Math.abs(new Date(entry.playedAt).getTime() - new Date(timestamp).getTime()) < ERROR_MATCH_WINDOW_MS;
+}
+
+/**
+ * List the ERROR rows of the Listening Log tabs
+ * @param {array} logSheets - [{ sheetName, rows }]
+ * @returns {array} [{ sheet, row, trackId, trackName, timestamp, error }]
+ */
+function listErrorRows(logSheets) {
+  return logSheets.flatMap(({ sheetName, rows }) => {
+    const columns = createColumnMap(rows[0] || []);
+    return rows.slice(1)
+      .map((row, i) => ({
+        sheet: sheetName,
+        row: i + 2,
+        trackId: readColumn(row, columns, 'trackId') || '',
+        trackName: readColumn(row, columns, 'trackName') || '',
+        timestamp: readColumn(row, columns, 'timestamp') || '',
+        status: readColumn(row, columns, 'status'),
+        error: readColumn(row, columns, 'errorDetails') || ''
+      }))
+      .filter(row => row.status === 'ERROR' && row.trackId && row.timestamp)
+      .map(({ status, ...row }) => row);
+  });
+}
+
+/**
+ * Find ERROR rows that no failed queue entry will retry
+ * @param {array} logSheets - [{ sheetName, rows }]
+ * @param {array} failedQueue - Failed queue from state
+ * @returns {array} [{ sheet, row, trackId, trackName, timestamp, error }]
+ */
+export function findOrphanedErrorRows(logSheets, failedQueue) {
+  return listErrorRows(logSheets).filter(row =>
+    !failedQueue.some(entry => matchesQueueEntry(entry, row.trackId, row.timestamp))
+  );
+}
+
+/**
+ * Find failed queue entries whose ERROR row is gone (deleted, archived or fixed by hand)
+ * @param {array} logSheets - [{ sheetName, rows }]
+ * @param {array} failedQueue - Failed queue from state
+ * @returns {array} [{ trackId, trackName, playedAt, attemptCount }]
+ */
+export function findVanishedQueueEntries(logSheets, failedQueue) {
+  const errorRows = listErrorRows(logSheets);
+  return failedQueue
+    .filter(entry => !errorRows.some(row => matchesQueueEntry(entry, row.trackId, row.timestamp)))
+    .map(({ trackId, trackName, playedAt, attemptCount }) => ({ trackId, trackName, playedAt, attemptCount }));
+}
+
+/**
+ * Compare the lastProcessed cursor with the newest logged play
+ * @param {object|null} lastProcessed - lastProcessed from state
+ * @param {array} keys - Dedup keys of every Listening Log tab
+ * @returns {object} { lastProcessed, newestRow, status: 'ok'|'ahead'|'behind'|'missing'|'empty' }
+ */
+export function checkCursor(lastProcessed, keys) {
+  const times = keys.map(key => parseDedupKey(key)?.time).filter(time => Number.isFinite(time));
+  const newest = times.length > 0 ? Math.max(...times) : null;
+  const cursor = lastProcessed?.playedAt ? new Date(lastProcessed.playedAt).getTime() : null;
+
+  const result = {
+    lastProcessed: lastProcessed?.playedAt || null,
+    newestRow: newest === null ? null : new Date(newest).toISOString()
+  };
+
+  if (newest === null) {
+    return { ...result, status: 'empty' };
+  }
+  if (cursor === null) {
+    return { ...result, status: 'missing' };
+  }
+  if (cursor - newest > PLAY_MATCH_WINDOW_MS) {
+    return { ...result, status: 'ahead' };
+  }
+  if (newest - cursor > PLAY_MATCH_WINDOW_MS) {
+    return { ...result, status: 'behind' };
+  }
+  return { ...result, status: 'ok' };
+}
+
+/**
+ * Summarize a recently-played item for the report
+ * @param {object} item - Recently played item
+ * @returns {object} { trackId, trackName, playedAt }
+ */
+function toGapPlay(item) {
+  return { trackId: item.track.id, trackName: item.track.name || '', playedAt: item.played_at };
+}
+
+/**
+ * Find the gaps in the log that are still in Spotify's recent history
+ * A gap is a run of 30+ second plays, at or before the lastProcessed cursor,
+ * that isn't logged; plays after the cursor are left to the next logger run.
+ * @param {array} history - Recently played items, oldest first (with listen time estimates)
+ * @param {array} keys - Dedup keys of every Listening Log tab
+ * @param {object|null} lastProcessed - lastProcessed from state
+ * @returns {array} [{ from, to, plays: [{ trackId, trackName, playedAt }], recoverable: true, items }]
+ */
+export function findRecoverableGaps(history, keys, lastProcessed) {
+  if (!lastProcessed?.playedAt) {
+    return [];
+  }
+
+  const cursor = new Date(lastProcessed.playedAt).getTime();
+  const lookup = createDedupLookup(keys);
+  const gaps = [];
+  let current = null;
+
+  for (const item of history) {
+    if (!item.track?.id || !isValidPlay(item) || new Date(item.played_at).getTime() > cursor) {
+      continue;
+    }
+
+    if (hasDedupKey(lookup, item.track.id, item.played_at)) {
+      current = null;
+      continue;
+    }
+
+    if (!current) {
+      current = { from: item.played_at, to: item.played_at, plays: [], recoverable: true, items: [] };
+      gaps.push(current);
+    }
+    current.to = item.played_at;
+    current.plays.push(toGapPlay(item));
+    current.items.push(item);
+  }
+
+  return gaps;
+}
+
+/**
+ * Report the part of a cursor-ahead window that the recent history doesn't reach
+ * @param {object} cursor - Result of checkCursor
+ * @param {object} history - { checked, oldest } of the recent history
+ * @returns {object|null} { from, to, plays: [], recoverable: false|null } or null
+ */
+function findUncheckedGap(cursor, history) {
+  if (cursor.status !== 'ahead') {
+    return null;
+  }
+  if (!history.checked) {
+    return { from: cursor.newestRow, to: cursor.lastProcessed, plays: [], recoverable: null };
+  }
+
+  const oldest = history.oldest ? new Date(history.oldest).getTime() : Infinity;
+  if (new Date(cursor.newestRow).getTime() >= oldest) {
+    return null;
+  }
+
+  const to = new Date(Math.min(oldest, new Date(cursor.lastProcessed).getTime())).toISOString();
+  return { from: cursor.newestRow, to, plays: [], recoverable: false };
+}
+
+/**
+ * Read a tab for the audit
+ * @param {string} sheetName - Name of the tab
+ * @param {boolean} optional - The tab may not exist
+ * @returns {Promise<array>} All rows (empty for a missing optional tab)
+ */
+async function readSheet(sheetName, optional) {
+  return optional ? await getAllRows(sheetName).catch(() => []) : await getAllRows(sheetName);
+}
+
+/**
+ * Load Spotify's recent history with the logger's listen time estimates
+ * @returns {Promise<array>} Recently played items, oldest first
+ */
+async function loadRecentHistory() {
+  const recentlyPlayed = await getRecentlyPlayed(HISTORY_LIMIT);
+  const items = estimateListenTimes(attachMeasuredPlayTimes(recentlyPlayed.items || [], await getPlaybackSessions()));
+  return sortTracksByTimestamp(items);
+}
+
+/**
+ * Delete the exact copies of duplicated rows
+ * @param {array} duplicates - Report duplicates
+ * @returns {Promise<number>} Rows deleted
+ */
+async function removeDuplicates(duplicates) {
+  const bySheet = new Map();
+  for (const duplicate of duplicates) {
+    bySheet.set(duplicate.sheet, [...(bySheet.get(duplicate.sheet) || []), ...duplicate.exactCopies]);
+  }
+
+  let removed = 0;
+  for (const [sheetName, rowIndexes] of bySheet) {
+    if (rowIndexes.length === 0) {
+      continue;
+    }
+    removed += (await deleteRows(sheetName, rowIndexes)).deletedRows;
+    // The row count in the index no longer matches, so rebuild it on the next run
+    await removeFromDedupIndex(sheetName);
+    console.log(`[Consistency Audit] Removed ${rowIndexes.length} duplicate row(s) from "${sheetName}"`);
+  }
+  return removed;
+}
+
+/**
+ * Add orphaned ERROR rows to the failed queue
+ * The track is fetched again so retry-failed can enrich it like a fresh play.
+ * @param {array} orphanedErrors - Report orphaned ERROR rows
+ * @returns {Promise<number>} Plays queued
+ */
+async function requeueOrphanedErrors(orphanedErrors) {
+  const queued = new Set();
+
+  for (const orphan of orphanedErrors) {
+    const key = toDedupKey(orphan.trackId, orphan.timestamp);
+    if (queued.has(key)) {
+      continue;
+    }
+
+    let track;
+    try {
+      track = await getTrackDetails(orphan.trackId);
+    } catch (error) {
+      console.warn(`[Consistency Audit] Could not fetch ${orphan.trackId}, queueing the row as is:`, error.message);
+      track = { id: orphan.trackId, name: orphan.trackName };
+    }
+
+    const reason = `Re-queued by the consistency audit${orphan.error ? ` (${orphan.error})` : ''}`;
+    await addToFailedQueue({ track, played_at: orphan.timestamp, context: null }, reason);
+    queued.add(key);
+  }
+
+  return queued.size;
+}
+
+/**
+ * Log the plays of recoverable gaps
+ * They are enriched and written like the logger does; plays whose enrichment
+ * fails are logged as ERROR rows and queued. The cursor isn't moved.
+ * @param {array} items - Recently played items of the gaps
+ * @returns {Promise<object>} { recovered, failed }
+ */
+async function recoverGapPlays(items) {
+  const logSheets = await loadListeningLog(items.map(item => item.played_at), { index: true });
+  const plays = filterDuplicatesAgainstKeys(items, logSheets.flatMap(sheet => sheet.keys));
+  if (plays.length === 0) {
+    return { recovered: 0, failed: 0 };
+  }
+
+  const providers = createProviders();
+  await prefetchEnrichment(plays.map(item => item.track), providers);
+
+  const formattedTracks = [];
+  const failedTracks = [];
+  for (const item of plays) {
+    try {
+      formattedTracks.push(sanitizeTrackData(await enrichPlay(item, { providers })));
+    } catch (error) {
+      console.warn(`[Consistency Audit] Error enriching ${item.track.name}:`, error.message);
+      formattedTracks.push(createErrorPlaceholder(item, error.message));
+      failedTracks.push({ item, error: error.message });
+    }
+  }
+  await persistCache();
+
+  await appendToListeningLog(formattedTracks, logSheets, formatAsSheetRow);
+  for (const { item, error } of failedTracks) {
+    await addToFailedQueue(item, error);
+  }
+
+  console.log(`[Consistency Audit] Logged ${formattedTracks.length} missed play(s)`);
+  return { recovered: formattedTracks.length - failedTracks.length, failed: failedTracks.length };
+}
+
+/**
+ * Audit the current user's sheets against the state, and optionally repair them
+ * @param {object} options - Options
+ * @param {boolean} options.fix - Remove exact duplicates, re-queue orphaned ERROR rows and log recoverable gaps
+ *   (the caller holds the run lock)
+ * @param {boolean} options.history - Compare with Spotify's recent history (default: true)
+ * @param {number} options.now - Current time in ms
+ * @returns {Promise<object>} Report: { auditedAt, sheets, duplicates, orphanedErrors, vanishedQueueEntries,
+ *   cursor, history, gaps, summary, clean, fixed (with fix) }
+ */
+export async function auditConsistency(options = {}) {
+  const now = options.now ?? Date.now();
+
+  const logSheets = [];
+  for (const sheetName of await listLogSheets()) {
+    const rows = await readSheet(sheetName, isPartitioned() && sheetName === LISTENING_LOG_SHEET);
+    if (rows.length > 0) {
+      logSheets.push({ sheetName, rows });
+    }
+  }
+  const historicalRows = await readSheet(HISTORICAL_DATA_SHEET, true);
+  console.log(`[Consistency Audit] Read ${logSheets.length} Listening Log tab(s)${historicalRows.length > 0 ? ` and "${HISTORICAL_DATA_SHEET}"` : ''}`);
+
+  const failedQueue = await getFailedQueue();
+  const lastProcessed = await getLastProcessed();
+  const keys = logSheets.flatMap(sheet => readDedupKeys(sheet.rows));
+
+  const duplicates = [
+    ...logSheets.flatMap(sheet => findDuplicateRows(sheet.sheetName, sheet.rows)),
+    ...(historicalRows.length > 0 ? findDuplicateRows(HISTORICAL_DATA_SHEET, historicalRows) : [])
+  ];
+  const orphanedErrors = findOrphanedErrorRows(logSheets, failedQueue);
+  const vanishedQueueEntries = findVanishedQueueEntries(logSheets, failedQueue);
+  const cursor = checkCursor(lastProcessed, keys);
+
+  const history = { checked: false, plays: 0, oldest: null };
+  let recentHistory = [];
+  if (options.history !== false) {
+    try {
+      recentHistory = await loadRecentHistory();
+      Object.assign(history, { checked: true, plays: recentHistory.length, oldest: recentHistory[0]?.played_at || null });
+    } catch (error) {
+      console.warn('[Consistency Audit] Could not load the recent history:', error.message);
+      history.error = error.message;
+    }
+  }
+
+  const recoverable = findRecoverableGaps(recentHistory, keys, lastProcessed);
+  const unchecked = findUncheckedGap(cursor, history);
+  const gaps = [...(unchecked ? [unchecked] : []), ...recoverable.map(({ items, ...gap }) => gap)];
+
+  const summary = {
+    duplicateRows: duplicates.reduce((count, duplicate) => count + duplicate.rows.length - 1, 0),
+    exactCopies: duplicates.reduce((count, duplicate) => count + duplicate.exactCopies.length, 0),
+    orphanedErrors: orphanedErrors.length,
+    vanishedQueueEntries: vanishedQueueEntries.length,
+    gaps: gaps.length,
+    missedPlays: recoverable.reduce((count, gap) => count + gap.plays.length, 0)
+  };
+
+  const report = {
+    auditedAt: new Date(now).toISOString(),
+    sheets: [
+      ...logSheets.map(sheet => ({ sheet: sheet.sheetName, rows: sheet.rows.length - 1 })),
+      ...(historicalRows.length > 0 ? [{ sheet: HISTORICAL_DATA_SHEET, rows: historicalRows.length - 1 }] : [])
+    ],
+    duplicates,
+    orphanedErrors,
+    vanishedQueueEntries,
+    cursor,
+    history,
+    gaps,
+    summary,
+    clean: summary.duplicateRows + summary.orphanedErrors + summary.vanishedQueueEntries + summary.gaps === 0
+  };
+
+  console.log(`[Consistency Audit] ${summary.duplicateRows} duplicate row(s), ${summary.orphanedErrors} orphaned ERROR row(s), ` +
+    `${summary.vanishedQueueEntries} queued play(s) without a row, ${summary.gaps} gap(s), cursor ${cursor.status}`);
+
+  if (options.fix) {
+    const removedDuplicates = await removeDuplicates(duplicates);
+    const requeued = await requeueOrphanedErrors(orphanedErrors);
+    const { recovered, failed } = recoverable.length > 0
+      ? await recoverGapPlays(recoverable.flatMap(gap => gap.items))
+      : { recovered: 0, failed: 0 };
+
+    report.fixed = { removedDuplicates, requeued, recoveredPlays: recovered, failedPlays: failed };
+  }
+
+  return report;
+}
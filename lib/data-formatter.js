@@ -2,9 +2,9 @@
  * Data Transformation and Formatting Module
  *
  * Transforms Spotify API responses into the standardized format needed for Google Sheets logging.
- * Handles all 28 required fields and manages edge cases like missing data, multiple artists, etc.
+ * Handles all 33 required fields and manages edge cases like missing data, multiple artists, etc.
  *
- * Sheet columns (28 total):
+ * Sheet columns (33 total):
  * 1. Timestamp
  * 2. Track Name
  * 3. Artist(s)
@@ -33,8 +33,25 @@
  * 26. Release Date
  * 27. Status
  * 28. Error Details
+ * 29. Skipped
+ * 30. Play Type (FULL, PARTIAL, SKIP)
+ * 31. Estimated Listen (ms)
+ * 32. Non-Music Reason (why the play looks like a podcast/audiobook, empty for music)
+ * 33. Missing Enrichment (enrichment providers that failed, see lib/enrichment.js)
+ *
+ * Columns are defined (and versioned) in lib/sheet-schema.js. Rows are written
+ * in the column order of the target sheet's header row, so older sheets and
+ * sheets with extra columns keep lining up. A column config file
+ * (config/columns.json) can select and reorder these columns and add computed
+ * ones; formatAsSheetRow and getSheetHeaders follow it.
  */
 
+import { getNonMusicReason } from './data-validator.js';
+import { getSheetSchema, getSchemaHeaders, toSheetRow } from './sheet-schema.js';
+
+const SKIP_THRESHOLD_MS = 30000; // Under 30 seconds of listening = skip
+const FULL_PLAY_THRESHOLD_PERCENT = 90; // 90%+ completion = full play
+
 /**
  * Format timestamp in ISO 8601 format
  * @param {string|Date} timestamp - Timestamp to format
@@ -78,6 +95,11 @@ export function calculatePlayDuration(track, playbackInfo) {
   // We'll estimate based on the track duration unless we have specific data
   const trackDuration = track.duration_ms || 0;
 
+  // If playback sampling measured this play
+  if (playbackInfo.measured_play_ms !== undefined) {
+    return playbackInfo.measured_play_ms;
+  }
+
   // If we have progress info from currently-playing endpoint
   if (playbackInfo.progress_ms !== undefined) {
     return playbackInfo.progress_ms;
@@ -103,6 +125,48 @@ export function calculateCompletionPercentage(playDuration, trackDuration) {
   return Math.min(100, Math.round(percentage * 100) / 100); // Round to 2 decimals
 }
 
+/**
+ * Estimate how long a track was actually listened to
+ * Prefers measured time from playback sampling, then the played_at gap estimate
+ * from consecutive recently-played items, then the play duration fallback.
+ *
+ * @param {object} track - Track data
+ * @param {object} playbackInfo - Playback information
+ * @returns {number} Estimated listen time in milliseconds
+ */
+export function estimateListenTime(track, playbackInfo) {
+  if (playbackInfo.measured_play_ms !== undefined) {
+    return playbackInfo.measured_play_ms;
+  }
+
+  if (playbackInfo.estimated_play_ms !== undefined) {
+    const trackDuration = track.duration_ms || 0;
+    return trackDuration > 0
+      ? Math.min(playbackInfo.estimated_play_ms, trackDuration)
+      : playbackInfo.estimated_play_ms;
+  }
+
+  return calculatePlayDuration(track, playbackInfo);
+}
+
+/**
+ * Classify a play as a full play, partial play, or skip
+ * @param {number} listenMs - Estimated listen time in ms
+ * @param {number} trackDuration - Total track duration in ms
+ * @returns {string} FULL, PARTIAL, or SKIP
+ */
+export function classifyPlay(listenMs, trackDuration) {
+  if (calculateCompletionPercentage(listenMs, trackDuration) >= FULL_PLAY_THRESHOLD_PERCENT) {
+    return 'FULL';
+  }
+
+  if (listenMs < SKIP_THRESHOLD_MS) {
+    return 'SKIP';
+  }
+
+  return 'PARTIAL';
+}
+
 /**
  * Format track data for logging to Google Sheets
  * Combines track data, playback info, and audio features into a single formatted object
@@ -142,6 +206,10 @@ export function formatTrackForLogging(
   const playDuration = calculatePlayDuration(track, playbackInfo);
   const completion = calculateCompletionPercentage(playDuration, duration);
 
+  // Classify the play using the best available listen time estimate
+  const estimatedListen = estimateListenTime(track, playbackInfo);
+  const playType = classifyPlay(estimatedListen, duration);
+
   // Extract timestamp
   const timestamp = formatTimestamp(playbackInfo.played_at || playbackInfo.timestamp);
 
@@ -163,7 +231,10 @@ export function formatTrackForLogging(
   const speechiness = audioFeatures?.speechiness || null;
   const loudness = audioFeatures?.loudness || null;
 
-  // Return formatted object matching Google Sheets structure (28 columns)
+  // Flag plays that look like podcasts/audiobooks so music-only analytics can exclude them
+  const nonMusicReason = getNonMusicReason({ duration, speechiness, instrumentalness, trackName }) || '';
+
+  // Return formatted object matching Google Sheets structure (33 columns)
   return {
     timestamp,
     trackName,
@@ -192,83 +263,31 @@ export function formatTrackForLogging(
     explicit,
     releaseDate,
     status,
-    errorDetails
+    errorDetails,
+    skipped: playType === 'SKIP',
+    playType,
+    estimatedListen,
+    nonMusicReason,
+    missingEnrichment: ''
   };
 }
 
 /**
  * Convert formatted track object to Google Sheets row array
  * @param {object} formattedTrack - Track data formatted by formatTrackForLogging
- * @returns {array} Array of values in correct column order for Google Sheets
+ * @param {array} headerRow - Header row of the target sheet (default: configured column order)
+ * @returns {array} Array of values in the sheet's column order, including computed columns
  */
-export function formatAsSheetRow(formattedTrack) {
-  return [
-    formattedTrack.timestamp,
-    formattedTrack.trackName,
-    formattedTrack.artists,
-    formattedTrack.album,
-    formattedTrack.duration,
-    formattedTrack.playDuration,
-    formattedTrack.completion,
-    formattedTrack.trackId,
-    formattedTrack.albumId,
-    formattedTrack.artistIds,
-    formattedTrack.genres,
-    formattedTrack.tempo,
-    formattedTrack.energy,
-    formattedTrack.danceability,
-    formattedTrack.valence,
-    formattedTrack.acousticness,
-    formattedTrack.instrumentalness,
-    formattedTrack.speechiness,
-    formattedTrack.loudness,
-    formattedTrack.popularity,
-    formattedTrack.device,
-    formattedTrack.deviceType,
-    formattedTrack.context,
-    formattedTrack.contextUri,
-    formattedTrack.explicit,
-    formattedTrack.releaseDate,
-    formattedTrack.status,
-    formattedTrack.errorDetails
-  ];
+export function formatAsSheetRow(formattedTrack, headerRow = null) {
+  return toSheetRow(formattedTrack, headerRow, getSheetSchema('Listening Log'));
 }
 
 /**
  * Get Google Sheets header row
- * @returns {array} Header row for the Listening Log sheet
+ * @returns {array} Header row for the Listening Log sheet (column config, or all columns of the latest schema version)
  */
 export function getSheetHeaders() {
-  return [
-    'Timestamp',
-    'Track Name',
-    'Artist(s)',
-    'Album',
-    'Duration (ms)',
-    'Play Duration (ms)',
-    'Completion %',
-    'Track ID',
-    'Album ID',
-    'Artist ID(s)',
-    'Genres',
-    'Tempo',
-    'Energy',
-    'Danceability',
-    'Valence',
-    'Acousticness',
-    'Instrumentalness',
-    'Speechiness',
-    'Loudness',
-    'Popularity',
-    'Device',
-    'Device Type',
-    'Context',
-    'Context URI',
-    'Explicit',
-    'Release Date',
-    'Status',
-    'Error Details'
-  ];
+  return getSchemaHeaders(getSheetSchema('Listening Log'));
 }
 
 /**
@@ -329,6 +348,11 @@ export function createErrorPlaceholder(partialTrack, error) {
     explicit: false,
     releaseDate: '',
     status: 'ERROR',
-    errorDetails: error
+    errorDetails: error,
+    skipped: false,
+    playType: '',
+    estimatedListen: 0,
+    nonMusicReason: '',
+    missingEnrichment: ''
   };
 }
@@ -418,28 +418,59 @@ export function generateQualityReport(tracks) {
 }
 
 /**
- * Check if track is likely a podcast or audiobook
- * @param {object} track - Track data
- * @returns {boolean} True if likely not music
+ * Get the reason a track looks like a podcast or audiobook
+ * @param {object} track - Formatted track data
+ * @returns {string|null} Reason, or null if the track looks like music
  */
-export function isLikelyNonMusic(track) {
+export function getNonMusicReason(track) {
   // Long duration (>20 minutes)
   if (track.duration > 20 * 60 * 1000) {
-    return true;
+    return 'Duration over 20 minutes';
   }
 
   // High speechiness, low musicality
   if (track.speechiness > 0.7 && track.instrumentalness < 0.1) {
-    return true;
+    return 'High speechiness';
   }
 
   // Check for podcast-like patterns in name
   const podcastPatterns = /\b(episode|ep\.|podcast|audiobook|chapter)\b/i;
   if (track.trackName && podcastPatterns.test(track.trackName)) {
-    return true;
+    return 'Podcast-like title';
+  }
+
+  return null;
+}
+
+/**
+ * Check if track is likely a podcast or audiobook
+ * @param {object} track - Track data
+ * @returns {boolean} True if likely not music
+ */
+export function isLikelyNonMusic(track) {
+  return getNonMusicReason(track) !== null;
+}
+
+/**
+ * Split tracks into music and non-music for music-only analytics
+ * Uses the recorded Non-Music Reason when present, otherwise the heuristic.
+ * @param {array} tracks - Formatted tracks
+ * @returns {object} { music: [], nonMusic: [{ track, reason }] }
+ */
+export function partitionMusic(tracks) {
+  const music = [];
+  const nonMusic = [];
+
+  for (const track of tracks || []) {
+    const reason = track.nonMusicReason || getNonMusicReason(track);
+    if (reason) {
+      nonMusic.push({ track, reason });
+    } else {
+      music.push(track);
+    }
   }
 
-  return false;
+  return { music, nonMusic };
 }
 
 /**
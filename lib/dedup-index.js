@@ -0,0 +1,160 @@
+import { getAllRows, getLastNRows } from './sinks/index.js';
+import { getDedupIndex, setDedupIndexEntry, recordDedupKeys } from './state-manager.js';
+import { readDedupKeys, createDedupIndexEntry, DEDUP_VERIFY_ROWS } from './deduplication.js';
+
+/**
+ * Deduplication Index
+ *
+ * Hourly runs used to read every row of the Listening Log to find the plays
+ * that are already logged. The dedup index keeps the "trackId|playedAt" keys
+ * of each sheet's recent rows in state instead (dedupIndex, see
+ * lib/state-manager.js):
+ *
+ *   { "Listening Log": { rows, keys, coveredFrom, verifiedAt } }
+ *
+ * - rows: rows in the sheet, including the header
+ * - keys: keys of the rows played within DEDUP_INDEX_DAYS (default 7) of the
+ *   newest row, plus the last few rows, in sheet order
+ * - coveredFrom: every row played at or after this time has a key (null: every row)
+ *
+ * The logger and the imports add the keys of every row they append. Every
+ * DEDUP_INDEX_VERIFY_HOURS (default 6) the last rows of the sheet are read
+ * with a range-limited getLastNRows and compared to the index. A sheet that
+ * changed behind the index's back (rows added or removed by hand, an older
+ * deployment) fails verification and is read in full once to rebuild its
+ * entry; so are sheets without an entry and plays older than coveredFrom.
+ *
+ * Set DEDUP_INDEX=false to read the whole sheet on every run.
+ */
+
+const DEFAULT_WINDOW_DAYS = 7;
+const DEFAULT_VERIFY_HOURS = 6;
+
+// Widest match tolerance of the callers (import-history matches plays 5 minutes apart)
+const MATCH_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Check whether the dedup index is used
+ * @returns {boolean} False when DEDUP_INDEX=false
+ */
+export function isDedupIndexEnabled() {
+  return process.env.DEDUP_INDEX !== 'false';
+}
+
+/**
+ * Get how far back from the newest row keys are kept
+ * @returns {number} Window in ms
+ */
+export function getDedupWindowMs() {
+  const days = parseFloat(process.env.DEDUP_INDEX_DAYS || String(DEFAULT_WINDOW_DAYS));
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_WINDOW_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Get how long an index entry is trusted before it is verified again
+ * @returns {number} Interval in ms (0 verifies on every read)
+ */
+export function getVerifyIntervalMs() {
+  const hours = parseFloat(process.env.DEDUP_INDEX_VERIFY_HOURS || String(DEFAULT_VERIFY_HOURS));
+  return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_VERIFY_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Check whether loaded keys cover some plays
+ * @param {object} dedup - { keys, coveredFrom } from loadDedupKeys
+ * @param {array} timestamps - Play times
+ * @returns {boolean} True if every play is newer than the pruned keys
+ */
+export function coversPlays(dedup, timestamps) {
+  if (!dedup.coveredFrom) {
+    return true;
+  }
+
+  const coveredFrom = new Date(dedup.coveredFrom).getTime();
+  return timestamps.every(timestamp => new Date(timestamp).getTime() - MATCH_TOLERANCE_MS >= coveredFrom);
+}
+
+/**
+ * Compare the end of a sheet with its index entry
+ * @param {string} sheetName - Name of the sheet tab
+ * @param {object} entry - Index entry
+ * @param {array} headers - Header row of the sheet
+ * @returns {Promise<boolean>} True if the last rows match the index
+ */
+async function verifyDedupIndexEntry(sheetName, entry, headers) {
+  const lastRows = await getLastNRows(sheetName, DEDUP_VERIFY_ROWS, { rowCount: entry.rows });
+  if (lastRows.length !== Math.min(DEDUP_VERIFY_ROWS, entry.rows - 1)) {
+    return false;
+  }
+
+  const keys = readDedupKeys([headers, ...lastRows]);
+  const tail = entry.keys.slice(entry.keys.length - keys.length);
+  return keys.length <= entry.keys.length && keys.every((key, i) => key === tail[i]);
+}
+
+/**
+ * Load the dedup keys of a sheet, from the index when it can be trusted
+ * @param {string} sheetName - Name of the sheet tab
+ * @param {object} options - Options
+ * @param {array} options.headers - Header row of the sheet (without it the sheet is always read)
+ * @param {array} options.timestamps - Plays that will be checked (default: none)
+ * @param {boolean} options.readOnly - Don't save the index (dry runs)
+ * @param {number} options.now - Current time in ms
+ * @returns {Promise<object>} { keys, coveredFrom, source: 'index'|'verified'|'sheet', rows (null unless read) }
+ */
+export async function loadDedupKeys(sheetName, options = {}) {
+  const now = options.now ?? Date.now();
+  const enabled = isDedupIndexEnabled();
+
+  if (enabled && options.headers) {
+    const entry = (await getDedupIndex())[sheetName];
+    const indexed = entry ? { keys: entry.keys, coveredFrom: entry.coveredFrom, rows: null } : null;
+
+    if (!entry) {
+      console.log(`[Dedup Index] No index for "${sheetName}" yet`);
+    } else if (!coversPlays(indexed, options.timestamps || [])) {
+      console.log(`[Dedup Index] Plays are older than the index of "${sheetName}" (from ${entry.coveredFrom})`);
+    } else if (now - new Date(entry.verifiedAt).getTime() < getVerifyIntervalMs()) {
+      return { ...indexed, source: 'index' };
+    } else if (await verifyDedupIndexEntry(sheetName, entry, options.headers)) {
+      if (!options.readOnly) {
+        await setDedupIndexEntry(sheetName, { ...entry, verifiedAt: new Date(now).toISOString() });
+      }
+      console.log(`[Dedup Index] Verified the index of "${sheetName}" against its last rows`);
+      return { ...indexed, source: 'verified' };
+    } else {
+      console.warn(`[Dedup Index] "${sheetName}" changed outside the logger, rebuilding its index`);
+    }
+  }
+
+  const rows = await getAllRows(sheetName);
+  if (enabled && !options.readOnly) {
+    await setDedupIndexEntry(sheetName, createDedupIndexEntry(rows, { windowMs: getDedupWindowMs(), now }));
+  }
+
+  return { keys: readDedupKeys(rows), coveredFrom: null, source: 'sheet', rows };
+}
+
+/**
+ * Add rows appended to a sheet to its index entry
+ * @param {string} sheetName - Name of the sheet tab
+ * @param {array} rows - Appended rows
+ * @param {array} headerRow - Header row the rows were formatted for
+ * @returns {Promise<array>} Keys of the appended rows
+ */
+export async function addToDedupIndex(sheetName, rows, headerRow) {
+  const keys = readDedupKeys([headerRow, ...rows]);
+  if (isDedupIndexEnabled() && rows.length > 0) {
+    await recordDedupKeys(sheetName, rows.length, keys, getDedupWindowMs());
+  }
+  return keys;
+}
+
+/**
+ * Drop the index entry of a deleted sheet
+ * @param {string} sheetName - Name of the sheet tab
+ * @returns {Promise<void>}
+ */
+export async function removeFromDedupIndex(sheetName) {
+  await setDedupIndexEntry(sheetName, null);
+}
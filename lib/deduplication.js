@@ -8,10 +8,23 @@
  * - Same track ID AND timestamp within 30 seconds = duplicate
  * - Same track ID AND same progress position = duplicate
  * - Same track ID BUT 30+ seconds apart = new play (log it)
+ *
+ * Sheet columns are looked up by header name (see lib/sheet-schema.js).
+ *
+ * Hourly runs check against dedup keys ("trackId|playedAt") instead of sheet
+ * rows. The keys of the recent rows are kept in a dedup index in state (see
+ * lib/dedup-index.js), so the sheet only has to be read when the index is
+ * missing or out of date. The index helpers here are pure so the state
+ * manager can use them inside updateState.
  */
 
+import { createColumnMap, readColumn } from './sheet-schema.js';
+
 const MIN_PLAY_DURATION_MS = 30000; // 30 seconds
 
+// Keys of the last rows are always kept, so the index can be verified against the end of the sheet
+export const DEDUP_VERIFY_ROWS = 5;
+
 /**
  * Check if a track is a duplicate based on state
  * This function is similar to isDuplicate in play-filter.js but specifically
@@ -63,12 +76,11 @@ export function findLastProcessedInSheet(sheetRows) {
 
   // Get the last row (most recent entry)
   const lastRow = sheetRows[sheetRows.length - 1];
+  const columns = createColumnMap(sheetRows[0]);
 
-  // Sheet column indices (0-based)
-  // 0: Timestamp, 1: Track Name, 7: Track ID
-  const timestamp = lastRow[0];
-  const trackName = lastRow[1];
-  const trackId = lastRow[7];
+  const timestamp = readColumn(lastRow, columns, 'timestamp');
+  const trackName = readColumn(lastRow, columns, 'trackName');
+  const trackId = readColumn(lastRow, columns, 'trackId');
 
   if (!trackId || !timestamp) {
     console.warn('[Deduplication] Last row in sheet is missing track ID or timestamp');
@@ -83,6 +95,25 @@ export function findLastProcessedInSheet(sheetRows) {
   };
 }
 
+/**
+ * Extract last processed track from dedup keys
+ * @param {array} keys - Dedup keys in sheet order
+ * @returns {object|null} Last processed track info or null
+ */
+export function findLastProcessedInKeys(keys) {
+  const last = keys && keys.length > 0 ? parseDedupKey(keys[keys.length - 1]) : null;
+  if (!last) {
+    return null;
+  }
+
+  return {
+    trackId: last.trackId,
+    trackName: null,
+    timestamp: last.playedAt,
+    playedAt: last.playedAt
+  };
+}
+
 /**
  * Reconcile state when local state and sheet data diverge
  * This happens when:
@@ -95,8 +126,26 @@ export function findLastProcessedInSheet(sheetRows) {
  * @returns {object} Reconciled state to use
  */
 export function reconcileState(sheetData, localState) {
-  const sheetLastProcessed = findLastProcessedInSheet(sheetData);
+  return reconcileLastProcessed(findLastProcessedInSheet(sheetData), localState);
+}
+
+/**
+ * Reconcile state with the last row of the dedup index instead of the sheet
+ * @param {array} keys - Dedup keys in sheet order
+ * @param {object} localState - Current local state
+ * @returns {object} Reconciled state to use
+ */
+export function reconcileStateWithKeys(keys, localState) {
+  return reconcileLastProcessed(findLastProcessedInKeys(keys), localState);
+}
 
+/**
+ * Pick the newer of the sheet's and the local last processed track
+ * @param {object|null} sheetLastProcessed - Last track in the sheet
+ * @param {object} localState - Current local state
+ * @returns {object} Reconciled state to use
+ */
+function reconcileLastProcessed(sheetLastProcessed, localState) {
   // If no data in sheet, use local state
   if (!sheetLastProcessed) {
     console.log('[Deduplication] Sheet is empty, using local state');
@@ -119,7 +168,7 @@ export function reconcileState(sheetData, localState) {
 
   if (sheetTime > localTime) {
     console.warn('[Deduplication] Sheet has newer data than local state. Using sheet data.');
-    console.warn(`  Sheet last: ${sheetLastProcessed.trackName} at ${sheetLastProcessed.playedAt}`);
+    console.warn(`  Sheet last: ${sheetLastProcessed.trackName || sheetLastProcessed.trackId} at ${sheetLastProcessed.playedAt}`);
     console.warn(`  Local last: ${localState.lastProcessed.trackId} at ${localState.lastProcessed.playedAt}`);
 
     return {
@@ -132,7 +181,7 @@ export function reconcileState(sheetData, localState) {
   if (localTime > sheetTime) {
     console.warn('[Deduplication] Local state has newer data than sheet. This is unusual.');
     console.warn(`  Local last: ${localState.lastProcessed.trackId} at ${localState.lastProcessed.playedAt}`);
-    console.warn(`  Sheet last: ${sheetLastProcessed.trackName} at ${sheetLastProcessed.playedAt}`);
+    console.warn(`  Sheet last: ${sheetLastProcessed.trackName || sheetLastProcessed.trackId} at ${sheetLastProcessed.playedAt}`);
     console.warn('  Using local state, but this may indicate a sync issue.');
   }
 
@@ -153,12 +202,13 @@ export function isTrackInSheet(track, sheetRows) {
 
   const trackId = track.track?.id;
   const playedAt = new Date(track.played_at).getTime();
+  const columns = createColumnMap(sheetRows[0]);
 
   // Skip header row
   for (let i = 1; i < sheetRows.length; i++) {
     const row = sheetRows[i];
-    const rowTrackId = row[7]; // Track ID column
-    const rowTimestamp = row[0]; // Timestamp column
+    const rowTrackId = readColumn(row, columns, 'trackId');
+    const rowTimestamp = readColumn(row, columns, 'timestamp');
 
     if (!rowTrackId || !rowTimestamp) {
       continue;
@@ -200,6 +250,173 @@ export function filterDuplicatesAgainstSheet(tracks, sheetRows) {
   return filtered;
 }
 
+/**
+ * Build the dedup key of a play
+ * @param {string} trackId - Track ID
+ * @param {string} playedAt - Play time as logged
+ * @returns {string} "trackId|playedAt"
+ */
+export function toDedupKey(trackId, playedAt) {
+  return `${trackId}|${playedAt}`;
+}
+
+/**
+ * Split a dedup key
+ * @param {string} key - "trackId|playedAt"
+ * @returns {object|null} { trackId, playedAt, time } or null for malformed keys
+ */
+export function parseDedupKey(key) {
+  const separator = typeof key === 'string' ? key.lastIndexOf('|') : -1;
+  if (separator <= 0) {
+    return null;
+  }
+
+  const playedAt = key.slice(separator + 1);
+  const time = new Date(playedAt).getTime();
+  return Number.isNaN(time) ? null : { trackId: key.slice(0, separator), playedAt, time };
+}
+
+/**
+ * Read the dedup keys of sheet rows
+ * Rows without a track ID or timestamp have no key.
+ * @param {array} sheetRows - Rows from the sheet (including header)
+ * @returns {array} Keys in sheet order
+ */
+export function readDedupKeys(sheetRows) {
+  if (!sheetRows || sheetRows.length <= 1) {
+    return [];
+  }
+
+  const columns = createColumnMap(sheetRows[0]);
+  const keys = [];
+
+  for (let i = 1; i < sheetRows.length; i++) {
+    const trackId = readColumn(sheetRows[i], columns, 'trackId');
+    const timestamp = readColumn(sheetRows[i], columns, 'timestamp');
+    if (trackId && timestamp) {
+      keys.push(toDedupKey(trackId, timestamp));
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Build a lookup of play times by track ID
+ * @param {array} keys - Dedup keys
+ * @returns {Map} trackId -> [time in ms]
+ */
+export function createDedupLookup(keys) {
+  const lookup = new Map();
+
+  for (const key of keys || []) {
+    const parsed = parseDedupKey(key);
+    if (!parsed) {
+      continue;
+    }
+    if (!lookup.has(parsed.trackId)) {
+      lookup.set(parsed.trackId, []);
+    }
+    lookup.get(parsed.trackId).push(parsed.time);
+  }
+
+  return lookup;
+}
+
+/**
+ * Check whether a play is in a dedup lookup
+ * @param {Map} lookup - Lookup from createDedupLookup
+ * @param {string} trackId - Track ID
+ * @param {string} playedAt - Play time
+ * @param {number} toleranceMs - Plays of the same track closer than this match (default: 30 seconds)
+ * @returns {boolean} True if the play is already logged
+ */
+export function hasDedupKey(lookup, trackId, playedAt, toleranceMs = MIN_PLAY_DURATION_MS) {
+  const time = new Date(playedAt).getTime();
+  return (lookup.get(trackId) || []).some(loggedTime => Math.abs(loggedTime - time) < toleranceMs);
+}
+
+/**
+ * Filter out tracks whose dedup keys are already logged
+ * Same rules as filterDuplicatesAgainstSheet.
+ * @param {array} tracks - Array of tracks to check
+ * @param {array} keys - Dedup keys of the logged rows
+ * @returns {array} Tracks not logged yet
+ */
+export function filterDuplicatesAgainstKeys(tracks, keys) {
+  if (!tracks || tracks.length === 0) {
+    return [];
+  }
+
+  const lookup = createDedupLookup(keys);
+  const filtered = tracks.filter(track => {
+    if (hasDedupKey(lookup, track.track?.id, track.played_at)) {
+      console.log(`[Deduplication] Track already logged: ${track.track?.name}`);
+      return false;
+    }
+    return true;
+  });
+
+  const duplicateCount = tracks.length - filtered.length;
+  if (duplicateCount > 0) {
+    console.log(`[Deduplication] Filtered out ${duplicateCount} duplicate(s) found in the dedup index`);
+  }
+
+  return filtered;
+}
+
+/**
+ * Drop dedup keys that fell out of the time window
+ * Keys played within windowMs of the newest key are kept, and so are the
+ * last DEDUP_VERIFY_ROWS keys (in sheet order) for verification.
+ * @param {object} entry - Index entry ({ keys, coveredFrom })
+ * @param {number} windowMs - Time window to keep
+ * @returns {object} Entry with the kept keys and updated coveredFrom
+ */
+export function pruneDedupIndexEntry(entry, windowMs) {
+  const times = entry.keys.map(key => parseDedupKey(key)?.time ?? -Infinity);
+  const cutoff = Math.max(...times) - windowMs;
+  const keys = entry.keys.filter((key, i) => times[i] >= cutoff || i >= entry.keys.length - DEDUP_VERIFY_ROWS);
+
+  if (keys.length === entry.keys.length) {
+    return entry;
+  }
+
+  // Every row played at or after coveredFrom is still in the index
+  const cutoffIso = new Date(cutoff).toISOString();
+  const coveredFrom = entry.coveredFrom && entry.coveredFrom > cutoffIso ? entry.coveredFrom : cutoffIso;
+  return { ...entry, keys, coveredFrom };
+}
+
+/**
+ * Build a dedup index entry from all rows of a sheet
+ * @param {array} sheetRows - Rows from the sheet (including header)
+ * @param {object} options - { windowMs, now (ms) }
+ * @returns {object} { rows, keys, coveredFrom, verifiedAt }
+ */
+export function createDedupIndexEntry(sheetRows, options) {
+  const entry = {
+    rows: Math.max(sheetRows?.length || 0, 1),
+    keys: readDedupKeys(sheetRows),
+    coveredFrom: null,
+    verifiedAt: new Date(options.now).toISOString()
+  };
+
+  return entry.keys.length > 0 ? pruneDedupIndexEntry(entry, options.windowMs) : entry;
+}
+
+/**
+ * Add appended rows to a dedup index entry
+ * @param {object} entry - Index entry
+ * @param {number} rowCount - Rows appended to the sheet
+ * @param {array} keys - Keys of the appended rows
+ * @param {number} windowMs - Time window to keep
+ * @returns {object} Updated entry
+ */
+export function addToDedupIndexEntry(entry, rowCount, keys, windowMs) {
+  return pruneDedupIndexEntry({ ...entry, rows: entry.rows + rowCount, keys: [...entry.keys, ...keys] }, windowMs);
+}
+
 /**
  * Validate state structure
  * @param {object} state - State to validate
@@ -235,7 +452,8 @@ export function validateState(state) {
     if (typeof state.lastProcessed !== 'object') {
       return false;
     }
-    if (!state.lastProcessed.trackId || !state.lastProcessed.playedAt) {
+    // Local files have no track ID, so only the play time is required
+    if (typeof state.lastProcessed.trackId !== 'string' || !state.lastProcessed.playedAt) {
       return false;
     }
   }
@@ -0,0 +1,302 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getAudioFeatures, getArtistDetails, getAudioFeaturesForTracks, getArtistDetailsForIds } from './spotify-api.js';
+import { formatTrackForLogging } from './data-formatter.js';
+import { resolveStorageDir } from './sinks/local-rows.js';
+import { getUserSetting } from './users.js';
+
+/**
+ * Track Enrichment Pipeline
+ *
+ * Fills the audio feature and genre columns of a play from an ordered list
+ * of providers (ENRICHMENT_PROVIDERS, default: all three in this order):
+ * - audio-features: Spotify /audio-features (skipped if ENABLE_AUDIO_FEATURES=false)
+ * - artist-genres: genres of the primary artist from Spotify /artists
+ * - local-file: a JSON lookup file (ENRICHMENT_FILE, default: .data/enrichment.json)
+ *
+ * Providers run in order and only fill fields that are still empty, so
+ * earlier providers win and later ones act as fallbacks. A provider that
+ * throws leaves its fields empty and is listed in the play's
+ * "Missing Enrichment" column - the play itself is still logged as COMPLETED.
+ *
+ * Provider interface:
+ * {
+ *   name,                    // e.g. 'audio-features'
+ *   fields,                  // formatted track fields it can fill
+ *   enrich(track),           // Promise<{ [field]: value }> for a Spotify track
+ *   prefetch(tracks)         // optional: batch-load data for many tracks,
+ *                            // resolves { lookups, requests }
+ * }
+ *
+ * The Spotify providers prefetch with the batch endpoints (deduped, in chunks
+ * of the API maximum, a few requests at once), so enrich() only makes a
+ * request for tracks the batch could not cover.
+ *
+ * Local file format:
+ * {
+ *   "tracks": { "<trackId>": { "tempo": 120, "energy": 0.7, "genres": ["indie"] } },
+ *   "artists": { "<artistId>": { "genres": ["indie", "folk"] } }
+ * }
+ */
+
+export const AUDIO_FEATURE_FIELDS = [
+  'tempo',
+  'energy',
+  'danceability',
+  'valence',
+  'acousticness',
+  'instrumentalness',
+  'speechiness',
+  'loudness'
+];
+
+export const PROVIDER_NAMES = ['audio-features', 'artist-genres', 'local-file'];
+
+const ENRICHMENT_FILE_NAME = 'enrichment.json';
+
+/**
+ * Count how many lookups a prefetch covered with batch requests
+ * @param {array} ids - One ID per track that would otherwise need its own request
+ * @param {object} batch - Result of getAudioFeaturesForTracks/getArtistDetailsForIds
+ * @returns {object} { lookups, requests }
+ */
+function prefetchResult(ids, { byId, cachedIds, requests }) {
+  const cached = new Set(cachedIds);
+  return { lookups: ids.filter(id => id in byId && !cached.has(id)).length, requests };
+}
+
+/**
+ * Create the Spotify audio features provider
+ * @returns {object} Provider
+ */
+export function createAudioFeaturesProvider() {
+  // Prefetched features by track ID (null: Spotify has none for the track)
+  const prefetched = new Map();
+
+  return {
+    name: 'audio-features',
+    fields: AUDIO_FEATURE_FIELDS,
+    async enrich(track) {
+      const features = prefetched.has(track.id)
+        ? prefetched.get(track.id)
+        : await getAudioFeatures(track.id);
+      if (!features) {
+        throw new Error('No audio features returned');
+      }
+      return Object.fromEntries(AUDIO_FEATURE_FIELDS.map(field => [field, features[field] ?? null]));
+    },
+    async prefetch(tracks) {
+      const ids = tracks.map(track => track.id);
+      const batch = await getAudioFeaturesForTracks(ids);
+      Object.entries(batch.byId).forEach(([id, features]) => prefetched.set(id, features));
+      return prefetchResult(ids, batch);
+    }
+  };
+}
+
+/**
+ * Create the Spotify artist genres provider
+ * @returns {object} Provider
+ */
+export function createArtistGenresProvider() {
+  // Prefetched primary artists by artist ID
+  const prefetched = new Map();
+
+  return {
+    name: 'artist-genres',
+    fields: ['genres'],
+    async enrich(track) {
+      const artistId = track.artists?.[0]?.id;
+      if (!artistId) {
+        return {};
+      }
+
+      const artist = prefetched.get(artistId) || await getArtistDetails(artistId);
+      return { genres: artist?.genres || [] };
+    },
+    async prefetch(tracks) {
+      const ids = tracks.map(track => track.artists?.[0]?.id).filter(Boolean);
+      const batch = await getArtistDetailsForIds(ids);
+      Object.entries(batch.byId).forEach(([id, artist]) => {
+        if (artist) {
+          prefetched.set(id, artist);
+        }
+      });
+      return prefetchResult(ids, batch);
+    }
+  };
+}
+
+/**
+ * Create the local-file lookup provider
+ * A missing file means no local data; an unreadable file is a provider failure.
+ * @param {object} options - { file } (default: ENRICHMENT_FILE or <STORAGE_DIR>/enrichment.json)
+ * @returns {object} Provider
+ */
+export function createLocalFileProvider(options = {}) {
+  const file = options.file || process.env.ENRICHMENT_FILE || path.join(resolveStorageDir(), ENRICHMENT_FILE_NAME);
+  let lookup = null;
+
+  /**
+   * Load the lookup file once per provider instance
+   * @returns {Promise<object>} { tracks, artists }
+   */
+  async function loadLookup() {
+    if (lookup) {
+      return lookup;
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf-8'));
+      lookup = { tracks: data.tracks || {}, artists: data.artists || {} };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read ${file}: ${error.message}`);
+      }
+      lookup = { tracks: {}, artists: {} };
+    }
+
+    return lookup;
+  }
+
+  return {
+    name: 'local-file',
+    fields: [...AUDIO_FEATURE_FIELDS, 'genres'],
+    async enrich(track) {
+      const { tracks, artists } = await loadLookup();
+      const entry = tracks[track.id] || {};
+      const primaryArtist = artists[track.artists?.[0]?.id] || {};
+
+      const result = Object.fromEntries(
+        AUDIO_FEATURE_FIELDS.filter(field => entry[field] !== undefined).map(field => [field, entry[field]])
+      );
+      const genres = entry.genres || primaryArtist.genres;
+      if (genres) {
+        result.genres = genres;
+      }
+      return result;
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  'audio-features': createAudioFeaturesProvider,
+  'artist-genres': createArtistGenresProvider,
+  'local-file': createLocalFileProvider
+};
+
+/**
+ * Get the configured provider names in order
+ * @returns {array} Provider names
+ * @throws {Error} If ENRICHMENT_PROVIDERS names an unknown provider
+ */
+export function getProviderNames() {
+  const configured = (getUserSetting('ENRICHMENT_PROVIDERS') || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = configured.filter(name => !PROVIDER_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ENRICHMENT_PROVIDERS "${unknown.join(', ')}". Expected: ${PROVIDER_NAMES.join(', ')}`);
+  }
+
+  const names = configured.length > 0 ? configured : PROVIDER_NAMES;
+  return getUserSetting('ENABLE_AUDIO_FEATURES') === 'false'
+    ? names.filter(name => name !== 'audio-features')
+    : names;
+}
+
+/**
+ * Create the configured providers
+ * @returns {array} Providers in order
+ */
+export function createProviders() {
+  return getProviderNames().map(name => PROVIDER_FACTORIES[name]());
+}
+
+/**
+ * Check whether an enriched field still needs a value
+ * @param {any} value - Field value
+ * @returns {boolean} True if empty
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Run the providers for a track
+ * @param {object} track - Spotify track
+ * @param {array} providers - Providers in order (default: configured providers)
+ * @returns {Promise<object>} { fields, missing: [names], errors: [{ provider, error }] }
+ */
+export async function enrichTrack(track, providers = createProviders()) {
+  const fields = {};
+  const errors = [];
+
+  for (const provider of providers) {
+    try {
+      const result = await provider.enrich(track);
+      for (const field of provider.fields) {
+        if (isEmpty(fields[field]) && !isEmpty(result?.[field])) {
+          fields[field] = result[field];
+        }
+      }
+    } catch (error) {
+      console.warn(`[Enrichment] ${provider.name} failed for ${track.name}:`, error.message);
+      errors.push({ provider: provider.name, error: error.message });
+    }
+  }
+
+  return { fields, missing: errors.map(e => e.provider), errors };
+}
+
+/**
+ * Batch-load provider data for many tracks (best effort)
+ * Without a prefetch every track costs one request per Spotify provider;
+ * `saved` is how many of those the batch requests replaced.
+ * @param {array} tracks - Spotify tracks
+ * @param {array} providers - Providers (default: configured providers)
+ * @returns {Promise<object>} { requests, saved }
+ */
+export async function prefetchEnrichment(tracks, providers = createProviders()) {
+  const totals = { requests: 0, saved: 0 };
+
+  for (const provider of providers) {
+    if (!provider.prefetch || tracks.length === 0) {
+      continue;
+    }
+
+    try {
+      const { lookups = 0, requests = 0 } = (await provider.prefetch(tracks)) || {};
+      totals.requests += requests;
+      totals.saved += Math.max(0, lookups - requests);
+    } catch (error) {
+      console.warn(`[Enrichment] ${provider.name} prefetch failed:`, error.message);
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Enrich a recently-played item and format it for logging
+ * Provider failures are recorded in missingEnrichment and errorDetails.
+ * @param {object} item - Recently played item ({ track, played_at, context, ... })
+ * @param {object} options - { providers, status } (status default: COMPLETED)
+ * @returns {Promise<object>} Formatted track (formatTrackForLogging + missingEnrichment)
+ */
+export async function enrichPlay(item, options = {}) {
+  const { providers = createProviders(), status = 'COMPLETED' } = options;
+  const { fields, missing, errors } = await enrichTrack(item.track, providers);
+
+  const audioFeatures = Object.fromEntries(AUDIO_FEATURE_FIELDS.map(field => [field, fields[field] ?? null]));
+  const artistDetails = fields.genres ? { genres: fields.genres } : null;
+  const formatted = formatTrackForLogging(item.track, item, audioFeatures, artistDetails, status, '');
+
+  return {
+    ...formatted,
+    errorDetails: errors.map(e => `${e.provider}: ${e.error}`).join('; '),
+    missingEnrichment: missing.join(', ')
+  };
+}
@@ -0,0 +1,324 @@
+import { loadMetadataCache, saveMetadataCache, clearMetadataCache } from './state-manager.js';
+
+/**
+ * Persistent Spotify Metadata Cache
+ *
+ * Second cache tier behind the in-memory cache in lib/spotify-api.js. The
+ * memory cache is empty on almost every cold-started serverless invocation;
+ * this tier keeps artist, album and audio-feature responses in the state
+ * backend (Vercel KV or the local .state directory) across invocations.
+ *
+ * - Per-type TTLs: audio features never change, artist genres rarely do
+ * - Per-type LRU caps: the least recently used entries are dropped on save
+ * - Only the fields the logger uses are stored, to keep KV values small
+ * - Hit/miss counts per type (this invocation and all-time)
+ *
+ * Records are loaded lazily per type and written back by flushMetadataCache(),
+ * which merges with the stored record so parallel invocations don't lose entries.
+ * Set METADATA_CACHE=false to keep the memory tier only.
+ *
+ * Record format: { entries: { [id]: { value, expiresAt, lastUsedAt } }, hits, misses }
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const CACHE_TYPES = {
+  artist: {
+    ttlMs: 30 * DAY_MS,
+    maxEntries: 2000,
+    fields: ['id', 'name', 'genres', 'popularity']
+  },
+  album: {
+    ttlMs: 30 * DAY_MS,
+    maxEntries: 1000,
+    fields: ['id', 'name', 'album_type', 'release_date', 'release_date_precision', 'total_tracks', 'genres', 'label']
+  },
+  'audio-features': {
+    ttlMs: 180 * DAY_MS,
+    maxEntries: 5000,
+    fields: [
+      'id', 'duration_ms', 'tempo', 'energy', 'danceability', 'valence', 'acousticness',
+      'instrumentalness', 'speechiness', 'loudness', 'liveness', 'key', 'mode', 'time_signature'
+    ]
+  }
+};
+
+// Loaded records by type (promises, so parallel lookups share one load)
+const records = new Map();
+const dirtyTypes = new Set();
+
+// Lookups since the last flush / since this process started
+let unsavedCounts = {};
+let sessionCounts = {};
+
+/**
+ * Check whether the persistent tier is enabled
+ * @returns {boolean} False when METADATA_CACHE=false
+ */
+function isEnabled() {
+  return process.env.METADATA_CACHE !== 'false';
+}
+
+/**
+ * Split a cache key into its type and ID
+ * @param {string} key - Cache key (e.g. 'artist:abc')
+ * @returns {object} { type, id } (type is null for types that are not persisted)
+ */
+function parseKey(key) {
+  const index = key.indexOf(':');
+  const type = key.slice(0, index);
+  return { type: CACHE_TYPES[type] ? type : null, id: key.slice(index + 1) };
+}
+
+/**
+ * Create an empty cache record
+ * @returns {object} { entries, hits, misses }
+ */
+function emptyRecord() {
+  return { entries: {}, hits: 0, misses: 0 };
+}
+
+/**
+ * Load a stored record, treating backend errors as an empty cache
+ * @param {string} type - Cache type
+ * @returns {Promise<object>} Cache record
+ */
+async function readRecord(type) {
+  try {
+    const stored = await loadMetadataCache(type);
+    return { ...emptyRecord(), ...stored, entries: { ...stored?.entries } };
+  } catch (error) {
+    console.warn(`[Metadata Cache] Could not load ${type} cache:`, error.message);
+    return emptyRecord();
+  }
+}
+
+/**
+ * Get the loaded record for a type, loading it on first use
+ * @param {string} type - Cache type
+ * @returns {Promise<object>} Cache record
+ */
+function getRecord(type) {
+  if (!records.has(type)) {
+    records.set(type, readRecord(type));
+  }
+  return records.get(type);
+}
+
+/**
+ * Keep only the fields the logger uses
+ * @param {string} type - Cache type
+ * @param {object} value - API response
+ * @returns {object} Trimmed value
+ */
+function trimValue(type, value) {
+  return Object.fromEntries(
+    CACHE_TYPES[type].fields.filter(field => value[field] !== undefined).map(field => [field, value[field]])
+  );
+}
+
+/**
+ * Drop expired entries and the least recently used ones over the cap
+ * @param {string} type - Cache type
+ * @param {object} entries - Entries by ID
+ * @param {number} now - Current time in ms
+ * @returns {object} Pruned entries
+ */
+export function pruneEntries(type, entries, now = Date.now()) {
+  return Object.fromEntries(
+    Object.entries(entries)
+      .filter(([, entry]) => entry.expiresAt > now)
+      .sort(([, a], [, b]) => b.lastUsedAt - a.lastUsedAt)
+      .slice(0, CACHE_TYPES[type].maxEntries)
+  );
+}
+
+/**
+ * Count a cache lookup
+ * @param {string} key - Cache key
+ * @param {string} result - 'memory', 'persistent' or 'miss'
+ */
+export function recordLookup(key, result) {
+  const [type] = key.split(':');
+  for (const counts of [sessionCounts, unsavedCounts]) {
+    counts[type] = counts[type] || { memory: 0, persistent: 0, miss: 0 };
+    counts[type][result]++;
+  }
+}
+
+/**
+ * Get a value from the persistent tier
+ * @param {string} key - Cache key (e.g. 'artist:abc')
+ * @returns {Promise<object|null>} Cached value or null if missing/expired
+ */
+export async function getPersisted(key) {
+  const { type, id } = parseKey(key);
+  if (!type || !isEnabled()) {
+    return null;
+  }
+
+  const record = await getRecord(type);
+  const entry = record.entries[id];
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.expiresAt <= Date.now()) {
+    delete record.entries[id];
+    dirtyTypes.add(type);
+    return null;
+  }
+
+  entry.lastUsedAt = Date.now();
+  dirtyTypes.add(type);
+  return entry.value;
+}
+
+/**
+ * Store a value in the persistent tier (written on the next flush)
+ * @param {string} key - Cache key (e.g. 'artist:abc')
+ * @param {object} value - API response
+ * @returns {Promise<void>}
+ */
+export async function setPersisted(key, value) {
+  const { type, id } = parseKey(key);
+  if (!type || !isEnabled() || !value) {
+    return;
+  }
+
+  const record = await getRecord(type);
+  const now = Date.now();
+  record.entries[id] = {
+    value: trimValue(type, value),
+    expiresAt: now + CACHE_TYPES[type].ttlMs,
+    lastUsedAt: now
+  };
+  dirtyTypes.add(type);
+}
+
+/**
+ * Write changed records back to the state backend
+ * Entries are merged with the stored record (most recently used wins),
+ * then expired and over-cap entries are dropped.
+ * @returns {Promise<object>} { saved: [types] }
+ */
+export async function flushMetadataCache() {
+  if (!isEnabled()) {
+    return { saved: [] };
+  }
+
+  const types = [...new Set([...dirtyTypes, ...Object.keys(unsavedCounts)])].filter(type => CACHE_TYPES[type]);
+  const saved = [];
+
+  for (const type of types) {
+    try {
+      const local = records.has(type) ? await records.get(type) : emptyRecord();
+      const stored = await readRecord(type);
+      const counts = unsavedCounts[type] || { memory: 0, persistent: 0, miss: 0 };
+
+      const entries = { ...stored.entries };
+      for (const [id, entry] of Object.entries(local.entries)) {
+        if (!entries[id] || entries[id].lastUsedAt < entry.lastUsedAt) {
+          entries[id] = entry;
+        }
+      }
+
+      const record = {
+        entries: pruneEntries(type, entries),
+        hits: stored.hits + counts.memory + counts.persistent,
+        misses: stored.misses + counts.miss
+      };
+
+      await saveMetadataCache(type, record);
+      records.set(type, Promise.resolve(record));
+      dirtyTypes.delete(type);
+      delete unsavedCounts[type];
+      saved.push(type);
+    } catch (error) {
+      console.warn(`[Metadata Cache] Could not save ${type} cache:`, error.message);
+    }
+  }
+
+  if (saved.length > 0) {
+    console.log(`[Metadata Cache] Saved ${saved.join(', ')} cache`);
+  }
+  return { saved };
+}
+
+/**
+ * Calculate a hit rate percentage
+ * @param {number} hits - Hits
+ * @param {number} misses - Misses
+ * @returns {number|null} Hit rate (0-100) or null without lookups
+ */
+function hitRate(hits, misses) {
+  const total = hits + misses;
+  return total > 0 ? Math.round((hits / total) * 1000) / 10 : null;
+}
+
+/**
+ * Get hit/miss counts for lookups made by this process
+ * @returns {object} { hits, misses, hitRate, byType: { [type]: { memoryHits, persistentHits, misses, hitRate } } }
+ */
+export function getSessionCacheStats() {
+  const byType = {};
+  let hits = 0;
+  let misses = 0;
+
+  for (const [type, counts] of Object.entries(sessionCounts)) {
+    byType[type] = {
+      memoryHits: counts.memory,
+      persistentHits: counts.persistent,
+      misses: counts.miss,
+      hitRate: hitRate(counts.memory + counts.persistent, counts.miss)
+    };
+    hits += counts.memory + counts.persistent;
+    misses += counts.miss;
+  }
+
+  return { hits, misses, hitRate: hitRate(hits, misses), byType };
+}
+
+/**
+ * Get all-time stats of the persistent tier from the state backend
+ * @returns {Promise<object>} { enabled, types: { [type]: { entries, maxEntries, ttlDays, hits, misses, hitRate } } }
+ */
+export async function getPersistedCacheStats() {
+  const types = {};
+
+  for (const [type, config] of Object.entries(CACHE_TYPES)) {
+    const record = isEnabled() ? await readRecord(type) : emptyRecord();
+    types[type] = {
+      entries: Object.keys(record.entries).length,
+      maxEntries: config.maxEntries,
+      ttlDays: config.ttlMs / DAY_MS,
+      hits: record.hits,
+      misses: record.misses,
+      hitRate: hitRate(record.hits, record.misses)
+    };
+  }
+
+  return { enabled: isEnabled(), types };
+}
+
+/**
+ * Forget loaded records and counts, and delete the stored records
+ * @param {object} options - { keepStored } only forgets what this process loaded
+ * @returns {Promise<void>}
+ */
+export async function resetMetadataCache(options = {}) {
+  records.clear();
+  dirtyTypes.clear();
+  unsavedCounts = {};
+  sessionCounts = {};
+
+  if (options.keepStored) {
+    return;
+  }
+
+  try {
+    await clearMetadataCache(Object.keys(CACHE_TYPES));
+  } catch (error) {
+    console.warn('[Metadata Cache] Could not clear stored cache:', error.message);
+  }
+}
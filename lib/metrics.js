@@ -1,4 +1,5 @@
-import { loadState, saveState } from './state-manager.js';
+import { loadState, updateState } from './state-manager.js';
+import { getCurrentUserId } from './users.js';
 
 /**
  * Performance Monitoring and Metrics Module
@@ -6,6 +7,7 @@ import { loadState, saveState } from './state-manager.js';
  * Tracks system health and performance metrics:
  * - Execution times per function
  * - API call counts and success rates
+ * - API calls saved by batching enrichment lookups
  * - Error counts by type
  * - Tracks logged per day
  * - Weekly aggregated summaries
@@ -14,15 +16,37 @@ import { loadState, saveState } from './state-manager.js';
  * with daily aggregation.
  */
 
-// In-memory metrics for current execution
-let currentExecutionMetrics = {
-  startTime: null,
-  functionName: null,
-  apiCalls: [],
-  errors: [],
-  tracksProcessed: 0,
-  tracksLogged: 0
-};
+// In-memory metrics of the current execution, per user (users can run concurrently)
+const executionMetrics = new Map();
+
+/**
+ * Create empty in-memory metrics for an execution
+ * @param {string|null} functionName - Name of the function being executed
+ * @returns {object} Execution metrics
+ */
+function createExecutionMetrics(functionName = null) {
+  return {
+    startTime: functionName ? Date.now() : null,
+    functionName,
+    apiCalls: [],
+    apiCallsSaved: 0,
+    errors: [],
+    tracksProcessed: 0,
+    tracksLogged: 0
+  };
+}
+
+/**
+ * Get the in-memory metrics of the current user's execution
+ * @returns {object} Execution metrics
+ */
+function getExecutionMetrics() {
+  const userId = getCurrentUserId();
+  if (!executionMetrics.has(userId)) {
+    executionMetrics.set(userId, createExecutionMetrics());
+  }
+  return executionMetrics.get(userId);
+}
 
 /**
  * Get today's date key for metrics storage
@@ -33,32 +57,44 @@ function getTodayKey() {
 }
 
 /**
- * Get metrics state from storage
- * @returns {Promise<object>} Metrics state
+ * Create an empty metrics state
+ * @returns {object} Metrics state
  */
-async function getMetricsState() {
-  const state = await loadState();
-  return state.metrics || {
+function createMetricsState() {
+  return {
     daily: {},
     lastReset: null,
     totals: {
       totalExecutions: 0,
       totalTracksLogged: 0,
       totalErrors: 0,
-      totalApiCalls: 0
+      totalApiCalls: 0,
+      totalApiCallsSaved: 0
     }
   };
 }
 
 /**
- * Save metrics state to storage
- * @param {object} metricsState - Metrics state to save
- * @returns {Promise<void>}
+ * Get metrics state from storage (read only)
+ * @returns {Promise<object>} Metrics state
  */
-async function saveMetricsState(metricsState) {
+async function getMetricsState() {
   const state = await loadState();
-  state.metrics = metricsState;
-  await saveState(state);
+  return state.metrics || createMetricsState();
+}
+
+/**
+ * Change the stored metrics state
+ * The mutator runs inside updateState on the latest metrics, and again
+ * after a conflict, so concurrent runs don't overwrite each other's counts.
+ * @param {function} mutate - (metricsState) => result, changes it in place
+ * @returns {Promise<*>} Result of the mutator
+ */
+async function updateMetricsState(mutate) {
+  return await updateState(state => {
+    state.metrics = state.metrics || createMetricsState();
+    return mutate(state.metrics);
+  });
 }
 
 /**
@@ -78,6 +114,7 @@ function initDailyMetrics() {
       spotify: { total: 0, success: 0, failed: 0 },
       sheets: { total: 0, success: 0, failed: 0 }
     },
+    apiCallsSaved: 0,
     errors: {
       spotify: 0,
       sheets: 0,
@@ -94,14 +131,7 @@ function initDailyMetrics() {
  * @param {string} functionName - Name of the function being executed
  */
 export function startExecution(functionName) {
-  currentExecutionMetrics = {
-    startTime: Date.now(),
-    functionName,
-    apiCalls: [],
-    errors: [],
-    tracksProcessed: 0,
-    tracksLogged: 0
-  };
+  executionMetrics.set(getCurrentUserId(), createExecutionMetrics(functionName));
 
   console.log(`[Metrics] Started tracking: ${functionName}`);
 }
@@ -114,7 +144,7 @@ export function startExecution(functionName) {
  * @param {boolean} success - Whether the call succeeded
  */
 export function trackApiCall(service, endpoint, duration, success) {
-  currentExecutionMetrics.apiCalls.push({
+  getExecutionMetrics().apiCalls.push({
     service,
     endpoint,
     duration,
@@ -127,6 +157,15 @@ export function trackApiCall(service, endpoint, duration, success) {
   }
 }
 
+/**
+ * Track API calls avoided by batching (e.g. one several-artists request
+ * instead of one request per play)
+ * @param {number} count - Number of requests saved
+ */
+export function trackApiCallsSaved(count) {
+  getExecutionMetrics().apiCallsSaved += count;
+}
+
 /**
  * Track an error
  * @param {string} errorType - Type of error ('spotify', 'sheets', 'validation', 'other')
@@ -135,7 +174,7 @@ export function trackApiCall(service, endpoint, duration, success) {
 export function trackError(errorType, error) {
   const errorMessage = error instanceof Error ? error.message : error;
 
-  currentExecutionMetrics.errors.push({
+  getExecutionMetrics().errors.push({
     type: errorType,
     message: errorMessage,
     timestamp: new Date().toISOString()
@@ -150,27 +189,20 @@ export function trackError(errorType, error) {
  * @param {number} logged - Number of tracks successfully logged
  */
 export function trackTracks(processed, logged) {
-  currentExecutionMetrics.tracksProcessed += processed;
-  currentExecutionMetrics.tracksLogged += logged;
+  const current = getExecutionMetrics();
+  current.tracksProcessed += processed;
+  current.tracksLogged += logged;
 }
 
 /**
- * End execution tracking and save metrics
- * @returns {Promise<object>} Execution summary
+ * Add an execution to the stored metrics
+ * @param {object} metricsState - Metrics state to change
+ * @param {object} current - Execution metrics
+ * @param {string} today - Date key
+ * @param {string} hour - Hour of the execution
+ * @param {number} duration - Execution time in ms
  */
-export async function endExecution() {
-  if (!currentExecutionMetrics.startTime) {
-    console.warn('[Metrics] No execution started');
-    return null;
-  }
-
-  const duration = Date.now() - currentExecutionMetrics.startTime;
-  const today = getTodayKey();
-  const hour = new Date().getHours().toString();
-
-  // Get current metrics state
-  const metricsState = await getMetricsState();
-
+function addExecution(metricsState, current, today, hour, duration) {
   // Initialize today's metrics if needed
   if (!metricsState.daily[today]) {
     metricsState.daily[today] = initDailyMetrics();
@@ -191,11 +223,11 @@ export async function endExecution() {
   dailyMetrics.hourlyExecutions[hour] = (dailyMetrics.hourlyExecutions[hour] || 0) + 1;
 
   // Update track counts
-  dailyMetrics.tracksProcessed += currentExecutionMetrics.tracksProcessed;
-  dailyMetrics.tracksLogged += currentExecutionMetrics.tracksLogged;
+  dailyMetrics.tracksProcessed += current.tracksProcessed;
+  dailyMetrics.tracksLogged += current.tracksLogged;
 
   // Update API call metrics
-  for (const call of currentExecutionMetrics.apiCalls) {
+  for (const call of current.apiCalls) {
     const serviceMetrics = dailyMetrics.apiCalls[call.service];
     if (serviceMetrics) {
       serviceMetrics.total++;
@@ -207,8 +239,11 @@ export async function endExecution() {
     }
   }
 
+  // Older daily records and totals predate apiCallsSaved
+  dailyMetrics.apiCallsSaved = (dailyMetrics.apiCallsSaved || 0) + current.apiCallsSaved;
+
   // Update error metrics
-  for (const error of currentExecutionMetrics.errors) {
+  for (const error of current.errors) {
     if (dailyMetrics.errors[error.type] !== undefined) {
       dailyMetrics.errors[error.type]++;
     } else {
@@ -225,34 +260,45 @@ export async function endExecution() {
 
   // Update totals
   metricsState.totals.totalExecutions++;
-  metricsState.totals.totalTracksLogged += currentExecutionMetrics.tracksLogged;
-  metricsState.totals.totalErrors += currentExecutionMetrics.errors.length;
-  metricsState.totals.totalApiCalls += currentExecutionMetrics.apiCalls.length;
+  metricsState.totals.totalTracksLogged += current.tracksLogged;
+  metricsState.totals.totalErrors += current.errors.length;
+  metricsState.totals.totalApiCalls += current.apiCalls.length;
+  metricsState.totals.totalApiCallsSaved = (metricsState.totals.totalApiCallsSaved || 0) + current.apiCallsSaved;
+}
 
-  // Save updated metrics
-  await saveMetricsState(metricsState);
+/**
+ * End execution tracking and save metrics
+ * @returns {Promise<object>} Execution summary
+ */
+export async function endExecution() {
+  const current = getExecutionMetrics();
+  if (!current.startTime) {
+    console.warn('[Metrics] No execution started');
+    return null;
+  }
+
+  const duration = Date.now() - current.startTime;
+  const today = getTodayKey();
+  const hour = new Date().getHours().toString();
+
+  // Add this execution to the latest stored metrics
+  await updateMetricsState(metricsState => addExecution(metricsState, current, today, hour, duration));
 
   // Create execution summary
   const summary = {
-    functionName: currentExecutionMetrics.functionName,
+    functionName: current.functionName,
     duration,
-    tracksProcessed: currentExecutionMetrics.tracksProcessed,
-    tracksLogged: currentExecutionMetrics.tracksLogged,
-    apiCalls: currentExecutionMetrics.apiCalls.length,
-    errors: currentExecutionMetrics.errors.length
+    tracksProcessed: current.tracksProcessed,
+    tracksLogged: current.tracksLogged,
+    apiCalls: current.apiCalls.length,
+    apiCallsSaved: current.apiCallsSaved,
+    errors: current.errors.length
   };
 
   console.log(`[Metrics] Execution complete: ${duration}ms, ${summary.tracksLogged} tracks, ${summary.errors} errors`);
 
   // Reset current execution
-  currentExecutionMetrics = {
-    startTime: null,
-    functionName: null,
-    apiCalls: [],
-    errors: [],
-    tracksProcessed: 0,
-    tracksLogged: 0
-  };
+  executionMetrics.delete(getCurrentUserId());
 
   return summary;
 }
@@ -304,6 +350,7 @@ export async function getWeeklyMetrics() {
     totalExecutions: 0,
     totalTracksLogged: 0,
     totalErrors: 0,
+    totalApiCallsSaved: 0,
     avgExecutionTime: 0,
     successRate: 0,
     dailyBreakdown: {}
@@ -319,12 +366,14 @@ export async function getWeeklyMetrics() {
         executions: daily.executions,
         tracksLogged: daily.tracksLogged,
         avgExecutionTime: daily.avgExecutionTime,
-        successRate: daily.successRate
+        successRate: daily.successRate,
+        apiCallsSaved: daily.apiCallsSaved || 0
       };
 
       weeklyMetrics.totalExecutions += daily.executions;
       weeklyMetrics.totalTracksLogged += daily.tracksLogged;
       weeklyMetrics.totalErrors += Object.values(daily.errors).reduce((a, b) => a + b, 0);
+      weeklyMetrics.totalApiCallsSaved += daily.apiCallsSaved || 0;
       totalExecutionTime += daily.totalExecutionTime;
       daysWithData++;
     }
@@ -354,10 +403,10 @@ export async function getWeeklyMetrics() {
  * @returns {Promise<void>}
  */
 export async function resetDailyMetrics() {
-  const metricsState = await getMetricsState();
-  metricsState.daily = {};
-  metricsState.lastReset = new Date().toISOString();
-  await saveMetricsState(metricsState);
+  await updateMetricsState(metricsState => {
+    metricsState.daily = {};
+    metricsState.lastReset = new Date().toISOString();
+  });
   console.log('[Metrics] Daily metrics reset');
 }
 
@@ -366,21 +415,22 @@ export async function resetDailyMetrics() {
  * @returns {Promise<number>} Number of days removed
  */
 export async function cleanupOldMetrics() {
-  const metricsState = await getMetricsState();
   const cutoffDate = new Date();
   cutoffDate.setDate(cutoffDate.getDate() - 30);
   const cutoffKey = cutoffDate.toISOString().split('T')[0];
 
-  let removedCount = 0;
-  for (const dateKey of Object.keys(metricsState.daily)) {
-    if (dateKey < cutoffKey) {
-      delete metricsState.daily[dateKey];
-      removedCount++;
+  const removedCount = await updateMetricsState(metricsState => {
+    let removed = 0;
+    for (const dateKey of Object.keys(metricsState.daily)) {
+      if (dateKey < cutoffKey) {
+        delete metricsState.daily[dateKey];
+        removed++;
+      }
     }
-  }
+    return removed;
+  });
 
   if (removedCount > 0) {
-    await saveMetricsState(metricsState);
     console.log(`[Metrics] Cleaned up ${removedCount} old days of metrics`);
   }
 
@@ -0,0 +1,401 @@
+import { appendRows, getAllRows, ensureSheetSchema, deleteSheet, getArchiveSink } from './sinks/index.js';
+import { getLogPartitions, recordPartitionRows, markPartitionArchived } from './state-manager.js';
+import { getSheetSchema, migrateSheetSchema, createColumnMap, readColumn } from './sheet-schema.js';
+import { readDedupKeys } from './deduplication.js';
+import { loadDedupKeys, addToDedupIndex, removeFromDedupIndex } from './dedup-index.js';
+import { getUserSetting } from './users.js';
+
+/**
+ * Listening Log Partitions
+ *
+ * With LISTENING_LOG_PARTITIONS=monthly, plays go to one tab per month
+ * ("Listening Log 2024-03", by the UTC month of the play) instead of a
+ * single ever-growing "Listening Log" tab. Deduplication and retries only
+ * read the partitions around the plays they handle, so hourly runs stay fast
+ * and each tab stays far below the Sheets cell limit.
+ *
+ * The partitions are indexed in state (logPartitions, see lib/state-manager.js):
+ *
+ *   { "2024-03": { sheet, rows, firstPlayedAt, lastPlayedAt, archive } }
+ *
+ * Partitions older than ARCHIVE_AFTER_MONTHS (default 3, counting the
+ * current month; at least 2) are compacted into one tab per year
+ * ("Listening Log 2024") of the archive sink (see getArchiveSink in
+ * lib/sinks/index.js) by /api/archive-partitions, then deleted. Archived
+ * months stay in the index with where they went.
+ *
+ * Without LISTENING_LOG_PARTITIONS (or with "none"), everything reads and
+ * writes the "Listening Log" tab as before.
+ */
+
+export const LISTENING_LOG_SHEET = 'Listening Log';
+
+export const PARTITION_MODES = ['none', 'monthly'];
+
+// Plays this close to a month boundary are also checked against the neighbouring month
+// (retries match ERROR rows within 5 minutes, see api/retry-failed.js)
+export const PARTITION_WINDOW_MS = 5 * 60 * 1000;
+
+const DEFAULT_ARCHIVE_AFTER_MONTHS = 3;
+
+// Recently played items can reach into the previous month, so it always stays live
+const MIN_ARCHIVE_AFTER_MONTHS = 2;
+
+/**
+ * Get the configured partitioning mode
+ * @returns {string} 'none' or 'monthly'
+ * @throws {Error} If LISTENING_LOG_PARTITIONS is not a known mode
+ */
+export function getPartitionMode() {
+  const value = getUserSetting('LISTENING_LOG_PARTITIONS');
+  const mode = (value || 'none').trim().toLowerCase();
+
+  if (!PARTITION_MODES.includes(mode)) {
+    throw new Error(`Unknown LISTENING_LOG_PARTITIONS "${value}". Expected one of: ${PARTITION_MODES.join(', ')}`);
+  }
+
+  return mode;
+}
+
+/**
+ * Check whether the Listening Log is split into monthly partitions
+ * @returns {boolean} True with LISTENING_LOG_PARTITIONS=monthly
+ */
+export function isPartitioned() {
+  return getPartitionMode() === 'monthly';
+}
+
+/**
+ * Get how many months (including the current one) stay live
+ * @returns {number} Months
+ */
+export function getArchiveAfterMonths() {
+  const months = parseInt(getUserSetting('ARCHIVE_AFTER_MONTHS') || String(DEFAULT_ARCHIVE_AFTER_MONTHS), 10);
+  return Math.max(isNaN(months) ? DEFAULT_ARCHIVE_AFTER_MONTHS : months, MIN_ARCHIVE_AFTER_MONTHS);
+}
+
+/**
+ * Get the partition month of a play
+ * @param {string|number|Date} timestamp - Play time
+ * @returns {string|null} UTC month (YYYY-MM), or null for invalid timestamps
+ */
+export function toPartitionMonth(timestamp) {
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 7);
+}
+
+/**
+ * Move a month forward or back
+ * @param {string} month - Month (YYYY-MM)
+ * @param {number} count - Months to add (negative to go back)
+ * @returns {string} Month (YYYY-MM)
+ */
+export function addMonths(month, count) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber - 1 + count, 1)).toISOString().slice(0, 7);
+}
+
+/**
+ * Get the tab of a monthly partition
+ * @param {string} month - Month (YYYY-MM)
+ * @returns {string} Tab name ("Listening Log 2024-03")
+ */
+export function getPartitionSheetName(month) {
+  return `${LISTENING_LOG_SHEET} ${month}`;
+}
+
+/**
+ * Get the archive tab a partition is compacted into
+ * @param {string} month - Month (YYYY-MM)
+ * @returns {string} Tab name ("Listening Log 2024")
+ */
+export function getArchiveSheetName(month) {
+  return `${LISTENING_LOG_SHEET} ${month.slice(0, 4)}`;
+}
+
+/**
+ * Get the tab a play is logged to
+ * @param {string} timestamp - Play time
+ * @returns {string} Partition tab, or "Listening Log" when not partitioned
+ */
+export function getLogSheetName(timestamp) {
+  const month = isPartitioned() ? toPartitionMonth(timestamp) : null;
+  return month ? getPartitionSheetName(month) : LISTENING_LOG_SHEET;
+}
+
+/**
+ * Pick the partitions covering some plays
+ * Every month within PARTITION_WINDOW_MS of a play is covered. Months that
+ * are in the index are read; with `create`, the months of the plays
+ * themselves are read (and created) too. Archived months are left out.
+ * @param {array} timestamps - Play times
+ * @param {object} index - Partition index from state
+ * @param {object} options - { create }
+ * @returns {object} { months: [YYYY-MM], archived: [YYYY-MM] }
+ */
+export function selectPartitions(timestamps, index, options = {}) {
+  const times = timestamps.map(timestamp => new Date(timestamp).getTime()).filter(time => !Number.isNaN(time));
+  if (times.length === 0) {
+    return { months: [], archived: [] };
+  }
+
+  const playMonths = new Set(times.map(toPartitionMonth));
+  const last = toPartitionMonth(Math.max(...times) + PARTITION_WINDOW_MS);
+  const months = [];
+  const archived = [];
+
+  for (let month = toPartitionMonth(Math.min(...times) - PARTITION_WINDOW_MS); month <= last; month = addMonths(month, 1)) {
+    if (index[month]?.archive) {
+      archived.push(month);
+    } else if (index[month] || (options.create && playMonths.has(month))) {
+      months.push(month);
+    }
+  }
+
+  return { months, archived };
+}
+
+/**
+ * Load one Listening Log tab (after adding any new columns)
+ * @param {string} sheetName - Name of the tab
+ * @param {string|null} month - Partition month
+ * @param {array} timestamps - Play times that will be checked
+ * @param {object} options - Options of loadListeningLog
+ * @returns {Promise<object>} { sheetName, month, migration, headers, keys, source, rows }
+ */
+async function loadLogSheet(sheetName, month, timestamps, options) {
+  const migration = options.readOnly ? null : await ensureSheetSchema(sheetName);
+
+  if (options.index) {
+    const dedup = await loadDedupKeys(sheetName, { headers: migration?.headers, timestamps, readOnly: options.readOnly });
+    return { sheetName, month, migration, headers: migration?.headers || dedup.rows?.[0] || [], keys: dedup.keys, source: dedup.source, rows: dedup.rows };
+  }
+
+  const rows = await getAllRows(sheetName);
+  return { sheetName, month, migration, headers: migration?.headers || rows[0] || [], keys: readDedupKeys(rows), source: 'sheet', rows };
+}
+
+/**
+ * Load the Listening Log tabs covering some plays (after adding any new columns)
+ * @param {array} timestamps - Play times (played_at)
+ * @param {object} options - Options
+ * @param {boolean} options.create - Also create the partitions of the plays (default: true)
+ * @param {boolean} options.readOnly - Don't create or migrate any tab (dry runs)
+ * @param {boolean} options.index - Take the dedup keys from the dedup index when it can be trusted
+ *   (see lib/dedup-index.js); `rows` is null for tabs that weren't read
+ * @returns {Promise<array>} [{ sheetName, month, migration, headers, keys, source, rows }] (month is null for the unpartitioned tab)
+ */
+export async function loadListeningLog(timestamps, options = {}) {
+  if (!isPartitioned()) {
+    return [await loadLogSheet(LISTENING_LOG_SHEET, null, timestamps, options)];
+  }
+
+  const sheets = [];
+  const index = await getLogPartitions();
+  const create = options.create !== false && !options.readOnly;
+  const { months, archived } = selectPartitions(timestamps, index, { create });
+  if (archived.length > 0) {
+    console.log(`[Partitions] Not reading archived month(s): ${archived.join(', ')}`);
+  }
+
+  // Until the first partition is written, plays logged before switching are
+  // only in the unpartitioned tab (which may not exist)
+  if (Object.keys(index).length === 0) {
+    const rows = await getAllRows(LISTENING_LOG_SHEET).catch(() => []);
+    if (rows.length > 0) {
+      sheets.push({ sheetName: LISTENING_LOG_SHEET, month: null, migration: null, headers: rows[0], keys: readDedupKeys(rows), source: 'sheet', rows });
+    }
+  }
+
+  for (const month of months) {
+    sheets.push(await loadLogSheet(getPartitionSheetName(month), month, timestamps, options));
+  }
+
+  console.log(`[Partitions] Loaded ${sheets.length} partition(s): ${sheets.map(sheet => sheet.sheetName).join(', ') || 'none'}`);
+  return sheets;
+}
+
+/**
+ * List every live Listening Log tab (for checks that read the whole log)
+ * With partitions, the unpartitioned tab comes first (it keeps the plays
+ * logged before switching and may not exist), then every partition that
+ * isn't archived, oldest first.
+ * @returns {Promise<array>} Tab names
+ */
+export async function listLogSheets() {
+  if (!isPartitioned()) {
+    return [LISTENING_LOG_SHEET];
+  }
+
+  const index = await getLogPartitions();
+  const months = Object.keys(index).filter(month => !index[month].archive).sort();
+  return [LISTENING_LOG_SHEET, ...months.map(month => index[month].sheet)];
+}
+
+/**
+ * Append plays to the Listening Log tabs they belong to
+ * @param {array} tracks - Formatted tracks (lib/data-formatter.js)
+ * Their keys are added to the dedup index.
+ * @param {array} logSheets - Tabs from loadListeningLog (their headers set the column order)
+ * @param {Function} toRow - (track, headerRow) => row
+ * @returns {Promise<object>} { updatedRows, sheets: [names] }
+ */
+export async function appendToListeningLog(tracks, logSheets, toRow) {
+  const groups = new Map();
+  for (const track of tracks) {
+    const sheetName = getLogSheetName(track.timestamp);
+    if (!groups.has(sheetName)) {
+      groups.set(sheetName, []);
+    }
+    groups.get(sheetName).push(track);
+  }
+
+  let updatedRows = 0;
+  const writes = [];
+
+  for (const [sheetName, group] of groups) {
+    const loaded = logSheets.find(sheet => sheet.sheetName === sheetName);
+    const headerRow = loaded ? loaded.headers : (await ensureSheetSchema(sheetName)).headers;
+    const rows = group.map(track => toRow(track, headerRow));
+
+    const result = await appendRows(sheetName, rows);
+    updatedRows += result.updates.updatedRows;
+    await addToDedupIndex(sheetName, rows, headerRow);
+
+    if (sheetName !== LISTENING_LOG_SHEET) {
+      const timestamps = group.map(track => track.timestamp).sort();
+      writes.push({
+        month: toPartitionMonth(timestamps[0]),
+        sheet: sheetName,
+        rows: group.length,
+        firstPlayedAt: timestamps[0],
+        lastPlayedAt: timestamps[timestamps.length - 1]
+      });
+    }
+  }
+
+  if (writes.length > 0) {
+    await recordPartitionRows(writes);
+  }
+
+  return { updatedRows, sheets: [...groups.keys()] };
+}
+
+/**
+ * Get the dedup key of a row
+ * @param {array} row - Row values
+ * @param {object} columns - Column map (createColumnMap)
+ * @returns {string} Timestamp and track ID
+ */
+function toRowKey(row, columns) {
+  return `${readColumn(row, columns, 'timestamp') || ''}|${readColumn(row, columns, 'trackId') || ''}`;
+}
+
+/**
+ * Copy a partition into its yearly archive tab and delete it
+ * Rows already in the archive (same timestamp and track ID) are skipped, so
+ * an archival interrupted before the index was updated can simply run again.
+ * The index marks the month archived before the tab is deleted: once the
+ * rows are copied, nothing reads the partition any more, and a tab that
+ * can't be deleted is only left behind (and reported) instead of being listed
+ * as live without a tab.
+ * Columns added to the partition by hand are added to the archive tab.
+ * @param {string} month - Partition month (YYYY-MM)
+ * @param {object} entry - Partition index entry
+ * @param {object} archiveSink - Sink to archive into
+ * @param {number} now - Current time in ms
+ * @returns {Promise<object>} { month, sheet, archiveSheet, rows, copied, deleted }
+ */
+async function archivePartition(month, entry, archiveSink, now) {
+  const [headerRow = [], ...dataRows] = await getAllRows(entry.sheet);
+  const archiveSheet = getArchiveSheetName(month);
+
+  const migration = await migrateSheetSchema(archiveSink, archiveSheet, getSheetSchema(archiveSheet));
+  let archiveHeaders = migration.headers;
+
+  const extraHeaders = headerRow.filter(header => header && !archiveHeaders.includes(header));
+  if (extraHeaders.length > 0 && dataRows.length > 0) {
+    await archiveSink.insertColumns(archiveSheet, extraHeaders.map((header, i) => ({
+      index: archiveHeaders.length + i,
+      header,
+      defaultValue: ''
+    })));
+    archiveHeaders = [...archiveHeaders, ...extraHeaders];
+  }
+
+  const archiveRows = await archiveSink.getAllRows(archiveSheet);
+  const archiveColumns = createColumnMap(archiveRows[0]);
+  const archived = new Set(archiveRows.slice(1).map(row => toRowKey(row, archiveColumns)));
+
+  const columns = createColumnMap(headerRow);
+  const rowsToCopy = dataRows
+    .filter(row => !archived.has(toRowKey(row, columns)))
+    .map(row => archiveHeaders.map(header => {
+      const index = headerRow.indexOf(header);
+      return index >= 0 ? (row[index] ?? '') : '';
+    }));
+
+  if (rowsToCopy.length > 0) {
+    await archiveSink.appendRows(archiveSheet, rowsToCopy);
+  }
+
+  await markPartitionArchived(month, {
+    sheet: archiveSheet,
+    location: archiveSink.location,
+    rows: dataRows.length,
+    archivedAt: new Date(now).toISOString()
+  });
+
+  let deleted = true;
+  try {
+    await deleteSheet(entry.sheet);
+    await removeFromDedupIndex(entry.sheet);
+  } catch (error) {
+    console.warn(`[Partitions] Archived "${entry.sheet}" but could not delete it (delete the tab by hand):`, error.message);
+    deleted = false;
+  }
+
+  console.log(`[Partitions] Archived "${entry.sheet}" into "${archiveSheet}" (${rowsToCopy.length} of ${dataRows.length} row(s) copied)`);
+  return { month, sheet: entry.sheet, archiveSheet, rows: dataRows.length, copied: rowsToCopy.length, deleted };
+}
+
+/**
+ * Compact partitions older than ARCHIVE_AFTER_MONTHS into the archive
+ * A partition that fails is reported and retried on the next run; the
+ * others are still archived.
+ * @param {object} options - { now (ms), archiveAfterMonths, archiveSink }
+ * @returns {Promise<object>} { archived: [...], failed: [{ month, sheet, error }], keptFrom, location }
+ * @throws {Error} If partitioning is disabled or no archive is configured
+ */
+export async function archiveLogPartitions(options = {}) {
+  if (!isPartitioned()) {
+    throw new Error('Listening Log partitions are disabled (set LISTENING_LOG_PARTITIONS=monthly)');
+  }
+
+  const archiveSink = options.archiveSink || getArchiveSink();
+  if (!archiveSink) {
+    throw new Error('No archive configured (set ARCHIVE_SHEETS_ID to the archive spreadsheet)');
+  }
+
+  const now = options.now ?? Date.now();
+  const keepMonths = Math.max(options.archiveAfterMonths ?? getArchiveAfterMonths(), MIN_ARCHIVE_AFTER_MONTHS);
+  const keptFrom = addMonths(toPartitionMonth(now), 1 - keepMonths);
+
+  const due = Object.entries(await getLogPartitions())
+    .filter(([month, entry]) => !entry.archive && month < keptFrom)
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const archived = [];
+  const failed = [];
+
+  for (const [month, entry] of due) {
+    try {
+      archived.push(await archivePartition(month, entry, archiveSink, now));
+    } catch (error) {
+      console.error(`[Partitions] Failed to archive "${entry.sheet}":`, error.message);
+      failed.push({ month, sheet: entry.sheet, error: error.message });
+    }
+  }
+
+  return { archived, failed, keptFrom, location: archiveSink.location };
+}
@@ -16,14 +16,12 @@ const MIN_PLAY_DURATION_MS = 30000; // 30 seconds
 
 /**
  * Check if a play qualifies for logging (30+ seconds)
+ * Uses the measured play duration when the sampler recorded one for this play.
  * @param {object} track - Recently played track item
  * @param {number} minDuration - Minimum duration in ms (default: 30000)
  * @returns {boolean} True if play qualifies for logging
  */
 export function isValidPlay(track, minDuration = MIN_PLAY_DURATION_MS) {
-  // For recently-played endpoint, we don't have precise play duration
-  // We assume that if the track appears in recently-played, it was played for a significant duration
-  // However, we can estimate based on track duration
   const trackDuration = track.track?.duration_ms || 0;
 
   // If track is shorter than minimum duration, it must have been played fully
@@ -31,8 +29,18 @@ export function isValidPlay(track, minDuration = MIN_PLAY_DURATION_MS) {
     return trackDuration > 0; // Any playback of very short tracks counts
   }
 
-  // For longer tracks, we assume they were played for at least the minimum duration
-  // if they appear in the recently-played list
+  // Sampled plays have a real duration, so the 30-second rule can be enforced
+  if (track.measured_play_ms !== undefined) {
+    return track.measured_play_ms >= minDuration;
+  }
+
+  // Otherwise fall back to the played_at gap estimate when there is one
+  if (track.estimated_play_ms !== undefined) {
+    return track.estimated_play_ms >= minDuration;
+  }
+
+  // Without samples we assume the track was played for at least the minimum
+  // duration if it appears in the recently-played list
   // This is a limitation of the Spotify API - we don't get exact play duration
   return true;
 }
@@ -40,14 +48,20 @@ export function isValidPlay(track, minDuration = MIN_PLAY_DURATION_MS) {
 /**
  * Calculate actual play time from track data
  * Note: Spotify's recently-played endpoint doesn't provide actual play duration,
- * only that the track was played. We can estimate based on context.
+ * only that the track was played. Measured durations from playback sampling are
+ * used when available; otherwise we estimate from context.
  *
  * @param {object} track - Recently played track item
- * @returns {number} Estimated play duration in milliseconds
+ * @returns {number} Play duration in milliseconds
  */
 export function calculateActualPlayTime(track) {
   const trackDuration = track.track?.duration_ms || 0;
 
+  // If the sampler measured this play
+  if (track.measured_play_ms !== undefined) {
+    return track.measured_play_ms;
+  }
+
   // If we have progress_ms from currently-playing endpoint
   if (track.progress_ms !== undefined) {
     return track.progress_ms;
@@ -145,6 +159,75 @@ export function filterNewPlays(recentTracks, lastProcessedState) {
   return filteredTracks;
 }
 
+/**
+ * Filter new skips from recently played tracks
+ * Returns tracks that are new (not duplicates, newer than the last processed
+ * track) but were listened to for less than 30 seconds.
+ *
+ * @param {array} recentTracks - Array of recently played track items from Spotify API
+ * @param {object} lastProcessedState - State containing last processed track info
+ * @returns {array} Skipped tracks
+ */
+export function filterNewSkips(recentTracks, lastProcessedState) {
+  if (!recentTracks || recentTracks.length === 0) {
+    return [];
+  }
+
+  const lastProcessedTime = lastProcessedState?.lastProcessed?.playedAt
+    ? new Date(lastProcessedState.lastProcessed.playedAt).getTime()
+    : 0;
+
+  const skips = recentTracks.filter(track => {
+    if (isValidPlay(track) || !track.track) {
+      return false;
+    }
+
+    if (isDuplicate(track, lastProcessedState?.lastProcessed)) {
+      return false;
+    }
+
+    return new Date(track.played_at).getTime() > lastProcessedTime;
+  });
+
+  if (skips.length > 0) {
+    console.log(`[Play Filter] Found ${skips.length} new skip(s)`);
+  }
+
+  return skips;
+}
+
+/**
+ * Estimate listen times from gaps between consecutive plays
+ * Spotify's played_at marks when a track stopped playing, so the gap between
+ * a play and the one before it is an upper bound on how long it was listened to.
+ * When that gap is shorter than the track, the track was cut short and the gap
+ * is attached as `estimated_play_ms`.
+ *
+ * @param {array} tracks - Array of recently played track items
+ * @returns {array} Tracks in original order (new objects where an estimate was found)
+ */
+export function estimateListenTimes(tracks) {
+  if (!tracks || tracks.length === 0) {
+    return [];
+  }
+
+  const sorted = sortTracksByTimestamp(tracks);
+  const estimates = new Map();
+
+  for (let i = 1; i < sorted.length; i++) {
+    const gap = new Date(sorted[i].played_at).getTime() - new Date(sorted[i - 1].played_at).getTime();
+    const trackDuration = sorted[i].track?.duration_ms || 0;
+
+    if (gap >= 0 && gap < trackDuration) {
+      estimates.set(sorted[i], gap);
+    }
+  }
+
+  return tracks.map(track => (
+    estimates.has(track) ? { ...track, estimated_play_ms: estimates.get(track) } : track
+  ));
+}
+
 /**
  * Sort tracks by played_at timestamp (oldest first)
  * Ensures tracks are logged in chronological order
@@ -0,0 +1,268 @@
+/**
+ * Playback Sessions Module
+ *
+ * Turns currently-playing samples into measured play sessions so the hourly
+ * logger can report real play durations instead of assuming every track in
+ * recently-played was listened to in full.
+ *
+ * How it works:
+ * - The sampler polls getCurrentlyPlaying() and converts each response into a sample
+ * - Consecutive samples of the same track are merged into one session
+ * - A session accumulates listened time from forward progress, capped by wall-clock time
+ *   (so seeking forward doesn't count as listening)
+ * - Restarting a track (progress jumps back near 0) starts a new session
+ * - When the hourly logger sees a recently-played item, the matching session
+ *   supplies the measured play duration
+ *
+ * Session structure:
+ * {
+ *   id, trackId, trackName, durationMs, startedAt, firstSampleAt, lastSampleAt,
+ *   lastProgressMs, maxProgressMs, listenedMs, sampleCount, isPlaying
+ * }
+ */
+
+const RESTART_THRESHOLD_MS = 5000; // Progress below this after a backwards jump = restart
+const MAX_SAMPLE_GAP_MS = 10 * 60 * 1000; // 10 minutes without samples ends a session
+const PROGRESS_TOLERANCE_MS = 2000; // Allowed drift between progress and wall clock
+const MATCH_GRACE_MS = 2 * 60 * 1000; // Tolerance when matching sessions to played_at
+const DEFAULT_SESSION_MAX_AGE_MS = 48 * 60 * 60 * 1000; // 48 hours
+const MAX_SESSIONS = 500;
+
+/**
+ * Create a playback sample from a currently-playing response
+ * @param {object|null} playback - Response from getCurrentlyPlaying()
+ * @param {number} sampledAt - Sample time in ms (default: now)
+ * @returns {object|null} Sample or null if nothing (or a non-track) is playing
+ */
+export function createPlaybackSample(playback, sampledAt = Date.now()) {
+  if (!playback || !playback.item || !playback.item.id) {
+    return null;
+  }
+
+  // Episodes and ads are not tracked as music plays
+  const type = playback.currently_playing_type || playback.item.type;
+  if (type && type !== 'track') {
+    return null;
+  }
+
+  return {
+    trackId: playback.item.id,
+    trackName: playback.item.name || 'Unknown Track',
+    durationMs: playback.item.duration_ms || 0,
+    progressMs: playback.progress_ms || 0,
+    isPlaying: !!playback.is_playing,
+    sampledAt: new Date(sampledAt).toISOString()
+  };
+}
+
+/**
+ * Start a new session from a sample
+ * @param {object} sample - Playback sample
+ * @returns {object} New session
+ */
+function startSession(sample) {
+  const sampledAtMs = new Date(sample.sampledAt).getTime();
+  const startedAt = new Date(sampledAtMs - sample.progressMs).toISOString();
+
+  return {
+    id: `${sample.trackId}:${startedAt}`,
+    trackId: sample.trackId,
+    trackName: sample.trackName,
+    durationMs: sample.durationMs,
+    startedAt,
+    firstSampleAt: sample.sampledAt,
+    lastSampleAt: sample.sampledAt,
+    lastProgressMs: sample.progressMs,
+    maxProgressMs: sample.progressMs,
+    // Assume the part before the first sample was listened to
+    listenedMs: sample.progressMs,
+    sampleCount: 1,
+    isPlaying: sample.isPlaying
+  };
+}
+
+/**
+ * Check whether a sample continues an existing session
+ * @param {object} session - Most recent session
+ * @param {object} sample - New sample
+ * @returns {boolean} True if the sample belongs to the session
+ */
+function continuesSession(session, sample) {
+  if (!session || session.trackId !== sample.trackId) {
+    return false;
+  }
+
+  const gap = new Date(sample.sampledAt).getTime() - new Date(session.lastSampleAt).getTime();
+  if (gap < 0 || gap > MAX_SAMPLE_GAP_MS) {
+    return false;
+  }
+
+  // Jumping back to the start of the track is a new play (restart or repeat-one)
+  const jumpedBack = sample.progressMs < session.lastProgressMs - PROGRESS_TOLERANCE_MS;
+  if (jumpedBack && sample.progressMs < RESTART_THRESHOLD_MS) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Merge a sample into the list of sessions
+ * @param {array} sessions - Existing sessions (not mutated)
+ * @param {object} sample - Sample from createPlaybackSample
+ * @returns {array} Updated sessions
+ */
+export function mergePlaybackSample(sessions, sample) {
+  const existing = Array.isArray(sessions) ? [...sessions] : [];
+
+  if (!sample) {
+    return existing;
+  }
+
+  const latest = existing[existing.length - 1];
+
+  if (!continuesSession(latest, sample)) {
+    existing.push(startSession(sample));
+    return existing;
+  }
+
+  const wallDelta = new Date(sample.sampledAt).getTime() - new Date(latest.lastSampleAt).getTime();
+  const progressDelta = sample.progressMs - latest.lastProgressMs;
+
+  // Only count forward progress, and never more than the time that actually passed
+  let listenedDelta = 0;
+  if (progressDelta > 0 && (latest.isPlaying || sample.isPlaying)) {
+    listenedDelta = Math.min(progressDelta, wallDelta + PROGRESS_TOLERANCE_MS);
+  }
+
+  existing[existing.length - 1] = {
+    ...latest,
+    lastSampleAt: sample.sampledAt,
+    lastProgressMs: sample.progressMs,
+    maxProgressMs: Math.max(latest.maxProgressMs, sample.progressMs),
+    listenedMs: latest.listenedMs + listenedDelta,
+    sampleCount: latest.sampleCount + 1,
+    isPlaying: sample.isPlaying
+  };
+
+  return existing;
+}
+
+/**
+ * Find the session that corresponds to a recently-played item
+ * Spotify's played_at marks when playback of the track ended, so the matching
+ * session is the one for the same track whose last sample is closest before it.
+ *
+ * @param {array} sessions - Recorded sessions
+ * @param {object} item - Recently played item ({ track, played_at })
+ * @returns {object|null} Matching session or null
+ */
+export function findSessionForPlay(sessions, item) {
+  if (!sessions || sessions.length === 0 || !item?.track?.id || !item.played_at) {
+    return null;
+  }
+
+  const playedAt = new Date(item.played_at).getTime();
+  const durationMs = item.track.duration_ms || 0;
+
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const session of sessions) {
+    if (session.trackId !== item.track.id) {
+      continue;
+    }
+
+    const startedAt = new Date(session.startedAt).getTime();
+    const lastSampleAt = new Date(session.lastSampleAt).getTime();
+
+    // Session must have started before the play ended
+    if (startedAt > playedAt + MATCH_GRACE_MS) {
+      continue;
+    }
+
+    // Last sample must be before the end, but not a whole track-length earlier
+    const distance = playedAt - lastSampleAt;
+    if (distance < -MATCH_GRACE_MS || distance > durationMs + MATCH_GRACE_MS) {
+      continue;
+    }
+
+    if (Math.abs(distance) < bestDistance) {
+      best = session;
+      bestDistance = Math.abs(distance);
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Calculate measured play time for a session
+ * Adds the unsampled tail between the last sample and played_at when the track
+ * was still playing at the last sample.
+ *
+ * @param {object} session - Matching session
+ * @param {object} item - Recently played item (optional, for tail estimate)
+ * @returns {number} Measured play duration in milliseconds
+ */
+export function calculateMeasuredPlayTime(session, item = null) {
+  if (!session) {
+    return 0;
+  }
+
+  let listened = session.listenedMs;
+
+  if (item?.played_at && session.isPlaying) {
+    const tail = new Date(item.played_at).getTime() - new Date(session.lastSampleAt).getTime();
+    const remaining = Math.max(0, session.durationMs - session.lastProgressMs);
+    listened += Math.min(Math.max(0, tail), remaining);
+  }
+
+  return session.durationMs > 0 ? Math.min(listened, session.durationMs) : listened;
+}
+
+/**
+ * Attach measured play durations to recently-played items
+ * Items with a matching session get `measured_play_ms` and `play_session_id`;
+ * items without one are returned unchanged.
+ *
+ * @param {array} items - Recently played items
+ * @param {array} sessions - Recorded sessions
+ * @returns {array} Items (new objects where a session matched)
+ */
+export function attachMeasuredPlayTimes(items, sessions) {
+  if (!items || items.length === 0) {
+    return [];
+  }
+
+  return items.map(item => {
+    const session = findSessionForPlay(sessions, item);
+    if (!session) {
+      return item;
+    }
+
+    return {
+      ...item,
+      measured_play_ms: calculateMeasuredPlayTime(session, item),
+      play_session_id: session.id
+    };
+  });
+}
+
+/**
+ * Drop sessions older than the retention window and cap the total count
+ * @param {array} sessions - Recorded sessions
+ * @param {number} maxAgeMs - Maximum session age (default: 48 hours)
+ * @param {number} now - Current time in ms (default: now)
+ * @returns {array} Remaining sessions
+ */
+export function pruneSessions(sessions, maxAgeMs = DEFAULT_SESSION_MAX_AGE_MS, now = Date.now()) {
+  if (!Array.isArray(sessions)) {
+    return [];
+  }
+
+  const cutoff = now - maxAgeMs;
+  const recent = sessions.filter(session => new Date(session.lastSampleAt).getTime() >= cutoff);
+
+  return recent.slice(-MAX_SESSIONS);
+}
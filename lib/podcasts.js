@@ -0,0 +1,221 @@
+import { appendRows, createSheetIfNotExists } from './sinks/index.js';
+
+/**
+ * Podcast and Audiobook Logging Module
+ *
+ * getRecentlyPlayed only returns music tracks, so podcast episodes and
+ * audiobook chapters are picked up by the playback sampler instead:
+ * - The sampler calls getCurrentlyPlaying(['episode', 'audiobook']) so
+ *   episodes and audiobook chapters are returned
+ * - Consecutive samples of the same episode are merged into one listen
+ * - When playback moves on (another episode, a track, or 10 minutes idle)
+ *   the finished listen is kept in state (pendingEpisodes) until it is
+ *   written to the "Podcasts" sheet
+ *
+ * Listen structure:
+ * {
+ *   episodeId, episodeName, showId, showName, publisher, mediaType, durationMs,
+ *   releaseDate, device, startedAt, firstSampleAt, lastSampleAt, lastProgressMs,
+ *   listenedMs, resumePointMs, fullyPlayed, sampleCount, isPlaying
+ * }
+ */
+
+export const PODCASTS_SHEET = 'Podcasts';
+
+const EPISODE_IDLE_MS = 10 * 60 * 1000; // 10 minutes without samples ends a listen
+const PROGRESS_TOLERANCE_MS = 2000; // Allowed drift between progress and wall clock
+const FULLY_PLAYED_REMAINING_MS = 60000; // Within a minute of the end counts as fully played
+
+/**
+ * Get Podcasts sheet headers
+ * @returns {array} Header row
+ */
+export function getPodcastHeaders() {
+  return [
+    'Timestamp',
+    'Show Name',
+    'Episode Name',
+    'Publisher',
+    'Media Type',
+    'Duration (ms)',
+    'Listened (ms)',
+    'Resume Point (ms)',
+    'Fully Played',
+    'Episode ID',
+    'Show ID',
+    'Release Date',
+    'Device',
+    'Started At'
+  ];
+}
+
+/**
+ * Create an episode sample from a currently-playing response
+ * @param {object|null} playback - Response from getCurrentlyPlaying(['episode', 'audiobook'])
+ * @param {number} sampledAt - Sample time in ms (default: now)
+ * @returns {object|null} Sample or null if no episode/chapter is playing
+ */
+export function createEpisodeSample(playback, sampledAt = Date.now()) {
+  const item = playback?.item;
+  if (!item || !item.id || (item.type !== 'episode' && item.type !== 'chapter')) {
+    return null;
+  }
+
+  const isChapter = item.type === 'chapter';
+  const parent = isChapter ? item.audiobook : item.show;
+  const progressMs = playback.progress_ms || 0;
+
+  return {
+    episodeId: item.id,
+    episodeName: item.name || 'Unknown Episode',
+    showId: parent?.id || '',
+    showName: parent?.name || 'Unknown Show',
+    publisher: parent?.publisher || '',
+    mediaType: isChapter ? 'Audiobook' : 'Podcast',
+    durationMs: item.duration_ms || 0,
+    releaseDate: item.release_date || '',
+    device: playback.device?.name || 'Unknown',
+    progressMs,
+    resumePointMs: item.resume_point?.resume_position_ms ?? progressMs,
+    fullyPlayed: item.resume_point?.fully_played === true,
+    isPlaying: !!playback.is_playing,
+    sampledAt: new Date(sampledAt).toISOString()
+  };
+}
+
+/**
+ * Check whether a listen has reached the end of the episode
+ * @param {object} listen - Episode listen
+ * @returns {boolean} True if fully played
+ */
+function reachedEnd(listen) {
+  return listen.durationMs > 0 && listen.lastProgressMs >= listen.durationMs - FULLY_PLAYED_REMAINING_MS;
+}
+
+/**
+ * Start a new listen from a sample
+ * @param {object} sample - Episode sample
+ * @returns {object} New listen
+ */
+function startListen(sample) {
+  const { progressMs, sampledAt, ...details } = sample;
+  const sampledAtMs = new Date(sampledAt).getTime();
+
+  const listen = {
+    ...details,
+    startedAt: new Date(sampledAtMs - progressMs).toISOString(),
+    firstSampleAt: sampledAt,
+    lastSampleAt: sampledAt,
+    lastProgressMs: progressMs,
+    // Unlike music, episodes are often resumed, so time before the first sample isn't counted
+    listenedMs: 0,
+    sampleCount: 1
+  };
+
+  listen.fullyPlayed = listen.fullyPlayed || reachedEnd(listen);
+  return listen;
+}
+
+/**
+ * Merge an episode sample into the current listen
+ * @param {object|null} current - Current listen (not mutated)
+ * @param {object} sample - Sample from createEpisodeSample
+ * @returns {object} { current, finished } - finished is the previous listen when playback moved on
+ */
+export function mergeEpisodeSample(current, sample) {
+  if (!sample) {
+    return { current, finished: null };
+  }
+
+  if (!current) {
+    return { current: startListen(sample), finished: null };
+  }
+
+  const wallDelta = new Date(sample.sampledAt).getTime() - new Date(current.lastSampleAt).getTime();
+
+  if (current.episodeId !== sample.episodeId || wallDelta < 0 || wallDelta > EPISODE_IDLE_MS) {
+    return { current: startListen(sample), finished: current };
+  }
+
+  // Only count forward progress, and never more than the time that actually passed
+  const progressDelta = sample.progressMs - current.lastProgressMs;
+  let listenedDelta = 0;
+  if (progressDelta > 0 && (current.isPlaying || sample.isPlaying)) {
+    listenedDelta = Math.min(progressDelta, wallDelta + PROGRESS_TOLERANCE_MS);
+  }
+
+  const updated = {
+    ...current,
+    device: sample.device,
+    lastSampleAt: sample.sampledAt,
+    lastProgressMs: sample.progressMs,
+    listenedMs: current.listenedMs + listenedDelta,
+    resumePointMs: sample.resumePointMs,
+    sampleCount: current.sampleCount + 1,
+    isPlaying: sample.isPlaying
+  };
+  updated.fullyPlayed = current.fullyPlayed || sample.fullyPlayed || reachedEnd(updated);
+
+  return { current: updated, finished: null };
+}
+
+/**
+ * End the current listen if playback stopped
+ * @param {object|null} current - Current listen
+ * @param {number} now - Current time in ms (default: now)
+ * @param {number} maxIdleMs - Idle time before a listen ends (default: 10 minutes, 0 = immediately)
+ * @returns {object} { current, finished }
+ */
+export function expireEpisode(current, now = Date.now(), maxIdleMs = EPISODE_IDLE_MS) {
+  if (!current) {
+    return { current: null, finished: null };
+  }
+
+  if (now - new Date(current.lastSampleAt).getTime() >= maxIdleMs) {
+    return { current: null, finished: current };
+  }
+
+  return { current, finished: null };
+}
+
+/**
+ * Convert a finished listen to a Podcasts sheet row
+ * @param {object} listen - Finished listen
+ * @returns {array} Row values in getPodcastHeaders order
+ */
+export function formatEpisodeRow(listen) {
+  return [
+    listen.lastSampleAt,
+    listen.showName,
+    listen.episodeName,
+    listen.publisher,
+    listen.mediaType,
+    listen.durationMs,
+    listen.listenedMs,
+    listen.resumePointMs,
+    listen.fullyPlayed,
+    listen.episodeId,
+    listen.showId,
+    listen.releaseDate,
+    listen.device,
+    listen.startedAt
+  ];
+}
+
+/**
+ * Write finished listens to the Podcasts sheet
+ * @param {array} listens - Finished listens
+ * @returns {Promise<number>} Number of rows written
+ */
+export async function logEpisodeListens(listens) {
+  const finished = (listens || []).filter(Boolean);
+  if (finished.length === 0) {
+    return 0;
+  }
+
+  await createSheetIfNotExists(PODCASTS_SHEET, getPodcastHeaders());
+  await appendRows(PODCASTS_SHEET, finished.map(formatEpisodeRow));
+
+  console.log(`[Podcasts] Logged ${finished.length} episode listen(s)`);
+  return finished.length;
+}
@@ -0,0 +1,368 @@
+import { appendRows, createSheetIfNotExists } from './sinks/index.js';
+import { getUserSetting } from './users.js';
+
+/**
+ * Listening Sessions and Streaks Module
+ *
+ * Groups consecutive plays into listening sessions and tracks daily streaks.
+ *
+ * Sessions:
+ * - Spotify's played_at marks when a track ended, so a play started at
+ *   played_at minus its listened time
+ * - A new session starts when the gap since the previous play ended is
+ *   longer than SESSION_GAP_MINUTES (default 20), or the device or context
+ *   URI changes (plays without a context stay in the current session)
+ * - The last session stays open in state until a later play or the
+ *   gap elapsing closes it, then it is written to the "Sessions" sheet
+ *
+ * Streaks:
+ * - A streak is the number of consecutive days (UTC) with at least one play
+ *
+ * Session structure:
+ * {
+ *   start, end, trackCount, listenedMs, device, contextUri,
+ *   contexts: { [uri]: { type, count } }, artists: { [name]: count },
+ *   energy: { sum, count }, valence: { sum, count }
+ * }
+ *
+ * Streak structure:
+ * { current, currentStart, longest, longestStart, longestEnd, lastListenDate }
+ */
+
+export const SESSIONS_SHEET = 'Sessions';
+
+const DEFAULT_SESSION_GAP_MINUTES = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the configured gap that ends a session
+ * @returns {number} Gap in ms
+ */
+export function getSessionGapMs() {
+  const minutes = parseInt(getUserSetting('SESSION_GAP_MINUTES') || String(DEFAULT_SESSION_GAP_MINUTES), 10);
+  return (isNaN(minutes) ? DEFAULT_SESSION_GAP_MINUTES : minutes) * 60 * 1000;
+}
+
+/**
+ * Get Sessions sheet headers
+ * @returns {array} Header row
+ */
+export function getSessionHeaders() {
+  return [
+    'Start',
+    'End',
+    'Duration (min)',
+    'Track Count',
+    'Listened (min)',
+    'Device',
+    'Dominant Context',
+    'Context URI',
+    'Avg Energy',
+    'Avg Valence',
+    'Top Artist'
+  ];
+}
+
+/**
+ * Convert a formatted track (formatTrackForLogging) to a session play
+ * @param {object} track - Formatted track
+ * @returns {object} Session play
+ */
+export function toSessionPlay(track) {
+  return {
+    playedAt: track.timestamp,
+    listenedMs: track.playDuration || track.duration || 0,
+    device: track.device || 'Unknown',
+    context: track.context || '',
+    contextUri: track.contextUri || '',
+    artist: (track.artists || '').split(',')[0].trim(),
+    energy: typeof track.energy === 'number' ? track.energy : null,
+    valence: typeof track.valence === 'number' ? track.valence : null
+  };
+}
+
+/**
+ * Start a new session from a play
+ * @param {object} play - Session play
+ * @returns {object} Session
+ */
+function startSession(play) {
+  const endMs = new Date(play.playedAt).getTime();
+
+  return addToSession({
+    start: new Date(endMs - play.listenedMs).toISOString(),
+    end: play.playedAt,
+    trackCount: 0,
+    listenedMs: 0,
+    device: play.device,
+    contextUri: play.contextUri,
+    contexts: {},
+    artists: {},
+    energy: { sum: 0, count: 0 },
+    valence: { sum: 0, count: 0 }
+  }, play);
+}
+
+/**
+ * Add a play to a session (returns a new session object)
+ * @param {object} session - Session
+ * @param {object} play - Session play
+ * @returns {object} Updated session
+ */
+function addToSession(session, play) {
+  const updated = {
+    ...session,
+    end: new Date(play.playedAt).toISOString(),
+    trackCount: session.trackCount + 1,
+    listenedMs: session.listenedMs + play.listenedMs,
+    contextUri: session.contextUri || play.contextUri,
+    contexts: { ...session.contexts },
+    artists: { ...session.artists },
+    energy: { ...session.energy },
+    valence: { ...session.valence }
+  };
+
+  if (play.contextUri) {
+    const context = updated.contexts[play.contextUri] || { type: play.context, count: 0 };
+    updated.contexts[play.contextUri] = { ...context, count: context.count + 1 };
+  }
+
+  if (play.artist) {
+    updated.artists[play.artist] = (updated.artists[play.artist] || 0) + 1;
+  }
+
+  for (const feature of ['energy', 'valence']) {
+    if (play[feature] !== null && play[feature] !== undefined) {
+      updated[feature].sum += play[feature];
+      updated[feature].count++;
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Check whether a play continues a session
+ * @param {object} session - Open session
+ * @param {object} play - Session play
+ * @param {number} gapMs - Max gap between plays
+ * @returns {boolean} True if the play belongs to the session
+ */
+function continuesSession(session, play, gapMs) {
+  const playStartMs = new Date(play.playedAt).getTime() - play.listenedMs;
+  const gap = playStartMs - new Date(session.end).getTime();
+
+  if (gap > gapMs || play.device !== session.device) {
+    return false;
+  }
+
+  return !play.contextUri || !session.contextUri || play.contextUri === session.contextUri;
+}
+
+/**
+ * Group plays into sessions, continuing from the open session
+ * @param {array} plays - Session plays (any order)
+ * @param {object|null} openSession - Session left open by the previous run
+ * @param {object} options - { gapMs, now } - pass now to close a session whose gap has elapsed
+ * @returns {object} { closed, open } - closed sessions ready to log and the still-open session
+ */
+export function sessionizePlays(plays, openSession = null, options = {}) {
+  const { gapMs = getSessionGapMs(), now = null } = options;
+  const sorted = [...(plays || [])].sort((a, b) => a.playedAt.localeCompare(b.playedAt));
+  const closed = [];
+  let open = openSession;
+
+  for (const play of sorted) {
+    // Plays at or before the end of the open session were already counted
+    if (open && new Date(play.playedAt).getTime() <= new Date(open.end).getTime()) {
+      continue;
+    }
+
+    if (open && continuesSession(open, play, gapMs)) {
+      open = addToSession(open, play);
+    } else {
+      if (open) {
+        closed.push(open);
+      }
+      open = startSession(play);
+    }
+  }
+
+  if (open && now !== null && now - new Date(open.end).getTime() > gapMs) {
+    closed.push(open);
+    open = null;
+  }
+
+  return { closed, open };
+}
+
+/**
+ * Get the key with the highest count
+ * @param {object} counts - { key: count } or { key: { count } }
+ * @returns {string|null} Key or null if empty
+ */
+function topKey(counts) {
+  let best = null;
+  let bestCount = 0;
+
+  for (const [key, value] of Object.entries(counts || {})) {
+    const count = typeof value === 'number' ? value : value.count;
+    if (count > bestCount) {
+      best = key;
+      bestCount = count;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Average a summed feature
+ * @param {object} feature - { sum, count }
+ * @returns {number|null} Average (2 decimal places) or null
+ */
+function average(feature) {
+  return feature?.count > 0 ? Math.round((feature.sum / feature.count) * 100) / 100 : null;
+}
+
+/**
+ * Summarize a session for display and logging
+ * @param {object} session - Session
+ * @returns {object} { start, end, durationMinutes, trackCount, listenedMinutes, device, context, contextUri, avgEnergy, avgValence, topArtist }
+ */
+export function summarizeSession(session) {
+  const contextUri = topKey(session.contexts);
+
+  return {
+    start: session.start,
+    end: session.end,
+    durationMinutes: Math.round((new Date(session.end).getTime() - new Date(session.start).getTime()) / 6000) / 10,
+    trackCount: session.trackCount,
+    listenedMinutes: Math.round(session.listenedMs / 6000) / 10,
+    device: session.device,
+    context: contextUri ? session.contexts[contextUri].type || '' : '',
+    contextUri: contextUri || '',
+    avgEnergy: average(session.energy),
+    avgValence: average(session.valence),
+    topArtist: topKey(session.artists) || ''
+  };
+}
+
+/**
+ * Convert a session to a Sessions sheet row
+ * @param {object} session - Session
+ * @returns {array} Row values in getSessionHeaders order
+ */
+export function formatSessionRow(session) {
+  const summary = summarizeSession(session);
+
+  return [
+    summary.start,
+    summary.end,
+    summary.durationMinutes,
+    summary.trackCount,
+    summary.listenedMinutes,
+    summary.device,
+    summary.context,
+    summary.contextUri,
+    summary.avgEnergy ?? '',
+    summary.avgValence ?? '',
+    summary.topArtist
+  ];
+}
+
+/**
+ * Write closed sessions to the Sessions sheet
+ * @param {array} sessions - Closed sessions
+ * @returns {Promise<number>} Number of rows written
+ */
+export async function logSessions(sessions) {
+  if (!sessions || sessions.length === 0) {
+    return 0;
+  }
+
+  await createSheetIfNotExists(SESSIONS_SHEET, getSessionHeaders());
+  await appendRows(SESSIONS_SHEET, sessions.map(formatSessionRow));
+
+  console.log(`[Sessions] Logged ${sessions.length} session(s)`);
+  return sessions.length;
+}
+
+/**
+ * Get the UTC day key for a timestamp
+ * @param {string|number|Date} value - Timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+export function toDayKey(value) {
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+/**
+ * Number of days between two day keys
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number} Days from "from" to "to"
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Advance a daily streak with a day that had plays
+ * Days at or before the last listen date are ignored
+ * @param {object|null} streak - Current streak
+ * @param {string} dayKey - YYYY-MM-DD
+ * @returns {object} Updated streak
+ */
+export function advanceStreak(streak, dayKey) {
+  if (streak?.lastListenDate && dayKey <= streak.lastListenDate) {
+    return streak;
+  }
+
+  const continues = streak?.lastListenDate && daysBetween(streak.lastListenDate, dayKey) === 1;
+  const current = continues ? streak.current + 1 : 1;
+  const currentStart = continues ? streak.currentStart : dayKey;
+  const isLongest = current > (streak?.longest || 0);
+
+  return {
+    current,
+    currentStart,
+    longest: isLongest ? current : streak.longest,
+    longestStart: isLongest ? currentStart : streak.longestStart,
+    longestEnd: isLongest ? dayKey : streak.longestEnd,
+    lastListenDate: dayKey
+  };
+}
+
+/**
+ * Get the streak as of today
+ * A streak is still active if the last listen was today or yesterday
+ * @param {object|null} streak - Stored streak
+ * @param {number} now - Current time in ms (default: now)
+ * @returns {object} { current, currentStart, longest, longestStart, longestEnd, lastListenDate, active, listenedToday }
+ */
+export function getStreakStatus(streak, now = Date.now()) {
+  if (!streak?.lastListenDate) {
+    return {
+      current: 0,
+      currentStart: null,
+      longest: 0,
+      longestStart: null,
+      longestEnd: null,
+      lastListenDate: null,
+      active: false,
+      listenedToday: false
+    };
+  }
+
+  const sinceLastListen = daysBetween(streak.lastListenDate, toDayKey(now));
+  const active = sinceLastListen <= 1;
+
+  return {
+    ...streak,
+    current: active ? streak.current : 0,
+    currentStart: active ? streak.currentStart : null,
+    active,
+    listenedToday: sinceLastListen === 0
+  };
+}
@@ -0,0 +1,505 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { compileExpression } from './column-expressions.js';
+import { getUserSetting } from './users.js';
+
+/**
+ * Sheet Schema Registry
+ *
+ * Versioned column definitions for the tabs that hold plays (Listening Log,
+ * Skips, Historical Data). Rows are read and written by header name, so a
+ * sheet keeps working when columns are added, and older sheets are upgraded
+ * by inserting the missing columns (see migrateSheetSchema).
+ *
+ * Each column has:
+ * - key: field of the formatted track (lib/data-formatter.js)
+ * - header: header cell in the sheet
+ * - since: schema version that added the column
+ * - defaultValue: value backfilled into existing rows when the column is added
+ *
+ * Schema versions of the Listening Log:
+ * 1. The original 28 columns (Timestamp ... Error Details)
+ * 2. Skipped, Play Type, Estimated Listen (ms) (skip classification)
+ * 3. Non-Music Reason (podcast/audiobook detection)
+ * 4. Missing Enrichment (enrichment pipeline)
+ *
+ * To add a column, append it with the next `since` version; existing sheets
+ * are migrated on the next run.
+ *
+ * Which columns a sheet gets, and in which order, can be customized in a
+ * column config file (COLUMNS_FILE, default: config/columns.json, see
+ * config/columns.example.json). It lists built-in columns by key (or header)
+ * and computed columns as expressions over the formatted track
+ * (lib/column-expressions.js):
+ *
+ * {
+ *   "columns": [
+ *     "timestamp", "trackName", "artists", "trackId", "status",
+ *     { "header": "Hour", "expression": "hour(timestamp)" }
+ *   ]
+ * }
+ *
+ * The config applies to the Listening Log (and its partitions), Skips and
+ * Historical Data tabs.
+ * Reads always know every built-in column, so removing a column from the
+ * config only stops it from being written.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_COLUMNS_FILE = path.join(__dirname, '..', 'config', 'columns.json');
+
+// Columns every configured layout must keep (deduplication and retries read them)
+export const REQUIRED_COLUMN_KEYS = ['timestamp', 'trackId', 'status'];
+
+const LISTENING_LOG_COLUMNS = [
+  { key: 'timestamp', header: 'Timestamp', since: 1 },
+  { key: 'trackName', header: 'Track Name', since: 1 },
+  { key: 'artists', header: 'Artist(s)', since: 1 },
+  { key: 'album', header: 'Album', since: 1 },
+  { key: 'duration', header: 'Duration (ms)', since: 1 },
+  { key: 'playDuration', header: 'Play Duration (ms)', since: 1 },
+  { key: 'completion', header: 'Completion %', since: 1 },
+  { key: 'trackId', header: 'Track ID', since: 1 },
+  { key: 'albumId', header: 'Album ID', since: 1 },
+  { key: 'artistIds', header: 'Artist ID(s)', since: 1 },
+  { key: 'genres', header: 'Genres', since: 1 },
+  { key: 'tempo', header: 'Tempo', since: 1 },
+  { key: 'energy', header: 'Energy', since: 1 },
+  { key: 'danceability', header: 'Danceability', since: 1 },
+  { key: 'valence', header: 'Valence', since: 1 },
+  { key: 'acousticness', header: 'Acousticness', since: 1 },
+  { key: 'instrumentalness', header: 'Instrumentalness', since: 1 },
+  { key: 'speechiness', header: 'Speechiness', since: 1 },
+  { key: 'loudness', header: 'Loudness', since: 1 },
+  { key: 'popularity', header: 'Popularity', since: 1 },
+  { key: 'device', header: 'Device', since: 1 },
+  { key: 'deviceType', header: 'Device Type', since: 1 },
+  { key: 'context', header: 'Context', since: 1 },
+  { key: 'contextUri', header: 'Context URI', since: 1 },
+  { key: 'explicit', header: 'Explicit', since: 1 },
+  { key: 'releaseDate', header: 'Release Date', since: 1 },
+  { key: 'status', header: 'Status', since: 1 },
+  { key: 'errorDetails', header: 'Error Details', since: 1 },
+  { key: 'skipped', header: 'Skipped', since: 2, defaultValue: false },
+  { key: 'playType', header: 'Play Type', since: 2 },
+  { key: 'estimatedListen', header: 'Estimated Listen (ms)', since: 2 },
+  { key: 'nonMusicReason', header: 'Non-Music Reason', since: 3 },
+  { key: 'missingEnrichment', header: 'Missing Enrichment', since: 4 }
+];
+
+/**
+ * Build a schema from its columns
+ * @param {string} name - Schema name
+ * @param {array} columns - Column definitions
+ * @returns {object} { name, version, columns }
+ */
+function defineSchema(name, columns) {
+  return {
+    name,
+    version: Math.max(...columns.map(column => column.since)),
+    columns: columns.map(column => ({ defaultValue: '', ...column }))
+  };
+}
+
+export const LISTENING_LOG_SCHEMA = defineSchema('Listening Log', LISTENING_LOG_COLUMNS);
+
+const IMPORT_TIMESTAMP_COLUMN = { key: 'importTimestamp', header: 'Import Timestamp', since: 1 };
+
+// Same as the Listening Log plus when the play was imported
+export const HISTORICAL_DATA_SCHEMA = defineSchema('Historical Data', [...LISTENING_LOG_COLUMNS, IMPORT_TIMESTAMP_COLUMN]);
+
+const SHEET_SCHEMAS = {
+  'Listening Log': LISTENING_LOG_SCHEMA,
+  'Skips': LISTENING_LOG_SCHEMA,
+  'Historical Data': HISTORICAL_DATA_SCHEMA
+};
+
+// Monthly partitions and yearly archive tabs of the Listening Log (see lib/partitions.js)
+const LISTENING_LOG_PARTITION_PATTERN = /^Listening Log \d{4}(-\d{2})?$/;
+
+/**
+ * Get the registry name a tab's schema is listed under
+ * @param {string} sheetName - Sheet tab name
+ * @returns {string} Registered name ("Listening Log 2024-03" -> "Listening Log")
+ */
+function toRegisteredName(sheetName) {
+  return LISTENING_LOG_PARTITION_PATTERN.test(sheetName) ? 'Listening Log' : sheetName;
+}
+
+// Loaded column configs by file ({ mtimeMs, size, schemas }), reused while the file is unchanged
+const configCache = new Map();
+
+/**
+ * Create a computed column
+ * Evaluation errors (e.g. an unknown time zone) leave the cell empty and are
+ * logged once per column instead of failing the run.
+ * @param {object} entry - { header, expression }
+ * @param {number} since - Schema version to record for the column
+ * @returns {object} Column definition with a compute function
+ * @throws {Error} If the expression is invalid
+ */
+function defineComputedColumn(entry, since) {
+  let evaluate;
+  try {
+    evaluate = compileExpression(entry.expression, LISTENING_LOG_COLUMNS.map(column => column.key));
+  } catch (error) {
+    throw new Error(`Column "${entry.header}": ${error.message}`);
+  }
+
+  let warned = false;
+  return {
+    key: entry.header,
+    header: entry.header,
+    since,
+    expression: entry.expression,
+    compute(record) {
+      try {
+        return evaluate(record);
+      } catch (error) {
+        if (!warned) {
+          console.warn(`[Sheet Schema] Could not compute column "${entry.header}": ${error.message}`);
+          warned = true;
+        }
+        return '';
+      }
+    }
+  };
+}
+
+/**
+ * Parse and validate a column config
+ * @param {array|object} config - Array of entries, or { columns: [...] }. Entries are
+ *   built-in column keys or headers ("trackName" or "Track Name") and computed
+ *   columns ({ header, expression })
+ * @returns {array} Column definitions in config order
+ * @throws {Error} If an entry is unknown, duplicated or invalid, or a required column is missing
+ */
+export function parseColumnConfig(config) {
+  const entries = Array.isArray(config) ? config : config?.columns;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Column config must be a non-empty array of columns (or { "columns": [...] })');
+  }
+
+  const builtInHeaders = [...LISTENING_LOG_COLUMNS, IMPORT_TIMESTAMP_COLUMN].map(column => column.header);
+  const columns = [];
+
+  for (const entry of entries) {
+    let column;
+    if (typeof entry === 'string') {
+      column = LISTENING_LOG_COLUMNS.find(candidate => candidate.key === entry || candidate.header === entry);
+      if (!column) {
+        throw new Error(`Unknown column "${entry}" (expected one of: ${LISTENING_LOG_COLUMNS.map(candidate => candidate.key).join(', ')})`);
+      }
+    } else if (entry && typeof entry.header === 'string' && entry.header.trim() !== '') {
+      if (builtInHeaders.includes(entry.header)) {
+        throw new Error(`Computed column "${entry.header}" has the header of a built-in column`);
+      }
+      column = defineComputedColumn(entry, LISTENING_LOG_SCHEMA.version);
+    } else {
+      throw new Error(`Invalid column entry ${JSON.stringify(entry)} (expected a column key or { "header", "expression" })`);
+    }
+
+    if (columns.some(existing => existing.header === column.header)) {
+      throw new Error(`Duplicate column "${column.header}"`);
+    }
+    columns.push(column);
+  }
+
+  const missing = REQUIRED_COLUMN_KEYS.filter(key => !columns.some(column => column.key === key));
+  if (missing.length > 0) {
+    throw new Error(`Column config must include ${missing.join(', ')}`);
+  }
+
+  return columns;
+}
+
+/**
+ * Build the configured schemas from column definitions
+ * Configured schemas keep the version of the built-in schema, so migrations
+ * report the same versions with and without a config.
+ * @param {array} columns - Columns from parseColumnConfig
+ * @returns {object} { [sheetName]: schema }
+ */
+function configureSchemas(columns) {
+  const configure = (schema, schemaColumns) => ({
+    name: schema.name,
+    version: schema.version,
+    columns: schemaColumns.map(column => ({ defaultValue: '', ...column }))
+  });
+
+  const listeningLog = configure(LISTENING_LOG_SCHEMA, columns);
+  return {
+    'Listening Log': listeningLog,
+    'Skips': listeningLog,
+    'Historical Data': configure(HISTORICAL_DATA_SCHEMA, [...columns, IMPORT_TIMESTAMP_COLUMN])
+  };
+}
+
+/**
+ * Get the column config file of the current user
+ * @returns {string} COLUMNS_FILE, or config/columns.json
+ */
+export function getColumnConfigFile() {
+  return getUserSetting('COLUMNS_FILE') || DEFAULT_COLUMNS_FILE;
+}
+
+/**
+ * Load the configured schemas
+ * Schemas are looked up for every row written, so the file is only read
+ * again when its modification time or size changed.
+ * @returns {object|null} { [sheetName]: schema }, or null if no column config exists
+ * @throws {Error} If the config can't be read or is invalid
+ */
+function loadConfiguredSchemas() {
+  const file = getColumnConfigFile();
+  let stats;
+  let text;
+  try {
+    stats = fs.statSync(file);
+    const cached = configCache.get(file);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      return cached.schemas;
+    }
+    text = fs.readFileSync(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !getUserSetting('COLUMNS_FILE')) {
+      return null;
+    }
+    throw new Error(`Could not read column config ${file}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Column config ${file} is not valid JSON: ${error.message}`);
+  }
+
+  let columns;
+  try {
+    columns = parseColumnConfig(config);
+  } catch (error) {
+    throw new Error(`Invalid column config ${file}: ${error.message}`);
+  }
+
+  const schemas = configureSchemas(columns);
+  configCache.set(file, { mtimeMs: stats.mtimeMs, size: stats.size, schemas });
+  return schemas;
+}
+
+/**
+ * Check whether a column config is in use
+ * @returns {boolean} True if the current user has a column config file
+ * @throws {Error} If the column config is invalid
+ */
+export function hasColumnConfig() {
+  return loadConfiguredSchemas() !== null;
+}
+
+/**
+ * Get the schema of a tab
+ * Listening Log, Skips and Historical Data follow the column config when one exists.
+ * Listening Log partitions ("Listening Log 2024-03") and archive tabs
+ * ("Listening Log 2024") share the Listening Log schema.
+ * @param {string} sheetName - Sheet tab name
+ * @returns {object|null} Schema, or null if the tab has none
+ * @throws {Error} If the column config is invalid
+ */
+export function getSheetSchema(sheetName) {
+  const name = toRegisteredName(sheetName);
+  if (!SHEET_SCHEMAS[name]) {
+    return null;
+  }
+  const configured = loadConfiguredSchemas();
+  return configured ? configured[name] : SHEET_SCHEMAS[name];
+}
+
+/**
+ * Get the header row of a schema version
+ * @param {object} schema - Schema from getSheetSchema
+ * @param {number} version - Schema version (default: latest)
+ * @returns {array} Header row
+ */
+export function getSchemaHeaders(schema, version = schema.version) {
+  return schema.columns.filter(column => column.since <= version).map(column => column.header);
+}
+
+/**
+ * Check whether a header row belongs to a schema (has any of its headers)
+ * Rows without any known header are treated as headerless and use the
+ * latest layout by position.
+ * @param {array} headerRow - First row of the sheet
+ * @param {object} schema - Schema
+ * @returns {boolean} True if at least one header matches
+ */
+export function isSchemaHeaderRow(headerRow, schema) {
+  return (headerRow || []).some(cell => schema.columns.some(column => column.header === cell));
+}
+
+/**
+ * Detect the schema version of a header row
+ * @param {array} headerRow - First row of the sheet
+ * @param {object} schema - Schema
+ * @returns {number} Highest version whose columns are all present (0 if none)
+ */
+export function detectSchemaVersion(headerRow, schema) {
+  const present = new Set(headerRow || []);
+  let version = 0;
+
+  for (let candidate = 1; candidate <= schema.version; candidate++) {
+    const complete = schema.columns
+      .filter(column => column.since === candidate)
+      .every(column => present.has(column.header));
+    if (!complete) {
+      break;
+    }
+    version = candidate;
+  }
+
+  return version;
+}
+
+/**
+ * Plan the columns to insert to bring a header row to the latest version
+ * Missing columns go right after the closest preceding schema column, so
+ * existing columns (including ones added by hand) keep their order.
+ * @param {array} headerRow - First row of the sheet
+ * @param {object} schema - Schema
+ * @returns {object} { fromVersion, toVersion, insertions: [{ index, header, defaultValue }], headers }
+ *   Insertions are applied in order; each index refers to the row after the previous insertions.
+ */
+export function planSchemaMigration(headerRow, schema) {
+  const headers = [...(headerRow || [])];
+  const insertions = [];
+  let position = 0;
+
+  for (const column of schema.columns) {
+    const index = headers.indexOf(column.header);
+    if (index >= 0) {
+      position = Math.max(position, index + 1);
+      continue;
+    }
+
+    headers.splice(position, 0, column.header);
+    insertions.push({ index: position, header: column.header, defaultValue: column.defaultValue });
+    position++;
+  }
+
+  return {
+    fromVersion: detectSchemaVersion(headerRow, schema),
+    toVersion: schema.version,
+    insertions,
+    headers
+  };
+}
+
+/**
+ * Apply column insertions to rows held in memory (local sinks)
+ * @param {array} rows - Rows, header row first
+ * @param {array} insertions - Insertions from planSchemaMigration
+ * @returns {array} Migrated rows
+ */
+export function applySchemaMigration(rows, insertions) {
+  return rows.map((row, rowIndex) => {
+    const migrated = [...row];
+    for (const { index, header, defaultValue } of insertions) {
+      while (migrated.length < index) {
+        migrated.push('');
+      }
+      migrated.splice(index, 0, rowIndex === 0 ? header : defaultValue);
+    }
+    return migrated;
+  });
+}
+
+/**
+ * Map schema keys to column indexes of a header row
+ * @param {array} headerRow - First row of the sheet
+ * @param {object} schema - Schema (default: Listening Log)
+ * @returns {object} { [key]: index } (-1 for columns the sheet doesn't have)
+ */
+export function createColumnMap(headerRow, schema = LISTENING_LOG_SCHEMA) {
+  const headers = isSchemaHeaderRow(headerRow, schema) ? headerRow : getSchemaHeaders(schema);
+  const map = {};
+
+  for (const column of schema.columns) {
+    map[column.key] = headers.indexOf(column.header);
+  }
+
+  return map;
+}
+
+/**
+ * Read a field from a row by schema key
+ * @param {array} row - Sheet row
+ * @param {object} columnMap - Map from createColumnMap
+ * @param {string} key - Schema key (e.g. trackId)
+ * @returns {*} Cell value, or undefined if the sheet has no such column
+ */
+export function readColumn(row, columnMap, key) {
+  const index = columnMap[key];
+  return index >= 0 ? row[index] : undefined;
+}
+
+/**
+ * Convert a record to a row in the column order of a header row
+ * Fields missing from the record get the column default and computed columns
+ * are evaluated against the record. Columns the schema doesn't know (e.g.
+ * added by hand) get null, which the Sheets API leaves unchanged on updates.
+ * @param {object} record - Values by schema key (e.g. a formatted track)
+ * @param {array} headerRow - First row of the target sheet (default: latest layout)
+ * @param {object} schema - Schema (default: Listening Log)
+ * @returns {array} Row values
+ */
+export function toSheetRow(record, headerRow = null, schema = LISTENING_LOG_SCHEMA) {
+  const headers = isSchemaHeaderRow(headerRow, schema) ? headerRow : getSchemaHeaders(schema);
+  const columns = new Map(schema.columns.map(column => [column.header, column]));
+
+  return headers.map(header => {
+    const column = columns.get(header);
+    if (!column) {
+      return null;
+    }
+    const value = column.compute ? column.compute(record) : record[column.key];
+    return value === undefined ? column.defaultValue : value;
+  });
+}
+
+/**
+ * Create a tab if needed and migrate its header row to the latest schema
+ * Works with anything that implements createSheetIfNotExists, getHeaderRow
+ * and insertColumns (lib/sheets-api.js and the storage sinks).
+ * @param {object} store - Sheets API module or storage sink
+ * @param {string} sheetName - Sheet tab name
+ * @param {object} schema - Schema
+ * @returns {Promise<object>} createSheetIfNotExists result plus
+ *   { migrated, fromVersion, toVersion, addedColumns, headers }
+ */
+export async function migrateSheetSchema(store, sheetName, schema) {
+  const latestHeaders = getSchemaHeaders(schema);
+  const result = await store.createSheetIfNotExists(sheetName, latestHeaders);
+
+  if (result.created) {
+    return { ...result, migrated: false, fromVersion: schema.version, toVersion: schema.version, addedColumns: [], headers: latestHeaders };
+  }
+
+  const headerRow = await store.getHeaderRow(sheetName);
+  if (headerRow.length > 0 && !isSchemaHeaderRow(headerRow, schema)) {
+    console.warn(`[Sheet Schema] "${sheetName}" has no recognizable header row; leaving its columns as they are`);
+    return { ...result, migrated: false, fromVersion: null, toVersion: null, addedColumns: [], headers: headerRow };
+  }
+
+  const plan = planSchemaMigration(headerRow, schema);
+  if (plan.insertions.length === 0) {
+    return { ...result, migrated: false, fromVersion: plan.fromVersion, toVersion: plan.fromVersion, addedColumns: [], headers: headerRow };
+  }
+
+  const addedColumns = plan.insertions.map(insertion => insertion.header);
+  console.log(`[Sheet Schema] Migrating "${sheetName}" from v${plan.fromVersion} to v${plan.toVersion}: adding ${addedColumns.join(', ')}`);
+  await store.insertColumns(sheetName, plan.insertions);
+
+  return { ...result, migrated: true, fromVersion: plan.fromVersion, toVersion: plan.toVersion, addedColumns, headers: plan.headers };
+}
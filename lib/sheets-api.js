@@ -1,5 +1,8 @@
 import { google } from 'googleapis';
 import dotenv from 'dotenv';
+import { getCurrentUserId, isDefaultUser, getUserSpreadsheetId } from './users.js';
+import { createErrorPlaceholder, formatAsSheetRow } from './data-formatter.js';
+import { getSheetSchema, migrateSheetSchema } from './sheet-schema.js';
 
 dotenv.config();
 
@@ -12,18 +15,26 @@ dotenv.config();
  * - Retrieve recent rows
  * - Update specific rows
  * - Create sheets with headers
+ * - Delete sheets (archived Listening Log partitions)
+ * - Migrate header rows to the latest sheet schema (lib/sheet-schema.js)
  *
  * Includes:
  * - Automatic authentication via service account
  * - Rate limit handling with exponential backoff
  * - Error handling and retry logic
  * - Batch operations for performance
+ *
+ * All users share the service account; each writes to the spreadsheet of
+ * the current user (GOOGLE_SHEETS_ID, or spreadsheetId in lib/users.js).
  */
 
-const GOOGLE_SHEETS_ID = process.env.GOOGLE_SHEETS_ID;
 const GOOGLE_SERVICE_ACCOUNT_EMAIL = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL;
 const GOOGLE_PRIVATE_KEY = process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n');
 
+// Local stand-in for the Sheets API (see tests/mocks/). Requests are sent
+// unauthenticated, so only a spreadsheet ID is required.
+const GOOGLE_SHEETS_API_URL = process.env.GOOGLE_SHEETS_API_URL;
+
 const MAX_RETRIES = 3;
 const INITIAL_RETRY_DELAY = 1000; // 1 second
 
@@ -39,17 +50,53 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Convert a 0-based column index to its A1 letter (0 -> A, 27 -> AB)
+ * @param {number} index - Column index
+ * @returns {string} Column letter(s)
+ */
+export function toColumnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Get the spreadsheet of the current user
+ * @returns {string} Google Sheets ID
+ * @throws {Error} If no spreadsheet is configured for the user
+ */
+export function getSpreadsheetId() {
+  const spreadsheetId = getUserSpreadsheetId();
+  if (!spreadsheetId) {
+    const userId = getCurrentUserId();
+    throw new Error(`Missing GOOGLE_SHEETS_ID in environment variables${isDefaultUser(userId) ? '' : ` (or spreadsheetId for user "${userId}")`}`);
+  }
+  return spreadsheetId;
+}
+
 /**
  * Initialize and return authenticated Google Sheets API client
  * @returns {Promise<object>} Authenticated sheets client
  * @throws {Error} If credentials are missing or invalid
  */
 export async function initSheetsClient() {
+  getSpreadsheetId();
+
   if (sheetsClient) {
     return sheetsClient;
   }
 
-  if (!GOOGLE_SHEETS_ID || !GOOGLE_SERVICE_ACCOUNT_EMAIL || !GOOGLE_PRIVATE_KEY) {
+  if (GOOGLE_SHEETS_API_URL) {
+    sheetsClient = google.sheets({ version: 'v4', rootUrl: GOOGLE_SHEETS_API_URL.replace(/\/?$/, '/') });
+    console.log(`[Sheets API] Client initialized against ${GOOGLE_SHEETS_API_URL}`);
+
+    return sheetsClient;
+  }
+
+  if (!GOOGLE_SERVICE_ACCOUNT_EMAIL || !GOOGLE_PRIVATE_KEY) {
     throw new Error('Missing Google Sheets credentials in environment variables');
   }
 
@@ -137,7 +184,7 @@ export async function appendRows(sheetName, values) {
 
   return await makeSheetsRequest(async () => {
     const response = await sheets.spreadsheets.values.append({
-      spreadsheetId: GOOGLE_SHEETS_ID,
+      spreadsheetId: getSpreadsheetId(),
       range: `${sheetName}!A:ZZ`,
       valueInputOption: 'USER_ENTERED', // Allows Google Sheets to interpret values (dates, numbers, etc.)
       insertDataOption: 'INSERT_ROWS',
@@ -167,20 +214,26 @@ export async function batchAppendRows(sheetName, values) {
 
 /**
  * Get the last N rows from a sheet
+ * Without a row count the whole sheet is read to find its end. With the
+ * number of rows the sheet is expected to have (e.g. from the dedup index),
+ * only the rows from there on are requested; rows appended since are
+ * included in the read.
  * @param {string} sheetName - Name of the sheet tab
  * @param {number} n - Number of rows to retrieve
- * @returns {Promise<array>} Array of rows
+ * @param {object} options - Options
+ * @param {number} options.rowCount - Expected rows in the sheet, including the header
+ * @returns {Promise<array>} Array of rows (never the header row)
  */
-export async function getLastNRows(sheetName, n = 10) {
+export async function getLastNRows(sheetName, n = 10, options = {}) {
   const sheets = await initSheetsClient();
+  const startRow = options.rowCount ? Math.max(2, options.rowCount - n + 1) : null;
 
-  console.log(`[Sheets API] Retrieving last ${n} row(s) from "${sheetName}"`);
+  console.log(`[Sheets API] Retrieving last ${n} row(s) from "${sheetName}"${startRow ? ` (from row ${startRow})` : ''}`);
 
   return await makeSheetsRequest(async () => {
-    // First, get all data to determine the range
     const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: GOOGLE_SHEETS_ID,
-      range: `${sheetName}!A:ZZ`
+      spreadsheetId: getSpreadsheetId(),
+      range: startRow ? `${sheetName}!A${startRow}:ZZ` : `${sheetName}!A:ZZ`
     });
 
     const rows = response.data.values || [];
@@ -191,7 +244,7 @@ export async function getLastNRows(sheetName, n = 10) {
     }
 
     // Return last N rows (excluding header row)
-    const startIndex = Math.max(1, rows.length - n);
+    const startIndex = startRow ? Math.max(0, rows.length - n) : Math.max(1, rows.length - n);
     const lastRows = rows.slice(startIndex);
 
     console.log(`[Sheets API] Retrieved ${lastRows.length} row(s)`);
@@ -211,7 +264,7 @@ export async function getAllRows(sheetName) {
 
   return await makeSheetsRequest(async () => {
     const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: GOOGLE_SHEETS_ID,
+      spreadsheetId: getSpreadsheetId(),
       range: `${sheetName}!A:ZZ`
     });
 
@@ -235,7 +288,7 @@ export async function updateRow(sheetName, rowIndex, values) {
 
   return await makeSheetsRequest(async () => {
     const response = await sheets.spreadsheets.values.update({
-      spreadsheetId: GOOGLE_SHEETS_ID,
+      spreadsheetId: getSpreadsheetId(),
       range: `${sheetName}!A${rowIndex}:ZZ${rowIndex}`,
       valueInputOption: 'USER_ENTERED',
       resource: {
@@ -248,6 +301,50 @@ export async function updateRow(sheetName, rowIndex, values) {
   });
 }
 
+/**
+ * Delete rows from a sheet
+ * Rows below a deleted row shift up, so the rows are deleted bottom-up in a
+ * single batchUpdate.
+ * @param {string} sheetName - Name of the sheet tab
+ * @param {array} rowIndexes - Row numbers to delete (1-indexed, row 1 is the header)
+ * @returns {Promise<object>} { deletedRows }
+ * @throws {Error} If the sheet doesn't exist or a row index is the header
+ */
+export async function deleteRows(sheetName, rowIndexes) {
+  const sheets = await initSheetsClient();
+  const rows = [...new Set(rowIndexes)].sort((a, b) => b - a);
+  if (rows.length === 0) {
+    return { deletedRows: 0 };
+  }
+  if (rows.some(rowIndex => !Number.isInteger(rowIndex) || rowIndex < 2)) {
+    throw new Error(`Cannot delete rows ${rows.join(', ')} of "${sheetName}" (data rows start at 2)`);
+  }
+
+  const metadata = await getSpreadsheetMetadata();
+  const sheet = metadata.sheets.find(entry => entry.properties.title === sheetName);
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" does not exist`);
+  }
+
+  console.log(`[Sheets API] Deleting ${rows.length} row(s) from "${sheetName}"`);
+
+  await makeSheetsRequest(async () => {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId: getSpreadsheetId(),
+      resource: {
+        requests: rows.map(rowIndex => ({
+          deleteDimension: {
+            range: { sheetId: sheet.properties.sheetId, dimension: 'ROWS', startIndex: rowIndex - 1, endIndex: rowIndex }
+          }
+        }))
+      }
+    });
+  });
+
+  console.log(`[Sheets API] Deleted rows ${rows.reverse().join(', ')} from "${sheetName}"`);
+  return { deletedRows: rows.length };
+}
+
 /**
  * Create a new sheet tab if it doesn't exist, with headers
  * @param {string} sheetName - Name of the sheet tab to create
@@ -262,7 +359,7 @@ export async function createSheetIfNotExists(sheetName, headers) {
   return await makeSheetsRequest(async () => {
     // Get spreadsheet metadata to check if sheet exists
     const spreadsheet = await sheets.spreadsheets.get({
-      spreadsheetId: GOOGLE_SHEETS_ID
+      spreadsheetId: getSpreadsheetId()
     });
 
     const existingSheet = spreadsheet.data.sheets.find(
@@ -277,7 +374,7 @@ export async function createSheetIfNotExists(sheetName, headers) {
     // Create new sheet
     console.log(`[Sheets API] Creating new sheet "${sheetName}"`);
     const createResponse = await sheets.spreadsheets.batchUpdate({
-      spreadsheetId: GOOGLE_SHEETS_ID,
+      spreadsheetId: getSpreadsheetId(),
       resource: {
         requests: [{
           addSheet: {
@@ -302,6 +399,127 @@ export async function createSheetIfNotExists(sheetName, headers) {
   });
 }
 
+/**
+ * Delete a sheet tab
+ * @param {string} sheetName - Name of the sheet tab
+ * @returns {Promise<object>} { deleted } (false if the tab didn't exist)
+ */
+export async function deleteSheet(sheetName) {
+  const sheets = await initSheetsClient();
+  const metadata = await getSpreadsheetMetadata();
+  const sheet = metadata.sheets.find(entry => entry.properties.title === sheetName);
+  if (!sheet) {
+    return { deleted: false };
+  }
+
+  console.log(`[Sheets API] Deleting sheet "${sheetName}"`);
+
+  await makeSheetsRequest(async () => {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId: getSpreadsheetId(),
+      resource: {
+        requests: [{ deleteSheet: { sheetId: sheet.properties.sheetId } }]
+      }
+    });
+  });
+
+  console.log(`[Sheets API] Deleted sheet "${sheetName}"`);
+  return { deleted: true };
+}
+
+/**
+ * Get the header row of a sheet
+ * @param {string} sheetName - Name of the sheet tab
+ * @returns {Promise<array>} Header cells (empty if the sheet is empty)
+ */
+export async function getHeaderRow(sheetName) {
+  const sheets = await initSheetsClient();
+
+  return await makeSheetsRequest(async () => {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId: getSpreadsheetId(),
+      range: `${sheetName}!1:1`
+    });
+
+    return response.data.values?.[0] || [];
+  });
+}
+
+/**
+ * Insert columns into a sheet and fill them in
+ * Existing cells (and any formatting or formulas) shift right; the header
+ * cell is written and, if the column has a non-empty default, every data row
+ * is backfilled with it.
+ * @param {string} sheetName - Name of the sheet tab
+ * @param {array} insertions - [{ index, header, defaultValue }] applied in order (see planSchemaMigration)
+ * @returns {Promise<object>} { insertedColumns }
+ */
+export async function insertColumns(sheetName, insertions) {
+  const sheets = await initSheetsClient();
+  const metadata = await getSpreadsheetMetadata();
+  const sheet = metadata.sheets.find(entry => entry.properties.title === sheetName);
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" does not exist`);
+  }
+
+  const rowCount = (await getAllRows(sheetName)).length;
+
+  console.log(`[Sheets API] Inserting ${insertions.length} column(s) into "${sheetName}"`);
+
+  await makeSheetsRequest(async () => {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId: getSpreadsheetId(),
+      resource: {
+        requests: insertions.map(({ index }) => ({
+          insertDimension: {
+            range: { sheetId: sheet.properties.sheetId, dimension: 'COLUMNS', startIndex: index, endIndex: index + 1 },
+            inheritFromBefore: index > 0
+          }
+        }))
+      }
+    });
+  });
+
+  const data = insertions.map(({ index, header, defaultValue }) => {
+    const column = toColumnLetter(index);
+    const backfill = defaultValue === '' ? 0 : Math.max(0, rowCount - 1);
+    return {
+      range: `${sheetName}!${column}1:${column}${1 + backfill}`,
+      values: [[header], ...Array.from({ length: backfill }, () => [defaultValue])]
+    };
+  });
+
+  await makeSheetsRequest(async () => {
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId: getSpreadsheetId(),
+      resource: {
+        valueInputOption: 'USER_ENTERED',
+        data
+      }
+    });
+  });
+
+  console.log(`[Sheets API] Added ${insertions.map(insertion => insertion.header).join(', ')} to "${sheetName}"`);
+  return { insertedColumns: insertions.length };
+}
+
+/**
+ * Create a sheet if needed and migrate it to the latest schema
+ * Inserts columns the sheet is missing (see lib/sheet-schema.js) without
+ * reordering existing data.
+ * @param {string} sheetName - Name of the sheet tab
+ * @param {object} schema - Schema (default: the tab's registered schema)
+ * @returns {Promise<object>} { exists, sheetId, created?, migrated, fromVersion, toVersion, addedColumns, headers }
+ * @throws {Error} If the tab has no schema
+ */
+export async function ensureSheetSchema(sheetName, schema = getSheetSchema(sheetName)) {
+  if (!schema) {
+    throw new Error(`No schema registered for sheet "${sheetName}"`);
+  }
+
+  return await migrateSheetSchema({ createSheetIfNotExists, getHeaderRow, insertColumns }, sheetName, schema);
+}
+
 /**
  * Write error placeholder row for failed track processing
  * @param {string} sheetName - Name of the sheet tab
@@ -310,38 +528,7 @@ export async function createSheetIfNotExists(sheetName, headers) {
  * @returns {Promise<object>} Append response
  */
 export async function writeErrorPlaceholder(sheetName, partialTrack, error) {
-  const timestamp = new Date().toISOString();
-
-  const errorRow = [
-    timestamp,
-    partialTrack.track?.name || 'ERROR: Unable to fetch',
-    partialTrack.track?.artists?.[0]?.name || 'Unknown',
-    partialTrack.track?.album?.name || 'Unknown',
-    partialTrack.track?.duration_ms || 0,
-    0, // Play Duration
-    0, // Completion %
-    partialTrack.track?.id || '',
-    partialTrack.track?.album?.id || '',
-    partialTrack.track?.artists?.[0]?.id || '',
-    '', // Genres
-    null, // Tempo
-    null, // Energy
-    null, // Danceability
-    null, // Valence
-    null, // Acousticness
-    null, // Instrumentalness
-    null, // Speechiness
-    null, // Loudness
-    null, // Popularity
-    'Unknown', // Device
-    'Unknown', // Device Type
-    'None', // Context
-    '', // Context URI
-    false, // Explicit
-    '', // Release Date
-    'ERROR', // Status
-    error // Error Details
-  ];
+  const errorRow = formatAsSheetRow(createErrorPlaceholder(partialTrack, error), await getHeaderRow(sheetName));
 
   console.log(`[Sheets API] Writing error placeholder for track: ${partialTrack.track?.name || 'Unknown'}`);
   return await appendRows(sheetName, [errorRow]);
@@ -359,7 +546,7 @@ export async function clearSheetData(sheetName) {
 
   return await makeSheetsRequest(async () => {
     const response = await sheets.spreadsheets.values.clear({
-      spreadsheetId: GOOGLE_SHEETS_ID,
+      spreadsheetId: getSpreadsheetId(),
       range: `${sheetName}!A2:ZZ`
     });
 
@@ -377,7 +564,7 @@ export async function getSpreadsheetMetadata() {
 
   return await makeSheetsRequest(async () => {
     const response = await sheets.spreadsheets.get({
-      spreadsheetId: GOOGLE_SHEETS_ID
+      spreadsheetId: getSpreadsheetId()
     });
 
     return response.data;
@@ -0,0 +1,226 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  resolveStorageDir,
+  toFileSlug,
+  normalizeRow,
+  generateHeaders,
+  assertDataRowIndex
+} from './local-rows.js';
+import { applySchemaMigration } from '../sheet-schema.js';
+
+/**
+ * CSV Storage Sink
+ *
+ * Stores each sheet as a CSV file in the storage directory
+ * (e.g. .data/listening-log.csv). The first line is the header row.
+ *
+ * Appends are cheap (file append); row updates and deletions rewrite the file.
+ */
+
+/**
+ * Escape a single CSV field
+ * @param {string} value - Cell value
+ * @returns {string} Escaped field
+ */
+function escapeField(value) {
+  if (/[",\r\n]/.test(value)) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+}
+
+/**
+ * Serialize a row as a CSV line
+ * @param {array} row - Row values
+ * @returns {string} CSV line (with trailing newline)
+ */
+export function toCsvLine(row) {
+  return normalizeRow(row).map(escapeField).join(',') + '\n';
+}
+
+/**
+ * Parse CSV text into rows (RFC 4180, quoted fields may contain newlines)
+ * @param {string} text - CSV file content
+ * @returns {array} Array of row arrays
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Create a CSV sink
+ * @param {object} options - Sink options
+ * @param {string} options.directory - Directory for CSV files (default: STORAGE_DIR or .data/)
+ * @param {function} options.getDefaultHeaders - Returns headers for a sheet that doesn't exist yet
+ * @returns {object} Sink implementation
+ */
+export function createCsvSink(options = {}) {
+  const directory = resolveStorageDir(options.directory);
+  const getDefaultHeaders = options.getDefaultHeaders || (() => null);
+
+  function filePath(sheetName) {
+    return path.join(directory, `${toFileSlug(sheetName)}.csv`);
+  }
+
+  async function fileExists(sheetName) {
+    try {
+      await fs.access(filePath(sheetName));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async function writeHeaders(sheetName, headers) {
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(filePath(sheetName), toCsvLine(headers), 'utf-8');
+    console.log(`[CSV Sink] Created "${sheetName}" at ${filePath(sheetName)}`);
+  }
+
+  async function createSheetIfNotExists(sheetName, headers) {
+    if (await fileExists(sheetName)) {
+      return { exists: true, sheetId: filePath(sheetName) };
+    }
+
+    await writeHeaders(sheetName, headers && headers.length > 0 ? headers : (getDefaultHeaders(sheetName) || []));
+    return { exists: false, sheetId: filePath(sheetName), created: true };
+  }
+
+  async function appendRows(sheetName, values) {
+    if (!(await fileExists(sheetName))) {
+      const headers = getDefaultHeaders(sheetName) || generateHeaders(values[0]?.length || 0);
+      await writeHeaders(sheetName, headers);
+    }
+
+    console.log(`[CSV Sink] Appending ${values.length} row(s) to "${sheetName}"`);
+    await fs.appendFile(filePath(sheetName), values.map(toCsvLine).join(''), 'utf-8');
+
+    return { updates: { updatedRows: values.length } };
+  }
+
+  async function getAllRows(sheetName) {
+    try {
+      const text = await fs.readFile(filePath(sheetName), 'utf-8');
+      return parseCsv(text);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  // The file is read whole anyway, so the expected row count isn't needed
+  async function getLastNRows(sheetName, n = 10) {
+    const rows = await getAllRows(sheetName);
+    return rows.slice(Math.max(1, rows.length - n));
+  }
+
+  async function updateRow(sheetName, rowIndex, values) {
+    const rows = await getAllRows(sheetName);
+    assertDataRowIndex(rowIndex, rows.length, sheetName);
+
+    rows[rowIndex - 1] = normalizeRow(values);
+    await fs.writeFile(filePath(sheetName), rows.map(toCsvLine).join(''), 'utf-8');
+
+    console.log(`[CSV Sink] Updated row ${rowIndex} in "${sheetName}"`);
+    return { updatedRows: 1 };
+  }
+
+  async function deleteRows(sheetName, rowIndexes) {
+    const rows = await getAllRows(sheetName);
+    const deleted = new Set(rowIndexes);
+    for (const rowIndex of deleted) {
+      assertDataRowIndex(rowIndex, rows.length, sheetName);
+    }
+
+    const kept = rows.filter((_, i) => !deleted.has(i + 1));
+    await fs.writeFile(filePath(sheetName), kept.map(toCsvLine).join(''), 'utf-8');
+
+    console.log(`[CSV Sink] Deleted ${deleted.size} row(s) from "${sheetName}"`);
+    return { deletedRows: deleted.size };
+  }
+
+  async function getHeaderRow(sheetName) {
+    return (await getAllRows(sheetName))[0] || [];
+  }
+
+  async function insertColumns(sheetName, insertions) {
+    const rows = applySchemaMigration(await getAllRows(sheetName), insertions);
+    await fs.writeFile(filePath(sheetName), rows.map(toCsvLine).join(''), 'utf-8');
+
+    console.log(`[CSV Sink] Added ${insertions.map(insertion => insertion.header).join(', ')} to "${sheetName}"`);
+    return { insertedColumns: insertions.length };
+  }
+
+  async function deleteSheet(sheetName) {
+    const deleted = await fileExists(sheetName);
+    await fs.rm(filePath(sheetName), { force: true });
+
+    if (deleted) {
+      console.log(`[CSV Sink] Deleted "${sheetName}"`);
+    }
+    return { deleted };
+  }
+
+  return {
+    name: 'csv',
+    location: directory,
+    appendRows,
+    getAllRows,
+    getLastNRows,
+    updateRow,
+    deleteRows,
+    createSheetIfNotExists,
+    getHeaderRow,
+    insertColumns,
+    deleteSheet
+  };
+}
@@ -0,0 +1,219 @@
+import path from 'path';
+import { getSheetSchema, getSchemaHeaders, migrateSheetSchema } from '../sheet-schema.js';
+import { createSheetsSink } from './sheets.js';
+import { createSqliteSink } from './sqlite.js';
+import { createCsvSink } from './csv.js';
+import { createJsonlSink } from './jsonl.js';
+import { resolveStorageDir } from './local-rows.js';
+import { getCurrentUserId, getUserSetting } from '../users.js';
+
+/**
+ * Storage Sink Selection
+ *
+ * Routes row storage to the sink selected by STORAGE_SINK:
+ * - sheets (default): Google Sheets via lib/sheets-api.js
+ * - sqlite: single SQLite database file (.data/spotify-logger.sqlite)
+ * - csv: one CSV file per tab (.data/listening-log.csv, ...)
+ * - jsonl: one append-only JSON Lines file per tab (.data/listening-log.jsonl, ...)
+ *
+ * Every sink exposes the same row-based interface as lib/sheets-api.js
+ * (appendRows, getAllRows, getLastNRows, updateRow, deleteRows, createSheetIfNotExists,
+ * getHeaderRow, insertColumns, deleteSheet), so dedup, retry and import logic work unchanged.
+ * ensureSheetSchema migrates any sink to the latest sheet schema. Local sinks write to STORAGE_DIR
+ * (default: .data/). Each user (lib/users.js) gets its own sink instance:
+ * their spreadsheet, or a users/<id>/ subdirectory for local sinks.
+ *
+ * Archived Listening Log partitions (lib/partitions.js) go to an archive
+ * sink of the same type: the ARCHIVE_SHEETS_ID spreadsheet, or an archive/
+ * subdirectory of the storage directory for local sinks.
+ */
+
+export const SINK_TYPES = ['sheets', 'sqlite', 'csv', 'jsonl'];
+
+const SINK_FACTORIES = {
+  sheets: createSheetsSink,
+  sqlite: createSqliteSink,
+  csv: createCsvSink,
+  jsonl: createJsonlSink
+};
+
+// Sink instances by user ID
+const cachedSinks = new Map();
+
+/**
+ * Get configured sink type from environment
+ * @returns {string} Sink type
+ * @throws {Error} If STORAGE_SINK is not a known sink
+ */
+export function getSinkType() {
+  const type = (process.env.STORAGE_SINK || 'sheets').trim().toLowerCase();
+
+  if (!SINK_TYPES.includes(type)) {
+    throw new Error(`Unknown STORAGE_SINK "${process.env.STORAGE_SINK}". Expected one of: ${SINK_TYPES.join(', ')}`);
+  }
+
+  return type;
+}
+
+/**
+ * Headers for tabs that may be written before they are explicitly created
+ * @param {string} sheetName - Sheet tab name
+ * @returns {array|null} Header row, or null if unknown
+ */
+export function getDefaultHeaders(sheetName) {
+  const schema = getSheetSchema(sheetName);
+  return schema ? getSchemaHeaders(schema) : null;
+}
+
+/**
+ * Create a sink instance
+ * @param {string} type - Sink type (default: STORAGE_SINK)
+ * @param {object} options - Sink options (e.g. { directory } or { spreadsheetId })
+ * @returns {object} Sink implementation
+ */
+export function createSink(type = getSinkType(), options = {}) {
+  const factory = SINK_FACTORIES[type];
+  if (!factory) {
+    throw new Error(`Unknown storage sink "${type}". Expected one of: ${SINK_TYPES.join(', ')}`);
+  }
+
+  return factory({ getDefaultHeaders, ...options });
+}
+
+/**
+ * Get the configured sink of the current user (cached per process)
+ * @returns {object} Sink implementation
+ */
+export function getSink() {
+  const type = getSinkType();
+  const userId = getCurrentUserId();
+  let sink = cachedSinks.get(userId);
+
+  if (!sink || sink.name !== type) {
+    sink = createSink(type);
+    cachedSinks.set(userId, sink);
+    console.log(`[Storage Sink] Using "${sink.name}" sink for user ${userId}${sink.location ? ` (${sink.location})` : ''}`);
+  }
+
+  return sink;
+}
+
+/**
+ * Create the archive sink of the current user
+ * @returns {object|null} Sink implementation, or null for the sheets sink without ARCHIVE_SHEETS_ID
+ */
+export function getArchiveSink() {
+  const type = getSinkType();
+
+  if (type === 'sheets') {
+    const spreadsheetId = getUserSetting('ARCHIVE_SHEETS_ID');
+    return spreadsheetId ? createSink(type, { spreadsheetId }) : null;
+  }
+
+  return createSink(type, { directory: path.join(resolveStorageDir(), 'archive') });
+}
+
+/**
+ * Reset cached sinks (for testing or after changing STORAGE_SINK)
+ */
+export function resetSink() {
+  cachedSinks.clear();
+}
+
+/**
+ * Get information about the active sink
+ * @returns {object} Sink info
+ */
+export function getSinkInfo() {
+  const sink = getSink();
+  return {
+    sink: sink.name,
+    location: sink.location
+  };
+}
+
+/**
+ * Append rows to a tab
+ * @param {string} sheetName - Name of the sheet tab
+ * @param {array} values - 2D array of values to append
+ * @returns {Promise<object>} Append response
+ */
+export async function appendRows(sheetName, values) {
+  return await getSink().appendRows(sheetName, values);
+}
+
+/**
+ * Get all rows from a tab (header row first)
+ * @param {string} sheetName - Name of the sheet tab
+ * @returns {Promise<array>} Array of all rows
+ */
+export async function getAllRows(sheetName) {
+  return await getSink().getAllRows(sheetName);
+}
+
+/**
+ * Get the last rows of a tab (never the header row)
+ * @param {string} sheetName - Name of the sheet tab
+ * @param {number} n - Number of rows to retrieve
+ * @param {object} options - { rowCount }: rows the tab is expected to have, so
+ *   Google Sheets only reads from there on (see lib/sheets-api.js)
+ * @returns {Promise<array>} Array of rows
+ */
+export async function getLastNRows(sheetName, n, options = {}) {
+  return await getSink().getLastNRows(sheetName, n, options);
+}
+
+/**
+ * Update a specific row (1-indexed, row 1 is the header)
+ * @param {string} sheetName - Name of the sheet tab
+ * @param {number} rowIndex - Row number
+ * @param {array} values - Array of values for the row
+ * @returns {Promise<object>} Update response
+ */
+export async function updateRow(sheetName, rowIndex, values) {
+  return await getSink().updateRow(sheetName, rowIndex, values);
+}
+
+/**
+ * Delete rows (1-indexed, row 1 is the header); the rows below shift up
+ * @param {string} sheetName - Name of the sheet tab
+ * @param {array} rowIndexes - Row numbers
+ * @returns {Promise<object>} { deletedRows }
+ */
+export async function deleteRows(sheetName, rowIndexes) {
+  return await getSink().deleteRows(sheetName, rowIndexes);
+}
+
+/**
+ * Create a tab if it doesn't exist
+ * @param {string} sheetName - Name of the sheet tab
+ * @param {array} headers - Header row values
+ * @returns {Promise<object>} { exists, sheetId, created? }
+ */
+export async function createSheetIfNotExists(sheetName, headers) {
+  return await getSink().createSheetIfNotExists(sheetName, headers);
+}
+
+/**
+ * Delete a tab
+ * @param {string} sheetName - Name of the sheet tab
+ * @returns {Promise<object>} { deleted } (false if the tab didn't exist)
+ */
+export async function deleteSheet(sheetName) {
+  return await getSink().deleteSheet(sheetName);
+}
+
+/**
+ * Create a tab if needed and migrate it to the latest schema (see lib/sheet-schema.js)
+ * @param {string} sheetName - Name of the sheet tab
+ * @param {object} schema - Schema (default: the tab's registered schema)
+ * @returns {Promise<object>} { exists, created?, migrated, fromVersion, toVersion, addedColumns, headers }
+ * @throws {Error} If the tab has no schema
+ */
+export async function ensureSheetSchema(sheetName, schema = getSheetSchema(sheetName)) {
+  if (!schema) {
+    throw new Error(`No schema registered for sheet "${sheetName}"`);
+  }
+
+  return await migrateSheetSchema(getSink(), sheetName, schema);
+}
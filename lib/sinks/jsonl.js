@@ -0,0 +1,256 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  resolveStorageDir,
+  toFileSlug,
+  normalizeRow,
+  generateHeaders,
+  assertDataRowIndex
+} from './local-rows.js';
+import { applySchemaMigration } from '../sheet-schema.js';
+
+/**
+ * JSONL Storage Sink (append-only)
+ *
+ * Stores each sheet as a JSON Lines file in the storage directory
+ * (e.g. .data/listening-log.jsonl). The file is never rewritten - every
+ * operation is a new line:
+ *
+ *   {"op":"header","columns":["Timestamp","Track Name",...]}
+ *   {"op":"append","data":{"Timestamp":"...","Track Name":"..."}}
+ *   {"op":"update","rowIndex":5,"data":{...}}
+ *   {"op":"delete-rows","rowIndexes":[7,9]}
+ *   {"op":"insert-columns","insertions":[{"index":28,"header":"Skipped","defaultValue":false}]}
+ *
+ * Reading replays the log, so updates (e.g. from retry-failed) replace the
+ * original row, and deleted rows disappear, while the full history stays on disk. Rows are keyed by
+ * header name, which makes the files easy to query with jq.
+ */
+
+/**
+ * Convert a row array into an object keyed by header
+ * @param {array} columns - Header names
+ * @param {array} row - Row values
+ * @returns {object} Row object
+ */
+function rowToObject(columns, row) {
+  const normalized = normalizeRow(row);
+  const data = {};
+
+  normalized.forEach((value, i) => {
+    data[columns[i] || `Column ${i + 1}`] = value;
+  });
+
+  return data;
+}
+
+/**
+ * Convert a row object back into an array in header order
+ * @param {array} columns - Header names
+ * @param {object} data - Row object
+ * @returns {array} Row values
+ */
+function objectToRow(columns, data) {
+  const row = columns.map(column => data[column] ?? '');
+
+  // Keep values for columns that were not in the header
+  for (const [key, value] of Object.entries(data)) {
+    if (!columns.includes(key)) {
+      row.push(value);
+    }
+  }
+
+  return row;
+}
+
+/**
+ * Replay a JSONL log into header + rows
+ * @param {string} text - File content
+ * @returns {object} { columns, rows }
+ */
+export function replayJsonl(text) {
+  let columns = [];
+  const rows = [];
+
+  for (const line of text.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      console.warn('[JSONL Sink] Skipping unreadable line');
+      continue;
+    }
+
+    if (entry.op === 'header') {
+      columns = entry.columns || [];
+    } else if (entry.op === 'append') {
+      rows.push(objectToRow(columns, entry.data || {}));
+    } else if (entry.op === 'update' && entry.rowIndex >= 2 && entry.rowIndex - 2 < rows.length) {
+      rows[entry.rowIndex - 2] = objectToRow(columns, entry.data || {});
+    } else if (entry.op === 'delete-rows') {
+      // Bottom-up, so earlier deletions don't shift the later ones
+      const rowIndexes = [...new Set(entry.rowIndexes || [])].sort((a, b) => b - a);
+      for (const rowIndex of rowIndexes) {
+        if (rowIndex >= 2 && rowIndex - 2 < rows.length) {
+          rows.splice(rowIndex - 2, 1);
+        }
+      }
+    } else if (entry.op === 'insert-columns') {
+      const [migratedColumns, ...migratedRows] = applySchemaMigration([columns, ...rows], entry.insertions || []);
+      columns = migratedColumns;
+      rows.splice(0, rows.length, ...migratedRows.map(normalizeRow));
+    }
+  }
+
+  return { columns, rows };
+}
+
+/**
+ * Create a JSONL sink
+ * @param {object} options - Sink options
+ * @param {string} options.directory - Directory for JSONL files (default: STORAGE_DIR or .data/)
+ * @param {function} options.getDefaultHeaders - Returns headers for a sheet that doesn't exist yet
+ * @returns {object} Sink implementation
+ */
+export function createJsonlSink(options = {}) {
+  const directory = resolveStorageDir(options.directory);
+  const getDefaultHeaders = options.getDefaultHeaders || (() => null);
+
+  function filePath(sheetName) {
+    return path.join(directory, `${toFileSlug(sheetName)}.jsonl`);
+  }
+
+  async function readLog(sheetName) {
+    try {
+      return replayJsonl(await fs.readFile(filePath(sheetName), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function writeEntries(sheetName, entries) {
+    await fs.mkdir(directory, { recursive: true });
+    const lines = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    await fs.appendFile(filePath(sheetName), lines, 'utf-8');
+  }
+
+  async function createSheetIfNotExists(sheetName, headers) {
+    if (await readLog(sheetName)) {
+      return { exists: true, sheetId: filePath(sheetName) };
+    }
+
+    const columns = headers && headers.length > 0 ? headers : (getDefaultHeaders(sheetName) || []);
+    await writeEntries(sheetName, [{ op: 'header', columns }]);
+    console.log(`[JSONL Sink] Created "${sheetName}" at ${filePath(sheetName)}`);
+
+    return { exists: false, sheetId: filePath(sheetName), created: true };
+  }
+
+  async function appendRows(sheetName, values) {
+    let log = await readLog(sheetName);
+    const entries = [];
+
+    if (!log) {
+      const columns = getDefaultHeaders(sheetName) || generateHeaders(values[0]?.length || 0);
+      entries.push({ op: 'header', columns });
+      log = { columns, rows: [] };
+    }
+
+    for (const row of values) {
+      entries.push({ op: 'append', data: rowToObject(log.columns, row) });
+    }
+
+    console.log(`[JSONL Sink] Appending ${values.length} row(s) to "${sheetName}"`);
+    await writeEntries(sheetName, entries);
+
+    return { updates: { updatedRows: values.length } };
+  }
+
+  async function getAllRows(sheetName) {
+    const log = await readLog(sheetName);
+    if (!log) {
+      return [];
+    }
+
+    return [log.columns, ...log.rows];
+  }
+
+  async function getLastNRows(sheetName, n = 10) {
+    const rows = await getAllRows(sheetName);
+    return rows.slice(Math.max(1, rows.length - n));
+  }
+
+  async function updateRow(sheetName, rowIndex, values) {
+    const log = await readLog(sheetName);
+    assertDataRowIndex(rowIndex, log ? log.rows.length + 1 : 0, sheetName);
+
+    await writeEntries(sheetName, [{
+      op: 'update',
+      rowIndex,
+      updatedAt: new Date().toISOString(),
+      data: rowToObject(log.columns, values)
+    }]);
+
+    console.log(`[JSONL Sink] Recorded update for row ${rowIndex} in "${sheetName}"`);
+    return { updatedRows: 1 };
+  }
+
+  async function deleteRows(sheetName, rowIndexes) {
+    const log = await readLog(sheetName);
+    const deleted = [...new Set(rowIndexes)];
+    for (const rowIndex of deleted) {
+      assertDataRowIndex(rowIndex, log ? log.rows.length + 1 : 0, sheetName);
+    }
+
+    await writeEntries(sheetName, [{
+      op: 'delete-rows',
+      rowIndexes: deleted,
+      deletedAt: new Date().toISOString()
+    }]);
+
+    console.log(`[JSONL Sink] Recorded deletion of ${deleted.length} row(s) in "${sheetName}"`);
+    return { deletedRows: deleted.length };
+  }
+
+  async function getHeaderRow(sheetName) {
+    return (await readLog(sheetName))?.columns || [];
+  }
+
+  async function insertColumns(sheetName, insertions) {
+    await writeEntries(sheetName, [{ op: 'insert-columns', insertions }]);
+
+    console.log(`[JSONL Sink] Added ${insertions.map(insertion => insertion.header).join(', ')} to "${sheetName}"`);
+    return { insertedColumns: insertions.length };
+  }
+
+  async function deleteSheet(sheetName) {
+    const deleted = (await readLog(sheetName)) !== null;
+    await fs.rm(filePath(sheetName), { force: true });
+
+    if (deleted) {
+      console.log(`[JSONL Sink] Deleted "${sheetName}"`);
+    }
+    return { deleted };
+  }
+
+  return {
+    name: 'jsonl',
+    location: directory,
+    appendRows,
+    getAllRows,
+    getLastNRows,
+    updateRow,
+    deleteRows,
+    createSheetIfNotExists,
+    getHeaderRow,
+    insertColumns,
+    deleteSheet
+  };
+}
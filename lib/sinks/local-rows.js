@@ -0,0 +1,92 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getCurrentUserId, isDefaultUser } from '../users.js';
+
+/**
+ * Shared helpers for local (file-based) storage sinks
+ *
+ * Local sinks mimic what the Google Sheets API returns so that deduplication,
+ * retry and import logic can treat every sink the same way:
+ * - getAllRows returns [headerRow, ...dataRows]
+ * - Cell values come back as strings ('' for empty, 'TRUE'/'FALSE' for booleans)
+ * - Row indexes are 1-indexed with row 1 being the header
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_STORAGE_DIR = path.join(__dirname, '..', '..', '.data');
+
+/**
+ * Get the directory local sinks write to
+ * Users other than the default one write to <STORAGE_DIR>/users/<id>/.
+ * @param {string} directory - Explicit directory (optional)
+ * @returns {string} Storage directory
+ */
+export function resolveStorageDir(directory) {
+  if (directory) {
+    return directory;
+  }
+
+  const base = process.env.STORAGE_DIR || DEFAULT_STORAGE_DIR;
+  const userId = getCurrentUserId();
+  return isDefaultUser(userId) ? base : path.join(base, 'users', userId);
+}
+
+/**
+ * Convert a sheet name to a file-system friendly slug
+ * @param {string} sheetName - Sheet tab name (e.g. "Listening Log")
+ * @returns {string} Slug (e.g. "listening-log")
+ */
+export function toFileSlug(sheetName) {
+  return sheetName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'sheet';
+}
+
+/**
+ * Convert a value to the string form the Sheets API would return
+ * @param {any} value - Cell value
+ * @returns {string} Cell as string
+ */
+export function toCellString(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  return String(value);
+}
+
+/**
+ * Normalize a row for storage (strings, like Sheets USER_ENTERED output)
+ * @param {array} row - Row values
+ * @returns {array} Normalized row
+ */
+export function normalizeRow(row) {
+  return (row || []).map(toCellString);
+}
+
+/**
+ * Generate placeholder headers when a sheet is created without any
+ * @param {number} count - Number of columns
+ * @returns {array} Header row
+ */
+export function generateHeaders(count) {
+  return Array.from({ length: count }, (_, i) => `Column ${i + 1}`);
+}
+
+/**
+ * Validate a 1-indexed data row index
+ * @param {number} rowIndex - Row number (row 1 is the header)
+ * @param {number} totalRows - Total rows including header
+ * @param {string} sheetName - Sheet name (for error messages)
+ * @throws {Error} If the row index is out of range
+ */
+export function assertDataRowIndex(rowIndex, totalRows, sheetName) {
+  if (!Number.isInteger(rowIndex) || rowIndex < 2 || rowIndex > totalRows) {
+    throw new Error(`Row ${rowIndex} does not exist in "${sheetName}"`);
+  }
+}
@@ -0,0 +1,52 @@
+import {
+  appendRows,
+  getAllRows,
+  getLastNRows,
+  updateRow,
+  deleteRows,
+  createSheetIfNotExists,
+  getHeaderRow,
+  insertColumns,
+  deleteSheet
+} from '../sheets-api.js';
+import { getCurrentUser, getUserSpreadsheetId, runAsUser } from '../users.js';
+
+/**
+ * Google Sheets Storage Sink
+ *
+ * The default sink. Thin adapter over lib/sheets-api.js so Google Sheets can
+ * be swapped for a local sink without changing the handlers.
+ */
+
+const OPERATIONS = { appendRows, getAllRows, getLastNRows, updateRow, deleteRows, createSheetIfNotExists, getHeaderRow, insertColumns, deleteSheet };
+
+/**
+ * Bind sheets-api operations to another spreadsheet of the current user
+ * lib/sheets-api.js reads the spreadsheet from the current user, so each
+ * call runs as a copy of the user with the given spreadsheet.
+ * @param {string} spreadsheetId - Google Sheets ID
+ * @returns {object} Operations by name
+ */
+function bindToSpreadsheet(spreadsheetId) {
+  return Object.fromEntries(Object.entries(OPERATIONS).map(([name, operation]) => [
+    name,
+    (...args) => runAsUser({ ...getCurrentUser(), spreadsheetId }, () => operation(...args))
+  ]));
+}
+
+/**
+ * Create a Google Sheets sink
+ * @param {object} options - Sink options
+ * @param {string} options.spreadsheetId - Spreadsheet to use (default: the current user's, e.g. an archive spreadsheet)
+ * @returns {object} Sink implementation
+ */
+export function createSheetsSink(options = {}) {
+  const spreadsheetId = options.spreadsheetId || getUserSpreadsheetId();
+  return {
+    name: 'sheets',
+    location: spreadsheetId
+      ? `https://docs.google.com/spreadsheets/d/${spreadsheetId}`
+      : null,
+    ...(options.spreadsheetId ? bindToSpreadsheet(options.spreadsheetId) : OPERATIONS)
+  };
+}
@@ -0,0 +1,440 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  resolveStorageDir,
+  toCellString,
+  generateHeaders,
+  assertDataRowIndex
+} from './local-rows.js';
+import { isDefaultUser } from '../users.js';
+
+/**
+ * SQLite Storage Sink
+ *
+ * Stores every sheet as a table in a single SQLite database file
+ * (default: .data/spotify-logger.sqlite). Column names are snake_case
+ * versions of the sheet headers, so plays can be queried directly:
+ *
+ *   SELECT artist_s, COUNT(*) FROM listening_log GROUP BY artist_s;
+ *
+ * Uses sql.js (SQLite compiled to WebAssembly) so no native build is needed.
+ * The database is loaded into memory and written back to disk after each change.
+ */
+
+const DEFAULT_DB_FILE = 'spotify-logger.sqlite';
+const META_TABLE = 'sink_tables';
+
+/**
+ * Convert a header to a SQL column name
+ * @param {string} header - Header (e.g. "Duration (ms)")
+ * @returns {string} Column name (e.g. "duration_ms")
+ */
+export function toColumnName(header) {
+  return String(header)
+    .toLowerCase()
+    .replace(/%/g, ' pct')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Build unique column names for a header row
+ * @param {array} headers - Header row
+ * @returns {array} Column names (same length as headers)
+ */
+function buildColumnNames(headers) {
+  const used = new Set(['row_id']);
+  return headers.map((header, i) => claimColumnName(header, i, used));
+}
+
+/**
+ * Pick a column name for a header that isn't taken yet
+ * @param {string} header - Header
+ * @param {number} index - Column position (for headers without usable characters)
+ * @param {Set} used - Names already taken (the new name is added)
+ * @returns {string} Column name
+ */
+function claimColumnName(header, index, used) {
+  let name = toColumnName(header) || `column_${index + 1}`;
+  if (/^[0-9]/.test(name)) {
+    name = `c_${name}`;
+  }
+
+  let unique = name;
+  let suffix = 2;
+  while (used.has(unique)) {
+    unique = `${name}_${suffix++}`;
+  }
+  used.add(unique);
+  return unique;
+}
+
+/**
+ * Quote an SQL identifier
+ * @param {string} name - Identifier
+ * @returns {string} Quoted identifier
+ */
+function quote(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Convert a cell value for storage (numbers stay numeric for SQL queries)
+ * @param {any} value - Cell value
+ * @returns {any} SQL value
+ */
+function toSqlValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  return toCellString(value);
+}
+
+/**
+ * Create a SQLite sink
+ * @param {object} options - Sink options
+ * @param {string} options.directory - Directory for the database (default: STORAGE_DIR or .data/)
+ * @param {string} options.file - Database file path (default: SQLITE_FILE or <directory>/spotify-logger.sqlite;
+ *   SQLITE_FILE only applies to the default user without an explicit directory)
+ * @param {function} options.getDefaultHeaders - Returns headers for a sheet that doesn't exist yet
+ * @returns {object} Sink implementation
+ */
+export function createSqliteSink(options = {}) {
+  const directory = resolveStorageDir(options.directory);
+  const dbFile = options.file || (isDefaultUser() && !options.directory ? process.env.SQLITE_FILE : null) || path.join(directory, DEFAULT_DB_FILE);
+  const getDefaultHeaders = options.getDefaultHeaders || (() => null);
+
+  let dbPromise = null;
+
+  /**
+   * Open (or create) the database, loading sql.js lazily
+   * @returns {Promise<object>} sql.js Database
+   */
+  async function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = (async () => {
+        // Dynamic import so sql.js is only loaded when the SQLite sink is used
+        const { default: initSqlJs } = await import('sql.js');
+        const SQL = await initSqlJs();
+
+        let db;
+        try {
+          const data = await fs.readFile(dbFile);
+          db = new SQL.Database(data);
+          console.log(`[SQLite Sink] Opened database ${dbFile}`);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+          db = new SQL.Database();
+          console.log(`[SQLite Sink] Creating new database ${dbFile}`);
+        }
+
+        db.run(`CREATE TABLE IF NOT EXISTS ${META_TABLE} (
+          sheet_name TEXT PRIMARY KEY,
+          table_name TEXT NOT NULL,
+          headers TEXT NOT NULL,
+          columns TEXT NOT NULL
+        )`);
+
+        return db;
+      })();
+    }
+
+    return dbPromise;
+  }
+
+  /**
+   * Write the in-memory database back to disk
+   * @param {object} db - sql.js Database
+   */
+  async function persist(db) {
+    await fs.mkdir(path.dirname(dbFile), { recursive: true });
+    await fs.writeFile(dbFile, Buffer.from(db.export()));
+  }
+
+  /**
+   * Get table metadata for a sheet
+   * @param {object} db - sql.js Database
+   * @param {string} sheetName - Sheet name
+   * @returns {object|null} { tableName, headers, columns } or null
+   */
+  function getTableInfo(db, sheetName) {
+    const result = db.exec(
+      `SELECT table_name, headers, columns FROM ${META_TABLE} WHERE sheet_name = ?`,
+      [sheetName]
+    );
+
+    if (result.length === 0 || result[0].values.length === 0) {
+      return null;
+    }
+
+    const [tableName, headers, columns] = result[0].values[0];
+    return {
+      tableName,
+      headers: JSON.parse(headers),
+      columns: JSON.parse(columns)
+    };
+  }
+
+  /**
+   * Create the table for a sheet
+   * @param {object} db - sql.js Database
+   * @param {string} sheetName - Sheet name
+   * @param {array} headers - Header row
+   * @returns {object} Table metadata
+   */
+  function createTable(db, sheetName, headers) {
+    const tableName = toColumnName(sheetName) || 'sheet';
+    const columns = buildColumnNames(headers);
+    const columnDefs = columns.map(column => `${quote(column)}`).join(', ');
+
+    db.run(`CREATE TABLE IF NOT EXISTS ${quote(tableName)} (row_id INTEGER PRIMARY KEY AUTOINCREMENT${columnDefs ? `, ${columnDefs}` : ''})`);
+    db.run(
+      `INSERT OR REPLACE INTO ${META_TABLE} (sheet_name, table_name, headers, columns) VALUES (?, ?, ?, ?)`,
+      [sheetName, tableName, JSON.stringify(headers), JSON.stringify(columns)]
+    );
+
+    console.log(`[SQLite Sink] Created table "${tableName}" for "${sheetName}"`);
+    return { tableName, headers, columns };
+  }
+
+  /**
+   * Add columns when a row has more values than the table
+   * @param {object} db - sql.js Database
+   * @param {string} sheetName - Sheet name
+   * @param {object} info - Table metadata
+   * @param {number} width - Required number of columns
+   * @returns {object} Updated table metadata
+   */
+  function ensureWidth(db, sheetName, info, width) {
+    if (width <= info.columns.length) {
+      return info;
+    }
+
+    const headers = [...info.headers, ...generateHeaders(width).slice(info.headers.length)];
+    const columns = buildColumnNames(headers);
+
+    for (const column of columns.slice(info.columns.length)) {
+      db.run(`ALTER TABLE ${quote(info.tableName)} ADD COLUMN ${quote(column)}`);
+    }
+    db.run(
+      `UPDATE ${META_TABLE} SET headers = ?, columns = ? WHERE sheet_name = ?`,
+      [JSON.stringify(headers), JSON.stringify(columns), sheetName]
+    );
+
+    return { ...info, headers, columns };
+  }
+
+  async function createSheetIfNotExists(sheetName, headers) {
+    const db = await openDatabase();
+    const existing = getTableInfo(db, sheetName);
+
+    if (existing) {
+      return { exists: true, sheetId: existing.tableName };
+    }
+
+    const info = createTable(db, sheetName, headers && headers.length > 0 ? headers : (getDefaultHeaders(sheetName) || []));
+    await persist(db);
+
+    return { exists: false, sheetId: info.tableName, created: true };
+  }
+
+  async function appendRows(sheetName, values) {
+    const db = await openDatabase();
+    let info = getTableInfo(db, sheetName);
+
+    if (!info) {
+      info = createTable(db, sheetName, getDefaultHeaders(sheetName) || generateHeaders(values[0]?.length || 0));
+    }
+
+    const width = Math.max(0, ...values.map(row => row.length));
+    info = ensureWidth(db, sheetName, info, width);
+
+    console.log(`[SQLite Sink] Appending ${values.length} row(s) to "${sheetName}"`);
+
+    db.run('BEGIN');
+    try {
+      for (const row of values) {
+        const columns = info.columns.slice(0, row.length);
+        if (columns.length === 0) {
+          db.run(`INSERT INTO ${quote(info.tableName)} DEFAULT VALUES`);
+          continue;
+        }
+
+        const placeholders = columns.map(() => '?').join(', ');
+        db.run(
+          `INSERT INTO ${quote(info.tableName)} (${columns.map(quote).join(', ')}) VALUES (${placeholders})`,
+          row.map(toSqlValue)
+        );
+      }
+      db.run('COMMIT');
+    } catch (error) {
+      db.run('ROLLBACK');
+      throw error;
+    }
+
+    await persist(db);
+    return { updates: { updatedRows: values.length } };
+  }
+
+  async function getAllRows(sheetName) {
+    const db = await openDatabase();
+    const info = getTableInfo(db, sheetName);
+
+    if (!info) {
+      return [];
+    }
+
+    if (info.columns.length === 0) {
+      return [info.headers];
+    }
+
+    const result = db.exec(
+      `SELECT ${info.columns.map(quote).join(', ')} FROM ${quote(info.tableName)} ORDER BY row_id`
+    );
+    const rows = result.length > 0 ? result[0].values.map(row => row.map(toCellString)) : [];
+
+    return [info.headers, ...rows];
+  }
+
+  async function getLastNRows(sheetName, n = 10) {
+    const db = await openDatabase();
+    const info = getTableInfo(db, sheetName);
+
+    if (!info || info.columns.length === 0) {
+      return [];
+    }
+
+    const result = db.exec(
+      `SELECT ${info.columns.map(quote).join(', ')} FROM ${quote(info.tableName)} ORDER BY row_id DESC LIMIT ?`,
+      [n]
+    );
+    const rows = result.length > 0 ? result[0].values.map(row => row.map(toCellString)) : [];
+
+    return rows.reverse();
+  }
+
+  async function updateRow(sheetName, rowIndex, values) {
+    const db = await openDatabase();
+    let info = getTableInfo(db, sheetName);
+
+    const countResult = info ? db.exec(`SELECT COUNT(*) FROM ${quote(info.tableName)}`) : [];
+    const dataRows = countResult.length > 0 ? countResult[0].values[0][0] : 0;
+    assertDataRowIndex(rowIndex, info ? dataRows + 1 : 0, sheetName);
+
+    info = ensureWidth(db, sheetName, info, values.length);
+
+    // Row 2 is the first data row
+    const idResult = db.exec(
+      `SELECT row_id FROM ${quote(info.tableName)} ORDER BY row_id LIMIT 1 OFFSET ?`,
+      [rowIndex - 2]
+    );
+    const rowId = idResult[0].values[0][0];
+
+    const assignments = info.columns.map(column => `${quote(column)} = ?`).join(', ');
+    const rowValues = info.columns.map((_, i) => toSqlValue(values[i]));
+    db.run(`UPDATE ${quote(info.tableName)} SET ${assignments} WHERE row_id = ?`, [...rowValues, rowId]);
+
+    await persist(db);
+    console.log(`[SQLite Sink] Updated row ${rowIndex} in "${sheetName}"`);
+    return { updatedRows: 1 };
+  }
+
+  async function deleteRows(sheetName, rowIndexes) {
+    const db = await openDatabase();
+    const info = getTableInfo(db, sheetName);
+    const deleted = [...new Set(rowIndexes)];
+
+    const idResult = info ? db.exec(`SELECT row_id FROM ${quote(info.tableName)} ORDER BY row_id`) : [];
+    const rowIds = idResult.length > 0 ? idResult[0].values.map(([rowId]) => rowId) : [];
+    for (const rowIndex of deleted) {
+      assertDataRowIndex(rowIndex, info ? rowIds.length + 1 : 0, sheetName);
+    }
+
+    // Row 2 is the first data row
+    const ids = deleted.map(rowIndex => rowIds[rowIndex - 2]);
+    if (ids.length > 0) {
+      db.run(`DELETE FROM ${quote(info.tableName)} WHERE row_id IN (${ids.map(() => '?').join(', ')})`, ids);
+      await persist(db);
+    }
+
+    console.log(`[SQLite Sink] Deleted ${ids.length} row(s) from "${sheetName}"`);
+    return { deletedRows: ids.length };
+  }
+
+  async function getHeaderRow(sheetName) {
+    const db = await openDatabase();
+    return getTableInfo(db, sheetName)?.headers || [];
+  }
+
+  async function insertColumns(sheetName, insertions) {
+    const db = await openDatabase();
+    const info = getTableInfo(db, sheetName);
+    if (!info) {
+      throw new Error(`Sheet "${sheetName}" does not exist`);
+    }
+
+    // Table columns keep their physical order; the metadata sets the row order
+    const headers = [...info.headers];
+    const columns = [...info.columns];
+    const used = new Set(['row_id', ...columns]);
+
+    db.run('BEGIN');
+    try {
+      for (const { index, header, defaultValue } of insertions) {
+        const column = claimColumnName(header, index, used);
+        db.run(`ALTER TABLE ${quote(info.tableName)} ADD COLUMN ${quote(column)}`);
+        if (defaultValue !== '') {
+          db.run(`UPDATE ${quote(info.tableName)} SET ${quote(column)} = ?`, [toSqlValue(defaultValue)]);
+        }
+        headers.splice(index, 0, header);
+        columns.splice(index, 0, column);
+      }
+      db.run(
+        `UPDATE ${META_TABLE} SET headers = ?, columns = ? WHERE sheet_name = ?`,
+        [JSON.stringify(headers), JSON.stringify(columns), sheetName]
+      );
+      db.run('COMMIT');
+    } catch (error) {
+      db.run('ROLLBACK');
+      throw error;
+    }
+
+    await persist(db);
+    console.log(`[SQLite Sink] Added ${insertions.map(insertion => insertion.header).join(', ')} to "${sheetName}"`);
+    return { insertedColumns: insertions.length };
+  }
+
+  async function deleteSheet(sheetName) {
+    const db = await openDatabase();
+    const info = getTableInfo(db, sheetName);
+    if (!info) {
+      return { deleted: false };
+    }
+
+    db.run(`DROP TABLE IF EXISTS ${quote(info.tableName)}`);
+    db.run(`DELETE FROM ${META_TABLE} WHERE sheet_name = ?`, [sheetName]);
+    await persist(db);
+
+    console.log(`[SQLite Sink] Dropped table "${info.tableName}" of "${sheetName}"`);
+    return { deleted: true };
+  }
+
+  return {
+    name: 'sqlite',
+    location: dbFile,
+    appendRows,
+    getAllRows,
+    getLastNRows,
+    updateRow,
+    deleteRows,
+    createSheetIfNotExists,
+    getHeaderRow,
+    insertColumns,
+    deleteSheet
+  };
+}
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { getAccessToken } from './spotify-auth.js';
+import { getPersisted, setPersisted, recordLookup, flushMetadataCache, getSessionCacheStats, resetMetadataCache } from './metadata-cache.js';
 
 /**
  * Spotify API Wrapper Module
@@ -14,17 +15,32 @@ import { getAccessToken } from './spotify-auth.js';
  * - Automatic authentication
  * - Rate limit handling with exponential backoff
  * - Error handling and retry logic
- * - Response caching for metadata
+ * - Response caching for metadata: in memory (24 hours), backed by a
+ *   persistent tier shared across invocations (lib/metadata-cache.js)
  */
 
-const SPOTIFY_API_BASE = 'https://api.spotify.com/v1';
+const DEFAULT_SPOTIFY_API_BASE = 'https://api.spotify.com/v1';
 const MAX_RETRIES = 3;
 const INITIAL_RETRY_DELAY = 1000; // 1 second
 
+// Batch endpoint limits and how many batch requests may run at once
+export const AUDIO_FEATURES_BATCH_SIZE = 100;
+export const ARTISTS_BATCH_SIZE = 50;
+const BATCH_CONCURRENCY = 3;
+
 // Simple in-memory cache for metadata (24-hour TTL)
 const cache = new Map();
 const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
 
+/**
+ * Get the Spotify Web API base URL
+ * SPOTIFY_API_BASE points requests at a local stand-in (see tests/mocks/).
+ * @returns {string} Base URL without trailing slash
+ */
+function getSpotifyApiBase() {
+  return (process.env.SPOTIFY_API_BASE || DEFAULT_SPOTIFY_API_BASE).replace(/\/$/, '');
+}
+
 /**
  * Sleep for specified milliseconds
  * @param {number} ms - Milliseconds to sleep
@@ -36,19 +52,27 @@ function sleep(ms) {
 
 /**
  * Get item from cache if not expired
+ * Checks memory first, then the persistent tier (artists, albums, audio features).
  * @param {string} key - Cache key
- * @returns {any|null} Cached value or null if expired/missing
+ * @returns {Promise<any|null>} Cached value or null if expired/missing
  */
-function getFromCache(key) {
+async function getFromCache(key) {
   const cached = cache.get(key);
-  if (!cached) return null;
+  if (cached && Date.now() <= cached.expiresAt) {
+    recordLookup(key, 'memory');
+    return cached.value;
+  }
+  cache.delete(key);
 
-  if (Date.now() > cached.expiresAt) {
-    cache.delete(key);
-    return null;
+  const persisted = await getPersisted(key);
+  if (persisted) {
+    cache.set(key, { value: persisted, expiresAt: Date.now() + CACHE_TTL });
+    recordLookup(key, 'persistent');
+    return persisted;
   }
 
-  return cached.value;
+  recordLookup(key, 'miss');
+  return null;
 }
 
 /**
@@ -56,12 +80,14 @@ function getFromCache(key) {
  * @param {string} key - Cache key
  * @param {any} value - Value to cache
  * @param {number} ttl - Time to live in milliseconds (default: 24 hours)
+ * @returns {Promise<void>}
  */
-function setInCache(key, value, ttl = CACHE_TTL) {
+async function setInCache(key, value, ttl = CACHE_TTL) {
   cache.set(key, {
     value,
     expiresAt: Date.now() + ttl
   });
+  await setPersisted(key, value);
 }
 
 /**
@@ -78,7 +104,7 @@ async function makeSpotifyRequest(endpoint, options = {}, retryCount = 0) {
 
     const response = await axios({
       method: options.method || 'GET',
-      url: `${SPOTIFY_API_BASE}${endpoint}`,
+      url: `${getSpotifyApiBase()}${endpoint}`,
       headers: {
         'Authorization': `Bearer ${accessToken}`,
         ...options.headers
@@ -127,31 +153,47 @@ async function makeSpotifyRequest(endpoint, options = {}, retryCount = 0) {
 
 /**
  * Get recently played tracks
+ * Spotify accepts either an `after` or a `before` cursor, not both. To page
+ * backwards, pass the previous response's `cursors.before` as `before`.
  * @param {number} limit - Number of tracks to fetch (max 50)
- * @param {number} after - Unix timestamp to fetch tracks after (optional)
- * @returns {Promise<object>} Recently played response with items array
+ * @param {number} after - Unix timestamp (ms) to fetch tracks after (optional)
+ * @param {number} before - Unix timestamp (ms) to fetch tracks before (optional)
+ * @returns {Promise<object>} Recently played response with items array, cursors and next
+ * @throws {Error} If both after and before are given
  */
-export async function getRecentlyPlayed(limit = 50, after = null) {
+export async function getRecentlyPlayed(limit = 50, after = null, before = null) {
+  if (after && before) {
+    throw new Error('getRecentlyPlayed accepts either after or before, not both');
+  }
+
   const params = new URLSearchParams({ limit: Math.min(limit, 50).toString() });
   if (after) {
     params.append('after', after.toString());
   }
+  if (before) {
+    params.append('before', before.toString());
+  }
 
   const endpoint = `/me/player/recently-played?${params.toString()}`;
-  console.log(`[Spotify API] Fetching recently played tracks (limit: ${limit})`);
+  console.log(`[Spotify API] Fetching recently played tracks (limit: ${limit}${before ? `, before: ${new Date(Number(before)).toISOString()}` : ''})`);
 
   return await makeSpotifyRequest(endpoint);
 }
 
 /**
  * Get currently playing track
+ * @param {array} additionalTypes - Extra item types besides track (e.g. ['episode'])
  * @returns {Promise<object|null>} Current playback or null if nothing playing
  */
-export async function getCurrentlyPlaying() {
+export async function getCurrentlyPlaying(additionalTypes = []) {
   console.log('[Spotify API] Fetching currently playing track');
 
+  const endpoint = additionalTypes.length > 0
+    ? `/me/player/currently-playing?additional_types=${additionalTypes.join(',')}`
+    : '/me/player/currently-playing';
+
   try {
-    return await makeSpotifyRequest('/me/player/currently-playing');
+    return await makeSpotifyRequest(endpoint);
   } catch (error) {
     // Return null if nothing is currently playing (204 status)
     if (error.response?.status === 204) {
@@ -169,7 +211,7 @@ export async function getCurrentlyPlaying() {
 export async function getTrackDetails(trackId) {
   // Check cache first
   const cacheKey = `track:${trackId}`;
-  const cached = getFromCache(cacheKey);
+  const cached = await getFromCache(cacheKey);
   if (cached) {
     console.log(`[Spotify API] Using cached track details for ${trackId}`);
     return cached;
@@ -179,7 +221,7 @@ export async function getTrackDetails(trackId) {
   const track = await makeSpotifyRequest(`/tracks/${trackId}`);
 
   // Cache the result
-  setInCache(cacheKey, track);
+  await setInCache(cacheKey, track);
 
   return track;
 }
@@ -192,7 +234,7 @@ export async function getTrackDetails(trackId) {
 export async function getAudioFeatures(trackId) {
   // Check cache first
   const cacheKey = `audio-features:${trackId}`;
-  const cached = getFromCache(cacheKey);
+  const cached = await getFromCache(cacheKey);
   if (cached) {
     console.log(`[Spotify API] Using cached audio features for ${trackId}`);
     return cached;
@@ -202,7 +244,7 @@ export async function getAudioFeatures(trackId) {
   const features = await makeSpotifyRequest(`/audio-features/${trackId}`);
 
   // Cache the result
-  setInCache(cacheKey, features);
+  await setInCache(cacheKey, features);
 
   return features;
 }
@@ -218,18 +260,16 @@ export async function getBatchAudioFeatures(trackIds) {
   }
 
   // Limit to 100 tracks per request (Spotify API limit)
-  const ids = trackIds.slice(0, 100);
+  const ids = trackIds.slice(0, AUDIO_FEATURES_BATCH_SIZE);
   const params = new URLSearchParams({ ids: ids.join(',') });
 
   console.log(`[Spotify API] Fetching audio features for ${ids.length} tracks (batch)`);
   const response = await makeSpotifyRequest(`/audio-features?${params.toString()}`);
 
   // Cache individual results
-  response.audio_features.forEach((features, index) => {
-    if (features) {
-      setInCache(`audio-features:${ids[index]}`, features);
-    }
-  });
+  await Promise.all(response.audio_features.map((features, index) =>
+    (features ? setInCache(`audio-features:${ids[index]}`, features) : null)
+  ));
 
   return response.audio_features;
 }
@@ -242,7 +282,7 @@ export async function getBatchAudioFeatures(trackIds) {
 export async function getArtistDetails(artistId) {
   // Check cache first
   const cacheKey = `artist:${artistId}`;
-  const cached = getFromCache(cacheKey);
+  const cached = await getFromCache(cacheKey);
   if (cached) {
     console.log(`[Spotify API] Using cached artist details for ${artistId}`);
     return cached;
@@ -252,7 +292,7 @@ export async function getArtistDetails(artistId) {
   const artist = await makeSpotifyRequest(`/artists/${artistId}`);
 
   // Cache the result
-  setInCache(cacheKey, artist);
+  await setInCache(cacheKey, artist);
 
   return artist;
 }
@@ -268,20 +308,101 @@ export async function getBatchArtistDetails(artistIds) {
   }
 
   // Limit to 50 artists per request (Spotify API limit)
-  const ids = artistIds.slice(0, 50);
+  const ids = artistIds.slice(0, ARTISTS_BATCH_SIZE);
   const params = new URLSearchParams({ ids: ids.join(',') });
 
   console.log(`[Spotify API] Fetching artist details for ${ids.length} artists (batch)`);
   const response = await makeSpotifyRequest(`/artists?${params.toString()}`);
 
   // Cache individual results
-  response.artists.forEach((artist, index) => {
-    if (artist) {
-      setInCache(`artist:${ids[index]}`, artist);
+  await Promise.all(response.artists.map((artist, index) =>
+    (artist ? setInCache(`artist:${ids[index]}`, artist) : null)
+  ));
+
+  return response.artists;
+}
+
+/**
+ * Fetch IDs through a batch endpoint in chunks with bounded concurrency
+ * Duplicate and cached IDs are not requested. A failed chunk is logged and
+ * its IDs are left out, so callers can fall back to single lookups.
+ * @param {string[]} ids - IDs to fetch
+ * @param {object} options - { cachePrefix, batchSize, concurrency, fetchBatch }
+ * @returns {Promise<object>} { byId: { [id]: object|null }, cachedIds, requests, failedRequests }
+ */
+async function fetchInBatches(ids, { cachePrefix, batchSize, concurrency, fetchBatch }) {
+  const byId = {};
+  const cachedIds = [];
+  const toFetch = [];
+
+  for (const id of new Set(ids.filter(Boolean))) {
+    const cached = await getFromCache(`${cachePrefix}:${id}`);
+    if (cached) {
+      byId[id] = cached;
+      cachedIds.push(id);
+    } else {
+      toFetch.push(id);
+    }
+  }
+
+  const chunks = [];
+  for (let i = 0; i < toFetch.length; i += batchSize) {
+    chunks.push(toFetch.slice(i, i + batchSize));
+  }
+
+  let nextChunk = 0;
+  let failedRequests = 0;
+
+  // Each worker takes the next chunk until none are left
+  async function worker() {
+    while (nextChunk < chunks.length) {
+      const chunk = chunks[nextChunk++];
+      try {
+        const results = await fetchBatch(chunk);
+        chunk.forEach((id, index) => {
+          byId[id] = results[index] || null;
+        });
+      } catch (error) {
+        failedRequests++;
+        console.warn(`[Spotify API] Batch of ${chunk.length} ${cachePrefix} lookups failed:`, error.message);
+      }
     }
+  }
+
+  const workers = Math.max(1, Math.min(concurrency || BATCH_CONCURRENCY, chunks.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  return { byId, cachedIds, requests: chunks.length, failedRequests };
+}
+
+/**
+ * Get audio features for any number of tracks using the batch endpoint
+ * @param {string[]} trackIds - Spotify track IDs (duplicates allowed)
+ * @param {object} options - { concurrency } (default: 3 requests at once)
+ * @returns {Promise<object>} { byId: { [trackId]: features|null }, cachedIds, requests, failedRequests }
+ */
+export async function getAudioFeaturesForTracks(trackIds, options = {}) {
+  return fetchInBatches(trackIds, {
+    cachePrefix: 'audio-features',
+    batchSize: AUDIO_FEATURES_BATCH_SIZE,
+    concurrency: options.concurrency,
+    fetchBatch: getBatchAudioFeatures
   });
+}
 
-  return response.artists;
+/**
+ * Get details for any number of artists using the several-artists endpoint
+ * @param {string[]} artistIds - Spotify artist IDs (duplicates allowed)
+ * @param {object} options - { concurrency } (default: 3 requests at once)
+ * @returns {Promise<object>} { byId: { [artistId]: artist|null }, cachedIds, requests, failedRequests }
+ */
+export async function getArtistDetailsForIds(artistIds, options = {}) {
+  return fetchInBatches(artistIds, {
+    cachePrefix: 'artist',
+    batchSize: ARTISTS_BATCH_SIZE,
+    concurrency: options.concurrency,
+    fetchBatch: getBatchArtistDetails
+  });
 }
 
 /**
@@ -292,7 +413,7 @@ export async function getBatchArtistDetails(artistIds) {
 export async function getAlbumDetails(albumId) {
   // Check cache first
   const cacheKey = `album:${albumId}`;
-  const cached = getFromCache(cacheKey);
+  const cached = await getFromCache(cacheKey);
   if (cached) {
     console.log(`[Spotify API] Using cached album details for ${albumId}`);
     return cached;
@@ -302,26 +423,39 @@ export async function getAlbumDetails(albumId) {
   const album = await makeSpotifyRequest(`/albums/${albumId}`);
 
   // Cache the result
-  setInCache(cacheKey, album);
+  await setInCache(cacheKey, album);
 
   return album;
 }
 
 /**
- * Clear all cached data (useful for testing)
+ * Clear all cached data, including the persistent tier (useful for testing)
+ * @param {object} options - { memoryOnly } keeps the persistent tier (like a cold start)
+ * @returns {Promise<void>}
  */
-export function clearCache() {
+export async function clearCache(options = {}) {
   cache.clear();
-  console.log('[Spotify API] Cache cleared');
+  await resetMetadataCache({ keepStored: options.memoryOnly });
+  console.log(`[Spotify API] ${options.memoryOnly ? 'Memory cache' : 'Cache'} cleared`);
+}
+
+/**
+ * Write new and recently used metadata to the persistent cache
+ * Call once at the end of a run.
+ * @returns {Promise<object>} { saved: [types] }
+ */
+export async function persistCache() {
+  return flushMetadataCache();
 }
 
 /**
  * Get cache statistics (for debugging)
- * @returns {object} Cache stats
+ * @returns {object} Cache stats with hit/miss rates for this process
  */
 export function getCacheStats() {
   return {
     size: cache.size,
-    keys: Array.from(cache.keys())
+    keys: Array.from(cache.keys()),
+    ...getSessionCacheStats()
   };
 }
@@ -1,5 +1,8 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { getCurrentUser, getUserRefreshToken } from './users.js';
+import { getSpotifyAuth, setSpotifyAuth } from './state-manager.js';
+import { encryptSecret, decryptSecret, hasEncryptionKey } from './token-vault.js';
 
 dotenv.config();
 
@@ -11,19 +14,39 @@ dotenv.config();
  * - Token refresh
  * - Token expiration checking
  *
- * Required OAuth scopes:
- * - user-read-recently-played
- * - user-read-currently-playing
- * - user-read-playback-state
- * - user-read-playback-position
- * - user-library-read
+ * Tokens are cached per user (lib/users.js); each user refreshes with their
+ * own refresh token.
+ *
+ * The refresh token stored by /api/auth/callback (encrypted, see
+ * lib/token-vault.js) is preferred over SPOTIFY_REFRESH_TOKEN. When Spotify
+ * returns a new refresh token on refresh, it replaces the stored one.
  */
 
-// In-memory token cache
-let tokenCache = {
-  accessToken: null,
-  expiresAt: null
-};
+const DEFAULT_SPOTIFY_ACCOUNTS_URL = 'https://accounts.spotify.com';
+
+// OAuth scopes requested by /api/auth/login and scripts/get-refresh-token.js
+export const SPOTIFY_SCOPES = [
+  'user-read-recently-played',
+  'user-read-currently-playing',
+  'user-read-playback-state',
+  'user-read-playback-position',
+  'user-library-read'
+];
+
+// In-memory token cache by user ID
+const tokenCaches = new Map();
+
+/**
+ * Get the token cache of the current user
+ * @returns {object} { accessToken, expiresAt }
+ */
+function getTokenCache() {
+  const userId = getCurrentUser().id;
+  if (!tokenCaches.has(userId)) {
+    tokenCaches.set(userId, { accessToken: null, expiresAt: null });
+  }
+  return tokenCaches.get(userId);
+}
 
 /**
  * Check if the current access token is expired or about to expire
@@ -31,6 +54,7 @@ let tokenCache = {
  * @returns {boolean} True if token is expired or will expire soon
  */
 export function isTokenExpired(bufferSeconds = 300) {
+  const tokenCache = getTokenCache();
   if (!tokenCache.accessToken || !tokenCache.expiresAt) {
     return true;
   }
@@ -41,23 +65,98 @@ export function isTokenExpired(bufferSeconds = 300) {
   return now >= expiryWithBuffer;
 }
 
+/**
+ * Get the Spotify Accounts service URL
+ * SPOTIFY_ACCOUNTS_URL points token refreshes at a local stand-in (see tests/mocks/).
+ * @returns {string} Base URL without trailing slash
+ */
+export function getAccountsUrl() {
+  return (process.env.SPOTIFY_ACCOUNTS_URL || DEFAULT_SPOTIFY_ACCOUNTS_URL).replace(/\/$/, '');
+}
+
+/**
+ * Get the Basic authorization header for the token endpoint
+ * @returns {string} Header value
+ */
+function getClientAuthorization() {
+  return 'Basic ' + Buffer.from(process.env.SPOTIFY_CLIENT_ID + ':' + process.env.SPOTIFY_CLIENT_SECRET).toString('base64');
+}
+
+/**
+ * Get the current user's refresh token stored by /api/auth/callback
+ * @returns {Promise<string|null>} Decrypted token, or null if none is stored or it can't be read
+ */
+export async function getStoredRefreshToken() {
+  try {
+    const auth = await getSpotifyAuth();
+    return auth?.refreshToken ? decryptSecret(auth.refreshToken) : null;
+  } catch (error) {
+    console.warn('[Spotify Auth] Ignoring stored refresh token:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store the current user's refresh token (encrypted) in state storage
+ * @param {string} refreshToken - Refresh token from Spotify
+ * @param {object} options - { source: 'authorization' | 'rotation', scope }
+ * @returns {Promise<void>}
+ * @throws {Error} If TOKEN_ENCRYPTION_KEY is not set
+ */
+export async function storeRefreshToken(refreshToken, options = {}) {
+  const source = options.source || 'authorization';
+  const previous = await getSpotifyAuth();
+  const now = new Date().toISOString();
+
+  await setSpotifyAuth({
+    refreshToken: encryptSecret(refreshToken),
+    source,
+    scope: options.scope ?? previous?.scope ?? null,
+    obtainedAt: source === 'rotation' ? previous?.obtainedAt || now : now,
+    rotatedAt: source === 'rotation' ? now : null
+  });
+  console.log(`[Spotify Auth] Stored ${source === 'rotation' ? 'rotated' : 'new'} refresh token for user ${getCurrentUser().id}`);
+}
+
+/**
+ * Keep a refresh token Spotify rotated during a refresh
+ * Failures are logged, not thrown - the access token was still obtained.
+ * @param {string} refreshToken - New refresh token
+ * @returns {Promise<void>}
+ */
+async function persistRotatedToken(refreshToken) {
+  if (!hasEncryptionKey()) {
+    console.warn('[Spotify Auth] Spotify rotated the refresh token; set TOKEN_ENCRYPTION_KEY to keep it');
+    return;
+  }
+
+  try {
+    await storeRefreshToken(refreshToken, { source: 'rotation' });
+  } catch (error) {
+    console.error('[Spotify Auth] Could not store rotated refresh token:', error.message);
+  }
+}
+
 /**
  * Refresh the Spotify access token using the refresh token
+ * Uses the stored refresh token if there is one, the env token otherwise.
  * @returns {Promise<string>} New access token
  * @throws {Error} If refresh fails
  */
 export async function refreshAccessToken() {
   const clientId = process.env.SPOTIFY_CLIENT_ID;
   const clientSecret = process.env.SPOTIFY_CLIENT_SECRET;
-  const refreshToken = process.env.SPOTIFY_REFRESH_TOKEN;
+  const user = getCurrentUser();
+  const refreshToken = (await getStoredRefreshToken()) || getUserRefreshToken(user);
 
   if (!clientId || !clientSecret || !refreshToken) {
-    throw new Error('Missing Spotify credentials in environment variables');
+    throw new Error(`Missing Spotify credentials in environment variables${user.refreshTokenEnv ? ` (${user.refreshTokenEnv} for user "${user.id}")` : ''}`);
   }
 
+  let response;
   try {
-    const response = await axios.post(
-      'https://accounts.spotify.com/api/token',
+    response = await axios.post(
+      `${getAccountsUrl()}/api/token`,
       new URLSearchParams({
         grant_type: 'refresh_token',
         refresh_token: refreshToken
@@ -65,25 +164,75 @@ export async function refreshAccessToken() {
       {
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': 'Basic ' + Buffer.from(clientId + ':' + clientSecret).toString('base64')
+          'Authorization': getClientAuthorization()
         }
       }
     );
+  } catch (error) {
+    console.error('[Spotify Auth] Token refresh failed:', error.response?.data || error.message);
+    throw new Error(`Failed to refresh Spotify access token: ${error.response?.data?.error_description || error.message}`);
+  }
+
+  const { access_token, expires_in, refresh_token: rotatedToken } = response.data;
+
+  // Update token cache
+  const tokenCache = getTokenCache();
+  tokenCache.accessToken = access_token;
+  tokenCache.expiresAt = Date.now() + (expires_in * 1000);
+
+  console.log(`[Spotify Auth] Access token refreshed successfully for user ${user.id}`);
+  console.log('[Spotify Auth] Token expires at:', new Date(tokenCache.expiresAt).toISOString());
 
-    const { access_token, expires_in } = response.data;
+  if (rotatedToken && rotatedToken !== refreshToken) {
+    await persistRotatedToken(rotatedToken);
+  }
 
-    // Update token cache
-    tokenCache.accessToken = access_token;
-    tokenCache.expiresAt = Date.now() + (expires_in * 1000);
+  return access_token;
+}
 
-    console.log('[Spotify Auth] Access token refreshed successfully');
-    console.log('[Spotify Auth] Token expires at:', new Date(tokenCache.expiresAt).toISOString());
+/**
+ * Exchange an authorization code for tokens (authorization-code flow with PKCE)
+ * The access token is cached for the current user; storing the refresh
+ * token is up to the caller.
+ * @param {string} code - Authorization code from the callback
+ * @param {string} codeVerifier - PKCE verifier the code challenge was made from
+ * @param {string} redirectUri - Redirect URI used for the authorization request
+ * @returns {Promise<object>} { access_token, refresh_token, expires_in, scope }
+ * @throws {Error} If the exchange fails
+ */
+export async function exchangeAuthorizationCode(code, codeVerifier, redirectUri) {
+  if (!process.env.SPOTIFY_CLIENT_ID || !process.env.SPOTIFY_CLIENT_SECRET) {
+    throw new Error('Missing Spotify credentials in environment variables');
+  }
 
-    return access_token;
+  let response;
+  try {
+    response = await axios.post(
+      `${getAccountsUrl()}/api/token`,
+      new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: process.env.SPOTIFY_CLIENT_ID,
+        code_verifier: codeVerifier
+      }),
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Authorization': getClientAuthorization()
+        }
+      }
+    );
   } catch (error) {
-    console.error('[Spotify Auth] Token refresh failed:', error.response?.data || error.message);
-    throw new Error(`Failed to refresh Spotify access token: ${error.response?.data?.error_description || error.message}`);
+    console.error('[Spotify Auth] Code exchange failed:', error.response?.data || error.message);
+    throw new Error(`Failed to exchange Spotify authorization code: ${error.response?.data?.error_description || error.message}`);
   }
+
+  const tokenCache = getTokenCache();
+  tokenCache.accessToken = response.data.access_token;
+  tokenCache.expiresAt = Date.now() + (response.data.expires_in * 1000);
+
+  return response.data;
 }
 
 /**
@@ -100,25 +249,23 @@ export async function getAccessToken() {
 
   // Return cached token if still valid
   console.log('[Spotify Auth] Using cached access token');
-  return tokenCache.accessToken;
+  return getTokenCache().accessToken;
 }
 
 /**
- * Clear the token cache (useful for testing or forcing refresh)
+ * Clear the token caches of all users (useful for testing or forcing refresh)
  */
 export function clearTokenCache() {
-  tokenCache = {
-    accessToken: null,
-    expiresAt: null
-  };
+  tokenCaches.clear();
   console.log('[Spotify Auth] Token cache cleared');
 }
 
 /**
- * Get token cache status (for debugging)
+ * Get the current user's token cache status (for debugging)
  * @returns {object} Current token cache state
  */
 export function getTokenCacheStatus() {
+  const tokenCache = getTokenCache();
   return {
     hasToken: !!tokenCache.accessToken,
     expiresAt: tokenCache.expiresAt ? new Date(tokenCache.expiresAt).toISOString() : null,
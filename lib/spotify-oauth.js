@@ -0,0 +1,152 @@
+import { createHash, randomBytes } from 'crypto';
+import { SPOTIFY_SCOPES, getAccountsUrl, exchangeAuthorizationCode, storeRefreshToken } from './spotify-auth.js';
+import { addOAuthRequest, takeOAuthRequest } from './state-manager.js';
+import { encryptSecret, decryptSecret } from './token-vault.js';
+import { getCurrentUserId } from './users.js';
+
+/**
+ * Spotify Authorization-Code Flow (PKCE)
+ *
+ * Lets the deployed app onboard a Spotify account without running
+ * scripts/get-refresh-token.js on a laptop:
+ * 1. /api/auth/login creates a PKCE verifier and a random request ID, stores
+ *    both (verifier encrypted) in the user's state and returns the Spotify
+ *    authorize URL
+ * 2. Spotify redirects to /api/auth/callback with `code` and `state`
+ * 3. The callback takes the stored request (single use, 10 minute TTL),
+ *    exchanges the code with the verifier and stores the refresh token
+ *    encrypted (lib/token-vault.js); lib/spotify-auth.js prefers it over
+ *    SPOTIFY_REFRESH_TOKEN from then on
+ *
+ * The OAuth state parameter is `<userId>.<requestId>`, so the callback knows
+ * whose state to look the request up in. The callback URL must be registered
+ * as a redirect URI of the Spotify app.
+ */
+
+// How long a login may take between /api/auth/login and the callback
+export const OAUTH_REQUEST_TTL_MS = 10 * 60 * 1000;
+
+// Error code of a callback whose state is unknown, expired or already used
+export const OAUTH_STATE_INVALID = 'OAUTH_STATE_INVALID';
+
+/**
+ * Create a PKCE code verifier
+ * @returns {string} 86-character base64url verifier
+ */
+export function createCodeVerifier() {
+  return randomBytes(64).toString('base64url');
+}
+
+/**
+ * Create the S256 code challenge for a verifier
+ * @param {string} verifier - Code verifier
+ * @returns {string} base64url SHA-256 of the verifier
+ */
+export function createCodeChallenge(verifier) {
+  return createHash('sha256').update(verifier).digest('base64url');
+}
+
+/**
+ * Get the URL Spotify redirects back to
+ * @param {object} req - Vercel request object
+ * @returns {string} SPOTIFY_CALLBACK_URL, or /api/auth/callback on the request's host
+ */
+export function getCallbackUrl(req) {
+  if (process.env.SPOTIFY_CALLBACK_URL) {
+    return process.env.SPOTIFY_CALLBACK_URL;
+  }
+
+  const headers = req.headers || {};
+  const host = headers['x-forwarded-host'] || headers.host || 'localhost:3000';
+  const protocol = headers['x-forwarded-proto'] || (host.startsWith('localhost') ? 'http' : 'https');
+  return `${protocol}://${host}/api/auth/callback`;
+}
+
+/**
+ * Split the OAuth state parameter
+ * @param {string} state - `<userId>.<requestId>`
+ * @returns {object|null} { userId, requestId }, or null if malformed
+ */
+export function parseOAuthState(state) {
+  const match = /^([a-z0-9][a-z0-9_-]{0,31})\.([A-Za-z0-9_-]{16,})$/.exec(state || '');
+  return match ? { userId: match[1], requestId: match[2] } : null;
+}
+
+/**
+ * Create an error for an unusable callback state
+ * @param {string} message - Error message
+ * @returns {Error} Error with code OAUTH_STATE_INVALID
+ */
+function createStateError(message) {
+  const error = new Error(message);
+  error.code = OAUTH_STATE_INVALID;
+  return error;
+}
+
+/**
+ * Start an authorization for the current user
+ * @param {string} redirectUri - Callback URL (see getCallbackUrl)
+ * @returns {Promise<object>} { authorizeUrl, expiresAt }
+ * @throws {Error} If the client ID or TOKEN_ENCRYPTION_KEY is missing
+ */
+export async function startAuthorization(redirectUri) {
+  if (!process.env.SPOTIFY_CLIENT_ID) {
+    throw new Error('Missing SPOTIFY_CLIENT_ID in environment variables');
+  }
+
+  const requestId = randomBytes(24).toString('base64url');
+  const verifier = createCodeVerifier();
+  const createdAt = new Date();
+
+  // Encrypting first fails fast when no key is set, before the user consents
+  await addOAuthRequest({
+    id: requestId,
+    codeVerifier: encryptSecret(verifier),
+    redirectUri,
+    createdAt: createdAt.toISOString()
+  }, OAUTH_REQUEST_TTL_MS);
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: process.env.SPOTIFY_CLIENT_ID,
+    scope: SPOTIFY_SCOPES.join(' '),
+    redirect_uri: redirectUri,
+    state: `${getCurrentUserId()}.${requestId}`,
+    code_challenge_method: 'S256',
+    code_challenge: createCodeChallenge(verifier)
+  });
+
+  console.log(`[Spotify OAuth] Started authorization for user ${getCurrentUserId()}`);
+  return {
+    authorizeUrl: `${getAccountsUrl()}/authorize?${params}`,
+    expiresAt: new Date(createdAt.getTime() + OAUTH_REQUEST_TTL_MS).toISOString()
+  };
+}
+
+/**
+ * Finish an authorization for the current user
+ * @param {string} code - Authorization code from the callback
+ * @param {string} requestId - Request ID from the callback state
+ * @returns {Promise<object>} { userId, scope }
+ * @throws {Error} With code OAUTH_STATE_INVALID if the request is unknown,
+ *   expired or already used; otherwise if the exchange or storing fails
+ */
+export async function completeAuthorization(code, requestId) {
+  const request = await takeOAuthRequest(requestId, OAUTH_REQUEST_TTL_MS);
+  if (!request) {
+    throw createStateError('Unknown or expired login request; start again at /api/auth/login');
+  }
+  if (!code) {
+    throw createStateError('Missing authorization code');
+  }
+
+  const tokens = await exchangeAuthorizationCode(code, decryptSecret(request.codeVerifier), request.redirectUri);
+  if (!tokens.refresh_token) {
+    throw new Error('Spotify did not return a refresh token');
+  }
+
+  await storeRefreshToken(tokens.refresh_token, { source: 'authorization', scope: tokens.scope || null });
+
+  console.log(`[Spotify OAuth] Authorized user ${getCurrentUserId()}`);
+  return { userId: getCurrentUserId(), scope: tokens.scope || null };
+}
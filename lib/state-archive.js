@@ -0,0 +1,196 @@
+import { loadState, saveState, migrateState, getStorageBackend } from './state-manager.js';
+
+/**
+ * State Archive
+ *
+ * Portable JSON dumps of the logger state, for backups and for moving state
+ * between the local .state/logger-state.json backend and Vercel KV. Used by
+ * scripts/state.js and /api/state.
+ *
+ * Archive format:
+ * {
+ *   format: 'spotify-song-logger-state',
+ *   archiveVersion: 1,
+ *   exportedAt, source: 'local' | 'kv', schemaVersion,
+ *   sections: { lastProcessed, failedQueue, stats, alerts, metrics, historicalImport }, // summaries
+ *   state: { ... } // full stored state without its revision
+ * }
+ *
+ * Restoring migrates the archived state to the current schema and saves it
+ * with the target's revision check, so a run that saves in the meantime makes
+ * the restore fail instead of being overwritten. The metadata cache and the
+ * run lock are not archived.
+ */
+
+export const ARCHIVE_FORMAT = 'spotify-song-logger-state';
+export const ARCHIVE_VERSION = 1;
+
+// Sections summarized in the archive
+export const ARCHIVE_SECTIONS = ['lastProcessed', 'failedQueue', 'stats', 'alerts', 'metrics', 'historicalImport'];
+
+// Bookkeeping fields that are not compared
+const META_FIELDS = ['version', 'revision'];
+
+/**
+ * Get the backend a call targets
+ * @param {string} backend - 'local' or 'kv' (default: the active backend)
+ * @returns {string} Backend name
+ */
+function resolveBackend(backend) {
+  if (backend) {
+    return backend;
+  }
+  return getStorageBackend().backend === 'vercel-kv' ? 'kv' : 'local';
+}
+
+/**
+ * Describe a state value in a few words
+ * @param {*} value - State value
+ * @returns {string} Short description (e.g. '3 entries')
+ */
+export function describeValue(value) {
+  if (value === undefined || value === null) {
+    return 'none';
+  }
+  if (Array.isArray(value)) {
+    return `${value.length} ${value.length === 1 ? 'entry' : 'entries'}`;
+  }
+  if (typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (typeof value.playedAt === 'string') {
+    return `played at ${value.playedAt}`;
+  }
+  if (typeof value.successCount === 'number') {
+    return `${value.successCount} successes, ${value.failureCount} failures`;
+  }
+
+  const keys = Object.keys(value).length;
+  return `${keys} ${keys === 1 ? 'key' : 'keys'}`;
+}
+
+/**
+ * Create an archive of a state
+ * @param {object} state - State from loadState
+ * @param {object} options - { source } backend the state was read from
+ * @returns {object} Archive
+ */
+export function createStateArchive(state, options = {}) {
+  const { revision, ...stored } = state;
+
+  return {
+    format: ARCHIVE_FORMAT,
+    archiveVersion: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: options.source || null,
+    schemaVersion: state.version ?? null,
+    sections: Object.fromEntries(ARCHIVE_SECTIONS.map(key => [key, describeValue(state[key])])),
+    state: stored
+  };
+}
+
+/**
+ * Read the state out of an archive
+ * @param {object} archive - Archive from createStateArchive
+ * @returns {object} State migrated to the current schema (without revision)
+ * @throws {Error} If the archive is not a state archive or its state is invalid
+ */
+export function parseStateArchive(archive) {
+  if (!archive || typeof archive !== 'object' || archive.format !== ARCHIVE_FORMAT) {
+    throw new Error(`Not a state archive (expected format "${ARCHIVE_FORMAT}")`);
+  }
+  if (archive.archiveVersion > ARCHIVE_VERSION) {
+    throw new Error(`Archive version ${archive.archiveVersion} is newer than the supported version ${ARCHIVE_VERSION}`);
+  }
+
+  const { revision, ...state } = migrateState(archive.state).state;
+  return state;
+}
+
+/**
+ * Compare two states by top-level field
+ * @param {object} current - State stored now
+ * @param {object} incoming - State to restore
+ * @returns {array} [{ key, change: 'added' | 'removed' | 'changed', from, to }]
+ */
+export function diffStates(current, incoming) {
+  const keys = [...new Set([...Object.keys(current || {}), ...Object.keys(incoming || {})])]
+    .filter(key => !META_FIELDS.includes(key))
+    .sort();
+
+  return keys
+    .filter(key => JSON.stringify(current?.[key] ?? null) !== JSON.stringify(incoming?.[key] ?? null))
+    .map(key => {
+      const from = current?.[key] ?? null;
+      const to = incoming?.[key] ?? null;
+      return {
+        key,
+        change: from === null ? 'added' : to === null ? 'removed' : 'changed',
+        from: describeValue(from),
+        to: describeValue(to)
+      };
+    });
+}
+
+/**
+ * Export the state of a backend
+ * @param {object} options - { backend } 'local' or 'kv' (default: the active backend)
+ * @returns {Promise<object>} Archive
+ */
+export async function exportState(options = {}) {
+  const backend = resolveBackend(options.backend);
+  const state = await loadState({ backend });
+
+  console.log(`[State Archive] Exported state from ${backend}`);
+  return createStateArchive(state, { source: backend });
+}
+
+/**
+ * Restore an archive into a backend
+ * @param {object} archive - Archive from exportState
+ * @param {object} options - { backend, dryRun } dryRun only returns the diff
+ * @returns {Promise<object>} { backend, dryRun, restored, changes }
+ */
+export async function restoreState(archive, options = {}) {
+  const backend = resolveBackend(options.backend);
+  const incoming = parseStateArchive(archive);
+  const current = await loadState({ backend });
+  const changes = diffStates(current, incoming);
+  const dryRun = !!options.dryRun;
+
+  if (dryRun || changes.length === 0) {
+    return { backend, dryRun, restored: false, changes };
+  }
+
+  // Saved against the revision just loaded, so concurrent runs aren't overwritten
+  await saveState({ ...incoming, revision: current.revision }, { backend });
+
+  console.log(`[State Archive] Restored state into ${backend} (${changes.length} field(s) changed)`);
+  return { backend, dryRun, restored: true, changes };
+}
+
+/**
+ * Check whether a loaded state holds anything worth keeping
+ * @param {object} state - State from loadState
+ * @returns {boolean} True if the state was saved before or has plays/failures
+ */
+function hasStoredState(state) {
+  return state.revision > 0 || !!state.lastProcessed || (state.failedQueue || []).length > 0;
+}
+
+/**
+ * Copy the local state into Vercel KV (one-shot, for the first deploy)
+ * Refuses to replace state KV already has unless force is set.
+ * @param {object} options - { dryRun, force }
+ * @returns {Promise<object>} { backend, dryRun, restored, changes, sections }
+ */
+export async function migrateLocalToKV(options = {}) {
+  const archive = await exportState({ backend: 'local' });
+
+  if (!options.dryRun && !options.force && hasStoredState(await loadState({ backend: 'kv' }))) {
+    throw new Error('KV already has state; use force to replace it');
+  }
+
+  const result = await restoreState(archive, { backend: 'kv', dryRun: options.dryRun });
+  return { ...result, sections: archive.sections };
+}
@@ -1,6 +1,12 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { randomUUID } from 'crypto';
 import { fileURLToPath } from 'url';
+import { mergePlaybackSample, pruneSessions } from './playback-sessions.js';
+import { mergeEpisodeSample, expireEpisode } from './podcasts.js';
+import { sessionizePlays, advanceStreak, toDayKey } from './sessions.js';
+import { validateState, addToDedupIndexEntry } from './deduplication.js';
+import { getCurrentUserId, isDefaultUser } from './users.js';
 
 /**
  * State Management Module (Hybrid: Local File + Vercel KV)
@@ -14,24 +20,95 @@ import { fileURLToPath } from 'url';
  *
  * State structure:
  * {
+ *   version: 2,      // schema version
+ *   revision: 41,    // incremented by every save
  *   lastProcessed: { trackId, timestamp, playedAt },
  *   failedQueue: [{ trackId, attemptCount, lastAttempt, error, partialData }],
- *   stats: { lastRun, successCount, failureCount }
+ *   stats: { lastRun, successCount, failureCount },
+ *   playbackSessions: [{ id, trackId, startedAt, lastSampleAt, listenedMs, ... }],
+ *   currentEpisode: { episodeId, showName, lastSampleAt, listenedMs, ... } | null,
+ *   pendingEpisodes: [{ episodeId, startedAt, listenedMs, ... }],
+ *   statsCache: { [key]: { computedAt, stats } },
+ *   openSession: { start, end, trackCount, device, contextUri, ... } | null,
+ *   listeningStreak: { current, currentStart, longest, lastListenDate, ... } | null,
+ *   webhookOutbox: [{ id, url, event, attempts, nextAttemptAt, lastError }],
+ *   spotifyAuth: { refreshToken (encrypted), source, scope, obtainedAt, rotatedAt } | null,
+ *   oauthRequests: [{ id, codeVerifier (encrypted), redirectUri, createdAt }],
+ *   logPartitions: { [YYYY-MM]: { sheet, rows, firstPlayedAt, lastPlayedAt, archive: { sheet, location, rows, archivedAt } | null } },
+ *   dedupIndex: { [sheet]: { rows, keys: ["trackId|playedAt"], coveredFrom, verifiedAt } }
  * }
+ *
+ * Each user of the registry (lib/users.js) has its own state, run lock and
+ * quarantine: .state/users/<id>/ locally and user:<id>:<key> in KV. The
+ * default user keeps the original paths and keys (.state/logger-state.json,
+ * state:full), so single-user deployments read their existing state.
+ *
+ * The Spotify metadata cache (lib/metadata-cache.js) is stored next to the
+ * state, one record per type and shared by all users, so the state itself
+ * stays small:
+ * - Local: .state/metadata-cache-<type>.json
+ * - KV: cache:metadata:<type>
+ *
+ * Handlers that mutate state hold a run lock (acquireRunLock) so overlapping
+ * runs can't double-log plays or lose failed-queue entries. The lock is a
+ * lease with an owner ID and TTL (KV: SET NX PX, local: exclusive lock file);
+ * leases left behind by crashed runs expire and are taken over.
+ *
+ * The state carries a schema version and a revision. Stored states are
+ * upgraded on load by STATE_MIGRATIONS (validateState runs after each step);
+ * a state that can't be parsed or fails validation is quarantined
+ * (.state/logger-state.quarantine.json or KV state:quarantine) and replaced
+ * by the backup. saveState is a compare-and-swap on the revision, and
+ * updateState retries the change on conflict, so handlers, alerting and
+ * metrics updating different parts of the state don't overwrite each other.
  */
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const STATE_DIR = path.join(__dirname, '..', '.state');
-const STATE_FILE = path.join(STATE_DIR, 'logger-state.json');
-const BACKUP_FILE = path.join(STATE_DIR, 'logger-state.backup.json');
+const STATE_DIR = process.env.STATE_DIR || path.join(__dirname, '..', '.state');
 
-// KV keys
+// Per-user state files (see getUserStatePath)
+const STATE_FILE = 'logger-state.json';
+const BACKUP_FILE = 'logger-state.backup.json';
+const QUARANTINE_FILE = 'logger-state.quarantine.json';
+const STATE_WRITE_LOCK_FILE = 'logger-state.lock';
+const RUN_LOCK_FILE = 'run.lock';
+
+// Per-user KV keys (see getUserKVKey)
 const KV_STATE_KEY = 'state:full';
 const KV_LAST_PROCESSED_KEY = 'state:lastProcessed';
 const KV_FAILED_QUEUE_KEY = 'state:failedQueue';
 const KV_STATS_KEY = 'state:stats';
+const KV_RUN_LOCK_KEY = 'lock:run';
+const KV_QUARANTINE_KEY = 'state:quarantine';
+
+// Shared by all users (track metadata doesn't depend on the account)
+const KV_METADATA_CACHE_PREFIX = 'cache:metadata:';
+
+// Longer than the 60s function limit, so a live run never loses its lease
+const DEFAULT_RUN_LOCK_TTL_SECONDS = 120;
+
+// Leases that expire this soon (the playback sampler's short ones) are waited
+// for instead of reported as busy
+export const RUN_LOCK_WAIT_MS = 20000;
+const RUN_LOCK_POLL_MS = 250;
+
+// Backends that can be selected explicitly (export/import/migration)
+export const STATE_BACKENDS = ['local', 'kv'];
+
+// Schema version written by this release (see STATE_MIGRATIONS)
+export const STATE_SCHEMA_VERSION = 2;
+
+// Error code of a save that lost a compare-and-swap race
+export const STATE_CONFLICT = 'STATE_CONFLICT';
+
+// Attempts of updateState before a conflict is given up on
+const MAX_STATE_UPDATE_ATTEMPTS = 5;
+
+// The local write lock is held for milliseconds; older lock files are left by crashes
+const STATE_WRITE_LOCK_TIMEOUT_MS = 10000;
+const STATE_WRITE_LOCK_STALE_MS = 5000;
 
 // Default empty state
 const DEFAULT_STATE = {
@@ -41,9 +118,32 @@ const DEFAULT_STATE = {
     lastRun: null,
     successCount: 0,
     failureCount: 0
-  }
+  },
+  playbackSessions: [],
+  currentEpisode: null,
+  pendingEpisodes: [],
+  statsCache: {},
+  openSession: null,
+  listeningStreak: null,
+  webhookOutbox: [],
+  spotifyAuth: null,
+  oauthRequests: [],
+  logPartitions: {},
+  dedupIndex: {}
 };
 
+// Max number of cached stats windows kept in state
+const MAX_STATS_CACHE_ENTRIES = 20;
+
+// Max number of finished episode listens waiting for the Podcasts sheet
+const MAX_PENDING_EPISODES = 100;
+
+// Max number of undelivered webhook deliveries kept in state
+const MAX_WEBHOOK_OUTBOX = 500;
+
+// Max number of unfinished /api/auth/login requests kept in state
+const MAX_OAUTH_REQUESTS = 10;
+
 /**
  * Detect if we should use KV storage
  * @returns {boolean} True if KV should be used
@@ -56,9 +156,34 @@ function shouldUseKV() {
 
   const useKV = process.env.USE_KV === 'true';
   const isVercel = process.env.VERCEL_ENV !== undefined;
-  const hasKVCredentials = process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN;
 
-  return (useKV || isVercel) && hasKVCredentials;
+  return (useKV || isVercel) && hasKVCredentials();
+}
+
+/**
+ * Check whether KV credentials are configured
+ * @returns {boolean} True if KV_REST_API_URL and KV_REST_API_TOKEN are set
+ */
+function hasKVCredentials() {
+  return !!(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+}
+
+/**
+ * Decide which backend a state call uses
+ * @param {string} backend - 'local' or 'kv' (default: detected from the environment)
+ * @returns {boolean} True if KV should be used
+ */
+function resolveUseKV(backend) {
+  if (backend === undefined || backend === null) {
+    return shouldUseKV();
+  }
+  if (!STATE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown state backend "${backend}". Expected one of: ${STATE_BACKENDS.join(', ')}`);
+  }
+  if (backend === 'kv' && !hasKVCredentials()) {
+    throw new Error('KV credentials not available (set KV_REST_API_URL and KV_REST_API_TOKEN)');
+  }
+  return backend === 'kv';
 }
 
 /**
@@ -66,7 +191,7 @@ function shouldUseKV() {
  * @returns {Promise<object>} KV client
  */
 async function getKVClient() {
-  if (!shouldUseKV()) {
+  if (!hasKVCredentials()) {
     throw new Error('KV credentials not available');
   }
 
@@ -76,75 +201,332 @@ async function getKVClient() {
 }
 
 // ============================================================================
+// SCHEMA VERSIONS AND MIGRATIONS
+// ============================================================================
+
+/**
+ * Create a fresh default state at the current schema version
+ * @returns {object} Default state (safe to mutate)
+ */
+function createDefaultState() {
+  return { ...structuredClone(DEFAULT_STATE), version: STATE_SCHEMA_VERSION, revision: 0 };
+}
+
+/**
+ * Upgrades for stored states, in version order
+ * Each migration receives a state at the previous version and returns it
+ * upgraded; validateState runs after every step. Add new migrations to the
+ * end and bump STATE_SCHEMA_VERSION.
+ */
+export const STATE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill in fields added since the first release',
+    migrate: state => ({
+      ...createDefaultState(),
+      ...state,
+      failedQueue: Array.isArray(state.failedQueue) ? state.failedQueue : [],
+      stats: {
+        lastRun: state.stats?.lastRun || null,
+        successCount: Number(state.stats?.successCount) || 0,
+        failureCount: Number(state.stats?.failureCount) || 0
+      }
+    })
+  },
+  {
+    version: 2,
+    description: 'Drop failed queue entries without a play time and default attempt counts',
+    migrate: state => ({
+      ...state,
+      failedQueue: state.failedQueue
+        .filter(entry => entry && typeof entry === 'object' && entry.playedAt)
+        .map(entry => ({ ...entry, attemptCount: Number(entry.attemptCount) || 1 }))
+    })
+  }
+];
+
+/**
+ * Upgrade a stored state to the current schema version
+ * States from a newer release are used as they are, so a rollback doesn't
+ * throw away their data.
+ * @param {object} stored - State as read from the backend
+ * @returns {object} { state, applied: [versions] }
+ * @throws {Error} If the state is not an object or fails validation
+ */
+export function migrateState(stored) {
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    throw new Error('State is not an object');
+  }
+
+  const fromVersion = Number.isInteger(stored.version) ? stored.version : 0;
+  if (fromVersion > STATE_SCHEMA_VERSION) {
+    console.warn(`[State Manager] State schema v${fromVersion} is newer than v${STATE_SCHEMA_VERSION}, loading as is`);
+  }
+
+  let state = stored;
+  const applied = [];
+
+  for (const migration of STATE_MIGRATIONS) {
+    if (migration.version <= fromVersion) {
+      continue;
+    }
+
+    state = { ...migration.migrate(state), version: migration.version };
+    if (!validateState(state)) {
+      throw new Error(`State failed validation after migration to v${migration.version}`);
+    }
+    applied.push(migration.version);
+  }
+
+  if (applied.length === 0 && !validateState(state)) {
+    throw new Error('State failed validation');
+  }
+
+  if (applied.length > 0) {
+    console.log(`[State Manager] Migrated state from v${fromVersion} to v${state.version}`);
+  }
+  return { state, applied };
+}
+
+/**
+ * Get the revision of a stored state
+ * @param {object|null} stored - Stored state
+ * @returns {number} Revision (0 for states saved before revisions existed)
+ */
+function getRevision(stored) {
+  return Number.isInteger(stored?.revision) ? stored.revision : 0;
+}
+
+/**
+ * Create the error thrown when the stored state changed since it was loaded
+ * @param {number} expected - Revision the state was loaded at
+ * @param {number} actual - Revision currently stored
+ * @returns {Error} Error with code STATE_CONFLICT
+ */
+function createConflictError(expected, actual) {
+  const error = new Error(`State was modified by another run (expected revision ${expected}, found ${actual})`);
+  error.code = STATE_CONFLICT;
+  return error;
+}
+
+/**
+ * Wait before retrying
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================================================
+// USER NAMESPACES
+// ============================================================================
+
+/**
+ * Get the state directory of the current user
+ * @returns {string} Directory path
+ */
+function getUserStateDir() {
+  const userId = getCurrentUserId();
+  return isDefaultUser(userId) ? STATE_DIR : path.join(STATE_DIR, 'users', userId);
+}
+
+/**
+ * Get the path of a state file of the current user
+ * @param {string} name - File name
+ * @returns {string} File path
+ */
+function getUserStatePath(name) {
+  return path.join(getUserStateDir(), name);
+}
+
+/**
+ * Get a KV key of the current user
+ * @param {string} key - Key name
+ * @returns {string} Namespaced key (unchanged for the default user)
+ */
+function getUserKVKey(key) {
+  const userId = getCurrentUserId();
+  return isDefaultUser(userId) ? key : `user:${userId}:${key}`;
+}
+
 // LOCAL FILE BACKEND
 // ============================================================================
 
 /**
- * Ensure state directory exists
+ * Ensure the current user's state directory exists
  */
 async function ensureStateDir() {
+  const dir = getUserStateDir();
   try {
-    await fs.access(STATE_DIR);
+    await fs.access(dir);
   } catch {
-    await fs.mkdir(STATE_DIR, { recursive: true });
-    console.log('[State Manager - Local] Created state directory:', STATE_DIR);
+    await fs.mkdir(dir, { recursive: true });
+    console.log('[State Manager - Local] Created state directory:', dir);
   }
 }
 
+/**
+ * Parse and migrate a local state file
+ * @param {string} data - File contents
+ * @returns {object} Migrated state
+ * @throws {Error} If the file is not valid JSON or fails validation
+ */
+function parseStateFile(data) {
+  return migrateState(JSON.parse(data)).state;
+}
+
+/**
+ * Move an unrecoverable local state out of the way
+ * @param {string} data - File contents
+ * @param {string} reason - Why the state could not be loaded
+ * @returns {Promise<void>}
+ */
+async function quarantineStateLocal(data, reason) {
+  const record = { quarantinedAt: new Date().toISOString(), reason, data };
+  const file = getUserStatePath(QUARANTINE_FILE);
+  await fs.writeFile(file, JSON.stringify(record, null, 2), 'utf-8');
+  console.error(`[State Manager - Local] Quarantined unrecoverable state to ${file}: ${reason}`);
+}
+
 /**
  * Load state from local JSON file
+ * Unrecoverable states are quarantined and replaced by the backup (or the
+ * default state), keeping the stored revision so the next save succeeds.
  * @returns {Promise<object>} Current state
  */
 async function loadStateLocal() {
   await ensureStateDir();
 
+  let data;
   try {
-    const data = await fs.readFile(STATE_FILE, 'utf-8');
-    const state = JSON.parse(data);
-    console.log('[State Manager - Local] State loaded successfully');
-    return state;
+    data = await fs.readFile(getUserStatePath(STATE_FILE), 'utf-8');
   } catch (error) {
     if (error.code === 'ENOENT') {
       console.log('[State Manager - Local] No existing state file, using default state');
-      return { ...DEFAULT_STATE };
+      return createDefaultState();
     }
+    throw new Error(`Failed to read state: ${error.message}`);
+  }
 
-    // Try to load from backup
+  try {
+    const state = parseStateFile(data);
+    console.log('[State Manager - Local] State loaded successfully');
+    return state;
+  } catch (error) {
     console.warn('[State Manager - Local] Error loading state, trying backup...', error.message);
+    await quarantineStateLocal(data, error.message);
+
+    const revision = readRevisionLocal(data) ?? 0;
     try {
-      const backupData = await fs.readFile(BACKUP_FILE, 'utf-8');
-      const state = JSON.parse(backupData);
+      const state = parseStateFile(await fs.readFile(getUserStatePath(BACKUP_FILE), 'utf-8'));
       console.log('[State Manager - Local] Loaded state from backup');
-      return state;
+      return { ...state, revision };
     } catch (backupError) {
       console.warn('[State Manager - Local] Could not load backup, using default state');
-      return { ...DEFAULT_STATE };
+      return { ...createDefaultState(), revision };
+    }
+  }
+}
+
+/**
+ * Read the revision of a local state file
+ * @param {string|null} data - File contents (null if missing)
+ * @returns {number|null} Revision, or null if the file can't be parsed
+ */
+function readRevisionLocal(data) {
+  if (data === null) {
+    return 0;
+  }
+  try {
+    return getRevision(JSON.parse(data));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run a state write while holding the local write lock
+ * The lock only covers the read-compare-write of a save, so it is held for
+ * milliseconds; a lock file left behind by a crashed writer goes stale.
+ * @param {function} write - Async write to run
+ * @returns {Promise<*>} Result of the write
+ */
+async function withStateWriteLock(write) {
+  const deadline = Date.now() + STATE_WRITE_LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      await fs.writeFile(getUserStatePath(STATE_WRITE_LOCK_FILE), String(process.pid), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      const stat = await fs.stat(getUserStatePath(STATE_WRITE_LOCK_FILE)).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > STATE_WRITE_LOCK_STALE_MS) {
+        console.warn('[State Manager - Local] Removing stale state write lock');
+        await fs.rm(getUserStatePath(STATE_WRITE_LOCK_FILE), { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error('Timed out waiting for the state write lock');
+      }
+      await sleep(10);
     }
   }
+
+  try {
+    return await write();
+  } finally {
+    await fs.rm(getUserStatePath(STATE_WRITE_LOCK_FILE), { force: true });
+  }
 }
 
 /**
  * Save state to local JSON file with backup
+ * The file is replaced atomically (temp file + rename) and only if its
+ * revision still matches the one the state was loaded at.
  * @param {object} state - State object to save
- * @returns {Promise<void>}
+ * @param {number|null} expectedRevision - Stored revision to compare, null to overwrite
+ * @returns {Promise<number>} New revision
  */
-async function saveStateLocal(state) {
+async function saveStateLocal(state, expectedRevision) {
   await ensureStateDir();
 
   try {
-    // Create backup of current state if it exists
-    try {
-      const currentData = await fs.readFile(STATE_FILE, 'utf-8');
-      await fs.writeFile(BACKUP_FILE, currentData, 'utf-8');
-    } catch (error) {
-      // No current file to backup, that's okay
-    }
+    return await withStateWriteLock(async () => {
+      let currentData = null;
+      try {
+        currentData = await fs.readFile(getUserStatePath(STATE_FILE), 'utf-8');
+      } catch (error) {
+        // No current file, that's okay
+      }
 
-    // Write new state
-    const stateJson = JSON.stringify(state, null, 2);
-    await fs.writeFile(STATE_FILE, stateJson, 'utf-8');
-    console.log('[State Manager - Local] State saved successfully');
+      // An unparseable file has no revision to compare; it was quarantined on load
+      const current = readRevisionLocal(currentData);
+      if (expectedRevision !== null && current !== null && current !== expectedRevision) {
+        throw createConflictError(expectedRevision, current);
+      }
+
+      // Create backup of current state if it exists
+      if (currentData !== null) {
+        await fs.writeFile(getUserStatePath(BACKUP_FILE), currentData, 'utf-8');
+      }
+
+      const revision = Math.max(current ?? 0, getRevision(state)) + 1;
+      const tempFile = `${getUserStatePath(STATE_FILE)}.${randomUUID()}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify({ ...state, revision }, null, 2), 'utf-8');
+      await fs.rename(tempFile, getUserStatePath(STATE_FILE));
+
+      console.log(`[State Manager - Local] State saved successfully (revision ${revision})`);
+      return revision;
+    });
   } catch (error) {
+    if (error.code === STATE_CONFLICT) {
+      throw error;
+    }
     console.error('[State Manager - Local] Error saving state:', error.message);
     throw new Error(`Failed to save state: ${error.message}`);
   }
@@ -154,51 +536,104 @@ async function saveStateLocal(state) {
 // VERCEL KV BACKEND
 // ============================================================================
 
+// Compare-and-swap of the full state: ARGV[1] is the expected revision
+// ('' to overwrite), ARGV[2] the new state. Returns { saved, storedRevision }.
+const KV_SAVE_STATE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+local revision = 0
+if current then
+  local ok, stored = pcall(cjson.decode, current)
+  if ok and type(stored) == 'table' and type(stored.revision) == 'number' then
+    revision = stored.revision
+  end
+end
+if ARGV[1] ~= '' and revision ~= tonumber(ARGV[1]) then
+  return {0, revision}
+end
+redis.call('SET', KEYS[1], ARGV[2])
+return {1, revision}
+`;
+
 /**
  * Load state from Vercel KV
+ * Unrecoverable states are copied to the quarantine key and replaced by the
+ * default state, keeping the stored revision so the next save succeeds.
  * @returns {Promise<object>} Current state
+ * @throws {Error} If KV can't be read; a default state saved in its place
+ *   could pass the revision check (states without a revision count as 0)
+ *   and wipe the stored state
  */
 async function loadStateKV() {
+  let stored;
   try {
     const kv = await getKVClient();
-    const state = await kv.get(KV_STATE_KEY);
-
-    if (state) {
-      console.log('[State Manager - KV] State loaded successfully');
-      return state;
-    }
+    stored = await kv.get(getUserKVKey(KV_STATE_KEY));
+  } catch (error) {
+    console.error('[State Manager - KV] Error loading state:', error.message);
+    throw new Error(`Failed to load state from KV: ${error.message}`);
+  }
 
+  if (!stored) {
     console.log('[State Manager - KV] No existing state, using default state');
-    return { ...DEFAULT_STATE };
+    return createDefaultState();
+  }
+
+  try {
+    const { state } = migrateState(stored);
+    console.log('[State Manager - KV] State loaded successfully');
+    return state;
   } catch (error) {
-    console.error('[State Manager - KV] Error loading state:', error.message);
-    // Fallback to default state
-    return { ...DEFAULT_STATE };
+    const kv = await getKVClient();
+    const key = getUserKVKey(KV_QUARANTINE_KEY);
+    await kv.set(key, { quarantinedAt: new Date().toISOString(), reason: error.message, data: stored });
+    console.error(`[State Manager - KV] Quarantined unrecoverable state to ${key}: ${error.message}`);
+    return { ...createDefaultState(), revision: getRevision(stored) };
   }
 }
 
 /**
  * Save state to Vercel KV
+ * The full state is written by a Lua script that checks the stored revision
+ * first, so the compare and the write are atomic.
  * @param {object} state - State object to save
- * @returns {Promise<void>}
+ * @param {number|null} expectedRevision - Stored revision to compare, null to overwrite
+ * @returns {Promise<number>} New revision
  */
-async function saveStateKV(state) {
+async function saveStateKV(state, expectedRevision) {
+  let result;
+  let revision;
   try {
     const kv = await getKVClient();
 
-    // Save full state
-    await kv.set(KV_STATE_KEY, state);
+    revision = expectedRevision === null
+      ? Math.max(getRevision(await kv.get(getUserKVKey(KV_STATE_KEY))), getRevision(state)) + 1
+      : expectedRevision + 1;
+    const payload = { ...state, revision };
 
-    // Also save individual components for easier querying
-    await kv.set(KV_LAST_PROCESSED_KEY, state.lastProcessed);
-    await kv.set(KV_FAILED_QUEUE_KEY, state.failedQueue);
-    await kv.set(KV_STATS_KEY, state.stats);
+    // Save full state
+    result = await kv.eval(
+      KV_SAVE_STATE_SCRIPT,
+      [getUserKVKey(KV_STATE_KEY)],
+      [expectedRevision === null ? '' : String(expectedRevision), JSON.stringify(payload)]
+    );
 
-    console.log('[State Manager - KV] State saved successfully');
+    if (result[0] === 1) {
+      // Also save individual components for easier querying
+      await kv.set(getUserKVKey(KV_LAST_PROCESSED_KEY), state.lastProcessed);
+      await kv.set(getUserKVKey(KV_FAILED_QUEUE_KEY), state.failedQueue);
+      await kv.set(getUserKVKey(KV_STATS_KEY), state.stats);
+    }
   } catch (error) {
     console.error('[State Manager - KV] Error saving state:', error.message);
     throw new Error(`Failed to save state to KV: ${error.message}`);
   }
+
+  if (result[0] !== 1) {
+    throw createConflictError(expectedRevision, result[1]);
+  }
+
+  console.log(`[State Manager - KV] State saved successfully (revision ${revision})`);
+  return revision;
 }
 
 // ============================================================================
@@ -207,10 +642,12 @@ async function saveStateKV(state) {
 
 /**
  * Load state from appropriate backend
- * @returns {Promise<object>} Current state
+ * Older states are migrated to the current schema version.
+ * @param {object} options - { backend } 'local' or 'kv' (default: detected)
+ * @returns {Promise<object>} Current state (with its revision)
  */
-export async function loadState() {
-  if (shouldUseKV()) {
+export async function loadState(options = {}) {
+  if (resolveUseKV(options.backend)) {
     return await loadStateKV();
   } else {
     return await loadStateLocal();
@@ -219,14 +656,52 @@ export async function loadState() {
 
 /**
  * Save state to appropriate backend
- * @param {object} state - State object to save
+ * The write only succeeds if nobody saved since the state was loaded;
+ * otherwise it throws an error with code STATE_CONFLICT. Prefer updateState,
+ * which reloads and retries. On success state.revision is set to the new
+ * revision, so the same object can be saved again.
+ * @param {object} state - State object to save (from loadState)
+ * @param {object} options - { force } overwrites without the revision check,
+ *   { backend } 'local' or 'kv' (default: detected)
  * @returns {Promise<void>}
  */
-export async function saveState(state) {
-  if (shouldUseKV()) {
-    await saveStateKV(state);
-  } else {
-    await saveStateLocal(state);
+export async function saveState(state, options = {}) {
+  const expectedRevision = options.force ? null : getRevision(state);
+
+  state.revision = resolveUseKV(options.backend)
+    ? await saveStateKV(state, expectedRevision)
+    : await saveStateLocal(state, expectedRevision);
+}
+
+/**
+ * Apply a change to the latest state and save it
+ * The mutator gets a freshly loaded state to change in place. If another run
+ * saved in the meantime the state is reloaded and the mutator runs again, so
+ * it must not have side effects besides changing the state. Nothing is
+ * written when the mutator leaves the state unchanged.
+ * @param {function} mutate - (state) => result, may be async
+ * @returns {Promise<*>} Result of the last mutator call
+ */
+export async function updateState(mutate) {
+  for (let attempt = 1; ; attempt++) {
+    const state = await loadState();
+    const before = JSON.stringify(state);
+    const result = await mutate(state);
+
+    if (JSON.stringify(state) === before) {
+      return result;
+    }
+
+    try {
+      await saveState(state);
+      return result;
+    } catch (error) {
+      if (error.code !== STATE_CONFLICT || attempt >= MAX_STATE_UPDATE_ATTEMPTS) {
+        throw error;
+      }
+      console.warn(`[State Manager] ${error.message}, retrying (attempt ${attempt + 1}/${MAX_STATE_UPDATE_ATTEMPTS})`);
+      await sleep(Math.random() * 50 * attempt);
+    }
   }
 }
 
@@ -245,15 +720,13 @@ export async function getLastProcessed() {
  * @returns {Promise<void>}
  */
 export async function updateLastProcessed(track) {
-  const state = await loadState();
-
-  state.lastProcessed = {
-    trackId: track.track?.id || '',
-    timestamp: new Date().toISOString(),
-    playedAt: track.played_at
-  };
-
-  await saveState(state);
+  await updateState(state => {
+    state.lastProcessed = {
+      trackId: track.track?.id || '',
+      timestamp: new Date().toISOString(),
+      playedAt: track.played_at
+    };
+  });
   console.log('[State Manager] Updated last processed track:', track.track?.name);
 }
 
@@ -264,8 +737,6 @@ export async function updateLastProcessed(track) {
  * @returns {Promise<void>}
  */
 export async function addToFailedQueue(track, error) {
-  const state = await loadState();
-
   const failedEntry = {
     trackId: track.track?.id || '',
     trackName: track.track?.name || 'Unknown',
@@ -276,24 +747,29 @@ export async function addToFailedQueue(track, error) {
     partialData: track
   };
 
-  // Check if track is already in queue
-  const existingIndex = state.failedQueue.findIndex(
-    item => item.trackId === failedEntry.trackId && item.playedAt === failedEntry.playedAt
-  );
-
-  if (existingIndex >= 0) {
-    // Update existing entry
-    state.failedQueue[existingIndex].attemptCount++;
-    state.failedQueue[existingIndex].lastAttempt = failedEntry.lastAttempt;
-    state.failedQueue[existingIndex].error = error;
-    console.log(`[State Manager] Updated failed queue entry (attempt ${state.failedQueue[existingIndex].attemptCount}):`, failedEntry.trackName);
+  const existing = await updateState(state => {
+    // Check if track is already in queue
+    const entry = state.failedQueue.find(
+      item => item.trackId === failedEntry.trackId && item.playedAt === failedEntry.playedAt
+    );
+
+    if (entry) {
+      // Update existing entry
+      entry.attemptCount++;
+      entry.lastAttempt = failedEntry.lastAttempt;
+      entry.error = error;
+    } else {
+      // Add new entry
+      state.failedQueue.push(failedEntry);
+    }
+    return entry;
+  });
+
+  if (existing) {
+    console.log(`[State Manager] Updated failed queue entry (attempt ${existing.attemptCount}):`, failedEntry.trackName);
   } else {
-    // Add new entry
-    state.failedQueue.push(failedEntry);
     console.log('[State Manager] Added to failed queue:', failedEntry.trackName);
   }
-
-  await saveState(state);
 }
 
 /**
@@ -312,16 +788,15 @@ export async function getFailedQueue() {
  * @returns {Promise<void>}
  */
 export async function clearFromFailedQueue(trackId, playedAt) {
-  const state = await loadState();
-
-  const originalLength = state.failedQueue.length;
-  state.failedQueue = state.failedQueue.filter(
-    item => !(item.trackId === trackId && item.playedAt === playedAt)
-  );
+  const removed = await updateState(state => {
+    const originalLength = state.failedQueue.length;
+    state.failedQueue = state.failedQueue.filter(
+      item => !(item.trackId === trackId && item.playedAt === playedAt)
+    );
+    return originalLength - state.failedQueue.length;
+  });
 
-  const removed = originalLength - state.failedQueue.length;
   if (removed > 0) {
-    await saveState(state);
     console.log(`[State Manager] Removed ${removed} item(s) from failed queue`);
   }
 }
@@ -333,13 +808,11 @@ export async function clearFromFailedQueue(trackId, playedAt) {
  * @returns {Promise<void>}
  */
 export async function updateStats(successCount, failureCount) {
-  const state = await loadState();
-
-  state.stats.lastRun = new Date().toISOString();
-  state.stats.successCount += successCount;
-  state.stats.failureCount += failureCount;
-
-  await saveState(state);
+  await updateState(state => {
+    state.stats.lastRun = new Date().toISOString();
+    state.stats.successCount += successCount;
+    state.stats.failureCount += failureCount;
+  });
   console.log(`[State Manager] Updated stats: +${successCount} success, +${failureCount} failures`);
 }
 
@@ -357,21 +830,744 @@ export async function getStats() {
  * @returns {Promise<void>}
  */
 export async function resetStats() {
-  const state = await loadState();
-  state.stats = { ...DEFAULT_STATE.stats };
-  await saveState(state);
+  await updateState(state => {
+    state.stats = { ...DEFAULT_STATE.stats };
+  });
   console.log('[State Manager] Stats reset');
 }
 
+/**
+ * Record a currently-playing sample into its play session
+ * @param {object} sample - Sample from createPlaybackSample
+ * @returns {Promise<object|null>} The session the sample was merged into
+ */
+export async function recordPlaybackSample(sample) {
+  if (!sample) {
+    return null;
+  }
+
+  const session = await updateState(state => {
+    state.playbackSessions = mergePlaybackSample(state.playbackSessions, sample);
+    return state.playbackSessions[state.playbackSessions.length - 1];
+  });
+
+  console.log(`[State Manager] Recorded playback sample: ${sample.trackName} (${sample.progressMs}ms, session samples: ${session.sampleCount})`);
+  return session;
+}
+
+/**
+ * Get recorded play sessions
+ * @returns {Promise<array>} Array of play sessions
+ */
+export async function getPlaybackSessions() {
+  const state = await loadState();
+  return state.playbackSessions || [];
+}
+
+/**
+ * Remove play sessions older than the retention window
+ * @param {number} maxAgeMs - Maximum session age in ms (default: 48 hours)
+ * @returns {Promise<number>} Number of sessions removed
+ */
+export async function prunePlaybackSessions(maxAgeMs) {
+  const removed = await updateState(state => {
+    const sessions = state.playbackSessions || [];
+    const remaining = pruneSessions(sessions, maxAgeMs);
+
+    if (remaining.length < sessions.length) {
+      state.playbackSessions = remaining;
+    }
+    return sessions.length - remaining.length;
+  });
+
+  if (removed > 0) {
+    console.log(`[State Manager] Pruned ${removed} old playback session(s)`);
+  }
+
+  return removed;
+}
+
+/**
+ * Get the key identifying an episode listen
+ * @param {object} listen - Episode listen
+ * @returns {string} episodeId|startedAt
+ */
+function getEpisodeListenKey(listen) {
+  return `${listen.episodeId}|${listen.startedAt}`;
+}
+
+/**
+ * Add a finished episode listen to the pending list
+ * @param {object} state - State to change
+ * @param {object} listen - Finished listen
+ */
+function addPendingEpisode(state, listen) {
+  const pending = (state.pendingEpisodes || []).filter(entry => getEpisodeListenKey(entry) !== getEpisodeListenKey(listen));
+  state.pendingEpisodes = [...pending, listen].slice(-MAX_PENDING_EPISODES);
+}
+
+/**
+ * Record an episode sample for podcast/audiobook logging
+ * A finished listen is moved to the pending list in the same update, so it
+ * stays in state until logPendingEpisodes has written it.
+ * @param {object} sample - Sample from createEpisodeSample
+ * @returns {Promise<object>} { current, finished } - finished listen, if any
+ */
+export async function recordEpisodeSample(sample) {
+  const result = await updateState(state => {
+    const merged = mergeEpisodeSample(state.currentEpisode || null, sample);
+    state.currentEpisode = merged.current;
+    if (merged.finished) {
+      addPendingEpisode(state, merged.finished);
+    }
+    return merged;
+  });
+
+  if (result.finished) {
+    console.log(`[State Manager] Finished episode listen: ${result.finished.episodeName}`);
+  }
+  return result;
+}
+
+/**
+ * End the current episode listen if playback stopped
+ * The finished listen is moved to the pending list (see recordEpisodeSample).
+ * @param {number} maxIdleMs - Idle time before a listen ends (0 = end now)
+ * @returns {Promise<object|null>} Finished listen, or null
+ */
+export async function expireCurrentEpisode(maxIdleMs) {
+  const result = await updateState(state => {
+    const expired = expireEpisode(state.currentEpisode || null, Date.now(), maxIdleMs);
+    if (expired.finished) {
+      state.currentEpisode = null;
+      addPendingEpisode(state, expired.finished);
+    }
+    return expired;
+  });
+
+  if (result.finished) {
+    console.log(`[State Manager] Finished episode listen: ${result.finished.episodeName}`);
+  }
+
+  return result.finished;
+}
+
+/**
+ * Get finished episode listens not yet written to the Podcasts sheet
+ * @returns {Promise<array>} Pending listens, oldest first
+ */
+export async function getPendingEpisodes() {
+  const state = await loadState();
+  return state.pendingEpisodes || [];
+}
+
+/**
+ * Remove episode listens that were written to the Podcasts sheet
+ * @param {array} listens - Listens from getPendingEpisodes
+ * @returns {Promise<void>}
+ */
+export async function clearPendingEpisodes(listens) {
+  const logged = new Set(listens.map(getEpisodeListenKey));
+
+  await updateState(state => {
+    const pending = state.pendingEpisodes || [];
+    const remaining = pending.filter(entry => !logged.has(getEpisodeListenKey(entry)));
+
+    if (remaining.length < pending.length) {
+      state.pendingEpisodes = remaining;
+    }
+  });
+}
+
+/**
+ * Get cached listening stats for a window
+ * @param {string} key - Cache key from getStatsCacheKey
+ * @param {number} maxAgeMs - Maximum age of the cached entry
+ * @returns {Promise<object|null>} { computedAt, stats } or null if missing/stale
+ */
+export async function getCachedStats(key, maxAgeMs) {
+  const state = await loadState();
+  const entry = state.statsCache?.[key];
+
+  if (!entry || Date.now() - new Date(entry.computedAt).getTime() > maxAgeMs) {
+    return null;
+  }
+
+  return entry;
+}
+
+/**
+ * Cache listening stats for a window
+ * Only the most recently computed windows are kept
+ * @param {string} key - Cache key from getStatsCacheKey
+ * @param {object} stats - Aggregated stats
+ * @param {string} computedAt - ISO timestamp of the computation
+ * @returns {Promise<void>}
+ */
+export async function setCachedStats(key, stats, computedAt) {
+  await updateState(state => {
+    const entries = Object.entries({ ...state.statsCache, [key]: { computedAt, stats } })
+      .sort(([, a], [, b]) => b.computedAt.localeCompare(a.computedAt))
+      .slice(0, MAX_STATS_CACHE_ENTRIES);
+
+    state.statsCache = Object.fromEntries(entries);
+  });
+}
+
+/**
+ * Clear cached listening stats
+ * @returns {Promise<void>}
+ */
+export async function clearStatsCache() {
+  await updateState(state => {
+    state.statsCache = {};
+  });
+  console.log('[State Manager] Stats cache cleared');
+}
+
+/**
+ * Add logged plays to listening sessions
+ * The sessions these plays close are handed to logClosed first; the open
+ * session is only saved once that succeeded, so a failed write leaves the
+ * state as it was and the next run closes the same sessions again.
+ * @param {array} plays - Session plays from toSessionPlay
+ * @param {function} logClosed - async (closedSessions) => void, e.g. logSessions
+ * @param {object} options - { gapMs, now } passed to sessionizePlays
+ * @returns {Promise<array>} Sessions closed by these plays
+ */
+export async function recordSessionPlays(plays, logClosed, options = {}) {
+  const state = await loadState();
+  const { closed } = sessionizePlays(plays, state.openSession || null, options);
+
+  await logClosed(closed);
+
+  // Plays at or before the open session's end are skipped, so rerunning on a
+  // state another run already advanced doesn't count them twice
+  await updateState(latest => {
+    latest.openSession = sessionizePlays(plays, latest.openSession || null, options).open;
+  });
+
+  if (closed.length > 0) {
+    console.log(`[State Manager] Closed ${closed.length} listening session(s)`);
+  }
+  return closed;
+}
+
+/**
+ * Get the session that is still open
+ * @returns {Promise<object|null>} Open session or null
+ */
+export async function getOpenSession() {
+  const state = await loadState();
+  return state.openSession || null;
+}
+
+/**
+ * Update the daily listening streak with the days plays were logged on
+ * @param {array} timestamps - Play timestamps
+ * @returns {Promise<object>} { previous, streak }
+ */
+export async function updateListeningStreak(timestamps) {
+  const days = [...new Set((timestamps || []).map(toDayKey))].sort();
+
+  const { previous, streak } = await updateState(state => {
+    const stored = state.listeningStreak || null;
+    const advanced = days.reduce(advanceStreak, stored);
+    if (advanced !== stored) {
+      state.listeningStreak = advanced;
+    }
+    return { previous: stored, streak: advanced };
+  });
+
+  if (streak !== previous) {
+    console.log(`[State Manager] Listening streak: ${streak.current} day(s) (longest: ${streak.longest})`);
+  }
+
+  return { previous, streak };
+}
+
+/**
+ * Get the stored daily listening streak
+ * @returns {Promise<object|null>} Streak or null if nothing was logged yet
+ */
+export async function getListeningStreak() {
+  const state = await loadState();
+  return state.listeningStreak || null;
+}
+
+/**
+ * Add webhook deliveries to the outbox
+ * The oldest deliveries are dropped once the outbox is full.
+ * @param {array} deliveries - Deliveries from createDeliveries
+ * @returns {Promise<void>}
+ */
+export async function addToWebhookOutbox(deliveries) {
+  const dropped = await updateState(state => {
+    const outbox = [...(state.webhookOutbox || []), ...deliveries];
+    state.webhookOutbox = outbox.slice(-MAX_WEBHOOK_OUTBOX);
+    return outbox.length - state.webhookOutbox.length;
+  });
+
+  if (dropped > 0) {
+    console.warn(`[State Manager] Webhook outbox full, dropping ${dropped} oldest deliveries`);
+  }
+}
+
+/**
+ * Get pending webhook deliveries
+ * @returns {Promise<array>} Outbox deliveries
+ */
+export async function getWebhookOutbox() {
+  const state = await loadState();
+  return state.webhookOutbox || [];
+}
+
+/**
+ * Apply the results of a delivery run to the outbox
+ * Reloads state so deliveries queued during the run are kept.
+ * @param {array} removeIds - Delivered or dropped delivery IDs
+ * @param {array} retried - Deliveries with updated attempts and nextAttemptAt
+ * @returns {Promise<number>} Deliveries still pending
+ */
+export async function settleWebhookDeliveries(removeIds, retried) {
+  const remove = new Set(removeIds);
+  const updates = new Map(retried.map(delivery => [delivery.id, delivery]));
+
+  return updateState(state => {
+    state.webhookOutbox = (state.webhookOutbox || [])
+      .filter(delivery => !remove.has(delivery.id))
+      .map(delivery => updates.get(delivery.id) || delivery);
+    return state.webhookOutbox.length;
+  });
+}
+
+/**
+ * Get the stored Spotify authorization
+ * @returns {Promise<object|null>} { refreshToken (encrypted), source, scope, obtainedAt, rotatedAt }
+ */
+export async function getSpotifyAuth() {
+  const state = await loadState();
+  return state.spotifyAuth || null;
+}
+
+/**
+ * Store the Spotify authorization (the refresh token must already be encrypted)
+ * @param {object} auth - { refreshToken, source, scope, obtainedAt, rotatedAt }
+ * @returns {Promise<void>}
+ */
+export async function setSpotifyAuth(auth) {
+  await updateState(state => {
+    state.spotifyAuth = auth;
+  });
+}
+
+/**
+ * Remember an authorization request until its callback arrives
+ * Expired requests are dropped, and only the newest few are kept.
+ * @param {object} request - { id, codeVerifier, redirectUri, createdAt }
+ * @param {number} maxAgeMs - How long a request stays valid
+ * @returns {Promise<void>}
+ */
+export async function addOAuthRequest(request, maxAgeMs) {
+  const cutoff = Date.now() - maxAgeMs;
+
+  await updateState(state => {
+    const pending = (state.oauthRequests || []).filter(entry => Date.parse(entry.createdAt) >= cutoff);
+    state.oauthRequests = [...pending, request].slice(-MAX_OAUTH_REQUESTS);
+  });
+}
+
+/**
+ * Remove an authorization request and return it (each request is single-use)
+ * @param {string} id - Request ID from the OAuth state parameter
+ * @param {number} maxAgeMs - How long a request stays valid
+ * @returns {Promise<object|null>} The request, or null if unknown or expired
+ */
+export async function takeOAuthRequest(id, maxAgeMs) {
+  const cutoff = Date.now() - maxAgeMs;
+
+  return updateState(state => {
+    const pending = state.oauthRequests || [];
+    const request = pending.find(entry => entry.id === id) || null;
+    state.oauthRequests = pending.filter(entry => entry !== request && Date.parse(entry.createdAt) >= cutoff);
+    return request && Date.parse(request.createdAt) >= cutoff ? request : null;
+  });
+}
+
+/**
+ * Get the index of Listening Log partitions (see lib/partitions.js)
+ * @returns {Promise<object>} { [YYYY-MM]: { sheet, rows, firstPlayedAt, lastPlayedAt, archive } }
+ */
+export async function getLogPartitions() {
+  const state = await loadState();
+  return state.logPartitions || {};
+}
+
+/**
+ * Record rows written to Listening Log partitions
+ * @param {array} writes - [{ month, sheet, rows, firstPlayedAt, lastPlayedAt }]
+ * @returns {Promise<object>} Updated partition index
+ */
+export async function recordPartitionRows(writes) {
+  return updateState(state => {
+    const partitions = state.logPartitions || {};
+
+    for (const { month, sheet, rows, firstPlayedAt, lastPlayedAt } of writes) {
+      const entry = partitions[month] || { sheet, rows: 0, firstPlayedAt, lastPlayedAt, archive: null };
+      partitions[month] = {
+        ...entry,
+        rows: entry.rows + rows,
+        firstPlayedAt: firstPlayedAt < entry.firstPlayedAt ? firstPlayedAt : entry.firstPlayedAt,
+        lastPlayedAt: lastPlayedAt > entry.lastPlayedAt ? lastPlayedAt : entry.lastPlayedAt
+      };
+    }
+
+    state.logPartitions = partitions;
+    return partitions;
+  });
+}
+
+/**
+ * Mark a Listening Log partition as moved to the archive
+ * @param {string} month - Partition month (YYYY-MM)
+ * @param {object} archive - { sheet, location, rows, archivedAt }
+ * @returns {Promise<void>}
+ */
+export async function markPartitionArchived(month, archive) {
+  await updateState(state => {
+    const partitions = state.logPartitions || {};
+    if (partitions[month]) {
+      partitions[month] = { ...partitions[month], archive };
+      state.logPartitions = partitions;
+    }
+  });
+}
+
+/**
+ * Get the dedup index (see lib/dedup-index.js)
+ * @returns {Promise<object>} { [sheet]: { rows, keys, coveredFrom, verifiedAt } }
+ */
+export async function getDedupIndex() {
+  const state = await loadState();
+  return state.dedupIndex || {};
+}
+
+/**
+ * Replace or drop the dedup index entry of a sheet
+ * @param {string} sheetName - Name of the sheet tab
+ * @param {object|null} entry - New entry, or null to drop it
+ * @returns {Promise<void>}
+ */
+export async function setDedupIndexEntry(sheetName, entry) {
+  await updateState(state => {
+    const index = state.dedupIndex || {};
+    if (entry) {
+      index[sheetName] = entry;
+    } else {
+      delete index[sheetName];
+    }
+    state.dedupIndex = index;
+  });
+}
+
+/**
+ * Add rows appended to a sheet to its dedup index entry
+ * Sheets without an entry are skipped; their index is built on the next read.
+ * @param {string} sheetName - Name of the sheet tab
+ * @param {number} rowCount - Rows appended
+ * @param {array} keys - Dedup keys of the appended rows
+ * @param {number} windowMs - Time window the index keeps
+ * @returns {Promise<boolean>} True if the sheet has an entry
+ */
+export async function recordDedupKeys(sheetName, rowCount, keys, windowMs) {
+  return updateState(state => {
+    const entry = state.dedupIndex?.[sheetName];
+    if (!entry) {
+      return false;
+    }
+
+    state.dedupIndex[sheetName] = addToDedupIndexEntry(entry, rowCount, keys, windowMs);
+    return true;
+  });
+}
+
 /**
  * Clear all state (for testing)
  * @returns {Promise<void>}
  */
 export async function clearAllState() {
-  await saveState({ ...DEFAULT_STATE });
+  await saveState(createDefaultState(), { force: true });
   console.log('[State Manager] All state cleared');
 }
 
+/**
+ * Get the local file of a metadata cache type
+ * @param {string} type - Cache type (e.g. 'artist')
+ * @returns {string} File path
+ */
+function getMetadataCacheFile(type) {
+  return path.join(STATE_DIR, `metadata-cache-${type}.json`);
+}
+
+/**
+ * Load a persisted metadata cache record
+ * @param {string} type - Cache type (e.g. 'artist')
+ * @returns {Promise<object|null>} { entries, hits, misses } or null if nothing is stored
+ */
+export async function loadMetadataCache(type) {
+  if (shouldUseKV()) {
+    const kv = await getKVClient();
+    return (await kv.get(`${KV_METADATA_CACHE_PREFIX}${type}`)) || null;
+  }
+
+  await ensureStateDir();
+  try {
+    return JSON.parse(await fs.readFile(getMetadataCacheFile(type), 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[State Manager - Local] Ignoring unreadable ${type} metadata cache:`, error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Save a metadata cache record
+ * @param {string} type - Cache type (e.g. 'artist')
+ * @param {object} record - { entries, hits, misses }
+ * @returns {Promise<void>}
+ */
+export async function saveMetadataCache(type, record) {
+  if (shouldUseKV()) {
+    const kv = await getKVClient();
+    await kv.set(`${KV_METADATA_CACHE_PREFIX}${type}`, record);
+    return;
+  }
+
+  await ensureStateDir();
+  await fs.writeFile(getMetadataCacheFile(type), JSON.stringify(record), 'utf-8');
+}
+
+/**
+ * Delete persisted metadata cache records
+ * @param {array} types - Cache types to delete
+ * @returns {Promise<void>}
+ */
+export async function clearMetadataCache(types) {
+  if (shouldUseKV()) {
+    const kv = await getKVClient();
+    await Promise.all(types.map(type => kv.del(`${KV_METADATA_CACHE_PREFIX}${type}`)));
+    return;
+  }
+
+  await Promise.all(types.map(type => fs.rm(getMetadataCacheFile(type), { force: true })));
+}
+
+/**
+ * Get the run lock TTL
+ * @returns {number} TTL in milliseconds (RUN_LOCK_TTL_SECONDS, default 120)
+ */
+function getRunLockTtlMs() {
+  const seconds = parseInt(process.env.RUN_LOCK_TTL_SECONDS || DEFAULT_RUN_LOCK_TTL_SECONDS, 10);
+  return (Number.isNaN(seconds) || seconds <= 0 ? DEFAULT_RUN_LOCK_TTL_SECONDS : seconds) * 1000;
+}
+
+/**
+ * Read the local lock file
+ * @param {string} file - Lock file path
+ * @returns {Promise<object|null>} Lease or null if missing/unreadable
+ */
+async function readLockFile(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Take over a stale local lock file
+ * The stale file is renamed away atomically; if another run replaced it in
+ * the meantime, the fresh lease is put back and the takeover fails.
+ * @param {object} stale - The expired lease that was read
+ * @returns {Promise<boolean>} True if the stale file was removed
+ */
+async function recoverStaleLockFile(stale) {
+  const moved = `${getUserStatePath(RUN_LOCK_FILE)}.${randomUUID()}.stale`;
+  try {
+    await fs.rename(getUserStatePath(RUN_LOCK_FILE), moved);
+  } catch {
+    // Another run recovered it first
+    return false;
+  }
+
+  const current = await readLockFile(moved);
+  if (current && current.owner !== stale.owner) {
+    await fs.rename(moved, getUserStatePath(RUN_LOCK_FILE)).catch(() => {});
+    return false;
+  }
+
+  await fs.rm(moved, { force: true });
+  return true;
+}
+
+/**
+ * Create the local lock file unless it already exists
+ * @param {object} lease - Lease to write
+ * @returns {Promise<boolean>} True if this call created the file
+ */
+async function createLockFile(lease) {
+  try {
+    // 'wx' fails if the file exists, so only one run can create it
+    await fs.writeFile(getUserStatePath(RUN_LOCK_FILE), JSON.stringify(lease), { flag: 'wx' });
+    return true;
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check whether the current lock file holds an expired lease
+ * An unreadable file may still be being written, so it only counts as
+ * stale once it is older than the TTL.
+ * @param {object|null} holder - Lease read from the file
+ * @param {number} ttlMs - Lease TTL
+ * @returns {Promise<boolean>} True if the lease can be taken over
+ */
+async function isStaleLockFile(holder, ttlMs) {
+  if (holder) {
+    return new Date(holder.expiresAt).getTime() <= Date.now();
+  }
+
+  try {
+    const { mtimeMs } = await fs.stat(getUserStatePath(RUN_LOCK_FILE));
+    return Date.now() - mtimeMs > ttlMs;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Acquire the run lock with an exclusive local lock file
+ * @param {object} lease - Lease to write
+ * @param {number} ttlMs - Lease TTL
+ * @returns {Promise<object>} { acquired, holder }
+ */
+async function acquireRunLockLocal(lease, ttlMs) {
+  await ensureStateDir();
+
+  if (await createLockFile(lease)) {
+    return { acquired: true, holder: lease };
+  }
+
+  const holder = await readLockFile(getUserStatePath(RUN_LOCK_FILE));
+  if (!(await isStaleLockFile(holder, ttlMs))) {
+    return { acquired: false, holder };
+  }
+
+  console.warn(`[State Manager] Recovering stale run lock held by ${holder?.owner || 'unknown'}`);
+  if (await recoverStaleLockFile(holder || {}) && await createLockFile(lease)) {
+    return { acquired: true, holder: lease };
+  }
+
+  return { acquired: false, holder: await readLockFile(getUserStatePath(RUN_LOCK_FILE)) };
+}
+
+/**
+ * Try to set the run lock in KV
+ * Expired leases are removed by the PX expiry, so crashed runs recover on their own.
+ * @param {object} lease - Lease to store
+ * @param {number} ttlMs - Lease TTL
+ * @returns {Promise<object>} { acquired, holder }
+ */
+async function acquireRunLockKV(lease, ttlMs) {
+  const kv = await getKVClient();
+  const result = await kv.set(getUserKVKey(KV_RUN_LOCK_KEY), lease, { nx: true, px: ttlMs });
+
+  if (result === 'OK') {
+    return { acquired: true, holder: lease };
+  }
+  return { acquired: false, holder: await kv.get(getUserKVKey(KV_RUN_LOCK_KEY)) };
+}
+
+/**
+ * Acquire the run lock shared by the state-mutating handlers
+ * A holder whose lease expires within waitMs is waited for (it is released
+ * as soon as its short write is done); longer runs are reported as busy
+ * straight away.
+ * @param {string} functionName - Handler taking the lock (e.g. 'log-spotify')
+ * @param {object} options - { ttlMs (default: RUN_LOCK_TTL_SECONDS), waitMs (default: RUN_LOCK_WAIT_MS) }
+ * @returns {Promise<object>} { acquired: true, lease } or { acquired: false, holder }
+ */
+export async function acquireRunLock(functionName, options = {}) {
+  const ttlMs = options.ttlMs ?? getRunLockTtlMs();
+  const deadline = Date.now() + (options.waitMs ?? RUN_LOCK_WAIT_MS);
+
+  for (;;) {
+    const now = Date.now();
+    const lease = {
+      owner: `${functionName}:${randomUUID()}`,
+      functionName,
+      acquiredAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString()
+    };
+
+    const { acquired, holder } = shouldUseKV()
+      ? await acquireRunLockKV(lease, ttlMs)
+      : await acquireRunLockLocal(lease, ttlMs);
+
+    if (acquired) {
+      console.log(`[State Manager] Run lock acquired by ${lease.owner}`);
+      return { acquired: true, lease };
+    }
+
+    if (Date.now() >= deadline || !(new Date(holder?.expiresAt).getTime() <= deadline)) {
+      console.warn(`[State Manager] Run lock busy, held by ${holder?.owner || 'unknown'} until ${holder?.expiresAt || 'unknown'}`);
+      return { acquired: false, holder: holder || null };
+    }
+
+    await sleep(RUN_LOCK_POLL_MS);
+  }
+}
+
+/**
+ * Release the run lock if it is still held by this lease
+ * @param {object} lease - Lease from acquireRunLock
+ * @returns {Promise<boolean>} True if the lock was released
+ */
+export async function releaseRunLock(lease) {
+  if (!lease) {
+    return false;
+  }
+
+  try {
+    if (shouldUseKV()) {
+      const kv = await getKVClient();
+      const holder = await kv.get(getUserKVKey(KV_RUN_LOCK_KEY));
+      if (holder?.owner !== lease.owner) {
+        return false;
+      }
+      await kv.del(getUserKVKey(KV_RUN_LOCK_KEY));
+    } else {
+      const holder = await readLockFile(getUserStatePath(RUN_LOCK_FILE));
+      if (holder?.owner !== lease.owner) {
+        return false;
+      }
+      await fs.rm(getUserStatePath(RUN_LOCK_FILE), { force: true });
+    }
+
+    console.log(`[State Manager] Run lock released by ${lease.owner}`);
+    return true;
+  } catch (error) {
+    // The lease expires on its own
+    console.warn('[State Manager] Could not release run lock:', error.message);
+    return false;
+  }
+}
+
 /**
  * Get full state (for debugging)
  * @returns {Promise<object>} Full state object
@@ -389,8 +1585,9 @@ export function getStorageBackend() {
   return {
     backend: usingKV ? 'vercel-kv' : 'local-file',
     isVercel: process.env.VERCEL_ENV !== undefined,
-    hasKVCredentials: !!(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN),
+    hasKVCredentials: hasKVCredentials(),
     useKVForced: process.env.USE_KV === 'true',
-    stateFile: usingKV ? null : STATE_FILE
+    userId: getCurrentUserId(),
+    stateFile: usingKV ? null : getUserStatePath(STATE_FILE)
   };
 }
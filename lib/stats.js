@@ -0,0 +1,356 @@
+import { getAllRows, getSinkInfo } from './sinks/index.js';
+import { createColumnMap } from './sheet-schema.js';
+import { partitionMusic } from './data-validator.js';
+import { getCachedStats, setCachedStats } from './state-manager.js';
+
+/**
+ * Listening Stats Module
+ *
+ * Aggregates logged plays into listening statistics:
+ * - Top tracks, artists, albums and genres for a from/to window
+ * - Total plays and listening minutes
+ * - Optional grouping by day, week, month, hour-of-day or device
+ *
+ * Rows are read through the configured storage sink, so stats work for
+ * Sheets as well as the SQLite/CSV/JSONL sinks. Plays flagged as non-music
+ * (podcasts, spoken word) and ERROR placeholders are excluded.
+ *
+ * Results are cached in state keyed by window so repeated dashboard loads
+ * don't re-read the whole sheet. All dates are grouped in UTC.
+ */
+
+export const DEFAULT_STATS_SHEET = 'Listening Log';
+export const GROUP_BY_OPTIONS = ['day', 'week', 'month', 'hour', 'device'];
+
+const DEFAULT_TOP_LIMIT = 10;
+const DEFAULT_CACHE_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Parse a window boundary from a query/CLI value
+ * Date-only values are expanded to the start (from) or end (to) of the day
+ * @param {string|null} value - ISO date or timestamp
+ * @param {boolean} endOfDay - Expand date-only values to the end of the day
+ * @returns {string|null} ISO timestamp or null if not set
+ */
+export function parseWindowDate(value, endOfDay = false) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const text = String(value);
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const date = new Date(isDateOnly ? `${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : text);
+
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${text}". Use YYYY-MM-DD or an ISO timestamp`);
+  }
+
+  return date.toISOString();
+}
+
+/**
+ * Split a comma-joined sheet cell into values
+ * @param {string} value - Cell value (e.g. "Artist A, Artist B")
+ * @returns {array} Trimmed non-empty values
+ */
+function splitList(value) {
+  if (!value) {
+    return [];
+  }
+  return String(value).split(',').map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Convert a cell to a number
+ * @param {*} value - Cell value
+ * @returns {number|null} Number or null if empty/invalid
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Convert Listening Log rows to play objects
+ * Columns are looked up by header name (lib/sheet-schema.js), so older
+ * sheets and sheets with extra columns parse the same way
+ * @param {array} rows - Rows from getAllRows (first row is the header)
+ * @returns {array} Plays
+ */
+export function parseListeningRows(rows) {
+  if (!rows || rows.length < 2) {
+    return [];
+  }
+
+  const columns = createColumnMap(rows[0]);
+
+  const plays = [];
+
+  for (const row of rows.slice(1)) {
+    const timestamp = new Date(row[columns.timestamp]);
+    if (isNaN(timestamp.getTime())) {
+      continue;
+    }
+
+    plays.push({
+      timestamp: timestamp.toISOString(),
+      trackName: row[columns.trackName] || 'Unknown Track',
+      artists: splitList(row[columns.artists]),
+      album: row[columns.album] || '',
+      duration: toNumber(row[columns.duration]),
+      playDuration: toNumber(row[columns.playDuration]),
+      trackId: row[columns.trackId] || '',
+      genres: splitList(row[columns.genres]),
+      tempo: toNumber(row[columns.tempo]),
+      energy: toNumber(row[columns.energy]),
+      danceability: toNumber(row[columns.danceability]),
+      valence: toNumber(row[columns.valence]),
+      instrumentalness: toNumber(row[columns.instrumentalness]),
+      speechiness: toNumber(row[columns.speechiness]),
+      device: row[columns.device] || 'Unknown',
+      status: row[columns.status] || '',
+      nonMusicReason: row[columns.nonMusicReason] || ''
+    });
+  }
+
+  return plays;
+}
+
+/**
+ * Get the group key for a play
+ * @param {object} play - Play from parseListeningRows
+ * @param {string} groupBy - One of GROUP_BY_OPTIONS
+ * @returns {string} Group key
+ */
+export function getGroupKey(play, groupBy) {
+  const date = new Date(play.timestamp);
+
+  switch (groupBy) {
+    case 'day':
+      return play.timestamp.slice(0, 10);
+    case 'week': {
+      // ISO weeks start on Monday
+      const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+      monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+      return monday.toISOString().slice(0, 10);
+    }
+    case 'month':
+      return play.timestamp.slice(0, 7);
+    case 'hour':
+      return String(date.getUTCHours()).padStart(2, '0');
+    case 'device':
+      return play.device;
+    default:
+      throw new Error(`Unknown groupBy "${groupBy}". Expected one of: ${GROUP_BY_OPTIONS.join(', ')}`);
+  }
+}
+
+/**
+ * Get the listened time of a play in ms
+ * @param {object} play - Play from parseListeningRows
+ * @returns {number} Listened ms
+ */
+function getListenedMs(play) {
+  return play.playDuration ?? play.duration ?? 0;
+}
+
+/**
+ * Add a play to a counter map
+ * @param {Map} map - Counter map
+ * @param {string} key - Entry key
+ * @param {object} details - Fields stored on first insert
+ * @param {number} listenedMs - Listened ms for this play
+ */
+function count(map, key, details, listenedMs) {
+  const entry = map.get(key) || { ...details, plays: 0, listenedMs: 0 };
+  entry.plays++;
+  entry.listenedMs += listenedMs;
+  map.set(key, entry);
+}
+
+/**
+ * Sort a counter map into a top list
+ * @param {Map} map - Counter map
+ * @param {number} limit - Max entries
+ * @returns {array} Entries sorted by plays, then listening time
+ */
+function toTopList(map, limit) {
+  return [...map.values()]
+    .sort((a, b) => b.plays - a.plays || b.listenedMs - a.listenedMs)
+    .slice(0, limit)
+    .map(({ listenedMs, ...entry }) => ({ ...entry, minutes: toMinutes(listenedMs) }));
+}
+
+/**
+ * Convert ms to minutes (1 decimal place)
+ * @param {number} ms - Milliseconds
+ * @returns {number} Minutes
+ */
+function toMinutes(ms) {
+  return Math.round(ms / 6000) / 10;
+}
+
+/**
+ * Select the plays that count towards stats for a window
+ * ERROR placeholders are always dropped; non-music plays unless requested
+ * @param {array} plays - Plays from parseListeningRows
+ * @param {object} options - { from, to, includeNonMusic }
+ * @returns {object} { counted, nonMusic }
+ */
+export function selectPlays(plays, options = {}) {
+  const { from = null, to = null, includeNonMusic = false } = options;
+
+  const inWindow = (plays || []).filter(play =>
+    play.status !== 'ERROR' &&
+    (!from || play.timestamp >= from) &&
+    (!to || play.timestamp <= to)
+  );
+
+  const { music, nonMusic } = partitionMusic(inWindow);
+  return {
+    counted: includeNonMusic ? inWindow : music,
+    nonMusic: includeNonMusic ? [] : nonMusic.map(entry => entry.track)
+  };
+}
+
+/**
+ * Aggregate plays into listening stats
+ * @param {array} plays - Plays from parseListeningRows
+ * @param {object} options - { from, to, groupBy, limit, includeNonMusic }
+ * @returns {object} Stats
+ */
+export function aggregateStats(plays, options = {}) {
+  const {
+    from = null,
+    to = null,
+    groupBy = null,
+    limit = DEFAULT_TOP_LIMIT,
+    includeNonMusic = false
+  } = options;
+
+  if (groupBy && !GROUP_BY_OPTIONS.includes(groupBy)) {
+    throw new Error(`Unknown groupBy "${groupBy}". Expected one of: ${GROUP_BY_OPTIONS.join(', ')}`);
+  }
+
+  const { counted, nonMusic } = selectPlays(plays, { from, to, includeNonMusic });
+
+  const tracks = new Map();
+  const artists = new Map();
+  const albums = new Map();
+  const genres = new Map();
+  const groups = new Map();
+  let totalMs = 0;
+
+  for (const play of counted) {
+    const listenedMs = getListenedMs(play);
+    totalMs += listenedMs;
+
+    const artistLabel = play.artists.join(', ') || 'Unknown Artist';
+    count(tracks, play.trackId || `${play.trackName}|${artistLabel}`, {
+      trackId: play.trackId,
+      name: play.trackName,
+      artist: artistLabel
+    }, listenedMs);
+
+    for (const artist of play.artists) {
+      count(artists, artist, { name: artist }, listenedMs);
+    }
+
+    if (play.album) {
+      count(albums, `${play.album}|${play.artists[0] || ''}`, {
+        name: play.album,
+        artist: play.artists[0] || 'Unknown Artist'
+      }, listenedMs);
+    }
+
+    for (const genre of play.genres) {
+      count(genres, genre, { name: genre }, listenedMs);
+    }
+
+    if (groupBy) {
+      const key = getGroupKey(play, groupBy);
+      count(groups, key, { key }, listenedMs);
+    }
+  }
+
+  const stats = {
+    window: { from, to },
+    totals: {
+      plays: counted.length,
+      minutes: toMinutes(totalMs),
+      uniqueTracks: tracks.size,
+      uniqueArtists: artists.size,
+      nonMusicExcluded: nonMusic.length
+    },
+    topTracks: toTopList(tracks, limit),
+    topArtists: toTopList(artists, limit),
+    topAlbums: toTopList(albums, limit),
+    topGenres: toTopList(genres, limit)
+  };
+
+  if (groupBy) {
+    stats.groupBy = groupBy;
+    stats.groups = [...groups.values()]
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .map(({ listenedMs, ...entry }) => ({ ...entry, minutes: toMinutes(listenedMs) }));
+  }
+
+  return stats;
+}
+
+/**
+ * Build the state cache key for a stats query
+ * @param {object} options - { sink, sheetName, from, to, groupBy, limit, includeNonMusic }
+ * @returns {string} Cache key
+ */
+export function getStatsCacheKey(options) {
+  return [
+    options.sink || 'sheets',
+    options.sheetName || DEFAULT_STATS_SHEET,
+    options.from || '*',
+    options.to || '*',
+    options.groupBy || '-',
+    options.limit || DEFAULT_TOP_LIMIT,
+    options.includeNonMusic ? 'all' : 'music'
+  ].join('|');
+}
+
+/**
+ * Get listening stats for a window, using the state cache when fresh
+ * @param {object} options - { sheetName, from, to, groupBy, limit, includeNonMusic, refresh, cacheTtlMs }
+ * @returns {Promise<object>} Stats with { cached, computedAt }
+ */
+export async function getListeningStats(options = {}) {
+  const query = {
+    sheetName: options.sheetName || DEFAULT_STATS_SHEET,
+    from: options.from || null,
+    to: options.to || null,
+    groupBy: options.groupBy || null,
+    limit: options.limit || DEFAULT_TOP_LIMIT,
+    includeNonMusic: !!options.includeNonMusic
+  };
+  const cacheTtlMs = options.cacheTtlMs ?? parseInt(process.env.STATS_CACHE_TTL_MS || String(DEFAULT_CACHE_TTL_MS), 10);
+  const key = getStatsCacheKey({ ...query, sink: getSinkInfo().sink });
+
+  if (!options.refresh && cacheTtlMs > 0) {
+    const cached = await getCachedStats(key, cacheTtlMs);
+    if (cached) {
+      console.log(`[Stats] Cache hit for ${key}`);
+      return { ...cached.stats, cached: true, computedAt: cached.computedAt };
+    }
+  }
+
+  console.log(`[Stats] Reading "${query.sheetName}" for ${key}`);
+  const rows = await getAllRows(query.sheetName);
+  const stats = aggregateStats(parseListeningRows(rows), query);
+  const computedAt = new Date().toISOString();
+
+  if (cacheTtlMs > 0) {
+    await setCachedStats(key, stats, computedAt);
+  }
+
+  return { ...stats, cached: false, computedAt };
+}
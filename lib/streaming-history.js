@@ -0,0 +1,421 @@
+import { formatTimestamp } from './data-formatter.js';
+import { getNonMusicReason } from './data-validator.js';
+import { appendRows, getAllRows, ensureSheetSchema } from './sinks/index.js';
+import { addToDedupIndex } from './dedup-index.js';
+import {
+  HISTORICAL_DATA_SCHEMA,
+  getSheetSchema,
+  getSchemaHeaders,
+  createColumnMap,
+  readColumn,
+  toSheetRow
+} from './sheet-schema.js';
+
+/**
+ * Extended Streaming History Importer
+ *
+ * Imports the Streaming_History_Audio_*.json / endsong_*.json files from
+ * Spotify's privacy data export ("Extended streaming history"). Unlike
+ * /api/import-history, which is limited to the last 50 plays, these files
+ * cover the whole account history.
+ *
+ * Export fields are mapped onto the Listening Log columns:
+ * - ts -> Timestamp (end of playback, same as played_at)
+ * - ms_played -> Play Duration (ms) and Estimated Listen (ms)
+ * - platform + conn_country -> Device, platform -> Device Type
+ * - reason_start, reason_end + shuffle -> Context (e.g. "clickrow → trackdone (shuffle)")
+ * - skipped -> Skipped, reason_end / ms_played -> Play Type
+ *
+ * The export has no track duration, audio features or genres; those columns
+ * are left empty. Files are parsed as a stream and rows are appended in
+ * chunks so multi-year histories stay within the Sheets append limits.
+ */
+
+export const STREAMING_HISTORY_FILE_PATTERN = /^(Streaming_History_Audio_.*|endsong_\d+)\.json$/i;
+export const IMPORT_CHUNK_SIZE = 1000; // rows per append (33 columns = 33k cells)
+export const DEFAULT_IMPORT_SHEET = 'Historical Data';
+
+const CHUNK_DELAY_MS = 1000; // Sheets allows 60 write requests per minute
+const DUPLICATE_WINDOW_MS = 5 * 60 * 1000; // Same window as /api/import-history
+const MIN_PLAY_DURATION_MS = 30000; // 30 seconds
+
+/**
+ * Sleep for specified milliseconds
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check if a file name looks like an Extended Streaming History audio file
+ * @param {string} fileName - File name (without directory)
+ * @returns {boolean} True for Streaming_History_Audio_*.json and endsong_*.json
+ */
+export function isStreamingHistoryFile(fileName) {
+  return STREAMING_HISTORY_FILE_PATTERN.test(fileName);
+}
+
+/**
+ * Extract the track ID from a Spotify track URI
+ * @param {string} uri - URI (e.g. "spotify:track:4iV5W9uYEdYUVa79Axb7Rh")
+ * @returns {string|null} Track ID or null
+ */
+export function trackIdFromUri(uri) {
+  const match = typeof uri === 'string' ? uri.match(/^spotify:track:([A-Za-z0-9]+)$/) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Infer a device type from the export's platform string
+ * @param {string} platform - Platform (e.g. "Android OS 10 API 29 (samsung, SM-G973F)")
+ * @returns {string} Device type in the same vocabulary as the Spotify API
+ */
+export function inferDeviceType(platform) {
+  const value = (platform || '').toLowerCase();
+
+  if (!value) return 'Unknown';
+  if (/android|ios|iphone/.test(value)) return 'Smartphone';
+  if (/ipad|tablet/.test(value)) return 'Tablet';
+  if (/windows|os x|osx|macos|linux/.test(value)) return 'Computer';
+  if (/web_player|web player|browser/.test(value)) return 'Computer';
+  if (/cast|speaker|sonos|echo|alexa/.test(value)) return 'Speaker';
+  if (/tv|playstation|xbox|roku/.test(value)) return 'TV';
+  if (/car|auto/.test(value)) return 'Automobile';
+  return 'Unknown';
+}
+
+/**
+ * Normalize a raw export entry
+ * @param {object} entry - Entry from Streaming_History_Audio_*.json or endsong_*.json
+ * @returns {object|null} Normalized play, or null if the entry is not a music track
+ */
+export function normalizeStreamingHistoryEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+
+  const trackId = trackIdFromUri(entry.spotify_track_uri);
+  const playedAt = entry.ts ? new Date(entry.ts) : null;
+
+  // Podcast episodes and audiobooks have no track URI
+  if (!trackId || !playedAt || isNaN(playedAt.getTime())) {
+    return null;
+  }
+
+  return {
+    playedAt: playedAt.toISOString(),
+    trackId,
+    trackName: entry.master_metadata_track_name || 'Unknown Track',
+    artistName: entry.master_metadata_album_artist_name || 'Unknown Artist',
+    albumName: entry.master_metadata_album_album_name || 'Unknown Album',
+    msPlayed: Number(entry.ms_played) || 0,
+    reasonStart: entry.reason_start || '',
+    reasonEnd: entry.reason_end || '',
+    shuffle: entry.shuffle === true,
+    skipped: typeof entry.skipped === 'boolean' ? entry.skipped : null,
+    platform: entry.platform || '',
+    country: entry.conn_country || ''
+  };
+}
+
+/**
+ * Classify an exported play (FULL/PARTIAL/SKIP)
+ * The export has no track duration, so a play is FULL when it ended with
+ * reason_end "trackdone" and a SKIP when under 30 seconds.
+ * @param {object} play - Normalized play
+ * @returns {string} Play type
+ */
+export function classifyHistoryPlay(play) {
+  if (play.reasonEnd === 'trackdone' && play.msPlayed >= MIN_PLAY_DURATION_MS) {
+    return 'FULL';
+  }
+  if (play.msPlayed < MIN_PLAY_DURATION_MS) {
+    return 'SKIP';
+  }
+  return 'PARTIAL';
+}
+
+/**
+ * Describe how playback started and ended
+ * @param {object} play - Normalized play
+ * @returns {string} Context description (e.g. "clickrow → trackdone (shuffle)")
+ */
+function describeContext(play) {
+  const reasons = [play.reasonStart || 'unknown', play.reasonEnd || 'unknown'].join(' → ');
+  return play.shuffle ? `${reasons} (shuffle)` : reasons;
+}
+
+/**
+ * Format an exported play in the formatTrackForLogging shape
+ * @param {object} play - Normalized play
+ * @returns {object} Formatted track ready for toSheetRow
+ */
+export function formatStreamingHistoryPlay(play) {
+  const playType = classifyHistoryPlay(play);
+
+  return {
+    timestamp: formatTimestamp(play.playedAt),
+    trackName: play.trackName,
+    artists: play.artistName,
+    album: play.albumName,
+    duration: null,
+    playDuration: play.msPlayed,
+    completion: null,
+    trackId: play.trackId,
+    albumId: '',
+    artistIds: '',
+    genres: '',
+    tempo: null,
+    energy: null,
+    danceability: null,
+    valence: null,
+    acousticness: null,
+    instrumentalness: null,
+    speechiness: null,
+    loudness: null,
+    popularity: null,
+    device: play.country ? `${play.platform || 'Unknown'} (${play.country})` : (play.platform || 'Unknown'),
+    deviceType: inferDeviceType(play.platform),
+    context: describeContext(play),
+    contextUri: '',
+    explicit: false,
+    releaseDate: '',
+    status: 'COMPLETED',
+    errorDetails: '',
+    skipped: play.skipped ?? playType === 'SKIP',
+    playType,
+    estimatedListen: play.msPlayed,
+    nonMusicReason: getNonMusicReason({ trackName: play.trackName }) || '',
+    missingEnrichment: ''
+  };
+}
+
+/**
+ * Build a lookup of existing plays for duplicate detection
+ * @param {array} rows - Sheet rows (header first)
+ * @param {Map} index - Existing index to add to (optional)
+ * @returns {Map} trackId -> array of play times (ms)
+ */
+export function buildDuplicateIndex(rows, index = new Map()) {
+  const columns = createColumnMap(rows?.[0], HISTORICAL_DATA_SCHEMA);
+
+  for (let i = 1; i < (rows?.length || 0); i++) {
+    const trackId = readColumn(rows[i], columns, 'trackId');
+    const time = new Date(readColumn(rows[i], columns, 'timestamp')).getTime();
+
+    if (!trackId || isNaN(time)) {
+      continue;
+    }
+
+    if (!index.has(trackId)) {
+      index.set(trackId, []);
+    }
+    index.get(trackId).push(time);
+  }
+
+  return index;
+}
+
+/**
+ * Check if a play already exists (same track within 5 minutes)
+ * @param {Map} index - Index from buildDuplicateIndex
+ * @param {string} trackId - Track ID
+ * @param {string} playedAt - Played at timestamp
+ * @returns {boolean} True if already imported
+ */
+export function isAlreadyImported(index, trackId, playedAt) {
+  const times = index.get(trackId);
+  if (!times) {
+    return false;
+  }
+
+  const target = new Date(playedAt).getTime();
+  return times.some(time => Math.abs(time - target) < DUPLICATE_WINDOW_MS);
+}
+
+/**
+ * Parse a JSON array from a stream, yielding one element at a time
+ * Keeps memory flat for large export files.
+ * @param {AsyncIterable} source - Readable stream or async iterable of Buffer/string chunks
+ * @yields {object} Array elements
+ * @throws {Error} If the input is not a JSON array of objects
+ */
+export async function* parseJsonArrayStream(source) {
+  const decoder = new TextDecoder();
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let current = '';
+  let sawArray = false;
+
+  for await (const chunk of source) {
+    const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    let start = depth >= 2 ? 0 : -1;
+    const completed = [];
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        if (depth < 2) {
+          throw new Error('Expected a JSON array of objects');
+        }
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        if (depth === 0 && char !== '[') {
+          throw new Error('Expected a JSON array of objects');
+        }
+        if (depth === 0) {
+          sawArray = true;
+        } else if (depth === 1) {
+          start = i;
+        }
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+        if (depth === 1) {
+          completed.push(current + text.slice(start, i + 1));
+          current = '';
+          start = -1;
+        }
+      } else if (depth === 0 && !/\s/.test(char)) {
+        throw new Error('Expected a JSON array of objects');
+      }
+    }
+
+    if (depth >= 2 && start !== -1) {
+      current += text.slice(start);
+    }
+
+    for (const json of completed) {
+      yield JSON.parse(json);
+    }
+  }
+
+  if (!sawArray || depth !== 0) {
+    throw new Error('Unexpected end of JSON array');
+  }
+}
+
+/**
+ * Import Extended Streaming History entries into a sheet
+ * @param {AsyncIterable|Iterable} entries - Raw export entries
+ * @param {object} options - Import options
+ * @param {string} options.sheetName - Target sheet (default: Historical Data)
+ * @param {boolean} options.dryRun - Don't write rows (default: false)
+ * @param {boolean} options.includeShort - Import plays under 30 seconds (default: false)
+ * @param {number} options.chunkSize - Rows per append (default: 1000)
+ * @param {number} options.chunkDelayMs - Pause between appends (default: 1000)
+ * @param {function} options.onChunk - Called with stats after each append
+ * @returns {Promise<object>} Import stats
+ */
+export async function importStreamingHistory(entries, options = {}) {
+  const sheetName = options.sheetName || DEFAULT_IMPORT_SHEET;
+  const dryRun = options.dryRun === true;
+  const includeShort = options.includeShort === true;
+  const chunkSize = Math.min(options.chunkSize || IMPORT_CHUNK_SIZE, IMPORT_CHUNK_SIZE);
+  const chunkDelayMs = options.chunkDelayMs ?? CHUNK_DELAY_MS;
+
+  const stats = {
+    read: 0,
+    imported: 0,
+    duplicates: 0,
+    short: 0,
+    nonMusic: 0,
+    chunks: 0,
+    firstPlay: null,
+    lastPlay: null
+  };
+
+  // Sheets without a registered schema (custom --sheet) get the Listening Log columns
+  const schema = getSheetSchema(sheetName) || getSheetSchema('Listening Log');
+  const rowSchema = getSheetSchema('Historical Data');
+  if (!dryRun) {
+    await ensureSheetSchema(sheetName, schema);
+  }
+
+  // Dedupe against the target sheet and, when importing elsewhere, the live log
+  const existingRows = await getAllRows(sheetName).catch(() => []);
+  const index = buildDuplicateIndex(existingRows);
+  if (sheetName !== 'Listening Log') {
+    buildDuplicateIndex(await getAllRows('Listening Log').catch(() => []), index);
+  }
+  console.log(`[Streaming History] Indexed ${index.size} existing track(s) for deduplication`);
+
+  // Import Timestamp is only filled in where the sheet has that column
+  const headerRow = existingRows[0] || getSchemaHeaders(schema);
+  const importTimestamp = new Date().toISOString();
+  const seen = new Set();
+  let buffer = [];
+
+  const flush = async () => {
+    if (buffer.length === 0) {
+      return;
+    }
+
+    if (!dryRun) {
+      if (stats.chunks > 0 && chunkDelayMs > 0) {
+        await sleep(chunkDelayMs);
+      }
+      await appendRows(sheetName, buffer);
+      await addToDedupIndex(sheetName, buffer, headerRow);
+    }
+
+    stats.chunks++;
+    stats.imported += buffer.length;
+    console.log(`[Streaming History] ${dryRun ? '[DRY RUN] Would append' : 'Appended'} chunk ${stats.chunks} (${buffer.length} rows, ${stats.imported} total)`);
+    buffer = [];
+
+    if (options.onChunk) {
+      await options.onChunk({ ...stats });
+    }
+  };
+
+  for await (const entry of entries) {
+    stats.read++;
+
+    const play = normalizeStreamingHistoryEntry(entry);
+    if (!play) {
+      stats.nonMusic++;
+      continue;
+    }
+
+    if (!includeShort && play.msPlayed < MIN_PLAY_DURATION_MS) {
+      stats.short++;
+      continue;
+    }
+
+    // Overlapping export files repeat exact entries; the sheet check uses a time window
+    const key = `${play.trackId}|${play.playedAt}`;
+    if (seen.has(key) || isAlreadyImported(index, play.trackId, play.playedAt)) {
+      stats.duplicates++;
+      continue;
+    }
+    seen.add(key);
+
+    buffer.push(toSheetRow({ ...formatStreamingHistoryPlay(play), importTimestamp }, headerRow, rowSchema));
+
+    if (!stats.firstPlay || play.playedAt < stats.firstPlay) stats.firstPlay = play.playedAt;
+    if (!stats.lastPlay || play.playedAt > stats.lastPlay) stats.lastPlay = play.playedAt;
+
+    if (buffer.length >= chunkSize) {
+      await flush();
+    }
+  }
+
+  await flush();
+  return stats;
+}
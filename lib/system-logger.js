@@ -1,4 +1,5 @@
-import { appendRows, createSheetIfNotExists } from './sheets-api.js';
+import { appendRows, createSheetIfNotExists } from './sinks/index.js';
+import { getCurrentUserId } from './users.js';
 
 /**
  * System Logging Module
@@ -24,15 +25,44 @@ import { appendRows, createSheetIfNotExists } from './sheets-api.js';
  * - HISTORICAL_IMPORT
  * - STATE_UPDATE
  * - ALERT_SENT
+ * - AUTH_FAILURE
+ * - SCHEMA_MIGRATION
+ * - PARTITION_ARCHIVE
+ * - CONSISTENCY_AUDIT
+ *
+ * Entries are buffered per user (lib/users.js) and written to that user's
+ * sheet, so a fan-out run logs each account into its own spreadsheet.
  */
 
 const SYSTEM_LOGS_SHEET = 'System Logs';
 const MAX_LOG_BATCH_SIZE = 10;
 const LOG_RETENTION_COUNT = 1000;
 
-// In-memory log buffer for batching
-let logBuffer = [];
-let isSheetInitialized = false;
+// In-memory log buffers for batching, by user ID
+const logBuffers = new Map();
+
+// Users whose System Logs sheet has been created
+const initializedUsers = new Set();
+
+// Rejected requests are written to the sheet once per client per window, and
+// for at most AUTH_FAILURE_LOG_LIMIT clients per window, so scanners can't use
+// up the Sheets quota. The rest are counted (per logged client, plus one total
+// for the clients over the limit) and summed up when the next window starts.
+const AUTH_FAILURE_LOG_WINDOW_MS = 10 * 60 * 1000;
+const AUTH_FAILURE_LOG_LIMIT = 20;
+const authFailureLog = { windowStart: 0, clients: new Map(), otherClients: 0 };
+
+/**
+ * Get the log buffer of the current user
+ * @returns {array} Buffered entries
+ */
+function getLogBuffer() {
+  const userId = getCurrentUserId();
+  if (!logBuffers.has(userId)) {
+    logBuffers.set(userId, []);
+  }
+  return logBuffers.get(userId);
+}
 
 /**
  * System log entry structure
@@ -67,13 +97,14 @@ function getSystemLogHeaders() {
  * @returns {Promise<void>}
  */
 async function ensureSheetExists() {
-  if (isSheetInitialized) {
+  const userId = getCurrentUserId();
+  if (initializedUsers.has(userId)) {
     return;
   }
 
   try {
     await createSheetIfNotExists(SYSTEM_LOGS_SHEET, getSystemLogHeaders());
-    isSheetInitialized = true;
+    initializedUsers.add(userId);
   } catch (error) {
     console.error('[System Logger] Failed to initialize sheet:', error.message);
     // Don't throw - we can still log to console
@@ -102,6 +133,7 @@ function formatLogRow(entry) {
  * @returns {Promise<void>}
  */
 async function flushLogs() {
+  const logBuffer = getLogBuffer();
   if (logBuffer.length === 0) {
     return;
   }
@@ -113,7 +145,7 @@ async function flushLogs() {
     await appendRows(SYSTEM_LOGS_SHEET, rows);
 
     console.log(`[System Logger] Flushed ${logBuffer.length} log entries to sheet`);
-    logBuffer = [];
+    logBuffers.set(getCurrentUserId(), []);
   } catch (error) {
     console.error('[System Logger] Failed to flush logs:', error.message);
     // Keep logs in buffer for next attempt
@@ -126,6 +158,7 @@ async function flushLogs() {
  * @returns {Promise<void>}
  */
 async function addLogEntry(entry) {
+  const logBuffer = getLogBuffer();
   logBuffer.push(entry);
 
   // Auto-flush when buffer reaches max size
@@ -337,6 +370,127 @@ export async function logAlertSent(alertType, channel, message) {
   await logInfo('ALERT_SENT', `Alert sent via ${channel}: ${alertType} - ${message}`);
 }
 
+/**
+ * Summarize the rejections of the finished window that were not written
+ * @returns {string|null} Summary, or null if every rejection was written
+ */
+function summarizeSuppressedAuthFailures() {
+  const counts = [...authFailureLog.clients].filter(([, count]) => count > 0).map(([client, count]) => `${count} from ${client}`);
+  if (authFailureLog.otherClients > 0) {
+    counts.push(`${authFailureLog.otherClients} from other clients`);
+  }
+  if (counts.length === 0) {
+    return null;
+  }
+  return `Rejections not logged since ${new Date(authFailureLog.windowStart).toISOString()}: ${counts.join(', ')}`;
+}
+
+/**
+ * Check whether a rejected request from a client should be written to the sheet
+ * Counts the ones that are not, by client, until the window ends.
+ * @param {string} client - Client IP or 'unknown client'
+ * @param {number} now - Current time in ms
+ * @returns {object} { log, summary } - summary of the previous window when this one starts
+ */
+function takeAuthFailureSlot(client, now) {
+  let summary = null;
+  if (now - authFailureLog.windowStart >= AUTH_FAILURE_LOG_WINDOW_MS) {
+    summary = summarizeSuppressedAuthFailures();
+    authFailureLog.windowStart = now;
+    authFailureLog.clients.clear();
+    authFailureLog.otherClients = 0;
+  }
+
+  if (authFailureLog.clients.has(client)) {
+    authFailureLog.clients.set(client, authFailureLog.clients.get(client) + 1);
+    return { log: false, summary };
+  }
+  if (authFailureLog.clients.size >= AUTH_FAILURE_LOG_LIMIT) {
+    authFailureLog.otherClients++;
+    return { log: false, summary };
+  }
+
+  authFailureLog.clients.set(client, 0);
+  return { log: true, summary };
+}
+
+/**
+ * Log a rejected API request
+ * Only the first rejection per client in a 10-minute window is written (see
+ * AUTH_FAILURE_LOG_LIMIT); the first one of the next window is preceded by
+ * how many were left out, per client. Entries are flushed right away, since
+ * the handler returns without a run to flush them.
+ * @param {string} endpoint - Request path
+ * @param {string} reason - Why the request was rejected
+ * @param {object} options - Additional context
+ * @param {number} options.status - 401 or 403
+ * @param {string} options.ip - Client IP, if known
+ * @param {number} options.now - Current time in ms
+ * @returns {Promise<boolean>} True if the rejection was written to the sheet
+ */
+export async function logAuthFailure(endpoint, reason, options = {}) {
+  const { log, summary } = takeAuthFailureSlot(options.ip || 'unknown client', options.now ?? Date.now());
+  if (summary) {
+    await logWarning('AUTH_FAILURE', summary);
+  }
+  if (log) {
+    const from = options.ip ? ` from ${options.ip}` : '';
+    await logWarning('AUTH_FAILURE', `${options.status || 401} on ${endpoint}${from}: ${reason}`);
+  }
+  if (summary || log) {
+    await flush();
+  }
+  return log;
+}
+
+/**
+ * Log a sheet schema migration (no-op if nothing was migrated)
+ * @param {string} sheetName - Migrated tab
+ * @param {object} migration - Result of ensureSheetSchema
+ * @returns {Promise<void>}
+ */
+export async function logSchemaMigration(sheetName, migration) {
+  if (!migration?.migrated) {
+    return;
+  }
+  await logInfo(
+    'SCHEMA_MIGRATION',
+    `Migrated "${sheetName}" from schema v${migration.fromVersion} to v${migration.toVersion}: added ${migration.addedColumns.join(', ')}`
+  );
+}
+
+/**
+ * Log a Listening Log partition moved to the archive
+ * @param {object} result - { sheet, archiveSheet, rows, copied } from archiveLogPartitions
+ * @param {string} location - Archive location
+ * @returns {Promise<void>}
+ */
+export async function logPartitionArchive(result, location) {
+  await logInfo(
+    'PARTITION_ARCHIVE',
+    `Archived "${result.sheet}" into "${result.archiveSheet}" (${result.copied} of ${result.rows} row(s) copied) at ${location}` +
+      (result.deleted === false ? `; "${result.sheet}" could not be deleted, delete it by hand` : '')
+  );
+}
+
+/**
+ * Log the result of a consistency audit (a warning if it found anything)
+ * @param {object} report - Report from auditConsistency
+ * @returns {Promise<void>}
+ */
+export async function logConsistencyAudit(report) {
+  const { summary, fixed } = report;
+  const details = `Found ${summary.duplicateRows} duplicate row(s), ${summary.orphanedErrors} orphaned ERROR row(s), ` +
+    `${summary.vanishedQueueEntries} queued play(s) without a row and ${summary.gaps} gap(s)` +
+    (fixed ? `; removed ${fixed.removedDuplicates} duplicate(s), re-queued ${fixed.requeued} row(s), recovered ${fixed.recoveredPlays} play(s)` : '');
+
+  if (report.clean) {
+    await logInfo('CONSISTENCY_AUDIT', details);
+  } else {
+    await logWarning('CONSISTENCY_AUDIT', details);
+  }
+}
+
 /**
  * Flush any remaining logs in buffer
  * Should be called at the end of function execution
@@ -347,18 +501,18 @@ export async function flush() {
 }
 
 /**
- * Get current log buffer size (for debugging)
+ * Get the current user's log buffer size (for debugging)
  * @returns {number} Number of logs in buffer
  */
 export function getBufferSize() {
-  return logBuffer.length;
+  return getLogBuffer().length;
 }
 
 /**
- * Clear log buffer without writing (for testing)
+ * Clear all log buffers without writing (for testing)
  */
 export function clearBuffer() {
-  logBuffer = [];
+  logBuffers.clear();
 }
 
 /**
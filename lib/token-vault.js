@@ -0,0 +1,80 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+
+/**
+ * Token Vault Module
+ *
+ * Encrypts secrets (Spotify refresh tokens, PKCE code verifiers) before they
+ * are written to state storage, so a leaked state file, KV dump or state
+ * archive doesn't hand out account access.
+ *
+ * Uses AES-256-GCM with a key derived from TOKEN_ENCRYPTION_KEY (any long
+ * random string, e.g. `openssl rand -base64 32`). Encrypted values look like
+ * `v1:<iv>:<auth tag>:<ciphertext>` (base64url). Changing the key makes
+ * stored tokens unreadable; the logger then falls back to the env token until
+ * the account is authorized again via /api/auth/login.
+ */
+
+const FORMAT_VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+/**
+ * Check whether an encryption key is configured
+ * @returns {boolean} True if TOKEN_ENCRYPTION_KEY is set
+ */
+export function hasEncryptionKey() {
+  return !!process.env.TOKEN_ENCRYPTION_KEY;
+}
+
+/**
+ * Derive the AES key from TOKEN_ENCRYPTION_KEY
+ * @returns {Buffer} 32-byte key
+ * @throws {Error} If TOKEN_ENCRYPTION_KEY is not set
+ */
+function getKey() {
+  const secret = process.env.TOKEN_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is not set (needed to store Spotify tokens)');
+  }
+  return createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a secret
+ * @param {string} plaintext - Secret to encrypt
+ * @returns {string} Encrypted value
+ * @throws {Error} If TOKEN_ENCRYPTION_KEY is not set
+ */
+export function encryptSecret(plaintext) {
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+
+  return [FORMAT_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (typeof part === 'string' ? part : part.toString('base64url')))
+    .join(':');
+}
+
+/**
+ * Decrypt a secret
+ * @param {string} value - Value from encryptSecret
+ * @returns {string} Plaintext
+ * @throws {Error} If the value is malformed or was encrypted with another key
+ */
+export function decryptSecret(value) {
+  const [version, iv, tag, ciphertext] = String(value || '').split(':');
+  if (version !== FORMAT_VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Not an encrypted token');
+  }
+
+  try {
+    const decipher = createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf-8');
+  } catch (error) {
+    if (!hasEncryptionKey()) {
+      throw error;
+    }
+    throw new Error('Could not decrypt token (was TOKEN_ENCRYPTION_KEY changed?)');
+  }
+}
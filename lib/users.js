@@ -0,0 +1,424 @@
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { fileURLToPath } from 'url';
+
+/**
+ * User Registry Module
+ *
+ * Lets one deployment log several Spotify accounts, each into its own
+ * spreadsheet. Users are configured as a JSON array in USERS, or in the file
+ * at USERS_FILE (default: config/users.json):
+ *
+ * [
+ *   {
+ *     "id": "alice",                        // lowercase letters, digits, - and _
+ *     "name": "Alice",
+ *     "refreshTokenEnv": "SPOTIFY_REFRESH_TOKEN_ALICE", // or "refreshToken"
+ *     "spreadsheetId": "1AbC...",
+ *     "enabled": true,
+ *     "settings": { "ENABLE_SKIPS_TAB": "true", "SLACK_WEBHOOK_URL": "..." }
+ *   }
+ * ]
+ *
+ * Without a registry there is a single implicit "default" user that reads
+ * SPOTIFY_REFRESH_TOKEN and GOOGLE_SHEETS_ID, so existing deployments keep
+ * working unchanged. The "default" user also keeps the original,
+ * un-namespaced state keys, so it can be listed in a registry to carry the
+ * existing state over.
+ *
+ * Handlers run their work inside runAsUser(); state-manager, spotify-auth,
+ * sheets-api, alerting and the sinks read the current user from there.
+ * Per-user settings override the environment variables of the same name
+ * (see USER_SETTINGS).
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_USERS_FILE = path.join(__dirname, '..', 'config', 'users.json');
+
+export const DEFAULT_USER_ID = 'default';
+
+// Environment settings a user entry may override
+export const USER_SETTINGS = [
+  'SPOTIFY_FETCH_LIMIT',
+  'ENABLE_SKIPS_TAB',
+  'ENABLE_AUDIO_FEATURES',
+  'ENRICHMENT_PROVIDERS',
+  'COLUMNS_FILE',
+  'LISTENING_LOG_PARTITIONS',
+  'ARCHIVE_AFTER_MONTHS',
+  'ARCHIVE_SHEETS_ID',
+  'SESSION_GAP_MINUTES',
+  'ENABLE_ALERTS',
+  'SLACK_WEBHOOK_URL',
+  'DISCORD_WEBHOOK_URL',
+  'ALERT_EMAIL',
+  'WEBHOOK_URLS',
+  'WEBHOOK_EVENTS'
+];
+
+const USER_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Time each user gets in a multi-user run, inside the 60s function limit
+const DEFAULT_USER_RUN_TIMEOUT_SECONDS = 55;
+
+const userContext = new AsyncLocalStorage();
+
+/**
+ * Create the implicit user used when no registry is configured
+ * @returns {object} Default user
+ */
+function createDefaultUser() {
+  return { id: DEFAULT_USER_ID, name: DEFAULT_USER_ID, enabled: true, settings: {} };
+}
+
+/**
+ * Validate and normalize registry entries
+ * @param {array|object} config - Array of users, or { users: [...] }
+ * @returns {array} Normalized users
+ * @throws {Error} If an entry is invalid or an ID is used twice
+ */
+export function parseUserRegistry(config) {
+  const entries = Array.isArray(config) ? config : config?.users;
+  if (!Array.isArray(entries)) {
+    throw new Error('User registry must be an array of users');
+  }
+
+  const seen = new Set();
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`User #${index + 1} must be an object`);
+    }
+
+    const id = String(entry.id || '').trim();
+    if (!USER_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid user id "${id}" (use lowercase letters, digits, - and _)`);
+    }
+    if (seen.has(id)) {
+      throw new Error(`Duplicate user id "${id}"`);
+    }
+    seen.add(id);
+
+    if (!entry.refreshToken && !entry.refreshTokenEnv && id !== DEFAULT_USER_ID) {
+      throw new Error(`User "${id}" needs refreshToken or refreshTokenEnv`);
+    }
+
+    const settings = entry.settings || {};
+    const unknown = Object.keys(settings).filter(name => !USER_SETTINGS.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown setting(s) for user "${id}": ${unknown.join(', ')}`);
+    }
+
+    return {
+      id,
+      name: entry.name || id,
+      refreshToken: entry.refreshToken || null,
+      refreshTokenEnv: entry.refreshTokenEnv || null,
+      spreadsheetId: entry.spreadsheetId || null,
+      enabled: entry.enabled !== false,
+      settings
+    };
+  });
+}
+
+/**
+ * Read the raw registry from USERS or USERS_FILE
+ * @returns {array|object|null} Parsed JSON, or null if no registry is configured
+ * @throws {Error} If the registry is not valid JSON
+ */
+function readRegistryConfig() {
+  if (process.env.USERS) {
+    try {
+      return JSON.parse(process.env.USERS);
+    } catch (error) {
+      throw new Error(`USERS is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const file = process.env.USERS_FILE || DEFAULT_USERS_FILE;
+  let data;
+  try {
+    data = fs.readFileSync(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !process.env.USERS_FILE) {
+      return null;
+    }
+    throw new Error(`Could not read user registry ${file}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    throw new Error(`User registry ${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Load the registered users
+ * @returns {array} Users (the implicit default user if no registry is configured)
+ * @throws {Error} If the registry is invalid
+ */
+export function loadUsers() {
+  const config = readRegistryConfig();
+  if (config === null) {
+    return [createDefaultUser()];
+  }
+
+  const users = parseUserRegistry(config);
+  if (users.length === 0) {
+    throw new Error('User registry is empty');
+  }
+  return users;
+}
+
+/**
+ * Check whether a user registry is configured
+ * @returns {boolean} True if USERS or a users file is set up
+ */
+export function hasUserRegistry() {
+  return readRegistryConfig() !== null;
+}
+
+/**
+ * Find a registered user
+ * @param {string} id - User ID
+ * @returns {object} User
+ * @throws {Error} If no user has this ID
+ */
+export function getUser(id) {
+  const users = loadUsers();
+  const user = users.find(entry => entry.id === id);
+  if (!user) {
+    throw new Error(`Unknown user "${id}"`);
+  }
+  return user;
+}
+
+/**
+ * Run a function on behalf of a user
+ * Everything awaited inside sees this user through getCurrentUser.
+ * @param {object} user - User from loadUsers
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function runAsUser(user, fn) {
+  return userContext.run(user, fn);
+}
+
+/**
+ * Get the user the current run belongs to
+ * @returns {object} Current user (the default user outside runAsUser)
+ */
+export function getCurrentUser() {
+  return userContext.getStore() || createDefaultUser();
+}
+
+/**
+ * Get the ID of the current user
+ * @returns {string} User ID
+ */
+export function getCurrentUserId() {
+  return getCurrentUser().id;
+}
+
+/**
+ * Check whether a user keeps the original, un-namespaced state
+ * @param {string} id - User ID
+ * @returns {boolean} True for the default user
+ */
+export function isDefaultUser(id = getCurrentUserId()) {
+  return id === DEFAULT_USER_ID;
+}
+
+/**
+ * Get a setting for the current user
+ * @param {string} name - Environment variable name (see USER_SETTINGS)
+ * @returns {string|undefined} User override, or the environment value
+ */
+export function getUserSetting(name) {
+  const value = getCurrentUser().settings?.[name];
+  if (value === undefined || value === null) {
+    return process.env[name];
+  }
+  return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+/**
+ * Get the Spotify refresh token of a user
+ * @param {object} user - User (default: current user)
+ * @returns {string|undefined} Refresh token
+ */
+export function getUserRefreshToken(user = getCurrentUser()) {
+  if (user.refreshToken) {
+    return user.refreshToken;
+  }
+  if (user.refreshTokenEnv) {
+    return process.env[user.refreshTokenEnv];
+  }
+  return isDefaultUser(user.id) ? process.env.SPOTIFY_REFRESH_TOKEN : undefined;
+}
+
+/**
+ * Get the spreadsheet a user logs into
+ * @param {object} user - User (default: current user)
+ * @returns {string|undefined} Google Sheets ID
+ */
+export function getUserSpreadsheetId(user = getCurrentUser()) {
+  return user.spreadsheetId || process.env.GOOGLE_SHEETS_ID;
+}
+
+/**
+ * Create a response object that records what a handler sends
+ * Used to run a handler once per user and combine the results.
+ * @returns {object} Response with status/json/send/setHeader and the recorded statusCode/body
+ */
+function createCapturedResponse() {
+  const captured = {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    status(code) {
+      captured.statusCode = code;
+      return captured;
+    },
+    json(body) {
+      captured.body = body;
+      return captured;
+    },
+    send(body) {
+      captured.body = body;
+      return captured;
+    },
+    setHeader(name, value) {
+      captured.headers[name] = value;
+      return captured;
+    }
+  };
+  return captured;
+}
+
+/**
+ * Pick the users a request targets
+ * @param {object} req - Vercel request object
+ * @returns {array} Users (?user=<id> selects one, otherwise all enabled users)
+ * @throws {Error} If ?user names an unknown user
+ */
+function selectUsers(req) {
+  const id = req.query?.user;
+  if (id) {
+    return [getUser(id)];
+  }
+  return loadUsers().filter(user => user.enabled);
+}
+
+/**
+ * Get the time budget of one user in a multi-user run
+ * @returns {number} Budget in ms (USER_RUN_TIMEOUT_SECONDS, default 55)
+ */
+function getUserRunTimeoutMs() {
+  const seconds = parseInt(process.env.USER_RUN_TIMEOUT_SECONDS || DEFAULT_USER_RUN_TIMEOUT_SECONDS, 10);
+  return (seconds > 0 ? seconds : DEFAULT_USER_RUN_TIMEOUT_SECONDS) * 1000;
+}
+
+/**
+ * Run a handler for one user of a multi-user run
+ * The user's response is recorded instead of sent. A run that throws or
+ * outlasts its budget is reported as failed; a timed-out run keeps going in
+ * the background until the function ends, and its run lock expires as usual.
+ * @param {object} user - User from loadUsers
+ * @param {object} req - Vercel request object
+ * @param {Function} run - async (req, res) => void, the single-user handler
+ * @param {number} timeoutMs - Time budget
+ * @returns {Promise<object>} { userId, statusCode, ...body }
+ */
+async function runUserWithBudget(user, req, run, timeoutMs) {
+  const captured = createCapturedResponse();
+  let timer;
+
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(true), timeoutMs);
+  });
+  const finished = runAsUser(user, () => run(req, captured))
+    .then(() => false)
+    .catch(error => {
+      console.error(`[Users] Run for ${user.id} failed:`, error.message);
+      captured.status(500).json({ success: false, error: error.message });
+      return false;
+    });
+
+  const timedOut = await Promise.race([finished, timeout]);
+  clearTimeout(timer);
+
+  if (timedOut) {
+    console.error(`[Users] Run for ${user.id} timed out after ${timeoutMs}ms`);
+    return { userId: user.id, statusCode: 504, success: false, error: `Timed out after ${Math.round(timeoutMs / 1000)}s` };
+  }
+  return { userId: user.id, statusCode: captured.statusCode, ...captured.body };
+}
+
+/**
+ * Run a handler for every user (the hourly cron fan-out)
+ * With ?user=<id>, or a single user, the handler's response is sent as is.
+ * Otherwise the users run concurrently, each with its own captured response
+ * and time budget (USER_RUN_TIMEOUT_SECONDS), so a failing or slow user
+ * (expired token, missing sheet, rate limits) doesn't stop the others. The
+ * combined result is sent as { success, users: [{ userId, statusCode, ...body }] }
+ * with 200 if every user succeeded, 207 if some failed and 500 if all failed.
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ * @param {Function} run - async (req, res) => void, the single-user handler
+ */
+export async function runForUsers(req, res, run) {
+  let users;
+  try {
+    users = selectUsers(req);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (users.length === 0) {
+    return res.status(200).json({ success: true, users: [], message: 'No enabled users' });
+  }
+  if (users.length === 1) {
+    return runAsUser(users[0], () => run(req, res));
+  }
+
+  const timeoutMs = getUserRunTimeoutMs();
+  const results = await Promise.all(users.map(user => runUserWithBudget(user, req, run, timeoutMs)));
+
+  const failed = results.filter(result => result.statusCode >= 400);
+  if (failed.length > 0) {
+    console.warn(`[Users] ${failed.length}/${results.length} user run(s) failed: ${failed.map(result => result.userId).join(', ')}`);
+  }
+
+  const status = failed.length === 0 ? 200 : failed.length === results.length ? 500 : 207;
+  return res.status(status).json({ success: failed.length === 0, users: results });
+}
+
+/**
+ * Run a handler for the one user a request names
+ * Used by endpoints whose response can't be combined across users (uploads,
+ * state archives, HTML reports). ?user=<id> is required once several users
+ * are registered.
+ * @param {object} req - Vercel request object
+ * @param {object} res - Vercel response object
+ * @param {Function} run - async (req, res) => void, the single-user handler
+ */
+export async function runForUser(req, res, run) {
+  let users;
+  try {
+    users = selectUsers(req);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (users.length !== 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'Several users are registered; pass ?user=<id>'
+    });
+  }
+  return runAsUser(users[0], () => run(req, res));
+}
@@ -0,0 +1,288 @@
+import crypto from 'crypto';
+import { addToWebhookOutbox, getWebhookOutbox, settleWebhookDeliveries } from './state-manager.js';
+import { getUserSetting } from './users.js';
+
+/**
+ * Webhook Events Module
+ *
+ * Emits events for logged plays to HMAC-signed HTTP webhooks:
+ * - play.logged: every successfully formatted track (api/log-spotify.js)
+ * - play.retried: a failed track that was completed by api/retry-failed.js
+ * - play.failed: a retry attempt that failed again (permanent after max attempts)
+ *
+ * Events are written to an outbox in state first, then delivered. Failed
+ * deliveries stay in the outbox and are retried with backoff on later runs,
+ * so a receiver that is down for a while still gets every event.
+ *
+ * Configuration (env vars):
+ * - WEBHOOK_URLS: Comma-separated endpoint URLs (webhooks disabled if empty)
+ * - WEBHOOK_SECRET: Shared secret for the X-Webhook-Signature header (required:
+ *   nothing is sent unsigned)
+ * - WEBHOOK_EVENTS: Optional comma-separated event types to send (default: all)
+ * - WEBHOOK_MAX_ATTEMPTS: Attempts before a delivery is dropped (default: 8)
+ *
+ * Request format:
+ *   POST <url>
+ *   X-Webhook-Id: <event id>
+ *   X-Webhook-Event: play.logged
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC of "<timestamp>.<body>">
+ *   { "id", "type", "createdAt", "data" }
+ */
+
+export const EVENT_TYPES = {
+  PLAY_LOGGED: 'play.logged',
+  PLAY_FAILED: 'play.failed',
+  PLAY_RETRIED: 'play.retried'
+};
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DELIVERY_TIMEOUT_MS = 5000;
+const MAX_DELIVERIES_PER_RUN = 100;
+const DELIVERY_BUDGET_MS = 20000; // Leaves the rest of the function timeout for logging
+const BACKOFF_MS = [60000, 5 * 60000, 15 * 60000, 60 * 60000, 3 * 60 * 60000, 6 * 60 * 60000]; // Capped at the last value
+
+/**
+ * Get webhook configuration from environment variables
+ * Webhooks are only enabled with both URLs and a secret; URLs without a
+ * secret are a configuration error.
+ * @returns {object} { urls, secret, events, maxAttempts, enabled, error }
+ */
+export function getWebhookConfig() {
+  const urls = (getUserSetting('WEBHOOK_URLS') || '').split(',').map(url => url.trim()).filter(Boolean);
+  const events = (getUserSetting('WEBHOOK_EVENTS') || '').split(',').map(type => type.trim()).filter(Boolean);
+  const maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || String(DEFAULT_MAX_ATTEMPTS), 10);
+  const secret = process.env.WEBHOOK_SECRET || '';
+
+  return {
+    urls,
+    secret,
+    events: events.length > 0 ? events : Object.values(EVENT_TYPES),
+    maxAttempts: isNaN(maxAttempts) ? DEFAULT_MAX_ATTEMPTS : maxAttempts,
+    enabled: urls.length > 0 && secret !== '',
+    error: urls.length > 0 && secret === '' ? 'WEBHOOK_URLS is set but WEBHOOK_SECRET is empty; webhooks are not sent unsigned' : null
+  };
+}
+
+/**
+ * Create an event envelope
+ * @param {string} type - Event type (see EVENT_TYPES)
+ * @param {object} data - Event payload
+ * @returns {object} { id, type, createdAt, data }
+ */
+export function createEvent(type, data) {
+  return {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    data
+  };
+}
+
+/**
+ * Sign a webhook body
+ * Receivers recompute this from the raw body and X-Webhook-Timestamp header.
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Unix seconds from X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Signature in "sha256=<hex>" form
+ */
+export function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Verify a webhook signature (for receivers)
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - X-Webhook-Timestamp header
+ * @param {string} body - Raw request body
+ * @param {string} signature - X-Webhook-Signature header
+ * @returns {boolean} True if the signature matches
+ */
+export function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Create outbox deliveries for an event, one per URL
+ * @param {object} event - Event from createEvent
+ * @param {array} urls - Webhook URLs
+ * @returns {array} Outbox deliveries
+ */
+export function createDeliveries(event, urls) {
+  return urls.map(url => ({
+    id: `${event.id}:${url}`,
+    url,
+    event,
+    attempts: 0,
+    nextAttemptAt: event.createdAt,
+    lastError: null
+  }));
+}
+
+/**
+ * Get the wait before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Backoff in ms
+ */
+export function getBackoffMs(attempts) {
+  return BACKOFF_MS[Math.min(Math.max(attempts, 1), BACKOFF_MS.length) - 1];
+}
+
+/**
+ * POST a delivery to its webhook URL
+ * @param {object} delivery - Outbox delivery
+ * @param {string} secret - Shared secret (nothing is sent without one)
+ * @returns {Promise<object>} { ok, status, error }
+ */
+export async function sendDelivery(delivery, secret) {
+  if (!secret) {
+    return { ok: false, status: null, error: 'No WEBHOOK_SECRET to sign the request with' };
+  }
+
+  const body = JSON.stringify(delivery.event);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'spotify-song-logger-webhooks',
+    'X-Webhook-Id': delivery.event.id,
+    'X-Webhook-Event': delivery.event.type,
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': signPayload(secret, timestamp, body)
+  };
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+
+    return response.ok
+      ? { ok: true, status: response.status, error: null }
+      : { ok: false, status: response.status, error: `HTTP ${response.status}` };
+  } catch (error) {
+    return { ok: false, status: null, error: error.message };
+  }
+}
+
+/**
+ * Attempt the deliveries in an outbox that are due
+ * @param {array} outbox - Outbox deliveries
+ * @param {object} options - { secret, maxAttempts, now, deadline, maxDeliveries, send }
+ * @returns {Promise<object>} { delivered: [ids], retried: [updated deliveries], dropped: [deliveries] }
+ */
+export async function processOutbox(outbox, options = {}) {
+  const {
+    secret = '',
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    now = Date.now(),
+    deadline = null,
+    maxDeliveries = MAX_DELIVERIES_PER_RUN,
+    send = sendDelivery
+  } = options;
+
+  const due = (outbox || [])
+    .filter(delivery => new Date(delivery.nextAttemptAt).getTime() <= now)
+    .slice(0, maxDeliveries);
+
+  const delivered = [];
+  const retried = [];
+  const dropped = [];
+
+  for (const delivery of due) {
+    if (deadline && Date.now() > deadline) {
+      break;
+    }
+
+    const result = await send(delivery, secret);
+    if (result.ok) {
+      delivered.push(delivery.id);
+      continue;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const updated = {
+      ...delivery,
+      attempts,
+      lastError: result.error,
+      nextAttemptAt: new Date(now + getBackoffMs(attempts)).toISOString()
+    };
+
+    if (attempts >= maxAttempts) {
+      dropped.push(updated);
+    } else {
+      retried.push(updated);
+    }
+  }
+
+  return { delivered, retried, dropped };
+}
+
+/**
+ * Emit events of one type to all configured webhooks
+ * Events are only queued here; call deliverWebhooks to send them.
+ * @param {string} type - Event type (see EVENT_TYPES)
+ * @param {array} payloads - One payload per event
+ * @returns {Promise<number>} Number of events queued
+ * @throws {Error} If WEBHOOK_URLS is set without WEBHOOK_SECRET
+ */
+export async function emitEvents(type, payloads) {
+  const config = getWebhookConfig();
+  if (config.error) {
+    throw new Error(config.error);
+  }
+  if (!config.enabled || !config.events.includes(type) || !payloads || payloads.length === 0) {
+    return 0;
+  }
+
+  const deliveries = payloads.flatMap(data => createDeliveries(createEvent(type, data), config.urls));
+  await addToWebhookOutbox(deliveries);
+
+  console.log(`[Webhooks] Queued ${payloads.length} ${type} event(s) for ${config.urls.length} webhook(s)`);
+  return payloads.length;
+}
+
+/**
+ * Deliver due events from the outbox
+ * @param {object} options - { deadline } - stop starting new deliveries after this time (ms, default: 20s from now)
+ * @returns {Promise<object>} { delivered, retrying, dropped, pending }
+ * @throws {Error} If WEBHOOK_URLS is set without WEBHOOK_SECRET (queued events are kept)
+ */
+export async function deliverWebhooks(options = {}) {
+  const config = getWebhookConfig();
+  if (config.error) {
+    throw new Error(config.error);
+  }
+  const outbox = await getWebhookOutbox();
+
+  if (outbox.length === 0) {
+    return { delivered: 0, retrying: 0, dropped: 0, pending: 0 };
+  }
+
+  const result = await processOutbox(outbox, {
+    secret: config.secret,
+    maxAttempts: config.maxAttempts,
+    deadline: options.deadline || Date.now() + DELIVERY_BUDGET_MS
+  });
+
+  const removeIds = [...result.delivered, ...result.dropped.map(delivery => delivery.id)];
+  const pending = await settleWebhookDeliveries(removeIds, result.retried);
+
+  for (const delivery of result.dropped) {
+    console.warn(`[Webhooks] Dropped ${delivery.event.type} for ${delivery.url} after ${delivery.attempts} attempts: ${delivery.lastError}`);
+  }
+  console.log(`[Webhooks] Delivered ${result.delivered.length}, retrying ${result.retried.length}, dropped ${result.dropped.length}, pending ${pending}`);
+
+  return {
+    delivered: result.delivered.length,
+    retrying: result.retried.length,
+    dropped: result.dropped.length,
+    pending
+  };
+}
@@ -0,0 +1,413 @@
+import { getAllRows } from './sinks/index.js';
+import { analyzeRepeatBehavior } from './play-filter.js';
+import {
+  parseListeningRows,
+  selectPlays,
+  aggregateStats,
+  DEFAULT_STATS_SHEET
+} from './stats.js';
+
+/**
+ * Yearly Wrapped Report Module
+ *
+ * Builds a year-in-review from our own log instead of Spotify's:
+ * - Top 5 artists, tracks and genres, total minutes
+ * - Longest daily listening streak
+ * - Most-replayed track (longest back-to-back run, via analyzeRepeatBehavior)
+ * - Audio-feature mood trends by month
+ * - First-listened dates for the top artists
+ *
+ * The report is plain JSON, and renderWrappedHtml turns it into a
+ * self-contained HTML page (inline styles, no external assets).
+ * Days and months are UTC, matching /api/stats.
+ */
+
+export const WRAPPED_TOP_LIMIT = 5;
+export const HISTORICAL_SHEET = 'Historical Data';
+
+const REPEAT_WINDOW = 1000; // Longest back-to-back run looked at in one pass
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a report year
+ * @param {string|number|undefined} value - Year from query/CLI (default: current year)
+ * @param {number} now - Current time in ms (default: now)
+ * @returns {number} Year
+ */
+export function parseReportYear(value, now = Date.now()) {
+  const currentYear = new Date(now).getUTCFullYear();
+
+  if (value === undefined || value === null || value === '') {
+    return currentYear;
+  }
+
+  if (!/^\d{4}$/.test(String(value))) {
+    throw new Error(`Invalid year "${value}". Use a four digit year, e.g. ${currentYear - 1}`);
+  }
+
+  const year = parseInt(value, 10);
+  if (year > currentYear) {
+    throw new Error(`Year ${year} hasn't happened yet`);
+  }
+
+  return year;
+}
+
+/**
+ * Find the longest run of consecutive days
+ * @param {array} dayKeys - YYYY-MM-DD day keys (any order, duplicates allowed)
+ * @returns {object|null} { days, start, end } or null if there are no days
+ */
+export function findLongestStreak(dayKeys) {
+  const days = [...new Set(dayKeys || [])].sort();
+  if (days.length === 0) {
+    return null;
+  }
+
+  let best = { days: 1, start: days[0], end: days[0] };
+  let current = { ...best };
+
+  for (let i = 1; i < days.length; i++) {
+    const gap = Date.parse(`${days[i]}T00:00:00Z`) - Date.parse(`${days[i - 1]}T00:00:00Z`);
+
+    current = gap === DAY_MS
+      ? { days: current.days + 1, start: current.start, end: days[i] }
+      : { days: 1, start: days[i], end: days[i] };
+
+    if (current.days > best.days) {
+      best = { ...current };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Get the identity used to match replays of the same track
+ * @param {object} play - Play from parseListeningRows
+ * @returns {string} Track key
+ */
+function trackKey(play) {
+  return play.trackId || `${play.trackName}|${play.artists.join(', ')}`;
+}
+
+/**
+ * Find the track replayed the most times back-to-back
+ * @param {array} plays - Plays from parseListeningRows
+ * @returns {object|null} { trackId, name, artist, repeatCount, date, totalPlays } or null without replays
+ */
+export function findMostReplayed(plays) {
+  const sorted = [...(plays || [])].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const items = sorted.map(play => ({ track: { id: trackKey(play), name: play.trackName } }));
+
+  const totals = new Map();
+  for (const item of items) {
+    totals.set(item.track.id, (totals.get(item.track.id) || 0) + 1);
+  }
+
+  let best = null;
+  let i = 0;
+
+  while (i < items.length) {
+    const { repeatCount } = analyzeRepeatBehavior(items.slice(i, i + REPEAT_WINDOW));
+    const totalPlays = totals.get(items[i].track.id);
+
+    if (repeatCount > 1 && (!best || repeatCount > best.repeatCount ||
+        (repeatCount === best.repeatCount && totalPlays > best.totalPlays))) {
+      const play = sorted[i];
+      best = {
+        trackId: play.trackId,
+        name: play.trackName,
+        artist: play.artists.join(', ') || 'Unknown Artist',
+        repeatCount,
+        date: play.timestamp.slice(0, 10),
+        totalPlays
+      };
+    }
+
+    i += Math.max(repeatCount, 1);
+  }
+
+  return best;
+}
+
+/**
+ * Average a feature over plays that have it
+ * @param {array} plays - Plays
+ * @param {string} feature - Play field
+ * @param {number} decimals - Decimal places
+ * @returns {number|null} Average or null if no play has the feature
+ */
+function averageFeature(plays, feature, decimals) {
+  const values = plays.map(play => play[feature]).filter(value => typeof value === 'number');
+  if (values.length === 0) {
+    return null;
+  }
+
+  const factor = 10 ** decimals;
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * factor) / factor;
+}
+
+/**
+ * Describe a month from its average valence and energy
+ * @param {number|null} valence - Average valence (0-1)
+ * @param {number|null} energy - Average energy (0-1)
+ * @returns {string|null} Mood label or null without audio features
+ */
+export function describeMood(valence, energy) {
+  if (valence === null || energy === null) {
+    return null;
+  }
+
+  if (valence >= 0.5) {
+    return energy >= 0.5 ? 'Upbeat' : 'Chill';
+  }
+  return energy >= 0.5 ? 'Intense' : 'Melancholic';
+}
+
+/**
+ * Compute average audio features per month
+ * @param {array} plays - Plays from parseListeningRows
+ * @returns {array} [{ month, plays, energy, valence, danceability, tempo, mood }]
+ */
+export function computeMoodByMonth(plays) {
+  const months = new Map();
+
+  for (const play of plays || []) {
+    const month = play.timestamp.slice(0, 7);
+    if (!months.has(month)) {
+      months.set(month, []);
+    }
+    months.get(month).push(play);
+  }
+
+  return [...months.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([month, monthPlays]) => {
+      const energy = averageFeature(monthPlays, 'energy', 2);
+      const valence = averageFeature(monthPlays, 'valence', 2);
+
+      return {
+        month,
+        plays: monthPlays.length,
+        energy,
+        valence,
+        danceability: averageFeature(monthPlays, 'danceability', 2),
+        tempo: averageFeature(monthPlays, 'tempo', 0),
+        mood: describeMood(valence, energy)
+      };
+    });
+}
+
+/**
+ * Find the first time each artist appears in the log
+ * @param {array} plays - Plays from parseListeningRows (all time)
+ * @param {array} artistNames - Artists to look up
+ * @returns {object} { [artist]: ISO timestamp }
+ */
+export function findFirstListens(plays, artistNames) {
+  const wanted = new Set(artistNames);
+  const firstListens = {};
+
+  for (const play of plays || []) {
+    for (const artist of play.artists) {
+      if (wanted.has(artist) && (!firstListens[artist] || play.timestamp < firstListens[artist])) {
+        firstListens[artist] = play.timestamp;
+      }
+    }
+  }
+
+  return firstListens;
+}
+
+/**
+ * Build the Wrapped report for a year
+ * @param {array} allPlays - Plays from parseListeningRows (all time, used for first listens)
+ * @param {number} year - Report year
+ * @param {object} options - { includeNonMusic, sheets, now }
+ * @returns {object} Report
+ */
+export function buildWrappedReport(allPlays, year, options = {}) {
+  const from = `${year}-01-01T00:00:00.000Z`;
+  const to = `${year}-12-31T23:59:59.999Z`;
+  const includeNonMusic = !!options.includeNonMusic;
+
+  const stats = aggregateStats(allPlays, { from, to, limit: WRAPPED_TOP_LIMIT, includeNonMusic });
+  const { counted } = selectPlays(allPlays, { from, to, includeNonMusic });
+  const dayKeys = counted.map(play => play.timestamp.slice(0, 10));
+
+  const firstListens = findFirstListens(
+    selectPlays(allPlays, { includeNonMusic }).counted,
+    stats.topArtists.map(artist => artist.name)
+  );
+
+  return {
+    year,
+    generatedAt: new Date(options.now ?? Date.now()).toISOString(),
+    sheets: options.sheets || [DEFAULT_STATS_SHEET],
+    totals: {
+      plays: stats.totals.plays,
+      minutes: stats.totals.minutes,
+      uniqueTracks: stats.totals.uniqueTracks,
+      uniqueArtists: stats.totals.uniqueArtists,
+      daysListened: new Set(dayKeys).size,
+      nonMusicExcluded: stats.totals.nonMusicExcluded
+    },
+    topArtists: stats.topArtists.map(artist => ({
+      ...artist,
+      firstListenedAt: firstListens[artist.name] || null
+    })),
+    topTracks: stats.topTracks,
+    topGenres: stats.topGenres,
+    longestStreak: findLongestStreak(dayKeys),
+    mostReplayed: findMostReplayed(counted),
+    moodByMonth: computeMoodByMonth(counted)
+  };
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a ranked list section
+ * @param {string} title - Section title
+ * @param {array} entries - Top list entries
+ * @param {function} detail - Returns extra text for an entry
+ * @returns {string} HTML
+ */
+function renderTopList(title, entries, detail) {
+  const items = entries.length === 0
+    ? '<li class="empty">Nothing logged</li>'
+    : entries.map(entry => `<li><span class="name">${escapeHtml(entry.name)}</span><span class="detail">${escapeHtml(detail(entry))}</span></li>`).join('\n');
+
+  return `<section>
+<h2>${escapeHtml(title)}</h2>
+<ol>
+${items}
+</ol>
+</section>`;
+}
+
+/**
+ * Render a mood bar cell
+ * @param {number|null} value - Feature value (0-1)
+ * @returns {string} HTML
+ */
+function renderBar(value) {
+  if (value === null) {
+    return '<td class="na">–</td>';
+  }
+  return `<td><div class="bar"><div style="width:${Math.round(value * 100)}%"></div></div>${value.toFixed(2)}</td>`;
+}
+
+/**
+ * Render a Wrapped report as a self-contained HTML page
+ * @param {object} report - Report from buildWrappedReport
+ * @returns {string} HTML document
+ */
+export function renderWrappedHtml(report) {
+  const { totals, longestStreak, mostReplayed } = report;
+
+  const highlights = [
+    `<div class="stat"><strong>${totals.minutes.toLocaleString('en-US')}</strong>minutes listened</div>`,
+    `<div class="stat"><strong>${totals.plays.toLocaleString('en-US')}</strong>plays</div>`,
+    `<div class="stat"><strong>${totals.uniqueArtists.toLocaleString('en-US')}</strong>artists</div>`,
+    `<div class="stat"><strong>${longestStreak ? longestStreak.days : 0}</strong>day streak${longestStreak ? `<small>${escapeHtml(longestStreak.start)} → ${escapeHtml(longestStreak.end)}</small>` : ''}</div>`
+  ].join('\n');
+
+  const replayed = mostReplayed
+    ? `<section>
+<h2>Most Replayed</h2>
+<p class="replay"><span class="name">${escapeHtml(mostReplayed.name)}</span> by ${escapeHtml(mostReplayed.artist)}<br>
+${mostReplayed.repeatCount} times in a row on ${escapeHtml(mostReplayed.date)} (${mostReplayed.totalPlays} plays this year)</p>
+</section>`
+    : '';
+
+  const moodRows = report.moodByMonth.map(month => `<tr><td>${escapeHtml(month.month)}</td><td>${month.plays}</td>${renderBar(month.energy)}${renderBar(month.valence)}${renderBar(month.danceability)}<td>${month.tempo ?? '–'}</td><td>${escapeHtml(month.mood || '–')}</td></tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${report.year} Wrapped</title>
+<style>
+body { margin: 0; padding: 32px 16px; background: #121212; color: #fff; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; }
+main { max-width: 860px; margin: 0 auto; }
+h1 { font-size: 48px; margin: 0 0 8px; color: #1db954; }
+h2 { font-size: 22px; margin: 32px 0 12px; }
+.meta { color: #b3b3b3; font-size: 13px; }
+.stats { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 24px; }
+.stat { flex: 1 1 160px; background: #1f1f1f; border-radius: 8px; padding: 16px; color: #b3b3b3; }
+.stat strong { display: block; font-size: 32px; color: #fff; }
+.stat small { display: block; margin-top: 4px; }
+.lists { display: flex; flex-wrap: wrap; gap: 24px; }
+.lists section { flex: 1 1 240px; }
+ol { padding-left: 24px; margin: 0; }
+li { margin-bottom: 8px; }
+li .detail { display: block; color: #b3b3b3; font-size: 13px; }
+.name { font-weight: 600; }
+.empty, .na { color: #b3b3b3; }
+table { width: 100%; border-collapse: collapse; font-size: 14px; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #2a2a2a; }
+.bar { display: inline-block; width: 80px; height: 8px; margin-right: 8px; background: #2a2a2a; border-radius: 4px; overflow: hidden; }
+.bar div { height: 100%; background: #1db954; }
+</style>
+</head>
+<body>
+<main>
+<h1>${report.year} Wrapped</h1>
+<p class="meta">From ${escapeHtml(report.sheets.join(' + '))} · ${totals.daysListened} days with music · generated ${escapeHtml(report.generatedAt)}</p>
+<div class="stats">
+${highlights}
+</div>
+<div class="lists">
+${renderTopList('Top Artists', report.topArtists, a => `${a.plays} plays${a.firstListenedAt ? ` · first listened ${a.firstListenedAt.slice(0, 10)}` : ''}`)}
+${renderTopList('Top Tracks', report.topTracks, t => `${t.artist} · ${t.plays} plays`)}
+${renderTopList('Top Genres', report.topGenres, g => `${g.plays} plays`)}
+</div>
+${replayed}
+<section>
+<h2>Mood by Month</h2>
+<table>
+<thead><tr><th>Month</th><th>Plays</th><th>Energy</th><th>Valence</th><th>Danceability</th><th>Tempo</th><th>Mood</th></tr></thead>
+<tbody>
+${moodRows}
+</tbody>
+</table>
+</section>
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Generate the Wrapped report for a year from the configured storage sink
+ * @param {object} options - { year, includeHistorical, includeNonMusic }
+ * @returns {Promise<object>} Report
+ */
+export async function generateWrappedReport(options = {}) {
+  const year = parseReportYear(options.year);
+  const sheets = options.includeHistorical ? [DEFAULT_STATS_SHEET, HISTORICAL_SHEET] : [DEFAULT_STATS_SHEET];
+
+  const allPlays = [];
+  for (const sheetName of sheets) {
+    const rows = await getAllRows(sheetName);
+    allPlays.push(...parseListeningRows(rows));
+  }
+
+  console.log(`[Wrapped] Building ${year} report from ${allPlays.length} plays (${sheets.join(', ')})`);
+  return buildWrappedReport(allPlays, year, { includeNonMusic: options.includeNonMusic, sheets });
+}
@@ -0,0 +1,159 @@
+import dotenv from 'dotenv';
+import { auditConsistency } from '../lib/consistency-audit.js';
+import { acquireRunLock, releaseRunLock } from '../lib/state-manager.js';
+import { getSinkInfo } from '../lib/sinks/index.js';
+import { getUser, runAsUser } from '../lib/users.js';
+
+dotenv.config();
+
+/**
+ * Sheet / State Consistency Audit Script
+ *
+ * Cross-checks the Listening Log, Historical Data, the failed queue and the
+ * lastProcessed cursor, and prints what doesn't add up (see
+ * lib/consistency-audit.js). Same checks as /api/audit.
+ *
+ * Usage:
+ *   node scripts/audit.js
+ *   node scripts/audit.js --fix            (remove exact duplicates, re-queue orphaned
+ *                                           ERROR rows, log recoverable gaps)
+ *   node scripts/audit.js --no-history     (don't call Spotify)
+ *   node scripts/audit.js --json
+ *   node scripts/audit.js --user=alice     (registered user, see lib/users.js)
+ */
+
+// ANSI color codes
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  dim: '\x1b[2m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+// Findings listed per section before the rest are summarized
+const MAX_LISTED = 10;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const value = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+  return {
+    fix: args.includes('--fix'),
+    history: !args.includes('--no-history'),
+    json: args.includes('--json'),
+    user: value('user')
+  };
+}
+
+/**
+ * Print one section of findings
+ * @param {string} title - Section title
+ * @param {array} findings - Findings
+ * @param {function} label - Finding formatter
+ */
+function printSection(title, findings, label) {
+  const color = findings.length > 0 ? colors.yellow : colors.green;
+  console.log(`${colors.bright}${title}${colors.reset} ${color}${findings.length}${colors.reset}`);
+
+  for (const finding of findings.slice(0, MAX_LISTED)) {
+    console.log(`  ${label(finding)}`);
+  }
+  if (findings.length > MAX_LISTED) {
+    console.log(`  ${colors.dim}... and ${findings.length - MAX_LISTED} more (use --json for all)${colors.reset}`);
+  }
+  console.log('');
+}
+
+/**
+ * Print an audit report
+ * @param {object} report - Report from auditConsistency
+ */
+function printReport(report) {
+  console.log(`  Sink: ${getSinkInfo().sink}`);
+  for (const sheet of report.sheets) {
+    console.log(`  ${sheet.sheet.padEnd(24)} ${sheet.rows} row(s)`);
+  }
+  console.log(`  Cursor: ${report.cursor.status} ${colors.dim}(lastProcessed ${report.cursor.lastProcessed || 'none'}, newest row ${report.cursor.newestRow || 'none'})${colors.reset}`);
+  console.log(`  Recent history: ${report.history.checked ? `${report.history.plays} play(s) since ${report.history.oldest || '-'}` : `not checked${report.history.error ? ` (${report.history.error})` : ''}`}`);
+  console.log('');
+
+  printSection('Duplicated rows', report.duplicates, d =>
+    `"${d.sheet}" rows ${d.rows.join(', ')}: ${d.trackName || d.trackId} at ${d.timestamp}` +
+    (d.exactCopies.length === d.rows.length - 1 ? '' : ` ${colors.dim}(copies differ, fix by hand)${colors.reset}`));
+  printSection('ERROR rows without a failed queue entry', report.orphanedErrors, o =>
+    `"${o.sheet}" row ${o.row}: ${o.trackName || o.trackId} at ${o.timestamp}`);
+  printSection('Failed queue entries without an ERROR row', report.vanishedQueueEntries, v =>
+    `${v.trackName || v.trackId} at ${v.playedAt} (attempt ${v.attemptCount})`);
+  printSection('Gaps', report.gaps, g =>
+    `${g.from} → ${g.to}: ${g.recoverable ? `${g.plays.length} missed play(s), recoverable` : g.recoverable === false ? 'older than the recent history' : 'recent history not checked'}`);
+}
+
+/**
+ * Run the audit, holding the run lock when fixing
+ * @param {object} options - Parsed arguments
+ */
+async function runAudit(options) {
+  if (!options.fix) {
+    return await auditConsistency({ history: options.history });
+  }
+
+  const lock = await acquireRunLock('audit');
+  if (!lock.acquired) {
+    throw new Error(`Another run is in progress (${lock.holder?.owner || 'unknown'}, lease until ${lock.holder?.expiresAt || 'unknown'})`);
+  }
+
+  try {
+    return await auditConsistency({ fix: true, history: options.history });
+  } finally {
+    await releaseRunLock(lock.lease);
+  }
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const options = parseArgs();
+
+  try {
+    const report = options.user
+      ? await runAsUser(getUser(options.user), () => runAudit(options))
+      : await runAudit(options);
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+
+    console.log('');
+    console.log(`${colors.bright}${colors.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+    console.log(`${colors.bright}  Spotify Song Logger - Consistency Audit${options.fix ? ' (fix)' : ''}${colors.reset}`);
+    console.log(`${colors.bright}${colors.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+    console.log('');
+    printReport(report);
+
+    if (report.fixed) {
+      const { removedDuplicates, requeued, recoveredPlays, failedPlays } = report.fixed;
+      console.log(`${colors.bright}${colors.green}✓ Removed ${removedDuplicates} duplicate row(s), re-queued ${requeued} ERROR row(s), logged ${recoveredPlays} missed play(s)${failedPlays > 0 ? ` and ${failedPlays} more as ERROR rows` : ''}${colors.reset}`);
+    } else if (report.clean) {
+      console.log(`${colors.bright}${colors.green}✓ Sheets and state are consistent${colors.reset}`);
+    } else {
+      console.log(`${colors.yellow}Run with --fix to remove exact duplicates, re-queue orphaned ERROR rows and log recoverable gaps${colors.reset}`);
+    }
+    console.log('');
+  } catch (error) {
+    console.error('');
+    console.error(`${colors.red}${colors.bright}Audit failed:${colors.reset} ${error.message}`);
+    console.error('');
+    process.exit(1);
+  }
+}
+
+main();
@@ -2,6 +2,7 @@ import http from 'http';
 import { exec } from 'child_process';
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { SPOTIFY_SCOPES as SCOPES } from '../lib/spotify-auth.js';
 
 dotenv.config();
 
@@ -14,22 +15,11 @@ dotenv.config();
  * 3. Exchanging the authorization code for a refresh token
  * 4. Displaying the refresh token for you to add to .env
  *
- * Required OAuth Scopes:
- * - user-read-recently-played
- * - user-read-currently-playing
- * - user-read-playback-state
- * - user-read-playback-position
- * - user-library-read
+ * Requests the scopes in SPOTIFY_SCOPES (lib/spotify-auth.js). Deployed apps
+ * can use /api/auth/login instead, which stores the token encrypted in
+ * state storage.
  */
 
-const SCOPES = [
-  'user-read-recently-played',
-  'user-read-currently-playing',
-  'user-read-playback-state',
-  'user-read-playback-position',
-  'user-library-read'
-];
-
 const CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
 const CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
 const REDIRECT_URI = process.env.SPOTIFY_REDIRECT_URI || 'http://localhost:8888/callback';
@@ -0,0 +1,154 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import {
+  importStreamingHistory,
+  isStreamingHistoryFile,
+  parseJsonArrayStream,
+  DEFAULT_IMPORT_SHEET,
+  IMPORT_CHUNK_SIZE
+} from '../lib/streaming-history.js';
+import { getSinkInfo } from '../lib/sinks/index.js';
+
+dotenv.config();
+
+/**
+ * Extended Streaming History Import Script
+ *
+ * Imports the Streaming_History_Audio_*.json / endsong_*.json files from
+ * Spotify's privacy export (Account → Privacy → "Extended streaming history").
+ * Files are streamed and appended in chunks, and plays that already exist in
+ * the target sheet or the Listening Log are skipped, so the script can be
+ * re-run safely.
+ *
+ * Usage:
+ *   node scripts/import-streaming-history.js ~/Downloads/my_spotify_data/
+ *   node scripts/import-streaming-history.js Streaming_History_Audio_2023.json --dry-run
+ *   node scripts/import-streaming-history.js export/ --sheet="Listening Log" --include-short
+ *   node scripts/import-streaming-history.js export/ --chunk-size=500
+ */
+
+// ANSI color codes
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  dim: '\x1b[2m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  return {
+    paths: args.filter(arg => !arg.startsWith('--')),
+    dryRun: args.includes('--dry-run'),
+    includeShort: args.includes('--include-short'),
+    sheet: args.find(arg => arg.startsWith('--sheet='))?.split('=')[1] || DEFAULT_IMPORT_SHEET,
+    chunkSize: parseInt(args.find(arg => arg.startsWith('--chunk-size='))?.split('=')[1] || String(IMPORT_CHUNK_SIZE), 10)
+  };
+}
+
+/**
+ * Resolve input paths to a sorted list of export files
+ * Directories are scanned for Streaming_History_Audio_*.json / endsong_*.json
+ * @param {array} inputPaths - Files and/or directories
+ * @returns {array} File paths
+ */
+function resolveFiles(inputPaths) {
+  const files = [];
+
+  for (const inputPath of inputPaths) {
+    const stat = fs.statSync(inputPath);
+
+    if (stat.isDirectory()) {
+      const matches = fs.readdirSync(inputPath)
+        .filter(isStreamingHistoryFile)
+        .sort()
+        .map(name => path.join(inputPath, name));
+      files.push(...matches);
+    } else {
+      files.push(inputPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Stream entries from all files in order
+ * @param {array} files - File paths
+ * @yields {object} Raw export entries
+ */
+async function* readEntries(files) {
+  for (const file of files) {
+    console.log(`${colors.cyan}Reading ${path.basename(file)}...${colors.reset}`);
+    yield* parseJsonArrayStream(fs.createReadStream(file));
+  }
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const options = parseArgs();
+  const startTime = Date.now();
+
+  console.log('');
+  console.log(`${colors.bright}${colors.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+  console.log(`${colors.bright}  Spotify Song Logger - Extended Streaming History Import${colors.reset}`);
+  console.log(`${colors.bright}${colors.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+  console.log('');
+
+  if (options.paths.length === 0) {
+    console.error(`${colors.red}Usage: node scripts/import-streaming-history.js <file-or-directory>... [--dry-run] [--sheet=NAME] [--include-short]${colors.reset}`);
+    process.exit(1);
+  }
+
+  try {
+    const files = resolveFiles(options.paths);
+
+    if (files.length === 0) {
+      console.error(`${colors.yellow}No Streaming_History_Audio_*.json or endsong_*.json files found${colors.reset}`);
+      process.exit(1);
+    }
+
+    console.log(`  Files: ${files.length}`);
+    console.log(`  Target: "${options.sheet}" (${getSinkInfo().sink} sink)`);
+    if (options.dryRun) {
+      console.log(`  ${colors.yellow}DRY RUN - no rows will be written${colors.reset}`);
+    }
+    console.log('');
+
+    const stats = await importStreamingHistory(readEntries(files), {
+      sheetName: options.sheet,
+      dryRun: options.dryRun,
+      includeShort: options.includeShort,
+      chunkSize: options.chunkSize
+    });
+
+    console.log('');
+    console.log(`${colors.bright}${colors.green}✓ Import complete${colors.reset} ${colors.dim}(${((Date.now() - startTime) / 1000).toFixed(1)}s)${colors.reset}`);
+    console.log(`  Entries read:     ${stats.read}`);
+    console.log(`  ${(options.dryRun ? 'Would import:' : 'Imported:').padEnd(18)}${stats.imported}`);
+    console.log(`  Duplicates:       ${stats.duplicates}`);
+    console.log(`  Under 30s:        ${stats.short}${options.includeShort ? '' : ' (use --include-short to import)'}`);
+    console.log(`  Non-music:        ${stats.nonMusic}`);
+    if (stats.firstPlay) {
+      console.log(`  Range:            ${stats.firstPlay} → ${stats.lastPlay}`);
+    }
+    console.log('');
+  } catch (error) {
+    console.error('');
+    console.error(`${colors.red}${colors.bright}Import failed:${colors.reset} ${error.message}`);
+    console.error('');
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,17 +1,22 @@
 import dotenv from 'dotenv';
 import { google } from 'googleapis';
-import { createSheetIfNotExists, initSheetsClient, appendRows } from '../lib/sheets-api.js';
+import { createSheetIfNotExists, ensureSheetSchema, initSheetsClient, appendRows } from '../lib/sheets-api.js';
 import { getSheetHeaders } from '../lib/data-formatter.js';
+import { getSheetSchema, getSchemaHeaders, getColumnConfigFile, hasColumnConfig } from '../lib/sheet-schema.js';
+import { getPodcastHeaders, PODCASTS_SHEET } from '../lib/podcasts.js';
+import { getSessionHeaders, SESSIONS_SHEET } from '../lib/sessions.js';
 
 dotenv.config();
 
 /**
  * Google Sheets Initialization Script
  *
- * Initializes the Google Sheet with proper structure for all three sheets:
- * 1. Listening Log - Main log with 28 columns
+ * Initializes the Google Sheet with proper structure for all five sheets:
+ * 1. Listening Log - Main log with 33 columns (or the columns of config/columns.json)
  * 2. Historical Data - One-time import data (same structure + import timestamp)
  * 3. System Logs - Operational logs with 7 columns
+ * 4. Podcasts - Podcast episode and audiobook listens
+ * 5. Sessions - Listening sessions (consecutive plays grouped by gaps)
  *
  * Also applies formatting:
  * - Bold headers
@@ -48,8 +53,30 @@ function parseArgs() {
  * Get headers for Historical Data sheet (same as Listening Log + import timestamp)
  */
 function getHistoricalDataHeaders() {
-  const baseHeaders = getSheetHeaders();
-  return [...baseHeaders, 'Import Timestamp'];
+  return getSchemaHeaders(getSheetSchema('Historical Data'));
+}
+
+/**
+ * Print which columns the Listening Log and Historical Data sheets get
+ */
+function printColumnConfig() {
+  if (!hasColumnConfig()) {
+    console.log(`  Columns: all ${getSheetHeaders().length} built-in columns (no column config)`);
+    return;
+  }
+
+  const computed = getSheetSchema('Listening Log').columns.filter(column => column.compute);
+  console.log(`${colors.green}  ✓${colors.reset} Column config ${getColumnConfigFile()}: ${getSheetHeaders().length} columns (${computed.length} computed)`);
+}
+
+/**
+ * Print the columns a schema migration added to an existing sheet
+ * @param {object} result - Result of ensureSheetSchema
+ */
+function printMigration(result) {
+  if (result.migrated) {
+    console.log(`${colors.green}  ✓${colors.reset} Migrated from schema v${result.fromVersion} to v${result.toVersion}: added ${result.addedColumns.join(', ')}`);
+  }
 }
 
 /**
@@ -178,24 +205,27 @@ async function main() {
 
   try {
     // Initialize Sheets client
-    console.log(`${colors.cyan}[1/4] Initializing Google Sheets client...${colors.reset}`);
+    console.log(`${colors.cyan}[1/6] Initializing Google Sheets client...${colors.reset}`);
     const sheets = await initSheetsClient();
     const spreadsheetId = process.env.GOOGLE_SHEETS_ID;
     console.log(`${colors.green}  ✓${colors.reset} Client initialized`);
+    printColumnConfig();
     console.log('');
 
     if (options.dryRun) {
-      console.log(`${colors.cyan}[2/4] Would create/verify sheets:${colors.reset}`);
-      console.log(`  - Listening Log (28 columns)`);
-      console.log(`  - Historical Data (29 columns)`);
+      console.log(`${colors.cyan}[2/6] Would create/verify sheets:${colors.reset}`);
+      console.log(`  - Listening Log (${getSheetHeaders().length} columns)`);
+      console.log(`  - Historical Data (${getHistoricalDataHeaders().length} columns)`);
       console.log(`  - System Logs (7 columns)`);
+      console.log(`  - ${PODCASTS_SHEET} (${getPodcastHeaders().length} columns)`);
+      console.log(`  - ${SESSIONS_SHEET} (${getSessionHeaders().length} columns)`);
       console.log('');
-      console.log(`${colors.cyan}[3/4] Would apply formatting:${colors.reset}`);
+      console.log(`${colors.cyan}[3/6] Would apply formatting:${colors.reset}`);
       console.log(`  - Bold headers`);
       console.log(`  - Frozen header row`);
       console.log(`  - Column widths`);
       console.log('');
-      console.log(`${colors.cyan}[4/4] DRY RUN complete${colors.reset}`);
+      console.log(`${colors.cyan}[6/6] DRY RUN complete${colors.reset}`);
       console.log('');
       console.log(`${colors.yellow}Run without --dry-run to actually initialize sheets${colors.reset}`);
       console.log('');
@@ -203,9 +233,10 @@ async function main() {
     }
 
     // Create/verify Listening Log sheet
-    console.log(`${colors.cyan}[2/4] Setting up "Listening Log" sheet...${colors.reset}`);
+    console.log(`${colors.cyan}[2/6] Setting up "Listening Log" sheet...${colors.reset}`);
     const listeningHeaders = getSheetHeaders();
-    const listeningLog = await createSheetIfNotExists('Listening Log', listeningHeaders);
+    const listeningLog = await ensureSheetSchema('Listening Log');
+    printMigration(listeningLog);
 
     if (!listeningLog.created && !listeningLog.exists) {
       // Sheet was just created with headers, apply formatting
@@ -216,9 +247,10 @@ async function main() {
     console.log('');
 
     // Create/verify Historical Data sheet
-    console.log(`${colors.cyan}[3/4] Setting up "Historical Data" sheet...${colors.reset}`);
+    console.log(`${colors.cyan}[3/6] Setting up "Historical Data" sheet...${colors.reset}`);
     const historicalHeaders = getHistoricalDataHeaders();
-    const historicalData = await createSheetIfNotExists('Historical Data', historicalHeaders);
+    const historicalData = await ensureSheetSchema('Historical Data');
+    printMigration(historicalData);
 
     if (!historicalData.created && !historicalData.exists) {
       await applySheetFormatting(sheets, spreadsheetId, historicalData.sheetId, historicalHeaders.length);
@@ -228,7 +260,7 @@ async function main() {
     console.log('');
 
     // Create/verify System Logs sheet
-    console.log(`${colors.cyan}[4/4] Setting up "System Logs" sheet...${colors.reset}`);
+    console.log(`${colors.cyan}[4/6] Setting up "System Logs" sheet...${colors.reset}`);
     const systemLogsHeaders = getSystemLogsHeaders();
     const systemLogs = await createSheetIfNotExists('System Logs', systemLogsHeaders);
 
@@ -239,6 +271,30 @@ async function main() {
     }
     console.log('');
 
+    // Create/verify Podcasts sheet
+    console.log(`${colors.cyan}[5/6] Setting up "${PODCASTS_SHEET}" sheet...${colors.reset}`);
+    const podcastHeaders = getPodcastHeaders();
+    const podcasts = await createSheetIfNotExists(PODCASTS_SHEET, podcastHeaders);
+
+    if (!podcasts.created && !podcasts.exists) {
+      await applySheetFormatting(sheets, spreadsheetId, podcasts.sheetId, podcastHeaders.length);
+    } else if (podcasts.exists) {
+      console.log(`${colors.green}  ✓${colors.reset} Sheet already exists with data`);
+    }
+    console.log('');
+
+    // Create/verify Sessions sheet
+    console.log(`${colors.cyan}[6/6] Setting up "${SESSIONS_SHEET}" sheet...${colors.reset}`);
+    const sessionHeaders = getSessionHeaders();
+    const sessions = await createSheetIfNotExists(SESSIONS_SHEET, sessionHeaders);
+
+    if (!sessions.created && !sessions.exists) {
+      await applySheetFormatting(sheets, spreadsheetId, sessions.sheetId, sessionHeaders.length);
+    } else if (sessions.exists) {
+      console.log(`${colors.green}  ✓${colors.reset} Sheet already exists with data`);
+    }
+    console.log('');
+
     // Success summary
     console.log(`${colors.green}${colors.bright}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
     console.log(`${colors.green}${colors.bright}  ✅ Google Sheets initialized successfully!${colors.reset}`);
@@ -248,6 +304,8 @@ async function main() {
     console.log(`  1. Listening Log (${listeningHeaders.length} columns)`);
     console.log(`  2. Historical Data (${historicalHeaders.length} columns)`);
     console.log(`  3. System Logs (${systemLogsHeaders.length} columns)`);
+    console.log(`  4. ${PODCASTS_SHEET} (${podcastHeaders.length} columns)`);
+    console.log(`  5. ${SESSIONS_SHEET} (${sessionHeaders.length} columns)`);
     console.log('');
     console.log(`${colors.cyan}Formatting applied:${colors.reset}`);
     console.log(`  ✓ Bold headers`);
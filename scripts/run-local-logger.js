@@ -1,10 +1,16 @@
 import dotenv from 'dotenv';
-import { getRecentlyPlayed, getAudioFeatures, getBatchArtistDetails } from '../lib/spotify-api.js';
-import { filterNewPlays, sortTracksByTimestamp, getMostRecentTrack } from '../lib/play-filter.js';
-import { formatTrackForLogging, formatAsSheetRow, createErrorPlaceholder } from '../lib/data-formatter.js';
-import { appendRows, getAllRows, writeErrorPlaceholder } from '../lib/sheets-api.js';
-import { loadState, saveState, updateLastProcessed, addToFailedQueue, updateStats, getStats } from '../lib/state-manager.js';
-import { reconcileState, filterDuplicatesAgainstSheet } from '../lib/deduplication.js';
+import { getRecentlyPlayed, getCurrentlyPlaying, persistCache } from '../lib/spotify-api.js';
+import { filterNewPlays, filterNewSkips, estimateListenTimes, sortTracksByTimestamp, getMostRecentTrack } from '../lib/play-filter.js';
+import { formatAsSheetRow, createErrorPlaceholder } from '../lib/data-formatter.js';
+import { createProviders, prefetchEnrichment, enrichPlay } from '../lib/enrichment.js';
+import { getSinkInfo } from '../lib/sinks/index.js';
+import { loadListeningLog, appendToListeningLog, getLogSheetName } from '../lib/partitions.js';
+import { loadState, saveState, updateLastProcessed, addToFailedQueue, updateStats, getStats, recordPlaybackSample, getPlaybackSessions, prunePlaybackSessions, recordEpisodeSample, expireCurrentEpisode, getPendingEpisodes, clearPendingEpisodes, recordSessionPlays, updateListeningStreak, acquireRunLock, releaseRunLock } from '../lib/state-manager.js';
+import { createPlaybackSample, attachMeasuredPlayTimes } from '../lib/playback-sessions.js';
+import { createEpisodeSample, logEpisodeListens } from '../lib/podcasts.js';
+import { toSessionPlay, logSessions } from '../lib/sessions.js';
+import { reconcileStateWithKeys, filterDuplicatesAgainstKeys } from '../lib/deduplication.js';
+import { getUser, runAsUser } from '../lib/users.js';
 
 dotenv.config();
 
@@ -18,8 +24,8 @@ dotenv.config();
  * 4. Filters for 30+ second plays not in last processed state
  * 5. Enriches with audio features and metadata
  * 6. Formats for Google Sheets
- * 7. Checks for duplicates against sheet data
- * 8. Appends new rows to "Listening Log" sheet
+ * 7. Checks for duplicates against the dedup index (reads the sheet if needed)
+ * 8. Appends new rows to "Listening Log" sheet (or its monthly partitions)
  * 9. Updates state with last processed track
  * 10. Logs summary to console
  *
@@ -28,6 +34,14 @@ dotenv.config();
  *   node scripts/run-local-logger.js --dry-run
  *   node scripts/run-local-logger.js --verbose
  *   node scripts/run-local-logger.js --limit 50
+ *   node scripts/run-local-logger.js --user=alice   (registered user, see lib/users.js)
+ *
+ * Sampling mode:
+ *   Polls currently-playing and records play sessions so that logging runs
+ *   can use measured play durations. Runs until Ctrl+C or --duration elapses.
+ *
+ *   node scripts/run-local-logger.js --sample
+ *   node scripts/run-local-logger.js --sample --interval=10 --duration=60
  */
 
 // ANSI color codes
@@ -52,7 +66,11 @@ function parseArgs() {
   return {
     limit: parseInt(args.find(arg => arg.startsWith('--limit='))?.split('=')[1] || '20', 10),
     verbose: args.includes('--verbose') || args.includes('-v'),
-    dryRun: args.includes('--dry-run')
+    dryRun: args.includes('--dry-run'),
+    sample: args.includes('--sample'),
+    interval: parseInt(args.find(arg => arg.startsWith('--interval='))?.split('=')[1] || '15', 10),
+    duration: parseInt(args.find(arg => arg.startsWith('--duration='))?.split('=')[1] || '0', 10),
+    user: args.find(arg => arg.startsWith('--user='))?.split('=')[1] || null
   };
 }
 
@@ -66,11 +84,110 @@ function formatDuration(ms) {
   return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Sleep for specified milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Write finished episode listens kept in state to the Podcasts sheet
+ * A failed write leaves them pending for the next poll.
+ */
+async function logPendingEpisodes() {
+  const pending = await getPendingEpisodes();
+  await logEpisodeListens(pending);
+  await clearPendingEpisodes(pending);
+}
+
+/**
+ * Sampling mode: poll currently-playing and record play sessions
+ * @param {object} options - Parsed command line options
+ */
+async function runSampler(options) {
+  const intervalMs = Math.max(options.interval, 1) * 1000;
+  const endTime = options.duration > 0 ? Date.now() + options.duration * 60 * 1000 : Infinity;
+  let polls = 0;
+  let recorded = 0;
+  let lastSessionId = null;
+
+  console.log('');
+  console.log(`${colors.bright}${colors.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+  console.log(`${colors.bright}  Spotify Song Logger - Playback Sampling${colors.reset}`);
+  console.log(`${colors.bright}${colors.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+  console.log('');
+  console.log(`  Polling every ${options.interval}s${options.duration > 0 ? ` for ${options.duration} minute(s)` : ' (Ctrl+C to stop)'}`);
+  console.log('');
+
+  let stopped = false;
+  process.on('SIGINT', () => {
+    stopped = true;
+  });
+
+  while (!stopped && Date.now() < endTime) {
+    try {
+      const playback = await getCurrentlyPlaying(['episode', 'audiobook']);
+      const sample = createPlaybackSample(playback);
+      const episodeSample = sample ? null : createEpisodeSample(playback);
+      polls++;
+
+      if (episodeSample) {
+        const { current: listen } = await recordEpisodeSample(episodeSample);
+        await logPendingEpisodes();
+        recorded++;
+
+        if (listen.sampleCount === 1) {
+          console.log(`  ${colors.magenta}▶${colors.reset} ${episodeSample.showName}: ${episodeSample.episodeName} ${colors.dim}(${episodeSample.mediaType.toLowerCase()})${colors.reset}`);
+        }
+      } else if (sample) {
+        // A track ends any episode listen straight away
+        await expireCurrentEpisode(0);
+        await logPendingEpisodes();
+
+        const session = await recordPlaybackSample(sample);
+        recorded++;
+
+        if (session.id !== lastSessionId) {
+          console.log(`  ${colors.green}▶${colors.reset} ${sample.trackName} ${colors.dim}(new session)${colors.reset}`);
+          lastSessionId = session.id;
+        } else if (options.verbose) {
+          console.log(`    ${colors.dim}${formatDuration(sample.progressMs)} / ${formatDuration(sample.durationMs)} - listened ${formatDuration(session.listenedMs)}${sample.isPlaying ? '' : ' (paused)'}${colors.reset}`);
+        }
+      } else {
+        // Paused or stopped episodes end after 10 minutes of silence
+        await expireCurrentEpisode();
+        await logPendingEpisodes();
+
+        if (options.verbose) {
+          console.log(`    ${colors.dim}Nothing playing${colors.reset}`);
+        }
+      }
+    } catch (error) {
+      console.warn(`  ${colors.yellow}⚠${colors.reset} Sampling failed: ${error.message}`);
+    }
+
+    await sleep(intervalMs);
+  }
+
+  await prunePlaybackSessions();
+
+  console.log('');
+  console.log(`  ${colors.cyan}Sampling stopped:${colors.reset} ${polls} poll(s), ${recorded} sample(s) recorded`);
+  console.log('');
+}
+
 /**
  * Main execution function
  */
 async function main() {
   const options = parseArgs();
+
+  if (options.sample) {
+    await runSampler(options);
+    return;
+  }
+
   const startTime = Date.now();
   let successCount = 0;
   let failureCount = 0;
@@ -86,6 +203,13 @@ async function main() {
     console.log('');
   }
 
+  // Same run lock as /api/log-spotify and /api/retry-failed
+  const lock = await acquireRunLock('run-local-logger');
+  if (!lock.acquired) {
+    console.error(`${colors.red}  ❌ Another run is in progress (${lock.holder?.owner || 'unknown'}, lease until ${lock.holder?.expiresAt || 'unknown'})${colors.reset}`);
+    process.exit(1);
+  }
+
   try {
     // Step 1: Load state
     console.log(`${colors.cyan}[1/10] Loading state...${colors.reset}`);
@@ -101,8 +225,10 @@ async function main() {
     // Step 2: Fetch recently played tracks
     console.log(`${colors.cyan}[2/10] Fetching recently played tracks from Spotify...${colors.reset}`);
     const recentlyPlayed = await getRecentlyPlayed(options.limit);
-    const tracks = recentlyPlayed.items || [];
-    console.log(`      ✓ Fetched ${tracks.length} tracks`);
+    const playbackSessions = await getPlaybackSessions();
+    const tracks = estimateListenTimes(attachMeasuredPlayTimes(recentlyPlayed.items || [], playbackSessions));
+    const measuredCount = tracks.filter(t => t.measured_play_ms !== undefined).length;
+    console.log(`      ✓ Fetched ${tracks.length} tracks (${measuredCount} with measured play time)`);
     console.log('');
 
     if (tracks.length === 0) {
@@ -116,6 +242,10 @@ async function main() {
     const filteredTracks = filterNewPlays(tracks, state);
     const sortedTracks = sortTracksByTimestamp(filteredTracks);
     console.log(`      ✓ Filtered to ${filteredTracks.length} new plays`);
+    const skippedTracks = filterNewSkips(tracks, state);
+    if (skippedTracks.length > 0) {
+      console.log(`      ${colors.dim}${skippedTracks.length} skip(s) under 30s not logged (the hourly function logs them to "Skips")${colors.reset}`);
+    }
     console.log('');
 
     if (filteredTracks.length === 0) {
@@ -124,19 +254,25 @@ async function main() {
       return;
     }
 
-    // Step 4: Load sheet data for deduplication
-    console.log(`${colors.cyan}[4/10] Loading existing sheet data for deduplication...${colors.reset}`);
-    const sheetRows = await getAllRows('Listening Log');
-    console.log(`      ✓ Loaded ${sheetRows.length} rows from sheet`);
+    // Step 4: Load dedup keys (from the dedup index unless it is missing or stale)
+    console.log(`${colors.cyan}[4/10] Loading dedup keys...${colors.reset}`);
+    const logSheets = await loadListeningLog(sortedTracks.map(t => t.played_at), { readOnly: options.dryRun, index: true });
+    for (const { sheetName, migration, keys, source, rows } of logSheets) {
+      if (migration?.migrated) {
+        console.log(`      ✓ Migrated "${sheetName}" from schema v${migration.fromVersion} to v${migration.toVersion} (added ${migration.addedColumns.join(', ')})`);
+      }
+      console.log(`      ✓ Loaded ${keys.length} key(s) for "${sheetName}" (${source === 'sheet' ? `read ${rows.length} rows` : source})`);
+    }
 
-    // Reconcile state with sheet data
-    state = reconcileState(sheetRows, state);
+    // Reconcile state with the most recent rows
+    const latestKeys = [...logSheets].reverse().find(sheet => sheet.keys.length > 0)?.keys || [];
+    state = reconcileStateWithKeys(latestKeys, state);
     console.log(`      ✓ State reconciled`);
     console.log('');
 
     // Step 5: Filter duplicates against sheet
     console.log(`${colors.cyan}[5/10] Checking for duplicates in sheet...${colors.reset}`);
-    const uniqueTracks = filterDuplicatesAgainstSheet(sortedTracks, sheetRows);
+    const uniqueTracks = filterDuplicatesAgainstKeys(sortedTracks, logSheets.flatMap(sheet => sheet.keys));
     console.log(`      ✓ ${uniqueTracks.length} unique tracks to log (${sortedTracks.length - uniqueTracks.length} duplicates filtered)`);
     console.log('');
 
@@ -150,6 +286,9 @@ async function main() {
     console.log(`${colors.cyan}[6/10] Enriching tracks with audio features and metadata...${colors.reset}`);
     const formattedTracks = [];
     const failedTracks = [];
+    const providers = createProviders();
+
+    await prefetchEnrichment(uniqueTracks.map(t => t.track), providers);
 
     for (const track of uniqueTracks) {
       try {
@@ -157,21 +296,10 @@ async function main() {
           console.log(`      Processing: ${track.track.name} - ${track.track.artists[0].name}`);
         }
 
-        // Fetch audio features
-        const audioFeatures = await getAudioFeatures(track.track.id);
-
-        // Fetch artist details for genres
-        const artistIds = track.track.artists.map(a => a.id);
-        const artists = await getBatchArtistDetails(artistIds);
-        const primaryArtist = artists[0];
-
-        // Format track
-        const formatted = formatTrackForLogging(
-          track.track,
-          track,
-          audioFeatures,
-          primaryArtist
-        );
+        const formatted = await enrichPlay(track, { providers });
+        if (formatted.missingEnrichment) {
+          console.warn(`      ${colors.yellow}⚠${colors.reset} Missing enrichment for ${track.track.name}: ${formatted.missingEnrichment}`);
+        }
 
         formattedTracks.push(formatted);
         successCount++;
@@ -192,22 +320,23 @@ async function main() {
       }
     }
     console.log(`      ✓ Enriched ${formattedTracks.length} tracks (${successCount} success, ${failureCount} failures)`);
+    await persistCache();
     console.log('');
 
     // Step 7: Format for sheets
     console.log(`${colors.cyan}[7/10] Formatting data for Google Sheets...${colors.reset}`);
-    const rowsToAppend = formattedTracks.map(track => formatAsSheetRow(track));
-    console.log(`      ✓ Formatted ${rowsToAppend.length} rows`);
+    const targetSheets = [...new Set(formattedTracks.map(track => getLogSheetName(track.timestamp)))].map(name => `"${name}"`).join(', ');
+    console.log(`      ✓ ${formattedTracks.length} row(s) for ${targetSheets}`);
     console.log('');
 
     // Step 8: Write to sheets (unless dry run)
     if (options.dryRun) {
       console.log(`${colors.cyan}[8/10] ${colors.yellow}[DRY RUN]${colors.cyan} Would append to Google Sheets...${colors.reset}`);
-      console.log(`      ${colors.dim}Would write ${rowsToAppend.length} row(s) to "Listening Log"${colors.reset}`);
+      console.log(`      ${colors.dim}Would write ${formattedTracks.length} row(s) to ${targetSheets}${colors.reset}`);
       console.log('');
 
       // Show sample of what would be written
-      if (rowsToAppend.length > 0 && options.verbose) {
+      if (formattedTracks.length > 0 && options.verbose) {
         console.log(`      ${colors.dim}Sample row:${colors.reset}`);
         console.log(`      ${colors.dim}  Track: ${formattedTracks[0].trackName}${colors.reset}`);
         console.log(`      ${colors.dim}  Artist: ${formattedTracks[0].artists}${colors.reset}`);
@@ -215,9 +344,9 @@ async function main() {
         console.log('');
       }
     } else {
-      console.log(`${colors.cyan}[8/10] Appending to Google Sheets "Listening Log"...${colors.reset}`);
-      const appendResult = await appendRows('Listening Log', rowsToAppend);
-      console.log(`      ✓ Successfully wrote ${appendResult.updates.updatedRows} row(s)`);
+      console.log(`${colors.cyan}[8/10] Appending to "Listening Log" (${getSinkInfo().sink} sink)...${colors.reset}`);
+      const appendResult = await appendToListeningLog(formattedTracks, logSheets, formatAsSheetRow);
+      console.log(`      ✓ Successfully wrote ${appendResult.updatedRows} row(s) to ${appendResult.sheets.map(name => `"${name}"`).join(', ')}`);
       console.log('');
     }
 
@@ -243,6 +372,17 @@ async function main() {
       // Update stats
       await updateStats(successCount, failureCount);
       console.log(`      ✓ Updated stats`);
+
+      // Group plays into listening sessions and update the daily streak (ERROR placeholders left out)
+      const plays = formattedTracks.filter(t => t.status !== 'ERROR');
+      const closedSessions = await recordSessionPlays(plays.map(toSessionPlay), logSessions, { now: Date.now() });
+      if (closedSessions.length > 0) {
+        console.log(`      ✓ Logged ${closedSessions.length} listening session(s)`);
+      }
+      if (plays.length > 0) {
+        const { streak } = await updateListeningStreak(plays.map(t => t.timestamp));
+        console.log(`      ✓ Listening streak: ${streak.current} day(s) (longest: ${streak.longest})`);
+      }
     } else {
       console.log(`      ${colors.dim}[DRY RUN] State not updated${colors.reset}`);
     }
@@ -287,11 +427,14 @@ async function main() {
 
     if (!options.dryRun) {
       console.log(`  ${colors.cyan}View your data:${colors.reset}`);
-      console.log(`    https://docs.google.com/spreadsheets/d/${process.env.GOOGLE_SHEETS_ID}`);
+      console.log(`    ${getSinkInfo().location}`);
       console.log('');
     }
 
+    await releaseRunLock(lock.lease);
   } catch (error) {
+    await releaseRunLock(lock.lease);
+
     console.error('');
     console.error(`${colors.red}${colors.bright}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
     console.error(`${colors.red}${colors.bright}  ❌ Error${colors.reset}`);
@@ -324,4 +467,21 @@ async function main() {
   }
 }
 
-main();
+/**
+ * Run main() as the user selected with --user (default user otherwise)
+ */
+function start() {
+  const { user } = parseArgs();
+  if (!user) {
+    return main();
+  }
+
+  try {
+    return runAsUser(getUser(user), main);
+  } catch (error) {
+    console.error(`${colors.red}  ❌ ${error.message}${colors.reset}`);
+    process.exit(1);
+  }
+}
+
+start();
@@ -0,0 +1,137 @@
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import { exportState, restoreState, migrateLocalToKV } from '../lib/state-archive.js';
+import { STATE_BACKENDS } from '../lib/state-manager.js';
+import { getUser, runAsUser } from '../lib/users.js';
+
+dotenv.config();
+
+/**
+ * State Export / Import Script
+ *
+ * Backs up the logger state to a portable JSON archive, restores an archive
+ * into the local file or Vercel KV backend, and copies the local state into
+ * KV when deploying for the first time. Without --backend the backend is
+ * detected the same way the logger does (USE_KV / VERCEL_ENV + KV credentials).
+ *
+ * Usage:
+ *   node scripts/state.js export
+ *   node scripts/state.js export --backend=kv --out=backups/state.json
+ *   node scripts/state.js import backups/state.json --backend=local --dry-run
+ *   node scripts/state.js import backups/state.json --backend=kv
+ *   node scripts/state.js migrate-to-kv --dry-run
+ *   node scripts/state.js migrate-to-kv --force
+ *   node scripts/state.js export --user=alice   (registered user, see lib/users.js)
+ */
+
+// ANSI color codes
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  dim: '\x1b[2m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+const COMMANDS = ['export', 'import', 'migrate-to-kv'];
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const value = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+  const [command, file] = args.filter(arg => !arg.startsWith('--'));
+
+  return {
+    command,
+    file,
+    backend: value('backend'),
+    user: value('user'),
+    out: value('out') || `state-archive-${new Date().toISOString().slice(0, 10)}.json`,
+    dryRun: args.includes('--dry-run'),
+    force: args.includes('--force')
+  };
+}
+
+/**
+ * Print the changes of a restore
+ * @param {object} result - Result of restoreState / migrateLocalToKV
+ */
+function printChanges(result) {
+  if (result.changes.length === 0) {
+    console.log(`  ${colors.dim}No changes - ${result.backend} already has this state${colors.reset}`);
+    return;
+  }
+
+  const symbols = { added: `${colors.green}+`, removed: `${colors.red}-`, changed: `${colors.yellow}~` };
+  for (const change of result.changes) {
+    console.log(`  ${symbols[change.change]} ${change.key.padEnd(18)}${colors.reset} ${change.from} → ${change.to}`);
+  }
+}
+
+/**
+ * Run the selected command
+ * @param {object} options - Parsed arguments
+ */
+async function runCommand(options) {
+  if (options.command === 'export') {
+    const archive = await exportState({ backend: options.backend });
+    await fs.writeFile(options.out, JSON.stringify(archive, null, 2), 'utf-8');
+
+    console.log('');
+    console.log(`${colors.bright}${colors.green}✓ Exported ${archive.source} state${colors.reset} → ${options.out}`);
+    for (const [section, summary] of Object.entries(archive.sections)) {
+      console.log(`  ${section.padEnd(18)}${summary}`);
+    }
+  } else {
+    const result = options.command === 'import'
+      ? await restoreState(JSON.parse(await fs.readFile(options.file, 'utf-8')), { backend: options.backend, dryRun: options.dryRun })
+      : await migrateLocalToKV({ dryRun: options.dryRun, force: options.force });
+
+    console.log('');
+    if (result.dryRun) {
+      console.log(`${colors.bright}${colors.yellow}DRY RUN - ${result.backend} state would change:${colors.reset}`);
+    } else {
+      console.log(`${colors.bright}${colors.green}✓ ${result.restored ? 'Restored' : 'Checked'} ${result.backend} state${colors.reset}`);
+    }
+    printChanges(result);
+  }
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const options = parseArgs();
+
+  console.log('');
+  console.log(`${colors.bright}${colors.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+  console.log(`${colors.bright}  Spotify Song Logger - State ${options.command || ''}${colors.reset}`);
+  console.log(`${colors.bright}${colors.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+  console.log('');
+
+  if (!COMMANDS.includes(options.command) || (options.command === 'import' && !options.file)) {
+    console.error(`${colors.red}Usage: node scripts/state.js <export|import <file>|migrate-to-kv> [--backend=${STATE_BACKENDS.join('|')}] [--out=FILE] [--user=ID] [--dry-run] [--force]${colors.reset}`);
+    process.exit(1);
+  }
+
+  try {
+    if (options.user) {
+      await runAsUser(getUser(options.user), () => runCommand(options));
+    } else {
+      await runCommand(options);
+    }
+    console.log('');
+  } catch (error) {
+    console.error('');
+    console.error(`${colors.red}${colors.bright}State ${options.command} failed:${colors.reset} ${error.message}`);
+    console.error('');
+    process.exit(1);
+  }
+}
+
+main();
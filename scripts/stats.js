@@ -0,0 +1,132 @@
+import dotenv from 'dotenv';
+import { getListeningStats, parseWindowDate, GROUP_BY_OPTIONS, DEFAULT_STATS_SHEET } from '../lib/stats.js';
+import { getSinkInfo } from '../lib/sinks/index.js';
+
+dotenv.config();
+
+/**
+ * Listening Stats Script
+ *
+ * Prints top tracks, artists, albums and genres from the configured storage
+ * sink. Uses the same aggregation and state cache as /api/stats.
+ *
+ * Usage:
+ *   node scripts/stats.js
+ *   node scripts/stats.js --from=2024-01-01 --to=2024-03-31
+ *   node scripts/stats.js --from=2024-01-01 --group-by=week --limit=5
+ *   node scripts/stats.js --sheet="Historical Data" --refresh
+ *   node scripts/stats.js --json
+ */
+
+// ANSI color codes
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  dim: '\x1b[2m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const value = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+  return {
+    from: value('from'),
+    to: value('to'),
+    groupBy: value('group-by') || null,
+    limit: parseInt(value('limit') || '10', 10),
+    sheet: value('sheet') || DEFAULT_STATS_SHEET,
+    includeNonMusic: args.includes('--include-non-music'),
+    refresh: args.includes('--refresh'),
+    json: args.includes('--json')
+  };
+}
+
+/**
+ * Print a top list
+ * @param {string} title - Section title
+ * @param {array} entries - Top list entries
+ * @param {function} label - Entry label formatter
+ */
+function printTopList(title, entries, label) {
+  console.log(`${colors.bright}${title}${colors.reset}`);
+
+  if (entries.length === 0) {
+    console.log(`  ${colors.dim}(none)${colors.reset}`);
+  }
+
+  entries.forEach((entry, index) => {
+    const rank = String(index + 1).padStart(3);
+    console.log(`${rank}. ${label(entry)} ${colors.dim}${entry.plays} plays, ${entry.minutes} min${colors.reset}`);
+  });
+
+  console.log('');
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const options = parseArgs();
+
+  try {
+    if (options.groupBy && !GROUP_BY_OPTIONS.includes(options.groupBy)) {
+      throw new Error(`Invalid --group-by "${options.groupBy}". Expected one of: ${GROUP_BY_OPTIONS.join(', ')}`);
+    }
+
+    const stats = await getListeningStats({
+      from: parseWindowDate(options.from),
+      to: parseWindowDate(options.to, true),
+      groupBy: options.groupBy,
+      limit: options.limit,
+      sheetName: options.sheet,
+      includeNonMusic: options.includeNonMusic,
+      refresh: options.refresh
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(stats, null, 2));
+      return;
+    }
+
+    console.log('');
+    console.log(`${colors.bright}${colors.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+    console.log(`${colors.bright}  Spotify Song Logger - Listening Stats${colors.reset}`);
+    console.log(`${colors.bright}${colors.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+    console.log('');
+    console.log(`  Source: "${options.sheet}" (${getSinkInfo().sink} sink)${stats.cached ? ` ${colors.dim}cached ${stats.computedAt}${colors.reset}` : ''}`);
+    console.log(`  Window: ${stats.window.from || 'beginning'} → ${stats.window.to || 'now'}`);
+    console.log(`  Plays: ${colors.green}${stats.totals.plays}${colors.reset}  Minutes: ${colors.green}${stats.totals.minutes}${colors.reset}  Tracks: ${stats.totals.uniqueTracks}  Artists: ${stats.totals.uniqueArtists}`);
+    if (stats.totals.nonMusicExcluded > 0) {
+      console.log(`  ${colors.dim}Excluded ${stats.totals.nonMusicExcluded} non-music play(s) (use --include-non-music to count them)${colors.reset}`);
+    }
+    console.log('');
+
+    printTopList('Top Tracks', stats.topTracks, t => `${t.name} ${colors.cyan}— ${t.artist}${colors.reset}`);
+    printTopList('Top Artists', stats.topArtists, a => a.name);
+    printTopList('Top Albums', stats.topAlbums, a => `${a.name} ${colors.cyan}— ${a.artist}${colors.reset}`);
+    printTopList('Top Genres', stats.topGenres, g => g.name);
+
+    if (stats.groups) {
+      console.log(`${colors.bright}By ${stats.groupBy}${colors.reset}`);
+      for (const group of stats.groups) {
+        console.log(`  ${group.key.padEnd(24)} ${String(group.plays).padStart(6)} plays ${String(group.minutes).padStart(9)} min`);
+      }
+      console.log('');
+    }
+  } catch (error) {
+    console.error('');
+    console.error(`${colors.red}${colors.bright}Stats failed:${colors.reset} ${error.message}`);
+    console.error('');
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,7 +1,8 @@
 import dotenv from 'dotenv';
-import { getRecentlyPlayed, getAudioFeatures, getBatchArtistDetails } from '../lib/spotify-api.js';
+import { getRecentlyPlayed, persistCache } from '../lib/spotify-api.js';
 import { filterNewPlays, sortTracksByTimestamp, analyzeRepeatBehavior } from '../lib/play-filter.js';
 import { formatTrackForLogging, formatAsSheetRow } from '../lib/data-formatter.js';
+import { createProviders, prefetchEnrichment, enrichPlay } from '../lib/enrichment.js';
 
 dotenv.config();
 
@@ -171,24 +172,16 @@ async function main() {
     // Step 3: Enrich with audio features
     console.log(`${colors.cyan}[3/4] Enriching with audio features...${colors.reset}`);
     const formattedTracks = [];
+    const providers = createProviders();
+
+    await prefetchEnrichment(sortedTracks.map(t => t.track), providers);
 
     for (const track of sortedTracks) {
       try {
-        // Fetch audio features
-        const audioFeatures = await getAudioFeatures(track.track.id);
-
-        // Fetch artist details for genres
-        const artistIds = track.track.artists.map(a => a.id);
-        const artists = await getBatchArtistDetails(artistIds);
-        const primaryArtist = artists[0];
-
-        // Format track
-        const formatted = formatTrackForLogging(
-          track.track,
-          track,
-          audioFeatures,
-          primaryArtist
-        );
+        const formatted = await enrichPlay(track, { providers });
+        if (formatted.missingEnrichment) {
+          console.warn(`      ⚠ Missing enrichment for ${track.track.name}: ${formatted.missingEnrichment}`);
+        }
 
         formattedTracks.push(formatted);
 
@@ -212,6 +205,7 @@ async function main() {
       }
     }
     console.log(`      ✓ Enriched ${formattedTracks.length} tracks`);
+    await persistCache();
     console.log('');
 
     // Step 4: Display formatted data
@@ -0,0 +1,96 @@
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import path from 'path';
+import { generateWrappedReport, renderWrappedHtml, parseReportYear } from '../lib/wrapped.js';
+import { getSinkInfo } from '../lib/sinks/index.js';
+
+dotenv.config();
+
+/**
+ * Yearly Wrapped Report Script
+ *
+ * Writes wrapped-<year>.html and wrapped-<year>.json built from the
+ * Listening Log of the configured storage sink.
+ *
+ * Usage:
+ *   node scripts/wrapped.js
+ *   node scripts/wrapped.js --year=2023
+ *   node scripts/wrapped.js --year=2023 --include-historical --out=reports/
+ */
+
+// ANSI color codes
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  dim: '\x1b[2m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const value = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+  return {
+    year: value('year'),
+    out: value('out') || path.join(process.env.STORAGE_DIR || '.data', 'reports'),
+    includeHistorical: args.includes('--include-historical'),
+    includeNonMusic: args.includes('--include-non-music')
+  };
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const options = parseArgs();
+
+  console.log('');
+  console.log(`${colors.bright}${colors.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+  console.log(`${colors.bright}  Spotify Song Logger - Wrapped Report${colors.reset}`);
+  console.log(`${colors.bright}${colors.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+  console.log('');
+
+  try {
+    const year = parseReportYear(options.year);
+    console.log(`  Year: ${year}`);
+    console.log(`  Source: ${getSinkInfo().sink} sink${options.includeHistorical ? ' (including Historical Data)' : ''}`);
+    console.log('');
+
+    const report = await generateWrappedReport({
+      year,
+      includeHistorical: options.includeHistorical,
+      includeNonMusic: options.includeNonMusic
+    });
+
+    await fs.mkdir(options.out, { recursive: true });
+    const htmlFile = path.join(options.out, `wrapped-${year}.html`);
+    const jsonFile = path.join(options.out, `wrapped-${year}.json`);
+    await fs.writeFile(htmlFile, renderWrappedHtml(report), 'utf-8');
+    await fs.writeFile(jsonFile, JSON.stringify(report, null, 2), 'utf-8');
+
+    console.log('');
+    console.log(`${colors.bright}${colors.green}✓ ${year} Wrapped${colors.reset}`);
+    console.log(`  Minutes:        ${report.totals.minutes}`);
+    console.log(`  Plays:          ${report.totals.plays}`);
+    console.log(`  Top artist:     ${report.topArtists[0]?.name || '-'}`);
+    console.log(`  Top track:      ${report.topTracks[0] ? `${report.topTracks[0].name} — ${report.topTracks[0].artist}` : '-'}`);
+    console.log(`  Longest streak: ${report.longestStreak ? `${report.longestStreak.days} days` : '-'}`);
+    console.log('');
+    console.log(`  ${colors.cyan}${htmlFile}${colors.reset}`);
+    console.log(`  ${colors.cyan}${jsonFile}${colors.reset}`);
+    console.log('');
+  } catch (error) {
+    console.error('');
+    console.error(`${colors.red}${colors.bright}Report failed:${colors.reset} ${error.message}`);
+    console.error('');
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,141 @@
+import { startMockEnvironment, createMockResponse } from '../mocks/environment.js';
+import { makeTrack, makePlay } from '../mocks/spotify-server.js';
+import { getSheetHeaders } from '../../lib/data-formatter.js';
+
+const HEADERS = getSheetHeaders();
+const column = name => HEADERS.indexOf(name);
+
+const plays = [
+  makePlay(makeTrack('t1'), '2024-01-15T12:00:00.000Z'),
+  makePlay(makeTrack('t2'), '2024-02-15T12:00:00.000Z')
+];
+
+describe('e2e: /api/archive-partitions', () => {
+  let env;
+  let logSpotify;
+  let archivePartitions;
+  let stateManager;
+  let clearCache;
+
+  beforeAll(async () => {
+    env = await startMockEnvironment();
+    ({ default: logSpotify } = await import('../../api/log-spotify.js'));
+    ({ default: archivePartitions } = await import('../../api/archive-partitions.js'));
+    stateManager = await import('../../lib/state-manager.js');
+    ({ clearCache } = await import('../../lib/spotify-api.js'));
+  });
+
+  afterAll(async () => {
+    await env.stop();
+  });
+
+  beforeEach(async () => {
+    process.env.LISTENING_LOG_PARTITIONS = 'monthly';
+    process.env.ARCHIVE_SHEETS_ID = 'mock-archive';
+    env.spotify.reset();
+    env.sheets.reset({ 'System Logs': [] });
+    await stateManager.clearAllState();
+    await clearCache();
+
+    env.spotify.setTimeline([plays]);
+    await logSpotify({ method: 'GET', query: {} }, createMockResponse());
+  });
+
+  afterEach(() => {
+    delete process.env.LISTENING_LOG_PARTITIONS;
+    delete process.env.ARCHIVE_SHEETS_ID;
+  });
+
+  async function run() {
+    const res = createMockResponse();
+    await archivePartitions({ method: 'GET', query: {} }, res);
+    return res;
+  }
+
+  it('should move old partitions to the archive spreadsheet', async () => {
+    expect(env.sheets.getRows('Listening Log 2024-01')).toHaveLength(2);
+    const logRequests = env.sheets.requests.length;
+
+    const res = await run();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.archived.map(archived => [archived.sheet, archived.archiveSheet, archived.copied])).toEqual([
+      ['Listening Log 2024-01', 'Listening Log 2024', 1],
+      ['Listening Log 2024-02', 'Listening Log 2024', 1]
+    ]);
+
+    const archiveRows = env.sheets.getRows('Listening Log 2024');
+    expect(archiveRows[0]).toEqual(HEADERS);
+    expect(archiveRows.slice(1).map(row => row[column('Track ID')])).toEqual(['t1', 't2']);
+    expect(env.sheets.getRows('Listening Log 2024-01')).toBeNull();
+    expect(env.sheets.getRows('Listening Log 2024-02')).toBeNull();
+
+    const archiveWrites = env.sheets.requests.slice(logRequests).filter(request => request.operation === 'append' && request.range.includes('Listening Log 2024'));
+    expect(archiveWrites.length).toBeGreaterThan(0);
+    expect(archiveWrites.every(request => request.spreadsheetId === 'mock-archive')).toBe(true);
+
+    const index = await stateManager.getLogPartitions();
+    expect(index['2024-01'].archive).toMatchObject({ sheet: 'Listening Log 2024', rows: 1 });
+    expect(env.sheets.getRows('System Logs').filter(row => row.includes('PARTITION_ARCHIVE'))).toHaveLength(2);
+
+    const again = await run();
+    expect(again.body.message).toBe('No partitions to archive');
+  });
+
+  it('should keep a partition that failed and archive it on the next run', async () => {
+    env.sheets.fail('batchUpdate', 400);
+
+    const res = await run();
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.failed.map(failed => failed.sheet)).toEqual(['Listening Log 2024-01']);
+    expect(res.body.archived.map(archived => archived.sheet)).toEqual(['Listening Log 2024-02']);
+    expect(env.sheets.getRows('Listening Log 2024-01')).toHaveLength(2);
+    expect((await stateManager.getLogPartitions())['2024-01'].archive).toBeNull();
+
+    const retry = await run();
+
+    expect(retry.statusCode).toBe(200);
+    expect(env.sheets.getRows('Listening Log 2024').slice(1).map(row => row[column('Track ID')])).toEqual(['t2', 't1']);
+    expect(env.sheets.getRows('Listening Log 2024-01')).toBeNull();
+  });
+
+  it('should mark a partition archived before deleting its tab', async () => {
+    // With the archive tab in place, deleting the partition is the only batchUpdate
+    env.sheets.reset({
+      'System Logs': [],
+      'Listening Log 2024-01': env.sheets.getRows('Listening Log 2024-01'),
+      'Listening Log 2024-02': env.sheets.getRows('Listening Log 2024-02'),
+      'Listening Log 2024': [HEADERS]
+    });
+    env.sheets.fail('batchUpdate', 400);
+
+    const res = await run();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.archived.map(archived => [archived.sheet, archived.deleted])).toEqual([
+      ['Listening Log 2024-01', false],
+      ['Listening Log 2024-02', true]
+    ]);
+    expect(env.sheets.getRows('Listening Log 2024').slice(1).map(row => row[column('Track ID')])).toEqual(['t1', 't2']);
+    expect(env.sheets.getRows('Listening Log 2024-01')).toHaveLength(2);
+    expect((await stateManager.getLogPartitions())['2024-01'].archive).toMatchObject({ sheet: 'Listening Log 2024', rows: 1 });
+    expect(env.sheets.getRows('System Logs').find(row => row.includes('PARTITION_ARCHIVE')).join(' ')).toContain('could not be deleted');
+
+    const again = await run();
+    expect(again.body.message).toBe('No partitions to archive');
+  });
+
+  it('should do nothing without partitions or an archive', async () => {
+    delete process.env.ARCHIVE_SHEETS_ID;
+    const noArchive = await run();
+    expect(noArchive.statusCode).toBe(200);
+    expect(noArchive.body.message).toContain('set ARCHIVE_SHEETS_ID');
+
+    process.env.LISTENING_LOG_PARTITIONS = 'none';
+    const disabled = await run();
+    expect(disabled.statusCode).toBe(200);
+    expect(disabled.body.message).toContain('partitions are disabled');
+    expect(env.sheets.getRows('Listening Log 2024-01')).toHaveLength(2);
+  });
+});
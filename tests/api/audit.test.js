@@ -0,0 +1,132 @@
+import { startMockEnvironment, createMockResponse } from '../mocks/environment.js';
+import { makeTrack, makePlay } from '../mocks/spotify-server.js';
+import { getSheetHeaders, createErrorPlaceholder, formatAsSheetRow } from '../../lib/data-formatter.js';
+
+const HEADERS = getSheetHeaders();
+const column = name => HEADERS.indexOf(name);
+
+const plays = [
+  makePlay(makeTrack('t0'), '2024-01-15T11:56:00.000Z'),
+  makePlay(makeTrack('t1'), '2024-01-15T12:00:00.000Z'),
+  makePlay(makeTrack('t2'), '2024-01-15T12:04:00.000Z'),
+  makePlay(makeTrack('t3'), '2024-01-15T12:08:00.000Z')
+];
+
+describe('e2e: /api/audit', () => {
+  let env;
+  let logSpotify;
+  let audit;
+  let stateManager;
+  let clearCache;
+  let appendRows;
+
+  beforeAll(async () => {
+    env = await startMockEnvironment();
+    ({ default: logSpotify } = await import('../../api/log-spotify.js'));
+    ({ default: audit } = await import('../../api/audit.js'));
+    stateManager = await import('../../lib/state-manager.js');
+    ({ clearCache } = await import('../../lib/spotify-api.js'));
+    ({ appendRows } = await import('../../lib/sinks/index.js'));
+  });
+
+  afterAll(async () => {
+    await env.stop();
+  });
+
+  beforeEach(async () => {
+    env.spotify.reset();
+    env.sheets.reset({ 'Listening Log': [HEADERS], 'System Logs': [] });
+    await stateManager.clearAllState();
+    await clearCache();
+
+    // Log t1, then a run that moved the cursor to t3 without writing t2 and t3
+    env.spotify.setTimeline([plays.slice(1, 2), plays]);
+    await logSpotify({ method: 'GET', query: {} }, createMockResponse());
+    await stateManager.updateLastProcessed(plays[3]);
+
+    // A row written twice, an ERROR row nothing retries and a queued play without a row
+    await appendRows('Listening Log', [env.sheets.getRows('Listening Log')[1]]);
+    await appendRows('Listening Log', [formatAsSheetRow(createErrorPlaceholder(plays[0], 'Mock error'))]);
+    await stateManager.addToFailedQueue(makePlay(makeTrack('t9'), '2024-01-14T08:00:00.000Z'), 'Mock error');
+  });
+
+  async function run(query = {}) {
+    const res = createMockResponse();
+    await audit({ method: 'GET', query }, res);
+    return res;
+  }
+
+  const trackIds = () => env.sheets.getRows('Listening Log').slice(1).map(row => row[column('Track ID')]);
+
+  it('should report the inconsistencies without changing anything', async () => {
+    const res = await run();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      success: true,
+      clean: false,
+      summary: { duplicateRows: 1, exactCopies: 1, orphanedErrors: 1, vanishedQueueEntries: 1, gaps: 1, missedPlays: 2 },
+      cursor: { status: 'ahead', lastProcessed: '2024-01-15T12:08:00.000Z', newestRow: '2024-01-15T12:00:00.000Z' },
+      history: { checked: true, plays: 4, oldest: '2024-01-15T11:56:00.000Z' }
+    });
+    expect(res.body.duplicates).toEqual([expect.objectContaining({ sheet: 'Listening Log', trackId: 't1', rows: [2, 3], exactCopies: [3] })]);
+    expect(res.body.orphanedErrors).toEqual([expect.objectContaining({ row: 4, trackId: 't0', error: 'Mock error' })]);
+    expect(res.body.vanishedQueueEntries).toEqual([expect.objectContaining({ trackId: 't9' })]);
+    expect(res.body.gaps).toEqual([{
+      from: '2024-01-15T12:04:00.000Z',
+      to: '2024-01-15T12:08:00.000Z',
+      plays: [
+        { trackId: 't2', trackName: 'Song t2', playedAt: '2024-01-15T12:04:00.000Z' },
+        { trackId: 't3', trackName: 'Song t3', playedAt: '2024-01-15T12:08:00.000Z' }
+      ],
+      recoverable: true
+    }]);
+    expect(res.body.fixed).toBeUndefined();
+
+    expect(trackIds()).toEqual(['t1', 't1', 't0']);
+    expect(await stateManager.getFailedQueue()).toHaveLength(1);
+    expect(env.sheets.getRows('System Logs').filter(row => row.includes('CONSISTENCY_AUDIT'))).toHaveLength(1);
+  });
+
+  it('should remove duplicates, re-queue orphaned ERROR rows and log the missed plays with fix=true', async () => {
+    const res = await run({ fix: 'true' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.fixed).toEqual({ removedDuplicates: 1, requeued: 1, recoveredPlays: 2, failedPlays: 0 });
+
+    const rows = env.sheets.getRows('Listening Log');
+    expect(trackIds()).toEqual(['t1', 't0', 't2', 't3']);
+    expect(rows[3][column('Status')]).toBe('COMPLETED');
+    expect(rows[3][column('Tempo')]).toBe('120');
+    expect(await stateManager.getLastProcessed()).toMatchObject({ playedAt: '2024-01-15T12:08:00.000Z' });
+
+    const queue = await stateManager.getFailedQueue();
+    expect(queue.map(entry => entry.trackId)).toEqual(['t9', 't0']);
+    expect(queue[1]).toMatchObject({ playedAt: '2024-01-15T11:56:00.000Z', attemptCount: 1, partialData: { track: { id: 't0', name: 'Song t0' } } });
+
+    // Only the queued play without a row is left (retry-failed drops it)
+    const again = await run({ fix: 'true' });
+    expect(again.body.summary).toEqual({ duplicateRows: 0, exactCopies: 0, orphanedErrors: 0, vanishedQueueEntries: 1, gaps: 0, missedPlays: 0 });
+    expect(again.body.cursor.status).toBe('ok');
+    expect(trackIds()).toEqual(['t1', 't0', 't2', 't3']);
+  });
+
+  it('should only hold the run lock when fixing', async () => {
+    const logger = await stateManager.acquireRunLock('log-spotify');
+
+    try {
+      const fix = await run({ fix: 'true' });
+      expect(fix.statusCode).toBe(409);
+      expect(fix.body.holder.functionName).toBe('log-spotify');
+
+      const report = await run({ history: 'false' });
+      expect(report.statusCode).toBe(200);
+      expect(report.body.history).toEqual({ checked: false, plays: 0, oldest: null });
+      expect(report.body.gaps).toEqual([{ from: '2024-01-15T12:00:00.000Z', to: '2024-01-15T12:08:00.000Z', plays: [], recoverable: null }]);
+    } finally {
+      await stateManager.releaseRunLock(logger.lease);
+    }
+
+    expect(trackIds()).toEqual(['t1', 't1', 't0']);
+  });
+});
@@ -0,0 +1,135 @@
+import { startMockEnvironment, createMockResponse } from '../mocks/environment.js';
+import { makeTrack, makePlay } from '../mocks/spotify-server.js';
+import { getSheetHeaders } from '../../lib/data-formatter.js';
+
+const HEADERS = getSheetHeaders();
+
+describe('e2e: /api/auth/login and /api/auth/callback', () => {
+  let env;
+  let login;
+  let callback;
+  let logSpotify;
+  let stateManager;
+  let spotifyAuth;
+
+  beforeAll(async () => {
+    env = await startMockEnvironment();
+    ({ default: login } = await import('../../api/auth/login.js'));
+    ({ default: callback } = await import('../../api/auth/callback.js'));
+    ({ default: logSpotify } = await import('../../api/log-spotify.js'));
+    stateManager = await import('../../lib/state-manager.js');
+    spotifyAuth = await import('../../lib/spotify-auth.js');
+  });
+
+  afterAll(async () => {
+    await env.stop();
+  });
+
+  beforeEach(async () => {
+    process.env.TOKEN_ENCRYPTION_KEY = 'test-encryption-key';
+    env.spotify.reset();
+    env.spotify.setTimeline([[makePlay(makeTrack('t1'), '2024-01-15T12:00:00.000Z')]]);
+    env.sheets.reset({ 'Listening Log': [HEADERS], 'System Logs': [] });
+    await stateManager.clearAllState();
+    spotifyAuth.clearTokenCache();
+  });
+
+  async function call(handler, query = {}) {
+    const res = createMockResponse();
+    await handler({ method: 'GET', query, headers: { host: 'logger.example.com' } }, res);
+    return res;
+  }
+
+  // Consent on the mock Spotify server and return the callback's query params
+  async function authorize(authorizeUrl) {
+    const response = await fetch(authorizeUrl, { redirect: 'manual' });
+    return Object.fromEntries(new URL(response.headers.get('location')).searchParams);
+  }
+
+  function refreshTokensUsed() {
+    return env.spotify.requests
+      .filter(request => request.path === '/api/token' && request.form.grant_type === 'refresh_token')
+      .map(request => request.form.refresh_token);
+  }
+
+  it('should return a PKCE authorize URL for the callback on this host', async () => {
+    const res = await call(login);
+
+    expect(res.statusCode).toBe(200);
+    const url = new URL(res.body.authorizeUrl);
+    expect(url.searchParams.get('redirect_uri')).toBe('https://logger.example.com/api/auth/callback');
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('scope')).toBe(spotifyAuth.SPOTIFY_SCOPES.join(' '));
+    expect(url.searchParams.get('state')).toMatch(/^default\./);
+  });
+
+  it('should store the refresh token encrypted and prefer it over the env token', async () => {
+    const params = await authorize((await call(login)).body.authorizeUrl);
+
+    const res = await call(callback, params);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toContain('Spotify connected');
+
+    const stored = await stateManager.getSpotifyAuth();
+    expect(stored).toMatchObject({ source: 'authorization', scope: spotifyAuth.SPOTIFY_SCOPES.join(' ') });
+    expect(stored.refreshToken).not.toContain('mock-refresh-token');
+    expect((await stateManager.loadState()).oauthRequests).toEqual([]);
+
+    spotifyAuth.clearTokenCache();
+    expect((await call(logSpotify)).statusCode).toBe(200);
+    expect(refreshTokensUsed()).toEqual(['mock-refresh-token-for-mock-code-1']);
+  });
+
+  it('should reject unknown, replayed and denied callbacks', async () => {
+    const params = await authorize((await call(login)).body.authorizeUrl);
+    expect((await call(callback, params)).statusCode).toBe(200);
+
+    const replayed = await call(callback, params);
+    const forged = await call(callback, { code: 'mock-code-1', state: 'default.AAAAAAAAAAAAAAAAAAAAAAAA' });
+    const denied = await call(callback, { error: 'access_denied', state: params.state });
+
+    process.env.USERS = JSON.stringify([{ id: 'default' }, { id: 'alice', refreshToken: 'alice-token' }]);
+    let unknownUser;
+    try {
+      unknownUser = await call(callback, { code: 'mock-code-1', state: 'mallory.AAAAAAAAAAAAAAAAAAAAAAAA' });
+    } finally {
+      delete process.env.USERS;
+    }
+
+    expect([replayed.statusCode, forged.statusCode, denied.statusCode, unknownUser.statusCode]).toEqual([400, 400, 400, 400]);
+    expect(replayed.body).toContain('Invalid or expired state');
+    expect(denied.body).toContain('access_denied');
+    // Whether a user exists is not revealed
+    expect(unknownUser.body).toContain('Invalid or expired state');
+    expect(unknownUser.body).not.toMatch(/mallory|alice/);
+    // All of them come from the same (unknown) client, so only the first is written
+    const failures = env.sheets.getRows('System Logs').filter(row => row.includes('AUTH_FAILURE'));
+    expect(failures).toHaveLength(1);
+    expect(failures[0]).toContain('400 on /api/auth/callback: Unknown or expired login request; start again at /api/auth/login');
+  });
+
+  it('should persist refresh tokens rotated by Spotify', async () => {
+    const params = await authorize((await call(login)).body.authorizeUrl);
+    await call(callback, params);
+    const { obtainedAt } = await stateManager.getSpotifyAuth();
+
+    spotifyAuth.clearTokenCache();
+    env.spotify.rotateRefreshToken('rotated-refresh-token');
+    await call(logSpotify);
+
+    expect(await stateManager.getSpotifyAuth()).toMatchObject({ source: 'rotation', obtainedAt });
+
+    spotifyAuth.clearTokenCache();
+    await spotifyAuth.refreshAccessToken();
+    expect(refreshTokensUsed()).toEqual(['mock-refresh-token-for-mock-code-1', 'rotated-refresh-token']);
+  });
+
+  it('should refuse to start a login without TOKEN_ENCRYPTION_KEY', async () => {
+    delete process.env.TOKEN_ENCRYPTION_KEY;
+
+    const res = await call(login);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toContain('TOKEN_ENCRYPTION_KEY');
+  });
+});
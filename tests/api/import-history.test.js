@@ -0,0 +1,97 @@
+import { startMockEnvironment, createMockResponse } from '../mocks/environment.js';
+import { makeTrack, makePlay } from '../mocks/spotify-server.js';
+import { getSheetHeaders } from '../../lib/data-formatter.js';
+
+const HEADERS = getSheetHeaders();
+const column = name => HEADERS.indexOf(name);
+
+const plays = ['h1', 'h2', 'h3', 'h4', 'h5'].map((id, i) =>
+  makePlay(makeTrack(id), new Date(Date.parse('2024-01-10T08:00:00.000Z') + i * 4 * 60 * 1000).toISOString())
+);
+
+// The handler waits 500ms between Spotify requests
+const IMPORT_TIMEOUT_MS = 30000;
+
+describe('e2e: /api/import-history', () => {
+  let env;
+  let handler;
+  let stateManager;
+  let clearCache;
+
+  beforeAll(async () => {
+    env = await startMockEnvironment();
+    ({ default: handler } = await import('../../api/import-history.js'));
+    stateManager = await import('../../lib/state-manager.js');
+    ({ clearCache } = await import('../../lib/spotify-api.js'));
+  });
+
+  afterAll(async () => {
+    await env.stop();
+  });
+
+  beforeEach(async () => {
+    env.spotify.reset();
+    env.sheets.reset({ 'System Logs': [] });
+    await stateManager.clearAllState();
+    await clearCache();
+    env.spotify.setTimeline([plays]);
+  });
+
+  async function run(query = {}) {
+    const res = createMockResponse();
+    await handler({ method: 'GET', query }, res);
+    return res;
+  }
+
+  function importedTrackIds() {
+    return env.sheets.getRows('Historical Data').slice(1).map(row => row[column('Track ID')]);
+  }
+
+  it('should page backwards until Spotify has no more plays', async () => {
+    const res = await run({ limit: '2' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ completed: true, totalImported: 5 });
+    expect(res.body.pages.map(p => p.fetched)).toEqual([2, 2, 1]);
+
+    const rows = env.sheets.getRows('Historical Data');
+    expect(rows[0]).toEqual([...HEADERS, 'Import Timestamp']);
+    expect(importedTrackIds()).toEqual(['h5', 'h4', 'h3', 'h2', 'h1']);
+    expect(rows[1][HEADERS.length]).toBeTruthy();
+
+    const beforeCursors = env.spotify.requests
+      .filter(r => r.path === '/v1/me/player/recently-played')
+      .map(r => r.query.before);
+    expect(beforeCursors).toEqual([undefined, String(Date.parse(plays[3].played_at)), String(Date.parse(plays[1].played_at))]);
+  }, IMPORT_TIMEOUT_MS);
+
+  it('should resume from the saved cursor', async () => {
+    const first = await run({ limit: '2', pages: '1' });
+    expect(first.body).toMatchObject({ completed: false, resume: true });
+    expect(importedTrackIds()).toEqual(['h5', 'h4']);
+
+    const second = await run({ limit: '2' });
+    expect(second.body.completed).toBe(true);
+    expect(importedTrackIds()).toEqual(['h5', 'h4', 'h3', 'h2', 'h1']);
+  }, IMPORT_TIMEOUT_MS);
+
+  it('should skip plays already in the sheet on a forced re-import', async () => {
+    await run();
+
+    const already = await run();
+    expect(already.body.message).toBe('Historical import already completed');
+
+    const forced = await run({ force: 'true' });
+    expect(forced.body.stats).toMatchObject({ fetched: 5, imported: 0, skipped: 5 });
+    expect(importedTrackIds()).toHaveLength(5);
+  }, IMPORT_TIMEOUT_MS);
+
+  it('should still import plays when batch audio features fail', async () => {
+    env.spotify.fail('/v1/audio-features', 429, { times: 4, retryAfter: 0 });
+
+    const res = await run();
+
+    expect(res.body.stats).toMatchObject({ imported: 5, failed: 0 });
+    expect(env.sheets.getRows('Historical Data')[1][column('Tempo')]).toBe('120');
+  }, IMPORT_TIMEOUT_MS);
+});
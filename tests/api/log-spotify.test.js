@@ -0,0 +1,437 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { startMockEnvironment, createMockResponse } from '../mocks/environment.js';
+import { makeTrack, makePlay } from '../mocks/spotify-server.js';
+import { getSheetHeaders } from '../../lib/data-formatter.js';
+
+const HEADERS = getSheetHeaders();
+const column = name => HEADERS.indexOf(name);
+
+const t1 = makeTrack('t1');
+const t2 = makeTrack('t2');
+const t3 = makeTrack('t3');
+
+// Tracks are 3 minutes long, so plays 4 minutes apart were listened to in full
+const firstRun = [
+  makePlay(t1, '2024-01-15T12:00:00.000Z'),
+  makePlay(t2, '2024-01-15T12:04:00.000Z')
+];
+const secondRun = [...firstRun, makePlay(t3, '2024-01-15T12:08:00.000Z')];
+
+describe('e2e: /api/log-spotify', () => {
+  let env;
+  let handler;
+  let stateManager;
+  let clearCache;
+
+  beforeAll(async () => {
+    env = await startMockEnvironment();
+    ({ default: handler } = await import('../../api/log-spotify.js'));
+    stateManager = await import('../../lib/state-manager.js');
+    ({ clearCache } = await import('../../lib/spotify-api.js'));
+  });
+
+  afterAll(async () => {
+    await env.stop();
+  });
+
+  beforeEach(async () => {
+    env.spotify.reset();
+    env.sheets.reset({ 'Listening Log': [HEADERS], 'System Logs': [] });
+    await stateManager.clearAllState();
+    await clearCache();
+  });
+
+  async function run() {
+    const res = createMockResponse();
+    await handler({ method: 'GET', query: {} }, res);
+    return res;
+  }
+
+  function loggedTrackIds() {
+    return env.sheets.getRows('Listening Log').slice(1).map(row => row[column('Track ID')]);
+  }
+
+  it('should log enriched plays and only new plays on the next run', async () => {
+    env.spotify.setTimeline([firstRun, secondRun, secondRun]);
+
+    const first = await run();
+    expect(first.statusCode).toBe(200);
+    expect(first.body.stats).toMatchObject({ fetched: 2, logged: 2, failed: 0 });
+
+    const rows = env.sheets.getRows('Listening Log');
+    expect(loggedTrackIds()).toEqual(['t1', 't2']);
+    expect(rows[1][column('Status')]).toBe('COMPLETED');
+    expect(rows[1][column('Tempo')]).toBe('120');
+    expect(rows[1][column('Genres')]).toBe('indie');
+
+    const second = await run();
+    expect(second.body.stats).toMatchObject({ fetched: 3, logged: 1 });
+    expect(loggedTrackIds()).toEqual(['t1', 't2', 't3']);
+
+    const third = await run();
+    expect(third.body.message).toBe('No new plays to log');
+    expect(loggedTrackIds()).toHaveLength(3);
+  });
+
+  it('should not log skips again when a run is repeated', async () => {
+    process.env.ENABLE_SKIPS_TAB = 'true';
+    // t2 was skipped after 10 seconds
+    const plays = [makePlay(t1, '2024-01-15T12:00:00.000Z'), makePlay(t2, '2024-01-15T12:00:10.000Z')];
+    env.spotify.setTimeline([plays, plays]);
+
+    try {
+      const first = await run();
+      expect(first.statusCode).toBe(200);
+      expect(env.sheets.getRows('Skips').slice(1).map(row => row[column('Track ID')])).toEqual(['t2']);
+
+      // A run that wrote the skips but not the cursor
+      await stateManager.clearAllState();
+      await run();
+      expect(env.sheets.getRows('Skips').slice(1).map(row => row[column('Track ID')])).toEqual(['t2']);
+      expect(loggedTrackIds()).toEqual(['t1']);
+    } finally {
+      delete process.env.ENABLE_SKIPS_TAB;
+    }
+  });
+
+  it('should enrich all plays with one batch request per endpoint', async () => {
+    // Six plays of three tracks by two artists
+    const sharedArtist = { id: 'artist-shared', name: 'Shared Artist' };
+    const tracks = ['b1', 'b2', 'b3'].map(id => makeTrack(id, { artists: [id === 'b3' ? { id: 'artist-b3', name: 'B3' } : sharedArtist] }));
+    const plays = [0, 1, 2, 3, 4, 5].map(i =>
+      makePlay(tracks[i % 3], new Date(Date.parse('2024-01-15T12:00:00.000Z') + i * 4 * 60 * 1000).toISOString())
+    );
+    env.spotify.setTimeline([plays]);
+
+    const res = await run();
+
+    expect(res.body.stats).toMatchObject({ logged: 6, partialEnrichment: 0, apiCallsSaved: 10 });
+    const enrichmentRequests = env.spotify.requests.filter(r => r.path.startsWith('/v1/audio-features') || r.path.startsWith('/v1/artists'));
+    expect(enrichmentRequests.map(r => r.path)).toEqual(['/v1/audio-features', '/v1/artists']);
+    expect(enrichmentRequests[0].query.ids.split(',').sort()).toEqual(['b1', 'b2', 'b3']);
+    expect(enrichmentRequests[1].query.ids.split(',').sort()).toEqual(['artist-b3', 'artist-shared']);
+    expect(env.sheets.getRows('Listening Log').slice(1).every(row => row[column('Tempo')] === '120')).toBe(true);
+  });
+
+  it('should reuse cached metadata after a cold start', async () => {
+    const replay = [...firstRun, makePlay(t1, '2024-01-15T12:08:00.000Z')];
+    env.spotify.setTimeline([firstRun, replay]);
+    await run();
+
+    // A new invocation starts with an empty memory cache
+    await clearCache({ memoryOnly: true });
+    env.spotify.requests.length = 0;
+    const res = await run();
+
+    expect(res.body.stats).toMatchObject({ logged: 1, partialEnrichment: 0 });
+    expect(env.spotify.requests.filter(r => r.path.startsWith('/v1/audio-features') || r.path.startsWith('/v1/artists'))).toEqual([]);
+    const rows = env.sheets.getRows('Listening Log');
+    expect(rows[3][column('Tempo')]).toBe('120');
+    expect(rows[3][column('Genres')]).toBe('indie');
+  });
+
+  it('should not duplicate rows already in the sheet when state is lost', async () => {
+    env.spotify.setTimeline([firstRun, secondRun]);
+    await run();
+
+    await stateManager.clearAllState();
+    const res = await run();
+
+    expect(res.statusCode).toBe(200);
+    expect(loggedTrackIds()).toEqual(['t1', 't2', 't3']);
+  });
+
+  it('should migrate an older sheet and keep columns added by hand', async () => {
+    const v1Headers = HEADERS.slice(0, column('Skipped'));
+    const oldRow = [...v1Headers.map(() => ''), 'loved it'];
+    oldRow[0] = '2024-01-15T12:00:00.000Z';
+    oldRow[column('Track ID')] = 't1';
+    env.sheets.reset({ 'Listening Log': [[...v1Headers, 'My Notes'], oldRow], 'System Logs': [] });
+    env.spotify.setTimeline([firstRun]);
+
+    const res = await run();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.stats).toMatchObject({ logged: 1 });
+    const rows = env.sheets.getRows('Listening Log');
+    expect(rows[0]).toEqual([...HEADERS, 'My Notes']);
+    expect(rows[1][column('Skipped')]).toBe('FALSE');
+    expect(rows[1][HEADERS.length]).toBe('loved it');
+    expect(rows[2][column('Track ID')]).toBe('t2');
+    expect(rows[2][column('Status')]).toBe('COMPLETED');
+    expect(rows[2][HEADERS.length]).toBeUndefined();
+    expect(env.sheets.getRows('System Logs').some(row => row.includes('SCHEMA_MIGRATION'))).toBe(true);
+  });
+
+  it('should create and fill the columns of the column config', async () => {
+    process.env.COLUMNS_FILE = path.join(env.stateDir, 'columns.json');
+    await fs.writeFile(process.env.COLUMNS_FILE, JSON.stringify([
+      'timestamp',
+      'trackId',
+      'trackName',
+      'status',
+      { header: 'Hour', expression: 'hour(timestamp)' },
+      { header: 'Spotify URL', expression: '"https://open.spotify.com/track/" + trackId' }
+    ]));
+    env.sheets.reset({ 'System Logs': [] });
+    env.spotify.setTimeline([firstRun, secondRun]);
+
+    try {
+      expect((await run()).body.stats).toMatchObject({ logged: 2 });
+      expect((await run()).body.stats).toMatchObject({ logged: 1 });
+    } finally {
+      delete process.env.COLUMNS_FILE;
+    }
+
+    expect(env.sheets.getRows('Listening Log')).toEqual([
+      ['Timestamp', 'Track ID', 'Track Name', 'Status', 'Hour', 'Spotify URL'],
+      ['2024-01-15T12:00:00.000Z', 't1', 'Song t1', 'COMPLETED', '12', 'https://open.spotify.com/track/t1'],
+      ['2024-01-15T12:04:00.000Z', 't2', 'Song t2', 'COMPLETED', '12', 'https://open.spotify.com/track/t2'],
+      ['2024-01-15T12:08:00.000Z', 't3', 'Song t3', 'COMPLETED', '12', 'https://open.spotify.com/track/t3']
+    ]);
+  });
+
+  it('should log plays without the columns of a failed enrichment provider', async () => {
+    env.spotify.setTimeline([firstRun]);
+    // Audio features are unavailable (more 429s than the client retries)
+    env.spotify.fail('/v1/audio-features', 429, { times: 100, retryAfter: 0 });
+
+    const res = await run();
+
+    expect(res.body.stats).toMatchObject({ logged: 2, failed: 0, partialEnrichment: 2 });
+    const rows = env.sheets.getRows('Listening Log');
+    expect(rows[2][column('Track ID')]).toBe('t2');
+    expect(rows[2][column('Status')]).toBe('COMPLETED');
+    expect(rows[2][column('Tempo')]).toBe('');
+    expect(rows[2][column('Genres')]).toBe('indie');
+    expect(rows[2][column('Missing Enrichment')]).toBe('audio-features');
+    expect(rows[2][column('Error Details')]).toContain('Mock error 429');
+
+    expect(await stateManager.getFailedQueue()).toEqual([]);
+  });
+
+  it('should retry transient Spotify and Sheets errors', async () => {
+    env.spotify.setTimeline([firstRun]);
+    env.spotify.fail('/v1/me/player/recently-played', 429, { retryAfter: 0 });
+    env.spotify.fail('/v1/artists', 500);
+    env.sheets.fail('append', 503);
+
+    const res = await run();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.stats).toMatchObject({ logged: 2, failed: 0 });
+    expect(loggedTrackIds()).toEqual(['t1', 't2']);
+    expect(env.spotify.requests.filter(r => r.path === '/v1/me/player/recently-played')).toHaveLength(2);
+  }, 20000);
+
+  it('should return 409 while another run holds the lock', async () => {
+    env.spotify.setTimeline([firstRun]);
+    const other = await stateManager.acquireRunLock('retry-failed');
+
+    const busy = await run();
+    expect(busy.statusCode).toBe(409);
+    expect(busy.body.holder).toMatchObject({ functionName: 'retry-failed', owner: other.lease.owner });
+    expect(loggedTrackIds()).toEqual([]);
+
+    await stateManager.releaseRunLock(other.lease);
+    const res = await run();
+    expect(res.statusCode).toBe(200);
+    expect(loggedTrackIds()).toEqual(['t1', 't2']);
+  });
+
+  it('should let only one of two overlapping runs through', async () => {
+    env.spotify.setTimeline([firstRun]);
+
+    const results = await Promise.all([run(), run()]);
+
+    expect(results.map(r => r.statusCode).sort()).toEqual([200, 409]);
+    expect(loggedTrackIds()).toEqual(['t1', 't2']);
+  });
+
+  it('should take over the lease of a crashed run once it expires', async () => {
+    env.spotify.setTimeline([firstRun]);
+    // A run that never released its lock
+    await stateManager.acquireRunLock('log-spotify', { ttlMs: -1000 });
+
+    const res = await run();
+
+    expect(res.statusCode).toBe(200);
+    expect(loggedTrackIds()).toEqual(['t1', 't2']);
+    const next = await stateManager.acquireRunLock('log-spotify');
+    expect(next.acquired).toBe(true);
+    await stateManager.releaseRunLock(next.lease);
+  });
+
+  it('should require the cron secret or a trigger-log key once auth is configured', async () => {
+    env.spotify.setTimeline([firstRun]);
+    process.env.CRON_SECRET = 'test-cron-secret';
+    process.env.API_KEYS = 'grafana:test-read-key:read-metrics';
+
+    async function call(headers) {
+      const res = createMockResponse();
+      await handler({ method: 'GET', query: {}, url: '/api/log-spotify', headers }, res);
+      return res;
+    }
+
+    try {
+      const anonymous = await call({ 'x-forwarded-for': '203.0.113.7' });
+      const scan = await call({ 'x-forwarded-for': '203.0.113.7' });
+      const readOnly = await call({ 'x-api-key': 'test-read-key', 'x-forwarded-for': '198.51.100.2' });
+      const cron = await call({ authorization: 'Bearer test-cron-secret' });
+
+      expect([anonymous.statusCode, scan.statusCode]).toEqual([401, 401]);
+      expect(readOnly.statusCode).toBe(403);
+      expect(readOnly.body.requiredScope).toBe('trigger-log');
+      expect(cron.statusCode).toBe(200);
+      expect(loggedTrackIds()).toEqual(['t1', 't2']);
+
+      // Repeated rejections from the same client are only written once per window
+      const failures = env.sheets.getRows('System Logs').filter(row => row.includes('AUTH_FAILURE'));
+      expect(failures.map(row => row.find(cell => cell.includes('/api/log-spotify')))).toEqual([
+        '401 on /api/log-spotify from 203.0.113.7: Missing credentials',
+        '403 on /api/log-spotify from 198.51.100.2: API key "grafana" lacks the "trigger-log" scope'
+      ]);
+
+      // The next window starts with the rejections left out, by client
+      const { logAuthFailure } = await import('../../lib/system-logger.js');
+      await logAuthFailure('/api/log-spotify', 'Missing credentials', { ip: '192.0.2.1', now: Date.now() + 11 * 60 * 1000 });
+      const details = env.sheets.getRows('System Logs')
+        .filter(row => row.includes('AUTH_FAILURE'))
+        .slice(2)
+        .map(row => row.find(cell => cell.includes('192.0.2.1') || cell.startsWith('Rejections not logged')));
+      expect(details).toEqual([
+        expect.stringMatching(/^Rejections not logged since \S+: 1 from 203\.0\.113\.7$/),
+        '401 on /api/log-spotify from 192.0.2.1: Missing credentials'
+      ]);
+    } finally {
+      delete process.env.CRON_SECRET;
+      delete process.env.API_KEYS;
+    }
+  });
+
+  it('should return 500 when Spotify rejects the access token', async () => {
+    env.spotify.setTimeline([firstRun]);
+    env.spotify.fail('/v1/me/player/recently-played', 401);
+
+    const res = await run();
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toContain('Spotify authentication failed');
+    expect(loggedTrackIds()).toEqual([]);
+  });
+
+  it('should log each registered user into their own sheet and isolate a bad token', async () => {
+    env.spotify.setTimeline([firstRun]);
+    env.spotify.fail('/api/token', 400, { message: 'invalid_grant', refreshToken: 'revoked-token' });
+    process.env.USERS = JSON.stringify([
+      { id: 'alice', refreshToken: 'revoked-token', spreadsheetId: 'sheet-alice' },
+      { id: 'bob', refreshToken: 'bob-token', spreadsheetId: 'sheet-bob' }
+    ]);
+
+    try {
+      const res = await run();
+
+      expect(res.statusCode).toBe(207);
+      expect(res.body.success).toBe(false);
+      expect(res.body.users.map(user => [user.userId, user.statusCode])).toEqual([['alice', 500], ['bob', 200]]);
+      expect(res.body.users[1].stats).toMatchObject({ logged: 2 });
+
+      const appends = env.sheets.requests.filter(request => request.operation === 'append' && request.range.startsWith('Listening Log'));
+      expect(appends.map(request => request.spreadsheetId)).toEqual(['sheet-bob']);
+      expect(loggedTrackIds()).toEqual(['t1', 't2']);
+
+      // bob's progress is kept in his own namespace, the default state is untouched
+      const bobState = JSON.parse(await fs.readFile(path.join(env.stateDir, 'users', 'bob', 'logger-state.json'), 'utf-8'));
+      expect(bobState.lastProcessed.trackId).toBe('t2');
+      expect(await stateManager.getLastProcessed()).toBeNull();
+
+      const single = createMockResponse();
+      await handler({ method: 'GET', query: { user: 'carol' } }, single);
+      expect(single.statusCode).toBe(400);
+    } finally {
+      delete process.env.USERS;
+    }
+  });
+
+  it('should log plays into monthly partitions and only read the months around them', async () => {
+    const newYear = [
+      makePlay(t1, '2024-01-31T23:58:00.000Z'),
+      makePlay(t2, '2024-02-01T00:02:00.000Z')
+    ];
+    env.spotify.setTimeline([newYear, newYear]);
+    env.sheets.reset({ 'Listening Log 2023-06': [HEADERS], 'System Logs': [] });
+    await stateManager.recordPartitionRows([
+      { month: '2023-06', sheet: 'Listening Log 2023-06', rows: 1, firstPlayedAt: '2023-06-10T12:00:00.000Z', lastPlayedAt: '2023-06-10T12:00:00.000Z' }
+    ]);
+    process.env.LISTENING_LOG_PARTITIONS = 'monthly';
+
+    try {
+      const first = await run();
+
+      expect(first.statusCode).toBe(200);
+      expect(first.body.stats).toMatchObject({ logged: 2 });
+      const partitionIds = name => env.sheets.getRows(name).slice(1).map(row => row[column('Track ID')]);
+      expect(partitionIds('Listening Log 2024-01')).toEqual(['t1']);
+      expect(partitionIds('Listening Log 2024-02')).toEqual(['t2']);
+      expect(env.sheets.getRows('Listening Log')).toBeNull();
+      expect(env.sheets.requests.some(request => request.operation === 'get' && request.range.includes('2023-06'))).toBe(false);
+
+      await stateManager.updateState(state => {
+        state.lastProcessed = null;
+      });
+      const second = await run();
+
+      expect(second.statusCode).toBe(200);
+      expect(second.body.message).toContain('All tracks already logged');
+      expect(partitionIds('Listening Log 2024-01')).toEqual(['t1']);
+      expect(partitionIds('Listening Log 2024-02')).toEqual(['t2']);
+    } finally {
+      delete process.env.LISTENING_LOG_PARTITIONS;
+    }
+  });
+
+  it('should check the dedup index instead of reading the whole sheet', async () => {
+    env.spotify.setTimeline([firstRun, secondRun, secondRun, secondRun]);
+    const fullReads = since => env.sheets.requests.slice(since).filter(request => request.operation === 'get' && request.range === 'Listening Log!A:ZZ');
+
+    await run();
+    expect(fullReads(0)).toHaveLength(1);
+
+    let since = env.sheets.requests.length;
+    const second = await run();
+    expect(second.body.stats).toMatchObject({ logged: 1 });
+    expect(fullReads(since)).toEqual([]);
+
+    // Lost state is still caught by the index
+    await stateManager.updateState(state => {
+      state.lastProcessed = null;
+    });
+    since = env.sheets.requests.length;
+    const third = await run();
+    expect(third.body.message).toBe('All tracks already logged');
+    expect(fullReads(since)).toEqual([]);
+
+    // Verification reads the end of the sheet and notices the row added behind the index's back
+    process.env.DEDUP_INDEX_VERIFY_HOURS = '0';
+    try {
+      const { appendRows } = await import('../../lib/sinks/index.js');
+      const manual = HEADERS.map(() => '');
+      manual[column('Timestamp')] = '2024-01-15T11:00:00.000Z';
+      manual[column('Track ID')] = 'manual';
+      await appendRows('Listening Log', [manual]);
+      await stateManager.updateState(state => {
+        state.lastProcessed = null;
+      });
+
+      since = env.sheets.requests.length;
+      const fourth = await run();
+      expect(fourth.body.message).toBe('All tracks already logged');
+      expect(env.sheets.requests.slice(since).some(request => request.operation === 'get' && request.range === 'Listening Log!A2:ZZ')).toBe(true);
+      expect(fullReads(since)).toHaveLength(1);
+      expect((await stateManager.getDedupIndex())['Listening Log'].keys).toContain('manual|2024-01-15T11:00:00.000Z');
+    } finally {
+      delete process.env.DEDUP_INDEX_VERIFY_HOURS;
+    }
+  });
+});
@@ -0,0 +1,168 @@
+import { startMockEnvironment, createMockResponse } from '../mocks/environment.js';
+import { makeTrack, makePlay } from '../mocks/spotify-server.js';
+import { getSheetHeaders, createErrorPlaceholder, formatAsSheetRow } from '../../lib/data-formatter.js';
+
+const HEADERS = getSheetHeaders();
+const column = name => HEADERS.indexOf(name);
+
+const plays = [
+  makePlay(makeTrack('t1'), '2024-01-15T12:00:00.000Z'),
+  makePlay(makeTrack('t2'), '2024-01-15T12:04:00.000Z')
+];
+
+describe('e2e: /api/retry-failed', () => {
+  let env;
+  let logSpotify;
+  let retryFailed;
+  let stateManager;
+  let clearCache;
+  let appendRows;
+
+  beforeAll(async () => {
+    env = await startMockEnvironment();
+    ({ default: logSpotify } = await import('../../api/log-spotify.js'));
+    ({ default: retryFailed } = await import('../../api/retry-failed.js'));
+    stateManager = await import('../../lib/state-manager.js');
+    ({ clearCache } = await import('../../lib/spotify-api.js'));
+    ({ appendRows } = await import('../../lib/sinks/index.js'));
+  });
+
+  afterAll(async () => {
+    await env.stop();
+  });
+
+  beforeEach(async () => {
+    env.spotify.reset();
+    env.sheets.reset({ 'Listening Log': [HEADERS], 'System Logs': [] });
+    await stateManager.clearAllState();
+    await clearCache();
+
+    // Log t1, then add t2 as an ERROR placeholder (e.g. a failed sheet write)
+    env.spotify.setTimeline([plays.slice(0, 1), plays]);
+    await logSpotify({ method: 'GET', query: {} }, createMockResponse());
+    await appendRows('Listening Log', [formatAsSheetRow(createErrorPlaceholder(plays[1], 'Mock error'))]);
+    await stateManager.addToFailedQueue(plays[1], 'Mock error');
+  });
+
+  async function run() {
+    const res = createMockResponse();
+    await retryFailed({ method: 'GET', query: {} }, res);
+    return res;
+  }
+
+  // Retries wait an hour after the first attempt
+  async function backdateFailedQueue(hours) {
+    const state = await stateManager.loadState();
+    state.failedQueue = state.failedQueue.map(entry => ({
+      ...entry,
+      lastAttempt: new Date(Date.now() - hours * 60 * 60 * 1000).toISOString()
+    }));
+    await stateManager.saveState(state);
+  }
+
+  it('should not retry before the retry interval', async () => {
+    const res = await run();
+
+    expect(res.body.stats).toMatchObject({ processed: 0, skipped: 1 });
+    expect(await stateManager.getFailedQueue()).toHaveLength(1);
+  });
+
+  it('should replace the ERROR row with complete data', async () => {
+    await backdateFailedQueue(2);
+
+    const res = await run();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.stats).toMatchObject({ processed: 1, succeeded: 1, failed: 0 });
+
+    const rows = env.sheets.getRows('Listening Log');
+    expect(rows).toHaveLength(3);
+    expect(rows[2][column('Track ID')]).toBe('t2');
+    expect(rows[2][column('Status')]).toBe('COMPLETED');
+    expect(rows[2][column('Tempo')]).toBe('120');
+    expect(rows[1][column('Track ID')]).toBe('t1');
+
+    expect(await stateManager.getFailedQueue()).toEqual([]);
+  });
+
+  it('should keep the entry and ERROR row when the retry fails again', async () => {
+    await backdateFailedQueue(2);
+    env.sheets.fail('update', 400);
+
+    const res = await run();
+
+    expect(res.body.stats).toMatchObject({ processed: 1, succeeded: 0, failed: 1 });
+    expect(env.sheets.getRows('Listening Log')[2][column('Status')]).toBe('ERROR');
+    expect(await stateManager.getFailedQueue()).toEqual([
+      expect.objectContaining({ trackId: 't2', attemptCount: 2 })
+    ]);
+  });
+
+  it('should complete the row without the columns of a provider that still fails', async () => {
+    await backdateFailedQueue(2);
+    env.spotify.fail('/v1/audio-features', 400, { times: 100 });
+
+    const res = await run();
+
+    expect(res.body.stats).toMatchObject({ processed: 1, succeeded: 1, failed: 0 });
+
+    const row = env.sheets.getRows('Listening Log')[2];
+    expect(row[column('Status')]).toBe('COMPLETED');
+    expect(row[column('Track Name')]).toBe('Song t2');
+    expect(row[column('Tempo')]).toBe('');
+    expect(row[column('Genres')]).toBe('indie');
+    expect(row[column('Missing Enrichment')]).toBe('audio-features');
+    expect(await stateManager.getFailedQueue()).toEqual([]);
+  });
+
+  it('should return 409 while the logger holds the run lock', async () => {
+    await backdateFailedQueue(2);
+    const logger = await stateManager.acquireRunLock('log-spotify');
+
+    const res = await run();
+    await stateManager.releaseRunLock(logger.lease);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.holder.functionName).toBe('log-spotify');
+    expect(await stateManager.getFailedQueue()).toHaveLength(1);
+  });
+
+  it('should drop entries that used all their attempts', async () => {
+    const state = await stateManager.loadState();
+    state.failedQueue = state.failedQueue.map(entry => ({ ...entry, attemptCount: 3 }));
+    await stateManager.saveState(state);
+
+    const res = await run();
+
+    expect(res.body.stats.maxedOut).toBe(1);
+    expect(res.body.maxedOutTracks).toEqual([expect.objectContaining({ trackId: 't2' })]);
+    expect(await stateManager.getFailedQueue()).toEqual([]);
+  });
+
+  it('should replace the ERROR row in the partition of the play', async () => {
+    const partition = 'Listening Log 2024-01';
+    env.sheets.reset({
+      'Listening Log': [HEADERS],
+      [partition]: [HEADERS, formatAsSheetRow(createErrorPlaceholder(plays[1], 'Mock error'))],
+      'System Logs': []
+    });
+    await stateManager.recordPartitionRows([
+      { month: '2024-01', sheet: partition, rows: 1, firstPlayedAt: plays[1].played_at, lastPlayedAt: plays[1].played_at }
+    ]);
+    await backdateFailedQueue(2);
+    process.env.LISTENING_LOG_PARTITIONS = 'monthly';
+
+    try {
+      const res = await run();
+
+      expect(res.body.stats).toMatchObject({ processed: 1, succeeded: 1 });
+      const rows = env.sheets.getRows(partition);
+      expect(rows).toHaveLength(2);
+      expect(rows[1][column('Track ID')]).toBe('t2');
+      expect(rows[1][column('Status')]).toBe('COMPLETED');
+      expect(env.sheets.getRows('Listening Log')).toEqual([HEADERS]);
+    } finally {
+      delete process.env.LISTENING_LOG_PARTITIONS;
+    }
+  });
+});
@@ -0,0 +1,38 @@
+import { startMockEnvironment, createMockResponse } from '../mocks/environment.js';
+
+describe('e2e: /api/sample-playback', () => {
+  let env;
+  let handler;
+  let stateManager;
+
+  beforeAll(async () => {
+    env = await startMockEnvironment();
+    ({ default: handler } = await import('../../api/sample-playback.js'));
+    stateManager = await import('../../lib/state-manager.js');
+  });
+
+  afterAll(async () => {
+    await env.stop();
+  });
+
+  beforeEach(async () => {
+    env.spotify.reset();
+    env.sheets.reset({ 'System Logs': [] });
+    await stateManager.clearAllState();
+  });
+
+  it('should skip the run while the logger holds the run lock', async () => {
+    const logger = await stateManager.acquireRunLock('log-spotify');
+
+    try {
+      const res = createMockResponse();
+      await handler({ method: 'GET', query: {} }, res);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.holder.functionName).toBe('log-spotify');
+      expect(env.spotify.requests).toEqual([]);
+    } finally {
+      await stateManager.releaseRunLock(logger.lease);
+    }
+  });
+});
@@ -0,0 +1,101 @@
+import { startMockEnvironment, createMockResponse } from '../mocks/environment.js';
+import { makeTrack, makePlay } from '../mocks/spotify-server.js';
+import { getSheetHeaders } from '../../lib/data-formatter.js';
+
+const HEADERS = getSheetHeaders();
+const AUTH = { 'x-api-key': 'test-admin-key' };
+
+describe('e2e: /api/state', () => {
+  let env;
+  let logSpotify;
+  let stateApi;
+  let stateManager;
+  let clearCache;
+
+  beforeAll(async () => {
+    env = await startMockEnvironment();
+    process.env.CRON_SECRET = 'test-cron-secret';
+    process.env.API_KEYS = 'ops:test-admin-key:admin';
+    ({ default: logSpotify } = await import('../../api/log-spotify.js'));
+    ({ default: stateApi } = await import('../../api/state.js'));
+    stateManager = await import('../../lib/state-manager.js');
+    ({ clearCache } = await import('../../lib/spotify-api.js'));
+  });
+
+  afterAll(async () => {
+    await env.stop();
+  });
+
+  beforeEach(async () => {
+    env.spotify.reset();
+    env.sheets.reset({ 'Listening Log': [HEADERS], 'System Logs': [] });
+    await stateManager.clearAllState();
+    await clearCache();
+
+    env.spotify.setTimeline([[makePlay(makeTrack('t1'), '2024-01-15T12:00:00.000Z')]]);
+    await logSpotify({ method: 'GET', query: {}, headers: { authorization: 'Bearer test-cron-secret' } }, createMockResponse());
+  });
+
+  async function call(req) {
+    const res = createMockResponse();
+    await stateApi({ query: {}, headers: AUTH, ...req }, res);
+    return res;
+  }
+
+  it('should reject requests without an admin key', async () => {
+    const res = await call({ method: 'GET', headers: { authorization: 'Bearer wrong' } });
+    expect(res.statusCode).toBe(401);
+    expect(res.body.success).toBe(false);
+
+    const cron = await call({ method: 'GET', headers: { authorization: 'Bearer test-cron-secret' } });
+    expect(cron.statusCode).toBe(403);
+    expect(cron.body.requiredScope).toBe('admin');
+  });
+
+  it('should export the state as an archive', async () => {
+    const res = await call({ method: 'GET' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      format: 'spotify-song-logger-state',
+      source: 'local',
+      sections: { lastProcessed: 'played at 2024-01-15T12:00:00.000Z', stats: '1 successes, 0 failures' }
+    });
+    expect(res.body.state.revision).toBeUndefined();
+  });
+
+  it('should show the diff without writing on a dry run', async () => {
+    const archive = (await call({ method: 'GET' })).body;
+    await stateManager.clearAllState();
+
+    const res = await call({ method: 'POST', query: { dryRun: 'true' }, body: archive });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ dryRun: true, restored: false });
+    expect(res.body.changes).toContainEqual({
+      key: 'lastProcessed',
+      change: 'added',
+      from: 'none',
+      to: 'played at 2024-01-15T12:00:00.000Z'
+    });
+    expect((await stateManager.loadState()).lastProcessed).toBeNull();
+  });
+
+  it('should restore an archive', async () => {
+    const archive = (await call({ method: 'GET' })).body;
+    await stateManager.clearAllState();
+
+    const res = await call({ method: 'POST', body: JSON.stringify(archive) });
+
+    expect(res.body).toMatchObject({ success: true, restored: true });
+    expect((await stateManager.loadState()).lastProcessed.trackId).toBe('t1');
+    expect((await stateManager.getStats()).successCount).toBe(1);
+  });
+
+  it('should reject a body that is not a state archive', async () => {
+    const res = await call({ method: 'POST', body: { lastProcessed: null } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toContain('Not a state archive');
+  });
+});
@@ -0,0 +1,77 @@
+import { parseApiKeys, authenticate, hasScope, CRON_SCOPES } from '../../lib/auth.js';
+
+describe('auth', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    for (const name of ['CRON_SECRET', 'API_KEYS', 'VERCEL_ENV']) {
+      delete process.env[name];
+    }
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const request = headers => ({ method: 'GET', query: {}, headers });
+
+  describe('parseApiKeys', () => {
+    it('should parse named keys with scopes', () => {
+      expect(parseApiKeys('grafana:k1:read-metrics, ops:k2:trigger-log+Admin')).toEqual([
+        { name: 'grafana', key: 'k1', scopes: ['read-metrics'] },
+        { name: 'ops', key: 'k2', scopes: ['trigger-log', 'admin'] }
+      ]);
+      expect(parseApiKeys(undefined)).toEqual([]);
+    });
+
+    it('should reject malformed entries and unknown scopes', () => {
+      expect(() => parseApiKeys('grafana:k1')).toThrow('Invalid API_KEYS entry');
+      expect(() => parseApiKeys('grafana:k1:write-everything')).toThrow('write-everything');
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should allow local runs when no credentials are configured', () => {
+      expect(authenticate(request({}), 'admin')).toMatchObject({ allowed: true, principal: { type: 'local' } });
+    });
+
+    it('should fail closed on Vercel when no credentials are configured', () => {
+      process.env.VERCEL_ENV = 'production';
+      expect(authenticate(request({}), 'read-metrics')).toMatchObject({ allowed: false, status: 401 });
+    });
+
+    it('should grant cron scopes to the cron secret', () => {
+      process.env.CRON_SECRET = 'secret';
+
+      expect(authenticate(request({ authorization: 'Bearer secret' }), 'trigger-log'))
+        .toMatchObject({ allowed: true, principal: { type: 'cron', scopes: CRON_SCOPES } });
+      expect(authenticate(request({ authorization: 'Bearer secret' }), 'admin'))
+        .toMatchObject({ allowed: false, status: 403 });
+    });
+
+    it('should accept API keys as bearer tokens or X-API-Key', () => {
+      process.env.API_KEYS = 'grafana:k1:read-metrics,ops:k2:admin';
+
+      expect(authenticate(request({ 'x-api-key': 'k1' }), 'read-metrics'))
+        .toMatchObject({ allowed: true, principal: { name: 'grafana' } });
+      expect(authenticate(request({ authorization: 'Bearer k2' }), 'trigger-log'))
+        .toMatchObject({ allowed: true, principal: { name: 'ops' } });
+      expect(authenticate(request({ 'x-api-key': 'k1' }), 'trigger-log'))
+        .toMatchObject({ allowed: false, status: 403, error: 'API key "grafana" lacks the "trigger-log" scope' });
+    });
+
+    it('should reject missing and unknown credentials with 401', () => {
+      process.env.API_KEYS = 'grafana:k1:read-metrics';
+
+      expect(authenticate(request({}), 'read-metrics')).toMatchObject({ status: 401, error: 'Missing credentials' });
+      expect(authenticate(request({ 'x-api-key': 'k1-but-longer' }), 'read-metrics')).toMatchObject({ status: 401, error: 'Invalid credentials' });
+    });
+  });
+
+  describe('hasScope', () => {
+    it('should treat admin as every scope', () => {
+      expect(hasScope({ scopes: ['admin'] }, 'read-metrics')).toBe(true);
+      expect(hasScope({ scopes: ['read-metrics'] }, 'trigger-log')).toBe(false);
+    });
+  });
+});
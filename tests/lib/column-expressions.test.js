@@ -0,0 +1,70 @@
+import { compileExpression, COLUMN_FUNCTIONS } from '../../lib/column-expressions.js';
+
+describe('column-expressions', () => {
+  const fields = ['timestamp', 'trackId', 'releaseDate', 'completion', 'explicit', 'trackName'];
+  const track = {
+    timestamp: '2024-01-15T23:30:00.000Z',
+    trackId: 'abc',
+    releaseDate: '1994-05-03',
+    completion: 95,
+    explicit: false,
+    trackName: 'Song'
+  };
+  const run = (source, record = track) => compileExpression(source, fields)(record);
+
+  describe('compileExpression', () => {
+    it('should evaluate arithmetic, comparisons and conditionals with precedence', () => {
+      expect(run('1 + 2 * 3')).toBe(7);
+      expect(run('(1 + 2) * 3 % 4')).toBe(1);
+      expect(run('-completion / 5')).toBe(-19);
+      expect(run('completion >= 90 ? "full" : "partial"')).toBe('full');
+      expect(run('!explicit && completion > 50 || false')).toBe(true);
+      expect(run('trackName == \'Song\'')).toBe(true);
+    });
+
+    it('should concatenate strings', () => {
+      expect(run('"https://open.spotify.com/track/" + trackId')).toBe('https://open.spotify.com/track/abc');
+      expect(run('"say \\"hi\\" " + 1')).toBe('say "hi" 1');
+    });
+
+    it('should turn missing values and impossible numbers into empty cells', () => {
+      expect(run('trackId', {})).toBe('');
+      expect(run('1 / 0')).toBe('');
+      expect(run('null')).toBe('');
+    });
+
+    it('should reject invalid syntax, unknown fields and unknown functions', () => {
+      expect(() => compileExpression('', fields)).toThrow('non-empty string');
+      expect(() => compileExpression('1 +', fields)).toThrow('Unexpected end of expression');
+      expect(() => compileExpression('hour(timestamp', fields)).toThrow('Expected ","');
+      expect(() => compileExpression('trackId = 1', fields)).toThrow('Unexpected character "="');
+      expect(() => compileExpression('"open', fields)).toThrow('Unterminated string');
+      expect(() => compileExpression('constructor', fields)).toThrow('Unknown field "constructor"');
+      expect(() => compileExpression('eval("1")', fields)).toThrow('Unknown function "eval"');
+    });
+  });
+
+  describe('COLUMN_FUNCTIONS', () => {
+    it('should read date parts in UTC or a given time zone', () => {
+      expect(run('hour(timestamp)')).toBe(23);
+      expect(run('weekday(timestamp)')).toBe('Monday');
+      expect(run('hour(timestamp, "Europe/Berlin")')).toBe(0);
+      expect(run('weekday(timestamp, "Europe/Berlin")')).toBe('Tuesday');
+      expect(run('date(timestamp, "Europe/Berlin")')).toBe('2024-01-16');
+      expect(run('month(timestamp)')).toBe(1);
+    });
+
+    it('should handle partial release dates', () => {
+      expect(run('year(releaseDate)')).toBe(1994);
+      expect(run('decade(releaseDate)', { releaseDate: '2009' })).toBe('2000s');
+      expect(run('decade(releaseDate)', { releaseDate: '' })).toBe('');
+      expect(run('hour(timestamp)', { timestamp: 'not a date' })).toBe('');
+    });
+
+    it('should round numbers and change case', () => {
+      expect(COLUMN_FUNCTIONS.round(1.2345, 2)).toBe(1.23);
+      expect(COLUMN_FUNCTIONS.floor(9.9)).toBe(9);
+      expect(run('upper(trackName) + lower("X")')).toBe('SONGx');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import {
+  findDuplicateRows,
+  findOrphanedErrorRows,
+  findVanishedQueueEntries,
+  checkCursor,
+  findRecoverableGaps
+} from '../../lib/consistency-audit.js';
+import { getSheetHeaders } from '../../lib/data-formatter.js';
+
+const HEADERS = getSheetHeaders();
+
+function row(trackId, timestamp, status = 'COMPLETED', trackName = `Song ${trackId}`) {
+  const values = HEADERS.map(() => '');
+  values[HEADERS.indexOf('Timestamp')] = timestamp;
+  values[HEADERS.indexOf('Track ID')] = trackId;
+  values[HEADERS.indexOf('Track Name')] = trackName;
+  values[HEADERS.indexOf('Status')] = status;
+  return values;
+}
+
+function play(trackId, playedAt) {
+  return { track: { id: trackId, name: `Song ${trackId}`, duration_ms: 180000 }, played_at: playedAt };
+}
+
+function queued(trackId, playedAt) {
+  return { trackId, trackName: `Song ${trackId}`, playedAt, attemptCount: 1 };
+}
+
+describe('consistency audit', () => {
+  describe('findDuplicateRows', () => {
+    it('should group rows of the same play and list the exact copies', () => {
+      const rows = [
+        HEADERS,
+        row('t1', '2024-01-15T12:00:00.000Z'),
+        row('t2', '2024-01-15T12:04:00.000Z'),
+        [...row('t1', '2024-01-15T12:00:00.000Z').slice(0, HEADERS.indexOf('Status') + 1)],
+        row('t1', '2024-01-15T12:00:00.000Z', 'ERROR'),
+        row('t1', '2024-01-15T12:08:00.000Z')
+      ];
+
+      expect(findDuplicateRows('Listening Log', rows)).toEqual([{
+        sheet: 'Listening Log',
+        trackId: 't1',
+        trackName: 'Song t1',
+        timestamp: '2024-01-15T12:00:00.000Z',
+        rows: [2, 4, 5],
+        exactCopies: [4]
+      }]);
+      expect(findDuplicateRows('Listening Log', [HEADERS])).toEqual([]);
+    });
+  });
+
+  describe('failed queue cross-check', () => {
+    const logSheets = [{
+      sheetName: 'Listening Log',
+      rows: [
+        HEADERS,
+        row('t1', '2024-01-15T12:00:00.000Z', 'ERROR'),
+        row('t2', '2024-01-15T12:04:00.000Z', 'ERROR'),
+        row('t3', '2024-01-15T12:08:00.000Z')
+      ]
+    }];
+
+    it('should find ERROR rows nothing will retry', () => {
+      const orphans = findOrphanedErrorRows(logSheets, [queued('t1', '2024-01-15T12:02:00.000Z')]);
+
+      expect(orphans).toEqual([{
+        sheet: 'Listening Log',
+        row: 3,
+        trackId: 't2',
+        trackName: 'Song t2',
+        timestamp: '2024-01-15T12:04:00.000Z',
+        error: ''
+      }]);
+    });
+
+    it('should find queue entries without an ERROR row', () => {
+      const vanished = findVanishedQueueEntries(logSheets, [
+        queued('t1', '2024-01-15T12:00:00.000Z'),
+        queued('t3', '2024-01-15T12:08:00.000Z'),
+        queued('t4', '2024-01-15T12:12:00.000Z')
+      ]);
+
+      expect(vanished.map(entry => entry.trackId)).toEqual(['t3', 't4']);
+    });
+  });
+
+  describe('checkCursor', () => {
+    const keys = ['t1|2024-01-15T12:00:00.000Z', 't2|2024-01-15T12:04:00.000Z'];
+    const cursor = playedAt => ({ trackId: 'x', playedAt });
+
+    it('should compare lastProcessed with the newest logged play', () => {
+      expect(checkCursor(cursor('2024-01-15T12:04:10.000Z'), keys)).toEqual({
+        lastProcessed: '2024-01-15T12:04:10.000Z',
+        newestRow: '2024-01-15T12:04:00.000Z',
+        status: 'ok'
+      });
+      expect(checkCursor(cursor('2024-01-15T13:00:00.000Z'), keys).status).toBe('ahead');
+      expect(checkCursor(cursor('2024-01-15T11:00:00.000Z'), keys).status).toBe('behind');
+      expect(checkCursor(null, keys).status).toBe('missing');
+      expect(checkCursor(null, []).status).toBe('empty');
+    });
+  });
+
+  describe('findRecoverableGaps', () => {
+    it('should group missed plays at or before the cursor', () => {
+      const history = [
+        play('t1', '2024-01-15T12:00:00.000Z'),
+        play('t2', '2024-01-15T12:04:00.000Z'),
+        play('t3', '2024-01-15T12:08:00.000Z'),
+        play('t4', '2024-01-15T12:12:00.000Z'),
+        play('t5', '2024-01-15T12:16:00.000Z'),
+        play('t6', '2024-01-15T12:20:00.000Z')
+      ];
+      const keys = ['t1|2024-01-15T12:00:00.000Z', 't4|2024-01-15T12:12:00.000Z'];
+
+      const gaps = findRecoverableGaps(history, keys, { playedAt: '2024-01-15T12:16:00.000Z' });
+
+      expect(gaps.map(({ items, ...gap }) => gap)).toEqual([
+        {
+          from: '2024-01-15T12:04:00.000Z',
+          to: '2024-01-15T12:08:00.000Z',
+          plays: [
+            { trackId: 't2', trackName: 'Song t2', playedAt: '2024-01-15T12:04:00.000Z' },
+            { trackId: 't3', trackName: 'Song t3', playedAt: '2024-01-15T12:08:00.000Z' }
+          ],
+          recoverable: true
+        },
+        {
+          from: '2024-01-15T12:16:00.000Z',
+          to: '2024-01-15T12:16:00.000Z',
+          plays: [{ trackId: 't5', trackName: 'Song t5', playedAt: '2024-01-15T12:16:00.000Z' }],
+          recoverable: true
+        }
+      ]);
+      expect(gaps[0].items).toEqual([history[1], history[2]]);
+    });
+
+    it('should leave out skips and need a cursor', () => {
+      const skip = { ...play('t2', '2024-01-15T12:04:00.000Z'), estimated_play_ms: 5000 };
+
+      expect(findRecoverableGaps([skip], [], { playedAt: '2024-01-15T13:00:00.000Z' })).toEqual([]);
+      expect(findRecoverableGaps([play('t1', '2024-01-15T12:00:00.000Z')], [], null)).toEqual([]);
+    });
+  });
+});
@@ -1,8 +1,13 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import {
   formatTimestamp,
   extractPlaybackContext,
   calculatePlayDuration,
   calculateCompletionPercentage,
+  estimateListenTime,
+  classifyPlay,
   formatTrackForLogging,
   formatAsSheetRow,
   getSheetHeaders,
@@ -118,6 +123,53 @@ describe('data-formatter', () => {
       const playbackInfo = { progress_ms: 0 };
       expect(calculatePlayDuration(track, playbackInfo)).toBe(0);
     });
+
+    it('should prefer measured play time from sampling', () => {
+      const track = { duration_ms: 180000 };
+      const playbackInfo = { measured_play_ms: 61000, progress_ms: 90000 };
+      expect(calculatePlayDuration(track, playbackInfo)).toBe(61000);
+    });
+  });
+
+  describe('estimateListenTime', () => {
+    it('should prefer measured play time', () => {
+      const track = { duration_ms: 180000 };
+      expect(estimateListenTime(track, { measured_play_ms: 20000, estimated_play_ms: 50000 })).toBe(20000);
+    });
+
+    it('should use the played_at gap estimate when not measured', () => {
+      const track = { duration_ms: 180000 };
+      expect(estimateListenTime(track, { estimated_play_ms: 50000 })).toBe(50000);
+    });
+
+    it('should cap the gap estimate at track duration', () => {
+      const track = { duration_ms: 180000 };
+      expect(estimateListenTime(track, { estimated_play_ms: 250000 })).toBe(180000);
+    });
+
+    it('should fall back to play duration', () => {
+      const track = { duration_ms: 180000 };
+      expect(estimateListenTime(track, {})).toBe(180000);
+    });
+  });
+
+  describe('classifyPlay', () => {
+    it('should classify 90%+ completion as a full play', () => {
+      expect(classifyPlay(170000, 180000)).toBe('FULL');
+      expect(classifyPlay(180000, 180000)).toBe('FULL');
+    });
+
+    it('should classify under 30 seconds as a skip', () => {
+      expect(classifyPlay(12000, 180000)).toBe('SKIP');
+    });
+
+    it('should classify everything in between as a partial play', () => {
+      expect(classifyPlay(90000, 180000)).toBe('PARTIAL');
+    });
+
+    it('should treat fully played short tracks as full plays', () => {
+      expect(classifyPlay(20000, 20000)).toBe('FULL');
+    });
   });
 
   describe('calculateCompletionPercentage', () => {
@@ -197,6 +249,18 @@ describe('data-formatter', () => {
       expect(result.status).toBe('COMPLETED');
     });
 
+    it('should record why a play looks like non-music', () => {
+      const result = formatTrackForLogging(
+        { ...mockTrack, name: 'Episode 12: Interview' },
+        mockPlaybackInfo,
+        mockAudioFeatures,
+        mockArtist
+      );
+
+      expect(result.nonMusicReason).toBe('Podcast-like title');
+      expect(formatTrackForLogging(mockTrack, mockPlaybackInfo, mockAudioFeatures, mockArtist).nonMusicReason).toBe('');
+    });
+
     it('should handle missing audio features', () => {
       const result = formatTrackForLogging(mockTrack, mockPlaybackInfo, null, null);
 
@@ -234,6 +298,19 @@ describe('data-formatter', () => {
       expect(result.errorDetails).toBe('Waiting for retry');
     });
 
+    it('should classify skips from the estimated listen time', () => {
+      const result = formatTrackForLogging(
+        mockTrack,
+        { ...mockPlaybackInfo, estimated_play_ms: 8000 },
+        null,
+        null
+      );
+
+      expect(result.skipped).toBe(true);
+      expect(result.playType).toBe('SKIP');
+      expect(result.estimatedListen).toBe(8000);
+    });
+
     it('should handle missing track data gracefully', () => {
       const minimalTrack = {};
       const result = formatTrackForLogging(minimalTrack, mockPlaybackInfo, null, null);
@@ -245,7 +322,7 @@ describe('data-formatter', () => {
   });
 
   describe('formatAsSheetRow', () => {
-    it('should return array with 28 elements', () => {
+    it('should return array with 33 elements', () => {
       const formatted = {
         timestamp: '2024-01-15T12:00:00Z',
         trackName: 'Test',
@@ -274,16 +351,26 @@ describe('data-formatter', () => {
         explicit: false,
         releaseDate: '2024-01-15',
         status: 'COMPLETED',
-        errorDetails: ''
+        errorDetails: '',
+        skipped: false,
+        playType: 'FULL',
+        estimatedListen: 180000,
+        nonMusicReason: '',
+        missingEnrichment: 'audio-features'
       };
 
       const row = formatAsSheetRow(formatted);
-      expect(row).toHaveLength(28);
+      expect(row).toHaveLength(33);
       expect(row[0]).toBe('2024-01-15T12:00:00Z');
       expect(row[1]).toBe('Test');
       expect(row[2]).toBe('Artist');
       expect(row[26]).toBe('COMPLETED');
       expect(row[27]).toBe('');
+      expect(row[28]).toBe(false);
+      expect(row[29]).toBe('FULL');
+      expect(row[30]).toBe(180000);
+      expect(row[31]).toBe('');
+      expect(row[32]).toBe('audio-features');
     });
 
     it('should maintain correct column order', () => {
@@ -328,9 +415,9 @@ describe('data-formatter', () => {
   });
 
   describe('getSheetHeaders', () => {
-    it('should return 28 headers', () => {
+    it('should return 33 headers', () => {
       const headers = getSheetHeaders();
-      expect(headers).toHaveLength(28);
+      expect(headers).toHaveLength(33);
     });
 
     it('should have correct first and last headers', () => {
@@ -338,6 +425,9 @@ describe('data-formatter', () => {
       expect(headers[0]).toBe('Timestamp');
       expect(headers[1]).toBe('Track Name');
       expect(headers[27]).toBe('Error Details');
+      expect(headers[30]).toBe('Estimated Listen (ms)');
+      expect(headers[31]).toBe('Non-Music Reason');
+      expect(headers[32]).toBe('Missing Enrichment');
     });
 
     it('should contain all expected column names', () => {
@@ -350,6 +440,62 @@ describe('data-formatter', () => {
       expect(headers).toContain('Energy');
       expect(headers).toContain('Status');
       expect(headers).toContain('Error Details');
+      expect(headers).toContain('Skipped');
+      expect(headers).toContain('Play Type');
+    });
+  });
+
+  describe('column config', () => {
+    const originalFile = process.env.COLUMNS_FILE;
+    let tempDir;
+
+    beforeAll(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'data-formatter-test-'));
+      process.env.COLUMNS_FILE = path.join(tempDir, 'columns.json');
+      await fs.writeFile(process.env.COLUMNS_FILE, JSON.stringify({
+        columns: [
+          'timestamp',
+          'trackName',
+          'trackId',
+          'status',
+          { header: 'Spotify URL', expression: '"https://open.spotify.com/track/" + trackId' },
+          { header: 'Weekday', expression: 'weekday(timestamp)' }
+        ]
+      }));
+    });
+
+    afterAll(async () => {
+      if (originalFile === undefined) {
+        delete process.env.COLUMNS_FILE;
+      } else {
+        process.env.COLUMNS_FILE = originalFile;
+      }
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should only return the configured headers, in config order', () => {
+      expect(getSheetHeaders()).toEqual(['Timestamp', 'Track Name', 'Track ID', 'Status', 'Spotify URL', 'Weekday']);
+    });
+
+    it('should write configured and computed columns', () => {
+      const formatted = formatTrackForLogging(
+        { id: 'tid', name: 'Song', duration_ms: 180000 },
+        { played_at: '2024-01-13T10:00:00Z' }
+      );
+
+      expect(formatAsSheetRow(formatted)).toEqual([
+        '2024-01-13T10:00:00.000Z',
+        'Song',
+        'tid',
+        'COMPLETED',
+        'https://open.spotify.com/track/tid',
+        'Saturday'
+      ]);
+    });
+
+    it('should still fill existing sheets by header name', () => {
+      const formatted = formatTrackForLogging({ id: 'tid', name: 'Song' }, { played_at: '2024-01-13T10:00:00Z' });
+      expect(formatAsSheetRow(formatted, ['Weekday', 'Album', 'Track ID'])).toEqual(['Saturday', null, 'tid']);
     });
   });
 
@@ -5,6 +5,8 @@ import {
   sanitizeString,
   sanitizeTrackData,
   isLikelyNonMusic,
+  getNonMusicReason,
+  partitionMusic,
   isValid
 } from '../../lib/data-validator.js';
 
@@ -158,6 +160,40 @@ describe('data-validator', () => {
     });
   });
 
+  describe('getNonMusicReason', () => {
+    it('should return the reason a track was flagged', () => {
+      expect(getNonMusicReason({ duration: 25 * 60 * 1000 })).toBe('Duration over 20 minutes');
+      expect(getNonMusicReason({ duration: 180000, speechiness: 0.85, instrumentalness: 0.01 })).toBe('High speechiness');
+      expect(getNonMusicReason({ trackName: 'Chapter 3', duration: 180000 })).toBe('Podcast-like title');
+    });
+
+    it('should return null for normal music', () => {
+      expect(getNonMusicReason({ trackName: 'Regular Song', duration: 180000 })).toBeNull();
+    });
+  });
+
+  describe('partitionMusic', () => {
+    it('should separate non-music tracks with reasons', () => {
+      const song = { trackName: 'Regular Song', duration: 180000 };
+      const podcast = { trackName: 'Episode 42: Tech Talk', duration: 180000 };
+
+      const result = partitionMusic([song, podcast]);
+
+      expect(result.music).toEqual([song]);
+      expect(result.nonMusic).toEqual([{ track: podcast, reason: 'Podcast-like title' }]);
+    });
+
+    it('should prefer a recorded reason', () => {
+      const track = { trackName: 'Regular Song', duration: 180000, nonMusicReason: 'High speechiness' };
+
+      expect(partitionMusic([track]).nonMusic[0].reason).toBe('High speechiness');
+    });
+
+    it('should handle empty input', () => {
+      expect(partitionMusic(null)).toEqual({ music: [], nonMusic: [] });
+    });
+  });
+
   describe('isValid', () => {
     it('should return true for valid track', () => {
       const track = {
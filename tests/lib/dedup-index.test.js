@@ -0,0 +1,192 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  toDedupKey,
+  parseDedupKey,
+  readDedupKeys,
+  filterDuplicatesAgainstKeys,
+  reconcileStateWithKeys,
+  createDedupIndexEntry,
+  addToDedupIndexEntry
+} from '../../lib/deduplication.js';
+import { getSheetHeaders } from '../../lib/data-formatter.js';
+
+const HEADERS = getSheetHeaders();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function row(trackId, timestamp) {
+  const values = HEADERS.map(() => '');
+  values[HEADERS.indexOf('Timestamp')] = timestamp;
+  values[HEADERS.indexOf('Track ID')] = trackId;
+  return values;
+}
+
+function play(trackId, playedAt) {
+  return { track: { id: trackId, name: `Song ${trackId}` }, played_at: playedAt };
+}
+
+describe('dedup keys', () => {
+  it('should read keys from rows with a track ID and timestamp', () => {
+    const rows = [HEADERS, row('t1', '2024-01-15T12:00:00.000Z'), row('', '2024-01-15T12:04:00.000Z'), row('t2', '2024-01-15T12:08:00.000Z')];
+
+    expect(readDedupKeys(rows)).toEqual(['t1|2024-01-15T12:00:00.000Z', 't2|2024-01-15T12:08:00.000Z']);
+    expect(parseDedupKey(toDedupKey('t1', '2024-01-15T12:00:00.000Z'))).toEqual({
+      trackId: 't1',
+      playedAt: '2024-01-15T12:00:00.000Z',
+      time: Date.parse('2024-01-15T12:00:00.000Z')
+    });
+    expect(parseDedupKey('no separator')).toBeNull();
+  });
+
+  it('should filter plays within 30 seconds of a logged play of the same track', () => {
+    const keys = ['t1|2024-01-15T12:00:00.000Z'];
+    const tracks = [
+      play('t1', '2024-01-15T12:00:10.000Z'),
+      play('t1', '2024-01-15T12:04:00.000Z'),
+      play('t2', '2024-01-15T12:00:00.000Z')
+    ];
+
+    expect(filterDuplicatesAgainstKeys(tracks, keys)).toEqual(tracks.slice(1));
+  });
+
+  it('should reconcile state with the last key', () => {
+    const state = { lastProcessed: { trackId: 't0', playedAt: '2024-01-15T11:00:00.000Z' }, failedQueue: [], stats: {} };
+    const warn = console.warn;
+    console.warn = () => {};
+
+    try {
+      const reconciled = reconcileStateWithKeys(['t1|2024-01-15T12:00:00.000Z', 't2|2024-01-15T12:04:00.000Z'], state);
+      expect(reconciled.lastProcessed).toMatchObject({ trackId: 't2', playedAt: '2024-01-15T12:04:00.000Z' });
+    } finally {
+      console.warn = warn;
+    }
+
+    expect(reconcileStateWithKeys([], state)).toBe(state);
+  });
+
+  it('should keep recent keys and the last rows when pruning', () => {
+    const now = Date.parse('2024-02-01T00:00:00.000Z');
+    const rows = [
+      HEADERS,
+      ...Array.from({ length: 8 }, (_, i) => row(`old${i}`, new Date(now - 30 * DAY_MS + i * 60000).toISOString())),
+      row('new', new Date(now - DAY_MS).toISOString())
+    ];
+
+    const entry = createDedupIndexEntry(rows, { windowMs: 7 * DAY_MS, now });
+
+    expect(entry.rows).toBe(10);
+    expect(entry.keys.map(key => parseDedupKey(key).trackId)).toEqual(['old4', 'old5', 'old6', 'old7', 'new']);
+    expect(entry.coveredFrom).toBe(new Date(now - 8 * DAY_MS).toISOString());
+    expect(entry.verifiedAt).toBe('2024-02-01T00:00:00.000Z');
+
+    const added = addToDedupIndexEntry(entry, 2, [`next|${new Date(now).toISOString()}`], 7 * DAY_MS);
+    expect(added.rows).toBe(12);
+    expect(added.keys.slice(-2).map(key => parseDedupKey(key).trackId)).toEqual(['new', 'next']);
+  });
+});
+
+describe('dedup index', () => {
+  const originalEnv = { ...process.env };
+  let tempDir;
+  let dedupIndex;
+  let stateManager;
+  let sinks;
+
+  // state-manager reads STATE_DIR at import time
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dedup-index-test-'));
+    for (const name of ['USE_KV', 'VERCEL_ENV', 'KV_REST_API_URL', 'KV_REST_API_TOKEN', 'COLUMNS_FILE', 'USERS', 'USERS_FILE', 'DEDUP_INDEX', 'DEDUP_INDEX_DAYS']) {
+      delete process.env[name];
+    }
+    process.env.STATE_DIR = path.join(tempDir, 'state');
+    process.env.STORAGE_DIR = path.join(tempDir, 'data');
+    process.env.STORAGE_SINK = 'csv';
+
+    dedupIndex = await import('../../lib/dedup-index.js');
+    stateManager = await import('../../lib/state-manager.js');
+    sinks = await import('../../lib/sinks/index.js');
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+    process.env = originalEnv;
+  });
+
+  beforeEach(async () => {
+    delete process.env.DEDUP_INDEX_VERIFY_HOURS;
+    await fs.rm(process.env.STORAGE_DIR, { recursive: true, force: true });
+    await stateManager.clearAllState();
+    sinks.resetSink();
+    await sinks.appendRows('Listening Log', [row('t1', '2024-01-15T12:00:00.000Z')]);
+  });
+
+  const load = (options = {}) => dedupIndex.loadDedupKeys('Listening Log', { headers: HEADERS, ...options });
+
+  it('should read the sheet once and then use the index', async () => {
+    const first = await load();
+    expect(first.source).toBe('sheet');
+    expect(first.keys).toEqual(['t1|2024-01-15T12:00:00.000Z']);
+
+    const appended = [row('t2', '2024-01-15T12:04:00.000Z')];
+    await sinks.appendRows('Listening Log', appended);
+    await dedupIndex.addToDedupIndex('Listening Log', appended, HEADERS);
+
+    const second = await load();
+    expect(second).toEqual({
+      keys: ['t1|2024-01-15T12:00:00.000Z', 't2|2024-01-15T12:04:00.000Z'],
+      coveredFrom: null,
+      source: 'index',
+      rows: null
+    });
+    expect((await stateManager.getDedupIndex())['Listening Log'].rows).toBe(3);
+  });
+
+  it('should verify the index against the last rows and rebuild it when the sheet changed', async () => {
+    process.env.DEDUP_INDEX_VERIFY_HOURS = '0';
+    await load();
+
+    expect((await load()).source).toBe('verified');
+
+    // A row added by hand isn't in the index
+    await sinks.appendRows('Listening Log', [row('t9', '2024-01-15T13:00:00.000Z')]);
+    const warn = console.warn;
+    console.warn = () => {};
+    let rebuilt;
+    try {
+      rebuilt = await load();
+    } finally {
+      console.warn = warn;
+    }
+
+    expect(rebuilt.source).toBe('sheet');
+    expect(rebuilt.keys).toContain('t9|2024-01-15T13:00:00.000Z');
+    expect((await load()).source).toBe('verified');
+  });
+
+  it('should read the sheet for plays older than the index', async () => {
+    process.env.DEDUP_INDEX_DAYS = '1';
+    try {
+      await sinks.appendRows('Listening Log', Array.from({ length: 6 }, (_, i) => row(`t${i + 2}`, `2024-01-2${i}T12:00:00.000Z`)));
+      await load();
+
+      expect((await load({ timestamps: ['2024-01-25T13:00:00.000Z'] })).source).toBe('index');
+      expect((await load({ timestamps: ['2024-01-15T12:00:00.000Z'] })).source).toBe('sheet');
+    } finally {
+      delete process.env.DEDUP_INDEX_DAYS;
+    }
+  });
+
+  it('should always read the sheet when disabled or without headers', async () => {
+    await load();
+
+    expect((await load({ headers: undefined })).source).toBe('sheet');
+
+    process.env.DEDUP_INDEX = 'false';
+    try {
+      expect((await load()).source).toBe('sheet');
+    } finally {
+      delete process.env.DEDUP_INDEX;
+    }
+  });
+});
@@ -0,0 +1,173 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  PROVIDER_NAMES,
+  getProviderNames,
+  createLocalFileProvider,
+  enrichTrack,
+  prefetchEnrichment,
+  enrichPlay
+} from '../../lib/enrichment.js';
+
+const track = {
+  id: 'track1',
+  name: 'Test Track',
+  duration_ms: 180000,
+  artists: [{ id: 'artist1', name: 'Test Artist' }],
+  album: { id: 'album1', name: 'Test Album', release_date: '2024-01-01' }
+};
+
+const item = {
+  track,
+  played_at: '2024-01-15T12:03:00.000Z',
+  context: null
+};
+
+function provider(name, fields, result) {
+  return {
+    name,
+    fields,
+    async enrich() {
+      if (result instanceof Error) {
+        throw result;
+      }
+      return result;
+    }
+  };
+}
+
+describe('enrichment', () => {
+  describe('getProviderNames', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    it('should default to all providers in order', () => {
+      delete process.env.ENRICHMENT_PROVIDERS;
+      delete process.env.ENABLE_AUDIO_FEATURES;
+      expect(getProviderNames()).toEqual(PROVIDER_NAMES);
+    });
+
+    it('should use the configured order', () => {
+      process.env.ENRICHMENT_PROVIDERS = 'local-file, Artist-Genres';
+      expect(getProviderNames()).toEqual(['local-file', 'artist-genres']);
+    });
+
+    it('should drop audio features when disabled', () => {
+      delete process.env.ENRICHMENT_PROVIDERS;
+      process.env.ENABLE_AUDIO_FEATURES = 'false';
+      expect(getProviderNames()).toEqual(['artist-genres', 'local-file']);
+    });
+
+    it('should reject unknown providers', () => {
+      process.env.ENRICHMENT_PROVIDERS = 'audio-features,lastfm';
+      expect(() => getProviderNames()).toThrow('lastfm');
+    });
+  });
+
+  describe('enrichTrack', () => {
+    it('should let earlier providers win and later ones fill gaps', async () => {
+      const result = await enrichTrack(track, [
+        provider('first', ['tempo', 'energy'], { tempo: 120, energy: null }),
+        provider('second', ['tempo', 'energy', 'genres'], { tempo: 90, energy: 0.5, genres: ['rock'] })
+      ]);
+
+      expect(result.fields).toEqual({ tempo: 120, energy: 0.5, genres: ['rock'] });
+      expect(result.missing).toEqual([]);
+    });
+
+    it('should record failed providers and keep the others', async () => {
+      const result = await enrichTrack(track, [
+        provider('audio-features', ['tempo'], new Error('Gone')),
+        provider('artist-genres', ['genres'], { genres: ['indie'] })
+      ]);
+
+      expect(result.fields).toEqual({ genres: ['indie'] });
+      expect(result.missing).toEqual(['audio-features']);
+      expect(result.errors).toEqual([{ provider: 'audio-features', error: 'Gone' }]);
+    });
+
+    it('should only take the fields a provider declares', async () => {
+      const result = await enrichTrack(track, [provider('genres-only', ['genres'], { genres: ['pop'], tempo: 100 })]);
+      expect(result.fields).toEqual({ genres: ['pop'] });
+    });
+  });
+
+  describe('prefetchEnrichment', () => {
+    it('should count the per-track requests replaced by batch requests', async () => {
+      const batching = (lookups, requests) => ({ ...provider('p', [], {}), prefetch: async () => ({ lookups, requests }) });
+      const result = await prefetchEnrichment([track], [batching(30, 1), batching(30, 2), batching(0, 1)]);
+      expect(result).toEqual({ requests: 4, saved: 57 });
+    });
+
+    it('should ignore prefetch failures', async () => {
+      const failing = { ...provider('p', [], {}), prefetch: async () => { throw new Error('Batch failed'); } };
+      await expect(prefetchEnrichment([track], [failing])).resolves.toEqual({ requests: 0, saved: 0 });
+    });
+  });
+
+  describe('createLocalFileProvider', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'enrichment-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should look up track features and fall back to artist genres', async () => {
+      const file = path.join(dir, 'enrichment.json');
+      await fs.writeFile(file, JSON.stringify({
+        tracks: { track1: { tempo: 128, energy: 0.9 } },
+        artists: { artist1: { genres: ['house'] } }
+      }));
+
+      const result = await createLocalFileProvider({ file }).enrich(track);
+      expect(result).toEqual({ tempo: 128, energy: 0.9, genres: ['house'] });
+    });
+
+    it('should return nothing when the file does not exist', async () => {
+      const result = await createLocalFileProvider({ file: path.join(dir, 'missing.json') }).enrich(track);
+      expect(result).toEqual({});
+    });
+
+    it('should fail when the file is not valid JSON', async () => {
+      const file = path.join(dir, 'enrichment.json');
+      await fs.writeFile(file, '{ not json');
+      await expect(createLocalFileProvider({ file }).enrich(track)).rejects.toThrow('Could not read');
+    });
+  });
+
+  describe('enrichPlay', () => {
+    it('should log a COMPLETED play with the missing providers listed', async () => {
+      const formatted = await enrichPlay(item, {
+        providers: [
+          provider('audio-features', ['tempo', 'energy'], new Error('Mock error 429')),
+          provider('artist-genres', ['genres'], { genres: ['indie', 'folk'] })
+        ]
+      });
+
+      expect(formatted.status).toBe('COMPLETED');
+      expect(formatted.trackId).toBe('track1');
+      expect(formatted.tempo).toBeNull();
+      expect(formatted.genres).toBe('indie, folk');
+      expect(formatted.missingEnrichment).toBe('audio-features');
+      expect(formatted.errorDetails).toBe('audio-features: Mock error 429');
+    });
+
+    it('should leave missingEnrichment empty when every provider succeeds', async () => {
+      const formatted = await enrichPlay(item, {
+        providers: [provider('audio-features', ['tempo'], { tempo: 120 })]
+      });
+
+      expect(formatted.tempo).toBe(120);
+      expect(formatted.missingEnrichment).toBe('');
+      expect(formatted.errorDetails).toBe('');
+    });
+  });
+});
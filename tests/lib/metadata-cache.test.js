@@ -0,0 +1,120 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('metadata-cache', () => {
+  const originalEnv = { ...process.env };
+  let stateDir;
+  let cache;
+
+  // state-manager reads STATE_DIR at import time
+  beforeAll(async () => {
+    stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'metadata-cache-test-'));
+    for (const name of ['USE_KV', 'VERCEL_ENV', 'KV_REST_API_URL', 'KV_REST_API_TOKEN']) {
+      delete process.env[name];
+    }
+    process.env.STATE_DIR = stateDir;
+    cache = await import('../../lib/metadata-cache.js');
+  });
+
+  afterAll(async () => {
+    await fs.rm(stateDir, { recursive: true, force: true });
+    process.env = originalEnv;
+  });
+
+  beforeEach(async () => {
+    delete process.env.METADATA_CACHE;
+    await cache.resetMetadataCache();
+  });
+
+  describe('pruneEntries', () => {
+    const now = Date.parse('2024-01-15T12:00:00.000Z');
+
+    it('should drop expired entries', () => {
+      const entries = {
+        fresh: { value: {}, expiresAt: now + DAY_MS, lastUsedAt: now },
+        stale: { value: {}, expiresAt: now - 1, lastUsedAt: now }
+      };
+      expect(Object.keys(cache.pruneEntries('artist', entries, now))).toEqual(['fresh']);
+    });
+
+    it('should keep the most recently used entries up to the cap', () => {
+      const max = cache.CACHE_TYPES.album.maxEntries;
+      const entries = Object.fromEntries(
+        Array.from({ length: max + 2 }, (_, i) => [`a${i}`, { value: {}, expiresAt: now + DAY_MS, lastUsedAt: now - i }])
+      );
+
+      const pruned = cache.pruneEntries('album', entries, now);
+      expect(Object.keys(pruned)).toHaveLength(max);
+      expect(pruned.a0).toBeDefined();
+      expect(pruned[`a${max + 1}`]).toBeUndefined();
+    });
+  });
+
+  describe('persisted entries', () => {
+    it('should survive a new process after a flush', async () => {
+      await cache.setPersisted('artist:a1', { id: 'a1', name: 'Artist', genres: ['indie'], images: [{ url: 'x' }] });
+      expect(await cache.flushMetadataCache()).toEqual({ saved: ['artist'] });
+
+      // Forget what this process loaded, like a cold start
+      await cache.resetMetadataCache({ keepStored: true });
+
+      expect(await cache.getPersisted('artist:a1')).toEqual({ id: 'a1', name: 'Artist', genres: ['indie'] });
+      expect(await cache.getPersisted('artist:a2')).toBeNull();
+    });
+
+    it('should not persist types without a cache config', async () => {
+      await cache.setPersisted('track:t1', { id: 't1' });
+      expect(await cache.flushMetadataCache()).toEqual({ saved: [] });
+      expect(await cache.getPersisted('track:t1')).toBeNull();
+    });
+
+    it('should ignore expired entries', async () => {
+      await cache.setPersisted('audio-features:t1', { id: 't1', tempo: 120 });
+      await cache.flushMetadataCache();
+
+      const file = path.join(stateDir, 'metadata-cache-audio-features.json');
+      const record = JSON.parse(await fs.readFile(file, 'utf-8'));
+      record.entries.t1.expiresAt = Date.now() - 1;
+      await fs.writeFile(file, JSON.stringify(record));
+      await cache.resetMetadataCache({ keepStored: true });
+
+      expect(await cache.getPersisted('audio-features:t1')).toBeNull();
+    });
+
+    it('should keep only the memory tier when disabled', async () => {
+      process.env.METADATA_CACHE = 'false';
+      await cache.setPersisted('artist:a1', { id: 'a1', genres: ['indie'] });
+
+      expect(await cache.getPersisted('artist:a1')).toBeNull();
+      expect((await cache.getPersistedCacheStats()).enabled).toBe(false);
+    });
+  });
+
+  describe('hit rates', () => {
+    it('should report hits and misses for this process', () => {
+      cache.recordLookup('artist:a1', 'memory');
+      cache.recordLookup('artist:a2', 'persistent');
+      cache.recordLookup('artist:a3', 'miss');
+      cache.recordLookup('audio-features:t1', 'miss');
+
+      const stats = cache.getSessionCacheStats();
+      expect(stats).toMatchObject({ hits: 2, misses: 2, hitRate: 50 });
+      expect(stats.byType.artist).toEqual({ memoryHits: 1, persistentHits: 1, misses: 1, hitRate: 66.7 });
+    });
+
+    it('should accumulate counts across flushes', async () => {
+      cache.recordLookup('artist:a1', 'miss');
+      await cache.flushMetadataCache();
+      cache.recordLookup('artist:a1', 'persistent');
+      cache.recordLookup('artist:a1', 'memory');
+      await cache.flushMetadataCache();
+
+      const { types } = await cache.getPersistedCacheStats();
+      expect(types.artist).toMatchObject({ hits: 2, misses: 1, hitRate: 66.7, ttlDays: 30 });
+      expect(types.album).toMatchObject({ entries: 0, hits: 0, hitRate: null });
+    });
+  });
+});
@@ -4,6 +4,7 @@ import {
   trackApiCall,
   trackError,
   trackTracks,
+  trackApiCallsSaved,
   getDailyMetrics,
   getMetricsSummary,
   getWeeklyMetrics,
@@ -11,6 +12,7 @@ import {
   cleanupOldMetrics,
   checkHealth
 } from '../../lib/metrics.js';
+import { loadState, updateState } from '../../lib/state-manager.js';
 
 /**
  * Metrics module tests
@@ -155,6 +157,34 @@ describe('metrics', () => {
       expect(result.errors).toBe(2);
     });
 
+    it('should add API calls saved by batching to the daily metrics', async () => {
+      startExecution('batch-test');
+      trackApiCallsSaved(8);
+      trackApiCallsSaved(2);
+
+      const result = await endExecution();
+      const daily = await getDailyMetrics();
+
+      expect(result.apiCallsSaved).toBe(10);
+      expect(daily.apiCallsSaved).toBe(10);
+    });
+
+    it('should keep metrics saved by another run in the meantime', async () => {
+      startExecution('race-test');
+      trackTracks(3, 3);
+
+      await Promise.all([
+        endExecution(),
+        updateState(state => {
+          state.metrics.daily.other = { executions: 1 };
+        })
+      ]);
+
+      const state = await loadState();
+      expect(state.metrics.daily.other).toEqual({ executions: 1 });
+      expect((await getDailyMetrics()).tracksLogged).toBe(3);
+    });
+
     it('should calculate duration correctly', async () => {
       startExecution('duration-test');
 
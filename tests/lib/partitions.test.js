@@ -0,0 +1,212 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+describe('partitions', () => {
+  const originalEnv = { ...process.env };
+  let tempDir;
+  let partitions;
+  let stateManager;
+  let sinks;
+  let headers;
+
+  // state-manager reads STATE_DIR at import time
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'partitions-test-'));
+    for (const name of ['USE_KV', 'VERCEL_ENV', 'KV_REST_API_URL', 'KV_REST_API_TOKEN', 'COLUMNS_FILE', 'USERS', 'USERS_FILE']) {
+      delete process.env[name];
+    }
+    process.env.STATE_DIR = path.join(tempDir, 'state');
+    process.env.STORAGE_DIR = path.join(tempDir, 'data');
+    process.env.STORAGE_SINK = 'csv';
+
+    partitions = await import('../../lib/partitions.js');
+    stateManager = await import('../../lib/state-manager.js');
+    sinks = await import('../../lib/sinks/index.js');
+    headers = (await import('../../lib/data-formatter.js')).getSheetHeaders();
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+    process.env = originalEnv;
+  });
+
+  beforeEach(async () => {
+    process.env.LISTENING_LOG_PARTITIONS = 'monthly';
+    delete process.env.ARCHIVE_AFTER_MONTHS;
+    await fs.rm(process.env.STORAGE_DIR, { recursive: true, force: true });
+    await stateManager.clearAllState();
+    sinks.resetSink();
+  });
+
+  function play(trackId, timestamp) {
+    return { trackId, timestamp, trackName: `Song ${trackId}`, status: 'COMPLETED' };
+  }
+
+  async function logPlays(plays) {
+    const logSheets = await partitions.loadListeningLog(plays.map(p => p.timestamp));
+    const { formatAsSheetRow } = await import('../../lib/data-formatter.js');
+    return partitions.appendToListeningLog(plays, logSheets, formatAsSheetRow);
+  }
+
+  const trackIds = rows => rows.slice(1).map(row => row[headers.indexOf('Track ID')]);
+
+  describe('naming', () => {
+    it('should partition plays by UTC month', () => {
+      expect(partitions.toPartitionMonth('2024-03-31T23:59:59.000Z')).toBe('2024-03');
+      expect(partitions.toPartitionMonth('2024-04-01T01:00:00+02:00')).toBe('2024-03');
+      expect(partitions.toPartitionMonth('not a date')).toBeNull();
+      expect(partitions.getPartitionSheetName('2024-03')).toBe('Listening Log 2024-03');
+      expect(partitions.getArchiveSheetName('2024-03')).toBe('Listening Log 2024');
+      expect(partitions.addMonths('2024-01', -2)).toBe('2023-11');
+      expect(partitions.addMonths('2024-12', 1)).toBe('2025-01');
+    });
+
+    it('should log to the unpartitioned tab unless enabled', () => {
+      expect(partitions.getLogSheetName('2024-03-05T10:00:00.000Z')).toBe('Listening Log 2024-03');
+
+      process.env.LISTENING_LOG_PARTITIONS = 'none';
+      expect(partitions.getLogSheetName('2024-03-05T10:00:00.000Z')).toBe('Listening Log');
+
+      process.env.LISTENING_LOG_PARTITIONS = 'weekly';
+      expect(() => partitions.isPartitioned()).toThrow('Unknown LISTENING_LOG_PARTITIONS "weekly"');
+    });
+
+    it('should keep at least the current and previous month live', () => {
+      expect(partitions.getArchiveAfterMonths()).toBe(3);
+      process.env.ARCHIVE_AFTER_MONTHS = '1';
+      expect(partitions.getArchiveAfterMonths()).toBe(2);
+    });
+  });
+
+  describe('selectPartitions', () => {
+    const index = {
+      '2024-01': { sheet: 'Listening Log 2024-01', archive: { sheet: 'Listening Log 2024' } },
+      '2024-02': { sheet: 'Listening Log 2024-02', archive: null },
+      '2024-04': { sheet: 'Listening Log 2024-04', archive: null }
+    };
+
+    it('should cover the months within the window of the plays', () => {
+      expect(partitions.selectPartitions(['2024-03-01T00:03:00.000Z'], index, { create: true })).toEqual({
+        months: ['2024-02', '2024-03'],
+        archived: []
+      });
+      expect(partitions.selectPartitions(['2024-03-15T12:00:00.000Z'], index).months).toEqual([]);
+    });
+
+    it('should leave out archived months', () => {
+      expect(partitions.selectPartitions(['2024-01-31T23:58:00.000Z', '2024-02-10T00:00:00.000Z'], index)).toEqual({
+        months: ['2024-02'],
+        archived: ['2024-01']
+      });
+    });
+  });
+
+  describe('loadListeningLog and appendToListeningLog', () => {
+    it('should write plays to their month and index the partitions', async () => {
+      const result = await logPlays([play('t1', '2024-01-31T23:58:00.000Z'), play('t2', '2024-02-01T00:02:00.000Z')]);
+
+      expect(result).toEqual({ updatedRows: 2, sheets: ['Listening Log 2024-01', 'Listening Log 2024-02'] });
+      expect(trackIds(await sinks.getAllRows('Listening Log 2024-01'))).toEqual(['t1']);
+      expect(trackIds(await sinks.getAllRows('Listening Log 2024-02'))).toEqual(['t2']);
+      expect(await stateManager.getLogPartitions()).toEqual({
+        '2024-01': { sheet: 'Listening Log 2024-01', rows: 1, firstPlayedAt: '2024-01-31T23:58:00.000Z', lastPlayedAt: '2024-01-31T23:58:00.000Z', archive: null },
+        '2024-02': { sheet: 'Listening Log 2024-02', rows: 1, firstPlayedAt: '2024-02-01T00:02:00.000Z', lastPlayedAt: '2024-02-01T00:02:00.000Z', archive: null }
+      });
+    });
+
+    it('should only read the partitions around the plays', async () => {
+      await logPlays([play('t1', '2024-01-10T12:00:00.000Z'), play('t2', '2024-02-10T12:00:00.000Z')]);
+
+      const loaded = await partitions.loadListeningLog(['2024-02-20T12:00:00.000Z']);
+      expect(loaded.map(sheet => sheet.sheetName)).toEqual(['Listening Log 2024-02']);
+      expect(trackIds(loaded[0].rows)).toEqual(['t2']);
+
+      const retry = await partitions.loadListeningLog(['2024-03-01T00:01:00.000Z'], { create: false });
+      expect(retry.map(sheet => sheet.sheetName)).toEqual(['Listening Log 2024-02']);
+    });
+
+    it('should check the unpartitioned tab until the first partition is written', async () => {
+      await sinks.appendRows('Listening Log', [headers]);
+      const legacy = await partitions.loadListeningLog(['2024-02-10T12:00:00.000Z'], { readOnly: true });
+      expect(legacy.map(sheet => sheet.sheetName)).toEqual(['Listening Log']);
+
+      await logPlays([play('t1', '2024-02-10T12:00:00.000Z')]);
+      const loaded = await partitions.loadListeningLog(['2024-02-10T12:00:00.000Z']);
+      expect(loaded.map(sheet => sheet.sheetName)).toEqual(['Listening Log 2024-02']);
+    });
+  });
+
+  describe('archiveLogPartitions', () => {
+    const now = Date.parse('2024-05-10T12:00:00.000Z');
+    const archiveDir = () => path.join(process.env.STORAGE_DIR, 'archive');
+
+    it('should compact old partitions into yearly archive tabs', async () => {
+      await logPlays([
+        play('t1', '2024-01-10T12:00:00.000Z'),
+        play('t2', '2024-02-10T12:00:00.000Z'),
+        play('t3', '2024-03-10T12:00:00.000Z'),
+        play('t4', '2024-05-01T12:00:00.000Z')
+      ]);
+
+      const result = await partitions.archiveLogPartitions({ now });
+
+      expect(result.keptFrom).toBe('2024-03');
+      expect(result.failed).toEqual([]);
+      expect(result.archived).toEqual([
+        { month: '2024-01', sheet: 'Listening Log 2024-01', archiveSheet: 'Listening Log 2024', rows: 1, copied: 1, deleted: true },
+        { month: '2024-02', sheet: 'Listening Log 2024-02', archiveSheet: 'Listening Log 2024', rows: 1, copied: 1, deleted: true }
+      ]);
+
+      const archive = sinks.createSink('csv', { directory: archiveDir() });
+      expect(trackIds(await archive.getAllRows('Listening Log 2024'))).toEqual(['t1', 't2']);
+      expect(await sinks.getAllRows('Listening Log 2024-01')).toEqual([]);
+      expect(trackIds(await sinks.getAllRows('Listening Log 2024-03'))).toEqual(['t3']);
+
+      const index = await stateManager.getLogPartitions();
+      expect(index['2024-01'].archive).toEqual({
+        sheet: 'Listening Log 2024',
+        location: archiveDir(),
+        rows: 1,
+        archivedAt: '2024-05-10T12:00:00.000Z'
+      });
+      expect(index['2024-03'].archive).toBeNull();
+
+      expect((await partitions.archiveLogPartitions({ now })).archived).toEqual([]);
+    });
+
+    it('should not copy rows twice and keep columns added by hand', async () => {
+      await logPlays([play('t1', '2024-01-10T12:00:00.000Z'), play('t2', '2024-01-11T12:00:00.000Z')]);
+      const rows = await sinks.getAllRows('Listening Log 2024-01');
+      await fs.writeFile(
+        path.join(process.env.STORAGE_DIR, 'listening-log-2024-01.csv'),
+        rows.map((row, i) => [...row, i === 0 ? 'Notes' : `note ${i}`].join(',')).join('\n') + '\n'
+      );
+
+      // An earlier archival copied t1 but stopped before deleting the partition
+      const archive = sinks.createSink('csv', { directory: archiveDir() });
+      await archive.appendRows('Listening Log 2024', [rows[1]]);
+
+      const result = await partitions.archiveLogPartitions({ now });
+
+      expect(result.archived).toEqual([expect.objectContaining({ month: '2024-01', rows: 2, copied: 1 })]);
+      const archived = await archive.getAllRows('Listening Log 2024');
+      expect(trackIds(archived)).toEqual(['t1', 't2']);
+      expect(archived[0][archived[0].length - 1]).toBe('Notes');
+      expect(archived[2][archived[0].length - 1]).toBe('note 2');
+    });
+
+    it('should require partitions and an archive', async () => {
+      process.env.LISTENING_LOG_PARTITIONS = 'none';
+      await expect(partitions.archiveLogPartitions({ now })).rejects.toThrow('partitions are disabled');
+
+      process.env.LISTENING_LOG_PARTITIONS = 'monthly';
+      process.env.STORAGE_SINK = 'sheets';
+      try {
+        await expect(partitions.archiveLogPartitions({ now })).rejects.toThrow('set ARCHIVE_SHEETS_ID');
+      } finally {
+        process.env.STORAGE_SINK = 'csv';
+      }
+    });
+  });
+});
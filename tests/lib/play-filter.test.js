@@ -2,6 +2,8 @@ import {
   isValidPlay,
   isDuplicate,
   filterNewPlays,
+  filterNewSkips,
+  estimateListenTimes,
   sortTracksByTimestamp,
   getMostRecentTrack,
   calculateActualPlayTime,
@@ -31,6 +33,16 @@ describe('play-filter', () => {
       expect(isValidPlay(track, 60000)).toBe(true);
     });
 
+    it('should reject measured plays shorter than 30 seconds', () => {
+      const track = { track: { duration_ms: 180000 }, measured_play_ms: 12000 };
+      expect(isValidPlay(track)).toBe(false);
+    });
+
+    it('should accept measured plays of 30 seconds or more', () => {
+      const track = { track: { duration_ms: 180000 }, measured_play_ms: 30000 };
+      expect(isValidPlay(track)).toBe(true);
+    });
+
     it('should return false for missing track data (zero duration)', () => {
       const track = { track: null };
       // When track.track is null, duration_ms is 0, which fails the duration > 0 check
@@ -132,6 +144,67 @@ describe('play-filter', () => {
     });
   });
 
+  describe('filterNewSkips', () => {
+    it('should return empty array for empty input', () => {
+      expect(filterNewSkips([], {})).toEqual([]);
+      expect(filterNewSkips(null, {})).toEqual([]);
+    });
+
+    it('should return new plays under 30 seconds', () => {
+      const now = Date.now();
+      const tracks = [
+        { track: { id: '1', duration_ms: 180000 }, played_at: new Date(now).toISOString(), estimated_play_ms: 10000 },
+        { track: { id: '2', duration_ms: 180000 }, played_at: new Date(now - 60000).toISOString() }
+      ];
+
+      const result = filterNewSkips(tracks, {});
+      expect(result).toHaveLength(1);
+      expect(result[0].track.id).toBe('1');
+    });
+
+    it('should ignore skips that were already processed', () => {
+      const now = Date.now();
+      const tracks = [
+        { track: { id: '1', duration_ms: 180000 }, played_at: new Date(now - 60000).toISOString(), measured_play_ms: 5000 }
+      ];
+      const state = {
+        lastProcessed: { trackId: 'other', playedAt: new Date(now).toISOString() }
+      };
+
+      expect(filterNewSkips(tracks, state)).toHaveLength(0);
+    });
+  });
+
+  describe('estimateListenTimes', () => {
+    it('should return empty array for empty input', () => {
+      expect(estimateListenTimes([])).toEqual([]);
+      expect(estimateListenTimes(null)).toEqual([]);
+    });
+
+    it('should estimate listen time from the gap to the previous play', () => {
+      const now = Date.now();
+      const tracks = [
+        { track: { id: '2', duration_ms: 180000 }, played_at: new Date(now).toISOString() },
+        { track: { id: '1', duration_ms: 180000 }, played_at: new Date(now - 15000).toISOString() }
+      ];
+
+      const result = estimateListenTimes(tracks);
+      expect(result[0].estimated_play_ms).toBe(15000);
+      expect(result[1].estimated_play_ms).toBeUndefined();
+    });
+
+    it('should not estimate when the gap is longer than the track', () => {
+      const now = Date.now();
+      const tracks = [
+        { track: { id: '1', duration_ms: 180000 }, played_at: new Date(now - 200000).toISOString() },
+        { track: { id: '2', duration_ms: 180000 }, played_at: new Date(now).toISOString() }
+      ];
+
+      const result = estimateListenTimes(tracks);
+      expect(result[1]).toBe(tracks[1]);
+    });
+  });
+
   describe('sortTracksByTimestamp', () => {
     it('should sort tracks oldest first', () => {
       const now = Date.now();
@@ -193,6 +266,15 @@ describe('play-filter', () => {
       expect(calculateActualPlayTime(track)).toBe(180000);
     });
 
+    it('should prefer measured play time over progress_ms', () => {
+      const track = {
+        track: { duration_ms: 180000 },
+        progress_ms: 90000,
+        measured_play_ms: 45000
+      };
+      expect(calculateActualPlayTime(track)).toBe(45000);
+    });
+
     it('should return 0 for missing track data', () => {
       const track = { track: null };
       expect(calculateActualPlayTime(track)).toBe(0);
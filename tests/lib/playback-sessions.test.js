@@ -0,0 +1,201 @@
+import {
+  createPlaybackSample,
+  mergePlaybackSample,
+  findSessionForPlay,
+  calculateMeasuredPlayTime,
+  attachMeasuredPlayTimes,
+  pruneSessions
+} from '../../lib/playback-sessions.js';
+
+const BASE_TIME = new Date('2024-01-15T12:00:00Z').getTime();
+
+function playback(progressMs, overrides = {}) {
+  return {
+    is_playing: true,
+    progress_ms: progressMs,
+    currently_playing_type: 'track',
+    item: { id: 'track1', name: 'Test Track', duration_ms: 180000, type: 'track' },
+    ...overrides
+  };
+}
+
+function sample(progressMs, offsetMs, overrides = {}) {
+  return createPlaybackSample(playback(progressMs, overrides), BASE_TIME + offsetMs);
+}
+
+describe('playback-sessions', () => {
+  describe('createPlaybackSample', () => {
+    it('should return null when nothing is playing', () => {
+      expect(createPlaybackSample(null)).toBeNull();
+      expect(createPlaybackSample('')).toBeNull();
+      expect(createPlaybackSample({ is_playing: false, item: null })).toBeNull();
+    });
+
+    it('should ignore episodes and ads', () => {
+      expect(createPlaybackSample(playback(1000, { currently_playing_type: 'episode' }))).toBeNull();
+      expect(createPlaybackSample(playback(1000, { currently_playing_type: 'ad' }))).toBeNull();
+    });
+
+    it('should extract track progress', () => {
+      const result = sample(42000, 0);
+      expect(result).toEqual({
+        trackId: 'track1',
+        trackName: 'Test Track',
+        durationMs: 180000,
+        progressMs: 42000,
+        isPlaying: true,
+        sampledAt: new Date(BASE_TIME).toISOString()
+      });
+    });
+  });
+
+  describe('mergePlaybackSample', () => {
+    it('should start a new session for the first sample', () => {
+      const sessions = mergePlaybackSample([], sample(10000, 0));
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].listenedMs).toBe(10000);
+      expect(sessions[0].startedAt).toBe(new Date(BASE_TIME - 10000).toISOString());
+    });
+
+    it('should accumulate forward progress within a session', () => {
+      let sessions = mergePlaybackSample([], sample(10000, 0));
+      sessions = mergePlaybackSample(sessions, sample(25000, 15000));
+      sessions = mergePlaybackSample(sessions, sample(40000, 30000));
+
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].listenedMs).toBe(40000);
+      expect(sessions[0].sampleCount).toBe(3);
+    });
+
+    it('should not count forward seeks as listening time', () => {
+      let sessions = mergePlaybackSample([], sample(10000, 0));
+      sessions = mergePlaybackSample(sessions, sample(150000, 15000));
+
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].listenedMs).toBe(10000 + 15000 + 2000);
+    });
+
+    it('should not count time while paused', () => {
+      let sessions = mergePlaybackSample([], sample(10000, 0, { is_playing: false }));
+      sessions = mergePlaybackSample(sessions, sample(10000, 60000, { is_playing: false }));
+
+      expect(sessions[0].listenedMs).toBe(10000);
+    });
+
+    it('should start a new session when the track restarts', () => {
+      let sessions = mergePlaybackSample([], sample(170000, 0));
+      sessions = mergePlaybackSample(sessions, sample(2000, 15000));
+
+      expect(sessions).toHaveLength(2);
+    });
+
+    it('should start a new session for a different track', () => {
+      let sessions = mergePlaybackSample([], sample(10000, 0));
+      sessions = mergePlaybackSample(sessions, sample(5000, 15000, {
+        item: { id: 'track2', name: 'Other', duration_ms: 200000 }
+      }));
+
+      expect(sessions).toHaveLength(2);
+      expect(sessions[1].trackId).toBe('track2');
+    });
+
+    it('should not mutate the input array', () => {
+      const original = mergePlaybackSample([], sample(10000, 0));
+      const copy = JSON.parse(JSON.stringify(original));
+      mergePlaybackSample(original, sample(25000, 15000));
+
+      expect(original).toEqual(copy);
+    });
+  });
+
+  describe('findSessionForPlay', () => {
+    it('should match the session that ended at played_at', () => {
+      let sessions = mergePlaybackSample([], sample(10000, 0));
+      sessions = mergePlaybackSample(sessions, sample(40000, 30000));
+
+      const item = {
+        track: { id: 'track1', duration_ms: 180000 },
+        played_at: new Date(BASE_TIME + 40000).toISOString()
+      };
+
+      expect(findSessionForPlay(sessions, item)).toBe(sessions[0]);
+    });
+
+    it('should return null for a different track', () => {
+      const sessions = mergePlaybackSample([], sample(10000, 0));
+      const item = {
+        track: { id: 'other', duration_ms: 180000 },
+        played_at: new Date(BASE_TIME).toISOString()
+      };
+
+      expect(findSessionForPlay(sessions, item)).toBeNull();
+    });
+
+    it('should not match a session from long before the play', () => {
+      const sessions = mergePlaybackSample([], sample(10000, 0));
+      const item = {
+        track: { id: 'track1', duration_ms: 180000 },
+        played_at: new Date(BASE_TIME + 60 * 60 * 1000).toISOString()
+      };
+
+      expect(findSessionForPlay(sessions, item)).toBeNull();
+    });
+  });
+
+  describe('calculateMeasuredPlayTime', () => {
+    it('should add the unsampled tail up to played_at', () => {
+      const sessions = mergePlaybackSample([], sample(170000, 0));
+      const item = { played_at: new Date(BASE_TIME + 15000).toISOString() };
+
+      expect(calculateMeasuredPlayTime(sessions[0], item)).toBe(180000);
+    });
+
+    it('should not add a tail when paused at the last sample', () => {
+      const sessions = mergePlaybackSample([], sample(20000, 0, { is_playing: false }));
+      const item = { played_at: new Date(BASE_TIME + 60000).toISOString() };
+
+      expect(calculateMeasuredPlayTime(sessions[0], item)).toBe(20000);
+    });
+
+    it('should return 0 without a session', () => {
+      expect(calculateMeasuredPlayTime(null)).toBe(0);
+    });
+  });
+
+  describe('attachMeasuredPlayTimes', () => {
+    it('should attach measured time to matching items only', () => {
+      const sessions = mergePlaybackSample([], sample(20000, 0, { is_playing: false }));
+      const items = [
+        { track: { id: 'track1', duration_ms: 180000 }, played_at: new Date(BASE_TIME + 1000).toISOString() },
+        { track: { id: 'track2', duration_ms: 180000 }, played_at: new Date(BASE_TIME).toISOString() }
+      ];
+
+      const result = attachMeasuredPlayTimes(items, sessions);
+      expect(result[0].measured_play_ms).toBe(20000);
+      expect(result[0].play_session_id).toBe(sessions[0].id);
+      expect(result[1]).toBe(items[1]);
+    });
+
+    it('should return empty array for no items', () => {
+      expect(attachMeasuredPlayTimes([], [])).toEqual([]);
+      expect(attachMeasuredPlayTimes(null, [])).toEqual([]);
+    });
+  });
+
+  describe('pruneSessions', () => {
+    it('should drop sessions older than the retention window', () => {
+      let sessions = mergePlaybackSample([], sample(10000, 0));
+      sessions = mergePlaybackSample(sessions, sample(5000, 60000, {
+        item: { id: 'track2', name: 'Other', duration_ms: 200000 }
+      }));
+
+      const result = pruneSessions(sessions, 30000, BASE_TIME + 70000);
+      expect(result).toHaveLength(1);
+      expect(result[0].trackId).toBe('track2');
+    });
+
+    it('should handle invalid input', () => {
+      expect(pruneSessions(null)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import {
+  getPodcastHeaders,
+  createEpisodeSample,
+  mergeEpisodeSample,
+  expireEpisode,
+  formatEpisodeRow
+} from '../../lib/podcasts.js';
+
+const BASE_TIME = new Date('2024-01-15T12:00:00Z').getTime();
+
+function episodePlayback(progressMs, overrides = {}) {
+  return {
+    is_playing: true,
+    progress_ms: progressMs,
+    currently_playing_type: 'episode',
+    device: { name: 'Kitchen Speaker' },
+    item: {
+      id: 'episode1',
+      type: 'episode',
+      name: 'Episode 1',
+      duration_ms: 3600000,
+      release_date: '2024-01-10',
+      resume_point: { fully_played: false, resume_position_ms: progressMs },
+      show: { id: 'show1', name: 'Test Show', publisher: 'Test Publisher' }
+    },
+    ...overrides
+  };
+}
+
+function sample(progressMs, offsetMs, overrides = {}) {
+  return createEpisodeSample(episodePlayback(progressMs, overrides), BASE_TIME + offsetMs);
+}
+
+describe('podcasts', () => {
+  describe('getPodcastHeaders', () => {
+    it('should include the episode columns', () => {
+      const headers = getPodcastHeaders();
+      expect(headers).toContain('Show Name');
+      expect(headers).toContain('Episode Name');
+      expect(headers).toContain('Publisher');
+      expect(headers).toContain('Resume Point (ms)');
+      expect(headers).toContain('Fully Played');
+    });
+  });
+
+  describe('createEpisodeSample', () => {
+    it('should create a sample from an episode', () => {
+      const result = sample(60000, 0);
+
+      expect(result).toMatchObject({
+        episodeId: 'episode1',
+        episodeName: 'Episode 1',
+        showId: 'show1',
+        showName: 'Test Show',
+        publisher: 'Test Publisher',
+        mediaType: 'Podcast',
+        durationMs: 3600000,
+        device: 'Kitchen Speaker',
+        progressMs: 60000,
+        resumePointMs: 60000,
+        fullyPlayed: false,
+        isPlaying: true
+      });
+    });
+
+    it('should treat chapters as audiobooks', () => {
+      const playback = episodePlayback(1000);
+      playback.item = {
+        id: 'chapter1',
+        type: 'chapter',
+        name: 'Chapter 1',
+        duration_ms: 900000,
+        audiobook: { id: 'book1', name: 'Test Book', publisher: 'Books Inc' }
+      };
+
+      const result = createEpisodeSample(playback, BASE_TIME);
+      expect(result.mediaType).toBe('Audiobook');
+      expect(result.showName).toBe('Test Book');
+      expect(result.publisher).toBe('Books Inc');
+    });
+
+    it('should return null for tracks and empty responses', () => {
+      expect(createEpisodeSample(null)).toBeNull();
+      expect(createEpisodeSample('')).toBeNull();
+      expect(createEpisodeSample({ item: { id: 't1', type: 'track' } })).toBeNull();
+    });
+  });
+
+  describe('mergeEpisodeSample', () => {
+    it('should start a listen from the first sample', () => {
+      const { current, finished } = mergeEpisodeSample(null, sample(60000, 0));
+
+      expect(finished).toBeNull();
+      expect(current.sampleCount).toBe(1);
+      expect(current.listenedMs).toBe(0);
+      expect(current.startedAt).toBe(new Date(BASE_TIME - 60000).toISOString());
+    });
+
+    it('should accumulate listened time from forward progress', () => {
+      let { current } = mergeEpisodeSample(null, sample(60000, 0));
+      ({ current } = mergeEpisodeSample(current, sample(75000, 15000)));
+      ({ current } = mergeEpisodeSample(current, sample(90000, 30000)));
+
+      expect(current.listenedMs).toBe(30000);
+      expect(current.resumePointMs).toBe(90000);
+      expect(current.sampleCount).toBe(3);
+    });
+
+    it('should not count seeking forward as listening', () => {
+      let { current } = mergeEpisodeSample(null, sample(60000, 0));
+      ({ current } = mergeEpisodeSample(current, sample(600000, 15000)));
+
+      expect(current.listenedMs).toBeLessThanOrEqual(17000);
+    });
+
+    it('should finish the listen when a different episode starts', () => {
+      const first = mergeEpisodeSample(null, sample(60000, 0)).current;
+      const other = sample(0, 15000);
+      other.episodeId = 'episode2';
+
+      const { current, finished } = mergeEpisodeSample(first, other);
+
+      expect(finished).toBe(first);
+      expect(current.episodeId).toBe('episode2');
+    });
+
+    it('should mark fully played near the end or from the resume point', () => {
+      let { current } = mergeEpisodeSample(null, sample(3550000, 0));
+      expect(current.fullyPlayed).toBe(true);
+
+      const played = episodePlayback(10000);
+      played.item.resume_point = { fully_played: true, resume_position_ms: 0 };
+      ({ current } = mergeEpisodeSample(null, createEpisodeSample(played, BASE_TIME)));
+      expect(current.fullyPlayed).toBe(true);
+    });
+  });
+
+  describe('expireEpisode', () => {
+    const listen = mergeEpisodeSample(null, sample(60000, 0)).current;
+
+    it('should keep a recent listen', () => {
+      expect(expireEpisode(listen, BASE_TIME + 60000)).toEqual({ current: listen, finished: null });
+    });
+
+    it('should finish a listen after the idle window', () => {
+      expect(expireEpisode(listen, BASE_TIME + 11 * 60 * 1000)).toEqual({ current: null, finished: listen });
+    });
+
+    it('should finish immediately with a zero idle window', () => {
+      expect(expireEpisode(listen, BASE_TIME, 0).finished).toBe(listen);
+    });
+
+    it('should handle no current listen', () => {
+      expect(expireEpisode(null)).toEqual({ current: null, finished: null });
+    });
+  });
+
+  describe('formatEpisodeRow', () => {
+    it('should match the header order', () => {
+      let { current } = mergeEpisodeSample(null, sample(60000, 0));
+      ({ current } = mergeEpisodeSample(current, sample(75000, 15000)));
+
+      const row = formatEpisodeRow(current);
+      const headers = getPodcastHeaders();
+
+      expect(row).toHaveLength(headers.length);
+      expect(row[headers.indexOf('Show Name')]).toBe('Test Show');
+      expect(row[headers.indexOf('Episode Name')]).toBe('Episode 1');
+      expect(row[headers.indexOf('Resume Point (ms)')]).toBe(75000);
+      expect(row[headers.indexOf('Fully Played')]).toBe(false);
+      expect(row[headers.indexOf('Listened (ms)')]).toBe(15000);
+    });
+  });
+});
@@ -0,0 +1,234 @@
+import {
+  getSessionHeaders,
+  toSessionPlay,
+  sessionizePlays,
+  summarizeSession,
+  formatSessionRow,
+  toDayKey,
+  advanceStreak,
+  getStreakStatus
+} from '../../lib/sessions.js';
+
+const MINUTE = 60 * 1000;
+const GAP_MS = 20 * MINUTE;
+
+// played_at marks the end of a play, so a 3 minute play ending at 12:03 started at 12:00
+function sessionPlay(playedAt, overrides = {}) {
+  return {
+    playedAt,
+    listenedMs: 3 * MINUTE,
+    device: 'Phone',
+    context: 'playlist',
+    contextUri: 'spotify:playlist:abc',
+    artist: 'Artist A',
+    energy: 0.8,
+    valence: 0.6,
+    ...overrides
+  };
+}
+
+describe('sessions', () => {
+  describe('toSessionPlay', () => {
+    it('should map formatted tracks to session plays', () => {
+      expect(toSessionPlay({
+        timestamp: '2024-01-15T12:03:00.000Z',
+        playDuration: 150000,
+        duration: 180000,
+        artists: 'Artist A, Artist B',
+        device: 'Phone',
+        context: 'album',
+        contextUri: 'spotify:album:xyz',
+        energy: 0.5,
+        valence: null
+      })).toEqual({
+        playedAt: '2024-01-15T12:03:00.000Z',
+        listenedMs: 150000,
+        device: 'Phone',
+        context: 'album',
+        contextUri: 'spotify:album:xyz',
+        artist: 'Artist A',
+        energy: 0.5,
+        valence: null
+      });
+    });
+  });
+
+  describe('sessionizePlays', () => {
+    it('should group consecutive plays into one session', () => {
+      const { closed, open } = sessionizePlays([
+        sessionPlay('2024-01-15T12:06:00.000Z'),
+        sessionPlay('2024-01-15T12:03:00.000Z'),
+        sessionPlay('2024-01-15T12:09:00.000Z', { energy: 0.4, valence: 0.2 })
+      ], null, { gapMs: GAP_MS });
+
+      expect(closed).toEqual([]);
+      expect(open.start).toBe('2024-01-15T12:00:00.000Z');
+      expect(open.end).toBe('2024-01-15T12:09:00.000Z');
+      expect(open.trackCount).toBe(3);
+      expect(open.listenedMs).toBe(9 * MINUTE);
+    });
+
+    it('should start a new session after a gap', () => {
+      const { closed, open } = sessionizePlays([
+        sessionPlay('2024-01-15T12:03:00.000Z'),
+        sessionPlay('2024-01-15T13:03:00.000Z')
+      ], null, { gapMs: GAP_MS });
+
+      expect(closed).toHaveLength(1);
+      expect(closed[0].trackCount).toBe(1);
+      expect(open.start).toBe('2024-01-15T13:00:00.000Z');
+    });
+
+    it('should measure the gap from the end of the previous play to the start of the next', () => {
+      // A 25 minute track ending at 12:53 started at 12:28, only 25 minutes after 12:03
+      const { closed } = sessionizePlays([
+        sessionPlay('2024-01-15T12:03:00.000Z'),
+        sessionPlay('2024-01-15T12:53:00.000Z', { listenedMs: 25 * MINUTE })
+      ], null, { gapMs: 30 * MINUTE });
+
+      expect(closed).toEqual([]);
+    });
+
+    it('should split by device and context URI', () => {
+      const { closed, open } = sessionizePlays([
+        sessionPlay('2024-01-15T12:03:00.000Z'),
+        sessionPlay('2024-01-15T12:06:00.000Z', { device: 'Laptop' }),
+        sessionPlay('2024-01-15T12:09:00.000Z', { device: 'Laptop', contextUri: 'spotify:album:xyz' })
+      ], null, { gapMs: GAP_MS });
+
+      expect(closed.map(s => s.device)).toEqual(['Phone', 'Laptop']);
+      expect(open.contextUri).toBe('spotify:album:xyz');
+    });
+
+    it('should keep plays without a context in the current session', () => {
+      const { closed, open } = sessionizePlays([
+        sessionPlay('2024-01-15T12:03:00.000Z'),
+        sessionPlay('2024-01-15T12:06:00.000Z', { context: '', contextUri: '' })
+      ], null, { gapMs: GAP_MS });
+
+      expect(closed).toEqual([]);
+      expect(open.trackCount).toBe(2);
+    });
+
+    it('should continue the open session from a previous run', () => {
+      const first = sessionizePlays([sessionPlay('2024-01-15T12:03:00.000Z')], null, { gapMs: GAP_MS });
+      const second = sessionizePlays([
+        sessionPlay('2024-01-15T12:03:00.000Z'), // already counted
+        sessionPlay('2024-01-15T12:06:00.000Z')
+      ], first.open, { gapMs: GAP_MS });
+
+      expect(second.closed).toEqual([]);
+      expect(second.open.trackCount).toBe(2);
+    });
+
+    it('should close the open session once the gap has elapsed', () => {
+      const { open } = sessionizePlays([sessionPlay('2024-01-15T12:03:00.000Z')], null, { gapMs: GAP_MS });
+
+      const stillOpen = sessionizePlays([], open, { gapMs: GAP_MS, now: Date.parse('2024-01-15T12:10:00.000Z') });
+      expect(stillOpen).toEqual({ closed: [], open });
+
+      const elapsed = sessionizePlays([], open, { gapMs: GAP_MS, now: Date.parse('2024-01-15T13:00:00.000Z') });
+      expect(elapsed).toEqual({ closed: [open], open: null });
+    });
+  });
+
+  describe('summarizeSession', () => {
+    it('should summarize the dominant context and averages', () => {
+      const { open } = sessionizePlays([
+        sessionPlay('2024-01-15T12:03:00.000Z', { contextUri: '', context: '', artist: 'Artist B' }),
+        sessionPlay('2024-01-15T12:06:00.000Z'),
+        sessionPlay('2024-01-15T12:09:00.000Z', { energy: 0.4, valence: null })
+      ], null, { gapMs: GAP_MS });
+
+      expect(summarizeSession(open)).toEqual({
+        start: '2024-01-15T12:00:00.000Z',
+        end: '2024-01-15T12:09:00.000Z',
+        durationMinutes: 9,
+        trackCount: 3,
+        listenedMinutes: 9,
+        device: 'Phone',
+        context: 'playlist',
+        contextUri: 'spotify:playlist:abc',
+        avgEnergy: 0.67,
+        avgValence: 0.6,
+        topArtist: 'Artist A'
+      });
+    });
+  });
+
+  describe('formatSessionRow', () => {
+    it('should match the header order', () => {
+      const { open } = sessionizePlays([sessionPlay('2024-01-15T12:03:00.000Z', { energy: null, valence: null })], null, { gapMs: GAP_MS });
+      const row = formatSessionRow(open);
+      const headers = getSessionHeaders();
+
+      expect(row).toHaveLength(headers.length);
+      expect(row[headers.indexOf('Track Count')]).toBe(1);
+      expect(row[headers.indexOf('Dominant Context')]).toBe('playlist');
+      expect(row[headers.indexOf('Avg Energy')]).toBe('');
+    });
+  });
+
+  describe('advanceStreak', () => {
+    it('should start a streak', () => {
+      expect(advanceStreak(null, '2024-01-15')).toEqual({
+        current: 1,
+        currentStart: '2024-01-15',
+        longest: 1,
+        longestStart: '2024-01-15',
+        longestEnd: '2024-01-15',
+        lastListenDate: '2024-01-15'
+      });
+    });
+
+    it('should extend on consecutive days and across months', () => {
+      const streak = ['2024-01-30', '2024-01-31', '2024-02-01'].reduce(advanceStreak, null);
+
+      expect(streak.current).toBe(3);
+      expect(streak.currentStart).toBe('2024-01-30');
+      expect(streak.longestEnd).toBe('2024-02-01');
+    });
+
+    it('should reset after a missed day and keep the longest', () => {
+      const streak = ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-05'].reduce(advanceStreak, null);
+
+      expect(streak).toEqual({
+        current: 1,
+        currentStart: '2024-01-05',
+        longest: 3,
+        longestStart: '2024-01-01',
+        longestEnd: '2024-01-03',
+        lastListenDate: '2024-01-05'
+      });
+    });
+
+    it('should ignore days already counted', () => {
+      const streak = advanceStreak(null, '2024-01-15');
+      expect(advanceStreak(streak, '2024-01-15')).toBe(streak);
+      expect(advanceStreak(streak, '2024-01-10')).toBe(streak);
+    });
+  });
+
+  describe('getStreakStatus', () => {
+    const streak = ['2024-01-14', '2024-01-15'].reduce(advanceStreak, null);
+
+    it('should report an active streak', () => {
+      expect(getStreakStatus(streak, Date.parse('2024-01-15T20:00:00Z'))).toMatchObject({ current: 2, active: true, listenedToday: true });
+      expect(getStreakStatus(streak, Date.parse('2024-01-16T08:00:00Z'))).toMatchObject({ current: 2, active: true, listenedToday: false });
+    });
+
+    it('should report a broken streak as zero but keep the longest', () => {
+      expect(getStreakStatus(streak, Date.parse('2024-01-17T08:00:00Z'))).toMatchObject({ current: 0, longest: 2, active: false });
+    });
+
+    it('should handle no streak', () => {
+      expect(getStreakStatus(null)).toMatchObject({ current: 0, longest: 0, active: false, lastListenDate: null });
+    });
+  });
+
+  describe('toDayKey', () => {
+    it('should use UTC days', () => {
+      expect(toDayKey('2024-01-15T23:59:59.000Z')).toBe('2024-01-15');
+    });
+  });
+});
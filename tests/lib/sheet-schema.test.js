@@ -0,0 +1,233 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  LISTENING_LOG_SCHEMA,
+  HISTORICAL_DATA_SCHEMA,
+  getSheetSchema,
+  getSchemaHeaders,
+  detectSchemaVersion,
+  planSchemaMigration,
+  applySchemaMigration,
+  createColumnMap,
+  readColumn,
+  toSheetRow,
+  parseColumnConfig,
+  hasColumnConfig
+} from '../../lib/sheet-schema.js';
+
+describe('sheet-schema', () => {
+  const v1 = getSchemaHeaders(LISTENING_LOG_SCHEMA, 1);
+  const latest = getSchemaHeaders(LISTENING_LOG_SCHEMA);
+
+  describe('registry', () => {
+    it('should version the Listening Log columns', () => {
+      expect(v1).toHaveLength(28);
+      expect(v1[27]).toBe('Error Details');
+      expect(latest).toHaveLength(33);
+      expect(LISTENING_LOG_SCHEMA.version).toBe(4);
+    });
+
+    it('should register the tabs that hold plays', () => {
+      expect(getSheetSchema('Skips')).toBe(LISTENING_LOG_SCHEMA);
+      expect(getSheetSchema('Listening Log 2024-03')).toBe(LISTENING_LOG_SCHEMA);
+      expect(getSheetSchema('Listening Log 2024')).toBe(LISTENING_LOG_SCHEMA);
+      expect(getSheetSchema('Listening Log Backup')).toBeNull();
+      expect(getSchemaHeaders(getSheetSchema('Historical Data'))).toEqual([...latest, 'Import Timestamp']);
+      expect(getSheetSchema('System Logs')).toBeNull();
+    });
+  });
+
+  describe('detectSchemaVersion', () => {
+    it('should return the highest complete version', () => {
+      expect(detectSchemaVersion(latest, LISTENING_LOG_SCHEMA)).toBe(4);
+      expect(detectSchemaVersion([...v1, 'Skipped', 'Play Type', 'Estimated Listen (ms)'], LISTENING_LOG_SCHEMA)).toBe(2);
+      expect(detectSchemaVersion([...v1, 'Non-Music Reason'], LISTENING_LOG_SCHEMA)).toBe(1);
+      expect(detectSchemaVersion([], LISTENING_LOG_SCHEMA)).toBe(0);
+    });
+  });
+
+  describe('planSchemaMigration', () => {
+    it('should insert missing columns after their predecessors without moving others', () => {
+      const plan = planSchemaMigration([...v1, 'Import Timestamp'], HISTORICAL_DATA_SCHEMA);
+
+      expect(plan.fromVersion).toBe(1);
+      expect(plan.insertions).toEqual([
+        { index: 28, header: 'Skipped', defaultValue: false },
+        { index: 29, header: 'Play Type', defaultValue: '' },
+        { index: 30, header: 'Estimated Listen (ms)', defaultValue: '' },
+        { index: 31, header: 'Non-Music Reason', defaultValue: '' },
+        { index: 32, header: 'Missing Enrichment', defaultValue: '' }
+      ]);
+      expect(plan.headers).toEqual([...latest, 'Import Timestamp']);
+    });
+
+    it('should keep columns added by hand where they are', () => {
+      const plan = planSchemaMigration(['Timestamp', 'Mood', ...v1.slice(1), 'Rating'], LISTENING_LOG_SCHEMA);
+
+      expect(plan.headers).toEqual(['Timestamp', 'Mood', ...latest.slice(1), 'Rating']);
+      expect(plan.insertions[0].index).toBe(29);
+    });
+
+    it('should plan nothing for an up-to-date sheet', () => {
+      expect(planSchemaMigration(latest, LISTENING_LOG_SCHEMA).insertions).toEqual([]);
+    });
+  });
+
+  describe('applySchemaMigration', () => {
+    it('should fill headers and defaults into held rows', () => {
+      const { insertions } = planSchemaMigration([...v1, 'Import Timestamp'], HISTORICAL_DATA_SCHEMA);
+      const rows = [[...v1, 'Import Timestamp'], [...v1.map(() => 'x'), 'imported'], ['short']];
+
+      const [headerRow, row, shortRow] = applySchemaMigration(rows, insertions);
+
+      expect(headerRow).toEqual([...latest, 'Import Timestamp']);
+      expect(row.slice(27)).toEqual(['x', false, '', '', '', '', 'imported']);
+      expect(shortRow[0]).toBe('short');
+      expect(shortRow[28]).toBe(false);
+    });
+  });
+
+  describe('reading and writing by header name', () => {
+    const track = { timestamp: 'ts', trackName: 'Song', trackId: 'tid', status: 'COMPLETED', skipped: true };
+
+    it('should read columns wherever they are', () => {
+      const headerRow = ['Track ID', 'Notes', 'Timestamp'];
+      const columns = createColumnMap(headerRow);
+
+      expect(readColumn(['tid', 'n', 'ts'], columns, 'timestamp')).toBe('ts');
+      expect(readColumn(['tid', 'n', 'ts'], columns, 'trackId')).toBe('tid');
+      expect(readColumn(['tid', 'n', 'ts'], columns, 'status')).toBeUndefined();
+    });
+
+    it('should fall back to the latest layout without a header row', () => {
+      const columns = createColumnMap(undefined);
+      expect(columns.trackId).toBe(7);
+      expect(createColumnMap(['2024-01-15T12:00:00Z', 'Song']).timestamp).toBe(0);
+    });
+
+    it('should write rows in the order of the header row', () => {
+      expect(toSheetRow(track, ['Track ID', 'Notes', 'Skipped', 'Play Type', 'Timestamp'])).toEqual(['tid', null, true, '', 'ts']);
+      expect(toSheetRow(track)).toHaveLength(33);
+      expect(toSheetRow({ ...track, importTimestamp: 'now' }, null, HISTORICAL_DATA_SCHEMA)[33]).toBe('now');
+    });
+  });
+
+  describe('column config', () => {
+    const originalFile = process.env.COLUMNS_FILE;
+    let tempDir;
+
+    beforeAll(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sheet-schema-test-'));
+    });
+
+    afterEach(() => {
+      if (originalFile === undefined) {
+        delete process.env.COLUMNS_FILE;
+      } else {
+        process.env.COLUMNS_FILE = originalFile;
+      }
+    });
+
+    afterAll(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    async function useConfig(config) {
+      const file = path.join(tempDir, `columns-${Date.now()}-${Math.random()}.json`);
+      await fs.writeFile(file, typeof config === 'string' ? config : JSON.stringify(config));
+      process.env.COLUMNS_FILE = file;
+    }
+
+    it('should accept built-in keys or headers and computed columns', () => {
+      const columns = parseColumnConfig({
+        columns: ['timestamp', 'Track ID', 'status', { header: 'Decade', expression: 'decade(releaseDate)' }]
+      });
+
+      expect(columns.map(column => column.header)).toEqual(['Timestamp', 'Track ID', 'Status', 'Decade']);
+      expect(columns[3].compute({ releaseDate: '1987' })).toBe('1980s');
+    });
+
+    it('should reject unknown, duplicate and invalid columns', () => {
+      const required = ['timestamp', 'trackId', 'status'];
+
+      expect(() => parseColumnConfig([])).toThrow('non-empty array');
+      expect(() => parseColumnConfig([...required, 'mood'])).toThrow('Unknown column "mood"');
+      expect(() => parseColumnConfig([...required, 'Status'])).toThrow('Duplicate column "Status"');
+      expect(() => parseColumnConfig([...required, { header: 'Album', expression: '1' }])).toThrow('header of a built-in column');
+      expect(() => parseColumnConfig([...required, { header: 'Hour', expression: 'hour(played)' }])).toThrow('Column "Hour": Unknown field "played"');
+      expect(() => parseColumnConfig([...required, { expression: '1' }])).toThrow('Invalid column entry');
+      expect(() => parseColumnConfig(['timestamp', 'trackName'])).toThrow('must include trackId, status');
+    });
+
+    it('should apply the config to the tabs that hold plays', async () => {
+      expect(hasColumnConfig()).toBe(false);
+      await useConfig(['status', 'trackId', 'timestamp', { header: 'Hour', expression: 'hour(timestamp)' }]);
+
+      expect(hasColumnConfig()).toBe(true);
+      expect(getSchemaHeaders(getSheetSchema('Listening Log'))).toEqual(['Status', 'Track ID', 'Timestamp', 'Hour']);
+      expect(getSheetSchema('Skips')).toBe(getSheetSchema('Listening Log'));
+      expect(getSchemaHeaders(getSheetSchema('Historical Data'))).toEqual(['Status', 'Track ID', 'Timestamp', 'Hour', 'Import Timestamp']);
+      expect(getSheetSchema('Listening Log').version).toBe(LISTENING_LOG_SCHEMA.version);
+
+      const row = toSheetRow({ timestamp: '2024-01-15T09:00:00Z', trackId: 'tid', status: 'COMPLETED', album: 'A' }, null, getSheetSchema('Listening Log'));
+      expect(row).toEqual(['COMPLETED', 'tid', '2024-01-15T09:00:00Z', 9]);
+    });
+
+    it('should plan computed columns added to the config as migrations', async () => {
+      await useConfig([...getSchemaHeaders(LISTENING_LOG_SCHEMA), { header: 'Weekday', expression: 'weekday(timestamp)' }]);
+
+      const plan = planSchemaMigration([...latest, 'Notes'], getSheetSchema('Listening Log'));
+      expect(plan.insertions).toEqual([{ index: 33, header: 'Weekday', defaultValue: '' }]);
+    });
+
+    it('should keep the cell empty when a computed column fails', async () => {
+      await useConfig(['timestamp', 'trackId', 'status', { header: 'Hour', expression: 'hour(timestamp, "Mars/Olympus")' }]);
+      const warnings = [];
+      const originalWarn = console.warn;
+      console.warn = message => warnings.push(message);
+
+      try {
+        const schema = getSheetSchema('Listening Log');
+        expect(toSheetRow({ timestamp: '2024-01-15T09:00:00Z' }, null, schema)[3]).toBe('');
+        toSheetRow({ timestamp: '2024-01-15T10:00:00Z' }, null, schema);
+      } finally {
+        console.warn = originalWarn;
+      }
+
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0]).toContain('Could not compute column "Hour"');
+    });
+
+    it('should only read the config again when the file changes', async () => {
+      await useConfig(['timestamp', 'trackId', 'status']);
+      const file = process.env.COLUMNS_FILE;
+      const modified = new Date('2024-01-15T12:00:00.000Z');
+      await fs.utimes(file, modified, modified);
+      const schema = getSheetSchema('Listening Log');
+
+      // Same size and modification time: the cached schema is used without reading the file
+      await fs.writeFile(file, '!'.repeat((await fs.stat(file)).size));
+      await fs.utimes(file, modified, modified);
+      expect(getSheetSchema('Listening Log')).toBe(schema);
+
+      await fs.utimes(file, modified, new Date(modified.getTime() + 1000));
+      expect(() => getSheetSchema('Listening Log')).toThrow('is not valid JSON');
+
+      await fs.writeFile(file, JSON.stringify(['timestamp', 'trackId', 'status', 'album']));
+      expect(getSchemaHeaders(getSheetSchema('Listening Log'))).toEqual(['Timestamp', 'Track ID', 'Status', 'Album']);
+    });
+
+    it('should report unreadable or invalid config files', async () => {
+      process.env.COLUMNS_FILE = path.join(tempDir, 'missing.json');
+      expect(() => getSheetSchema('Listening Log')).toThrow('Could not read column config');
+
+      await useConfig('{ not json');
+      expect(() => getSheetSchema('Listening Log')).toThrow('is not valid JSON');
+
+      await useConfig(['timestamp']);
+      expect(() => getSheetSchema('Listening Log')).toThrow('Invalid column config');
+      expect(getSheetSchema('System Logs')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,251 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createCsvSink, parseCsv, toCsvLine } from '../../lib/sinks/csv.js';
+import { createJsonlSink, replayJsonl } from '../../lib/sinks/jsonl.js';
+import { createSqliteSink, toColumnName } from '../../lib/sinks/sqlite.js';
+import { createSink, getSinkType, getDefaultHeaders } from '../../lib/sinks/index.js';
+import { getSheetHeaders } from '../../lib/data-formatter.js';
+import { LISTENING_LOG_SCHEMA, getSchemaHeaders, migrateSheetSchema } from '../../lib/sheet-schema.js';
+
+const HEADERS = ['Timestamp', 'Track Name', 'Duration (ms)', 'Explicit', 'Status'];
+
+describe('storage sinks', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'sinks-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const factories = {
+    csv: createCsvSink,
+    jsonl: createJsonlSink,
+    sqlite: createSqliteSink
+  };
+
+  describe.each(Object.keys(factories))('%s sink', (type) => {
+    function makeSink(getDefaultHeaders) {
+      return factories[type]({ directory, getDefaultHeaders });
+    }
+
+    it('should return no rows for a missing sheet', async () => {
+      const sink = makeSink();
+      expect(await sink.getAllRows('Listening Log')).toEqual([]);
+    });
+
+    it('should create a sheet once', async () => {
+      const sink = makeSink();
+
+      const first = await sink.createSheetIfNotExists('Listening Log', HEADERS);
+      const second = await sink.createSheetIfNotExists('Listening Log', HEADERS);
+
+      expect(first.created).toBe(true);
+      expect(second.exists).toBe(true);
+      expect(await sink.getAllRows('Listening Log')).toEqual([HEADERS]);
+    });
+
+    it('should append rows and read them back as strings', async () => {
+      const sink = makeSink();
+      await sink.createSheetIfNotExists('Listening Log', HEADERS);
+
+      const result = await sink.appendRows('Listening Log', [
+        ['2024-01-15T12:00:00Z', 'Song, "Quoted"', 180000, false, 'COMPLETED'],
+        ['2024-01-15T12:05:00Z', 'Line\nBreak', 200000, true, 'ERROR']
+      ]);
+
+      expect(result.updates.updatedRows).toBe(2);
+      expect(await sink.getAllRows('Listening Log')).toEqual([
+        HEADERS,
+        ['2024-01-15T12:00:00Z', 'Song, "Quoted"', '180000', 'FALSE', 'COMPLETED'],
+        ['2024-01-15T12:05:00Z', 'Line\nBreak', '200000', 'TRUE', 'ERROR']
+      ]);
+    });
+
+    it('should use default headers when appending to a new sheet', async () => {
+      const sink = makeSink(name => (name === 'Listening Log' ? HEADERS : null));
+
+      await sink.appendRows('Listening Log', [['2024-01-15T12:00:00Z', 'Song', 1000, false, 'COMPLETED']]);
+
+      const rows = await sink.getAllRows('Listening Log');
+      expect(rows[0]).toEqual(HEADERS);
+      expect(rows).toHaveLength(2);
+    });
+
+    it('should generate headers when none are known', async () => {
+      const sink = makeSink();
+
+      await sink.appendRows('Other', [['a', 'b']]);
+
+      expect(await sink.getAllRows('Other')).toEqual([['Column 1', 'Column 2'], ['a', 'b']]);
+    });
+
+    it('should update a row by 1-indexed position', async () => {
+      const sink = makeSink();
+      await sink.createSheetIfNotExists('Listening Log', HEADERS);
+      await sink.appendRows('Listening Log', [
+        ['t1', 'First', 1000, false, 'ERROR'],
+        ['t2', 'Second', 2000, false, 'COMPLETED']
+      ]);
+
+      await sink.updateRow('Listening Log', 2, ['t1', 'First', 1000, false, 'COMPLETED']);
+
+      const rows = await sink.getAllRows('Listening Log');
+      expect(rows[1]).toEqual(['t1', 'First', '1000', 'FALSE', 'COMPLETED']);
+      expect(rows[2]).toEqual(['t2', 'Second', '2000', 'FALSE', 'COMPLETED']);
+    });
+
+    it('should reject updates outside the data rows', async () => {
+      const sink = makeSink();
+      await sink.createSheetIfNotExists('Listening Log', HEADERS);
+      await sink.appendRows('Listening Log', [['t1', 'First', 1000, false, 'ERROR']]);
+
+      await expect(sink.updateRow('Listening Log', 1, HEADERS)).rejects.toThrow('does not exist');
+      await expect(sink.updateRow('Listening Log', 3, HEADERS)).rejects.toThrow('does not exist');
+    });
+
+    it('should delete rows by 1-indexed position', async () => {
+      const sink = makeSink();
+      await sink.createSheetIfNotExists('Listening Log', HEADERS);
+      await sink.appendRows('Listening Log', [
+        ['t1', 'First', 1000, false, 'COMPLETED'],
+        ['t2', 'Second', 2000, false, 'COMPLETED'],
+        ['t3', 'Third', 3000, false, 'COMPLETED']
+      ]);
+
+      expect(await sink.deleteRows('Listening Log', [4, 2])).toEqual({ deletedRows: 2 });
+      await expect(sink.deleteRows('Listening Log', [1])).rejects.toThrow('does not exist');
+
+      const reopened = makeSink();
+      expect((await reopened.getAllRows('Listening Log')).map(row => row[0])).toEqual(['Timestamp', 't2']);
+    });
+
+    it('should return the last rows without the header', async () => {
+      const sink = makeSink();
+      await sink.createSheetIfNotExists('Listening Log', HEADERS);
+      expect(await sink.getLastNRows('Listening Log', 2)).toEqual([]);
+
+      await sink.appendRows('Listening Log', [
+        ['t1', 'First', 1000, false, 'COMPLETED'],
+        ['t2', 'Second', 2000, false, 'COMPLETED'],
+        ['t3', 'Third', 3000, false, 'COMPLETED']
+      ]);
+
+      expect((await sink.getLastNRows('Listening Log', 2)).map(row => row[0])).toEqual(['t2', 't3']);
+      expect((await sink.getLastNRows('Listening Log', 5, { rowCount: 3 })).map(row => row[0])).toEqual(['t1', 't2', 't3']);
+    });
+
+    it('should persist data across sink instances', async () => {
+      const sink = makeSink();
+      await sink.createSheetIfNotExists('Listening Log', HEADERS);
+      await sink.appendRows('Listening Log', [['t1', 'First', 1000, false, 'COMPLETED']]);
+
+      const reopened = makeSink();
+      expect(await reopened.getAllRows('Listening Log')).toHaveLength(2);
+    });
+
+    it('should delete a sheet and leave the others', async () => {
+      const sink = makeSink();
+      await sink.createSheetIfNotExists('Listening Log 2024-01', HEADERS);
+      await sink.createSheetIfNotExists('Listening Log 2024-02', HEADERS);
+
+      expect(await sink.deleteSheet('Listening Log 2024-01')).toEqual({ deleted: true });
+      expect(await sink.deleteSheet('Listening Log 2024-01')).toEqual({ deleted: false });
+
+      const reopened = makeSink();
+      expect(await reopened.getAllRows('Listening Log 2024-01')).toEqual([]);
+      expect(await reopened.getAllRows('Listening Log 2024-02')).toEqual([HEADERS]);
+    });
+
+    it('should migrate an older sheet to the latest schema', async () => {
+      const sink = makeSink();
+      const v1Headers = getSchemaHeaders(LISTENING_LOG_SCHEMA, 1);
+      await sink.createSheetIfNotExists('Listening Log', [...v1Headers, 'My Notes']);
+      await sink.appendRows('Listening Log', [[...v1Headers.map(() => 'x'), 'keep me']]);
+
+      const result = await migrateSheetSchema(sink, 'Listening Log', LISTENING_LOG_SCHEMA);
+      const again = await migrateSheetSchema(makeSink(), 'Listening Log', LISTENING_LOG_SCHEMA);
+
+      const [headerRow, row] = await sink.getAllRows('Listening Log');
+      expect(result).toMatchObject({ migrated: true, fromVersion: 1, toVersion: 4 });
+      expect(headerRow).toEqual([...getSheetHeaders(), 'My Notes']);
+      expect(row.slice(27, 30)).toEqual(['x', 'FALSE', '']);
+      expect(row[headerRow.indexOf('My Notes')]).toBe('keep me');
+      expect(again).toMatchObject({ migrated: false, fromVersion: 4, headers: headerRow });
+    });
+  });
+
+  describe('csv helpers', () => {
+    it('should round-trip escaped fields', () => {
+      const row = ['plain', 'with,comma', 'with "quote"', 'multi\nline', ''];
+      expect(parseCsv(toCsvLine(row))).toEqual([row]);
+    });
+
+    it('should parse CRLF line endings', () => {
+      expect(parseCsv('a,b\r\nc,d\r\n')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+  });
+
+  describe('jsonl helpers', () => {
+    it('should replay updates over appended rows', () => {
+      const text = [
+        JSON.stringify({ op: 'header', columns: ['A', 'B'] }),
+        JSON.stringify({ op: 'append', data: { A: '1', B: 'x' } }),
+        JSON.stringify({ op: 'update', rowIndex: 2, data: { A: '1', B: 'y' } }),
+        'not json'
+      ].join('\n');
+
+      expect(replayJsonl(text)).toEqual({ columns: ['A', 'B'], rows: [['1', 'y']] });
+    });
+  });
+
+  describe('sqlite helpers', () => {
+    it('should convert headers to column names', () => {
+      expect(toColumnName('Duration (ms)')).toBe('duration_ms');
+      expect(toColumnName('Artist(s)')).toBe('artist_s');
+      expect(toColumnName('Completion %')).toBe('completion_pct');
+    });
+  });
+
+  describe('sink selection', () => {
+    const originalSink = process.env.STORAGE_SINK;
+
+    afterEach(() => {
+      if (originalSink === undefined) {
+        delete process.env.STORAGE_SINK;
+      } else {
+        process.env.STORAGE_SINK = originalSink;
+      }
+    });
+
+    it('should default to sheets', () => {
+      delete process.env.STORAGE_SINK;
+      expect(getSinkType()).toBe('sheets');
+    });
+
+    it('should read STORAGE_SINK case-insensitively', () => {
+      process.env.STORAGE_SINK = 'SQLite';
+      expect(getSinkType()).toBe('sqlite');
+    });
+
+    it('should reject unknown sinks', () => {
+      process.env.STORAGE_SINK = 'postgres';
+      expect(() => getSinkType()).toThrow('Unknown STORAGE_SINK');
+    });
+
+    it('should create sinks by type', () => {
+      expect(createSink('csv', { directory }).name).toBe('csv');
+      expect(createSink('jsonl', { directory }).name).toBe('jsonl');
+      expect(createSink('sqlite', { directory }).name).toBe('sqlite');
+    });
+
+    it('should provide default headers for known tabs', () => {
+      expect(getDefaultHeaders('Listening Log')).toEqual(getSheetHeaders());
+      expect(getDefaultHeaders('Historical Data')).toEqual([...getSheetHeaders(), 'Import Timestamp']);
+      expect(getDefaultHeaders('Unknown')).toBeNull();
+    });
+  });
+});
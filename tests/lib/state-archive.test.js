@@ -0,0 +1,83 @@
+import {
+  ARCHIVE_FORMAT,
+  createStateArchive,
+  parseStateArchive,
+  diffStates,
+  describeValue
+} from '../../lib/state-archive.js';
+import { STATE_SCHEMA_VERSION } from '../../lib/state-manager.js';
+
+const state = {
+  version: STATE_SCHEMA_VERSION,
+  revision: 12,
+  lastProcessed: { trackId: 't1', timestamp: '2024-01-15T12:05:00.000Z', playedAt: '2024-01-15T12:00:00.000Z' },
+  failedQueue: [{ trackId: 't2', playedAt: '2024-01-15T11:00:00.000Z', attemptCount: 1 }],
+  stats: { lastRun: '2024-01-15T12:05:00.000Z', successCount: 10, failureCount: 1 },
+  alerts: { sentAlerts: {}, consecutiveFailures: 0, lastSuccessfulRun: null },
+  metrics: { daily: {}, lastReset: null, totals: {} },
+  historicalImport: { completed: true, totalImported: 50 }
+};
+
+describe('state-archive', () => {
+  describe('describeValue', () => {
+    it('should summarize state values', () => {
+      expect(describeValue(null)).toBe('none');
+      expect(describeValue([1])).toBe('1 entry');
+      expect(describeValue(state.lastProcessed)).toBe('played at 2024-01-15T12:00:00.000Z');
+      expect(describeValue(state.stats)).toBe('10 successes, 1 failures');
+      expect(describeValue(state.alerts)).toBe('3 keys');
+    });
+  });
+
+  describe('createStateArchive', () => {
+    it('should include every section and drop the revision', () => {
+      const archive = createStateArchive(state, { source: 'local' });
+
+      expect(archive).toMatchObject({ format: ARCHIVE_FORMAT, source: 'local', schemaVersion: STATE_SCHEMA_VERSION });
+      expect(archive.sections).toEqual({
+        lastProcessed: 'played at 2024-01-15T12:00:00.000Z',
+        failedQueue: '1 entry',
+        stats: '10 successes, 1 failures',
+        alerts: '3 keys',
+        metrics: '3 keys',
+        historicalImport: '2 keys'
+      });
+      expect(archive.state.revision).toBeUndefined();
+      expect(archive.state.historicalImport).toEqual(state.historicalImport);
+    });
+  });
+
+  describe('parseStateArchive', () => {
+    it('should migrate states from older archives', () => {
+      const archive = createStateArchive({ failedQueue: [], stats: { successCount: 2, failureCount: 0 } });
+      const restored = parseStateArchive(archive);
+
+      expect(restored.version).toBe(STATE_SCHEMA_VERSION);
+      expect(restored.webhookOutbox).toEqual([]);
+    });
+
+    it('should reject other JSON files and invalid states', () => {
+      expect(() => parseStateArchive({ state })).toThrow('Not a state archive');
+      expect(() => parseStateArchive({ ...createStateArchive(state), state: { ...state, failedQueue: 'none' } }))
+        .toThrow('failed validation');
+    });
+  });
+
+  describe('diffStates', () => {
+    it('should list changed top-level fields only', () => {
+      const incoming = {
+        ...state,
+        revision: 1,
+        failedQueue: [],
+        alerts: undefined,
+        webhookOutbox: [{ id: 'd1' }]
+      };
+
+      expect(diffStates(state, incoming)).toEqual([
+        { key: 'alerts', change: 'removed', from: '3 keys', to: 'none' },
+        { key: 'failedQueue', change: 'changed', from: '1 entry', to: '0 entries' },
+        { key: 'webhookOutbox', change: 'added', from: 'none', to: '1 entry' }
+      ]);
+    });
+  });
+});
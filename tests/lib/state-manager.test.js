@@ -0,0 +1,236 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+describe('state-manager', () => {
+  const originalEnv = { ...process.env };
+  let stateDir;
+  let stateFile;
+  let stateManager;
+  let users;
+
+  // state-manager reads STATE_DIR at import time
+  beforeAll(async () => {
+    stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'state-manager-test-'));
+    stateFile = path.join(stateDir, 'logger-state.json');
+    for (const name of ['USE_KV', 'VERCEL_ENV', 'KV_REST_API_URL', 'KV_REST_API_TOKEN']) {
+      delete process.env[name];
+    }
+    process.env.STATE_DIR = stateDir;
+    stateManager = await import('../../lib/state-manager.js');
+    users = await import('../../lib/users.js');
+  });
+
+  afterAll(async () => {
+    await fs.rm(stateDir, { recursive: true, force: true });
+    process.env = originalEnv;
+  });
+
+  beforeEach(async () => {
+    await fs.rm(stateDir, { recursive: true, force: true });
+  });
+
+  async function writeState(state, file = stateFile) {
+    await fs.mkdir(stateDir, { recursive: true });
+    await fs.writeFile(file, typeof state === 'string' ? state : JSON.stringify(state));
+  }
+
+  async function readQuarantine() {
+    return JSON.parse(await fs.readFile(path.join(stateDir, 'logger-state.quarantine.json'), 'utf-8'));
+  }
+
+  describe('migrateState', () => {
+    it('should upgrade an unversioned state to the current version', () => {
+      const { state, applied } = stateManager.migrateState({
+        lastProcessed: { trackId: 't1', playedAt: '2024-01-15T12:00:00.000Z' },
+        failedQueue: [{ trackId: 't2', playedAt: '2024-01-15T11:00:00.000Z' }, { trackId: 't3' }],
+        stats: { successCount: '5' }
+      });
+
+      expect(applied).toEqual([1, 2]);
+      expect(state.version).toBe(stateManager.STATE_SCHEMA_VERSION);
+      expect(state.stats).toEqual({ lastRun: null, successCount: 5, failureCount: 0 });
+      expect(state.failedQueue).toEqual([{ trackId: 't2', playedAt: '2024-01-15T11:00:00.000Z', attemptCount: 1 }]);
+      expect(state.webhookOutbox).toEqual([]);
+    });
+
+    it('should skip migrations the state already has', () => {
+      const { applied } = stateManager.migrateState({ version: 1, failedQueue: [], stats: { successCount: 0, failureCount: 0 } });
+      expect(applied).toEqual([2]);
+    });
+
+    it('should reject a state that fails validation', () => {
+      const state = { version: stateManager.STATE_SCHEMA_VERSION, lastProcessed: { trackId: 't1' } };
+      expect(() => stateManager.migrateState(state)).toThrow('failed validation');
+    });
+
+    it('should reject a state that is invalid after a migration', () => {
+      expect(() => stateManager.migrateState({ lastProcessed: 'yesterday' })).toThrow('after migration to v1');
+    });
+  });
+
+  describe('loadState', () => {
+    it('should migrate an older state file', async () => {
+      await writeState({ lastProcessed: null, failedQueue: [], stats: { lastRun: null, successCount: 3, failureCount: 1 } });
+
+      const state = await stateManager.loadState();
+      expect(state).toMatchObject({ version: stateManager.STATE_SCHEMA_VERSION, revision: 0, stats: { successCount: 3 } });
+    });
+
+    it('should quarantine an unreadable state and load the backup', async () => {
+      await writeState({ version: 2, revision: 4, failedQueue: [], stats: { successCount: 7, failureCount: 0 } }, path.join(stateDir, 'logger-state.backup.json'));
+      await writeState('{ not json');
+
+      const state = await stateManager.loadState();
+      expect(state.stats.successCount).toBe(7);
+      expect(await readQuarantine()).toMatchObject({ data: '{ not json' });
+
+      await stateManager.updateStats(1, 0);
+      expect((await stateManager.getStats()).successCount).toBe(8);
+    });
+
+    it('should quarantine an invalid state and keep its revision', async () => {
+      await writeState({ version: 2, revision: 9, failedQueue: 'none' });
+
+      const state = await stateManager.loadState();
+      expect(state).toMatchObject({ revision: 9, failedQueue: [] });
+      expect((await readQuarantine()).reason).toContain('failed validation');
+
+      await stateManager.saveState(state);
+      expect((await stateManager.loadState()).revision).toBe(10);
+    });
+  });
+
+  describe('saveState', () => {
+    it('should reject a state loaded before another save', async () => {
+      const first = await stateManager.loadState();
+      const second = await stateManager.loadState();
+
+      await stateManager.saveState(first);
+      await expect(stateManager.saveState(second)).rejects.toMatchObject({ code: stateManager.STATE_CONFLICT });
+    });
+
+    it('should overwrite with force', async () => {
+      const stale = await stateManager.loadState();
+      await stateManager.updateStats(1, 0);
+
+      await stateManager.saveState(stale, { force: true });
+      expect((await stateManager.getStats()).successCount).toBe(0);
+    });
+  });
+
+  describe('updateState', () => {
+    it('should keep both changes when two updates race', async () => {
+      await Promise.all([
+        stateManager.updateState(state => { state.alerts = { consecutiveFailures: 1 }; }),
+        stateManager.updateState(state => { state.metrics = { daily: {} }; })
+      ]);
+
+      const state = await stateManager.loadState();
+      expect(state.alerts).toEqual({ consecutiveFailures: 1 });
+      expect(state.metrics).toEqual({ daily: {} });
+    });
+
+    it('should rerun the change on the latest state after a conflict', async () => {
+      let calls = 0;
+      await stateManager.updateState(async state => {
+        calls++;
+        if (calls === 1) {
+          await stateManager.updateStats(2, 0);
+        }
+        state.stats.failureCount += 1;
+      });
+
+      expect(calls).toBe(2);
+      expect(await stateManager.getStats()).toMatchObject({ successCount: 2, failureCount: 1 });
+    });
+
+    it('should not write when nothing changed', async () => {
+      await stateManager.updateStats(1, 0);
+      const { revision } = await stateManager.loadState();
+
+      expect(await stateManager.updateState(state => state.stats.successCount)).toBe(1);
+      expect((await stateManager.loadState()).revision).toBe(revision);
+    });
+  });
+
+  describe('episode listens', () => {
+    const sample = (episodeId, sampledAt) => ({
+      episodeId,
+      episodeName: `Episode ${episodeId}`,
+      progressMs: 0,
+      resumePointMs: 0,
+      fullyPlayed: false,
+      isPlaying: true,
+      sampledAt
+    });
+
+    it('should keep finished listens pending until they are cleared', async () => {
+      await stateManager.recordEpisodeSample(sample('e1', '2024-01-15T12:00:00.000Z'));
+      const { finished } = await stateManager.recordEpisodeSample(sample('e2', '2024-01-15T12:30:00.000Z'));
+      await stateManager.expireCurrentEpisode(0);
+
+      const pending = await stateManager.getPendingEpisodes();
+      expect(pending.map(listen => listen.episodeId)).toEqual(['e1', 'e2']);
+      expect(pending[0]).toEqual(finished);
+      expect((await stateManager.loadState()).currentEpisode).toBeNull();
+
+      await stateManager.clearPendingEpisodes(pending.slice(0, 1));
+      expect((await stateManager.getPendingEpisodes()).map(listen => listen.episodeId)).toEqual(['e2']);
+    });
+  });
+
+  describe('recordSessionPlays', () => {
+    const play = playedAt => ({ playedAt, listenedMs: 180000, device: 'Phone', context: '', contextUri: '', artist: 'A', energy: null, valence: null });
+
+    it('should only save the open session once the closed sessions are written', async () => {
+      await stateManager.recordSessionPlays([play('2024-01-15T12:00:00.000Z')], async () => {});
+      const { openSession } = await stateManager.loadState();
+
+      const later = [play('2024-01-15T14:00:00.000Z')];
+      const failing = async () => { throw new Error('Sheets down'); };
+      await expect(stateManager.recordSessionPlays(later, failing)).rejects.toThrow('Sheets down');
+      expect((await stateManager.loadState()).openSession).toEqual(openSession);
+
+      const written = [];
+      const closed = await stateManager.recordSessionPlays(later, async sessions => { written.push(...sessions); });
+      expect(closed).toEqual([openSession]);
+      expect(written).toEqual([openSession]);
+      expect((await stateManager.getOpenSession()).start).toBe('2024-01-15T13:57:00.000Z');
+    });
+  });
+
+  describe('acquireRunLock', () => {
+    it('should wait for a short lease and turn away longer runs', async () => {
+      const sampler = await stateManager.acquireRunLock('sample-playback', { ttlMs: 5000, waitMs: 0 });
+      expect((await stateManager.acquireRunLock('retry-failed', { waitMs: 0 })).acquired).toBe(false);
+
+      setTimeout(() => stateManager.releaseRunLock(sampler.lease), 300);
+      const logger = await stateManager.acquireRunLock('log-spotify');
+      expect(logger.acquired).toBe(true);
+
+      const busy = await stateManager.acquireRunLock('sample-playback', { ttlMs: 5000 });
+      expect(busy).toMatchObject({ acquired: false, holder: { functionName: 'log-spotify' } });
+      await stateManager.releaseRunLock(logger.lease);
+    });
+  });
+
+  describe('user namespaces', () => {
+    it('should keep each user\'s state and run lock separate', async () => {
+      const alice = { id: 'alice', settings: {} };
+      await users.runAsUser(alice, () => stateManager.updateStats(3, 0));
+      await stateManager.updateStats(1, 0);
+
+      const aliceFile = path.join(stateDir, 'users', 'alice', 'logger-state.json');
+      expect(JSON.parse(await fs.readFile(aliceFile, 'utf-8')).stats.successCount).toBe(3);
+      expect((await stateManager.getStats()).successCount).toBe(1);
+
+      const lock = await stateManager.acquireRunLock('log-spotify');
+      const aliceLock = await users.runAsUser(alice, () => stateManager.acquireRunLock('log-spotify'));
+      expect(aliceLock.acquired).toBe(true);
+
+      await stateManager.releaseRunLock(lock.lease);
+      await users.runAsUser(alice, () => stateManager.releaseRunLock(aliceLock.lease));
+    });
+  });
+});
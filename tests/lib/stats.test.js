@@ -0,0 +1,225 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  parseWindowDate,
+  parseListeningRows,
+  getGroupKey,
+  aggregateStats,
+  getStatsCacheKey,
+  getListeningStats
+} from '../../lib/stats.js';
+import { appendRows, resetSink } from '../../lib/sinks/index.js';
+import { getSheetHeaders } from '../../lib/data-formatter.js';
+
+const headers = getSheetHeaders();
+
+function logRow(values) {
+  const row = headers.map(() => '');
+  for (const [name, value] of Object.entries(values)) {
+    row[headers.indexOf(name)] = value;
+  }
+  return row;
+}
+
+function play(overrides = {}) {
+  return {
+    timestamp: '2024-01-15T12:00:00.000Z',
+    trackName: 'Song A',
+    artists: ['Artist A'],
+    album: 'Album A',
+    duration: 180000,
+    playDuration: 180000,
+    trackId: 'trackA',
+    genres: ['indie'],
+    instrumentalness: 0.2,
+    speechiness: 0.05,
+    device: 'Phone',
+    status: 'COMPLETED',
+    nonMusicReason: '',
+    ...overrides
+  };
+}
+
+describe('stats', () => {
+  describe('parseWindowDate', () => {
+    it('should expand date-only values to the start or end of the day', () => {
+      expect(parseWindowDate('2024-01-15')).toBe('2024-01-15T00:00:00.000Z');
+      expect(parseWindowDate('2024-01-15', true)).toBe('2024-01-15T23:59:59.999Z');
+    });
+
+    it('should accept timestamps and empty values', () => {
+      expect(parseWindowDate('2024-01-15T08:30:00Z')).toBe('2024-01-15T08:30:00.000Z');
+      expect(parseWindowDate(undefined)).toBeNull();
+      expect(parseWindowDate('')).toBeNull();
+    });
+
+    it('should reject invalid dates', () => {
+      expect(() => parseWindowDate('last week')).toThrow('Invalid date');
+    });
+  });
+
+  describe('parseListeningRows', () => {
+    it('should convert rows to plays by header name', () => {
+      const plays = parseListeningRows([
+        headers,
+        logRow({
+          'Timestamp': '2024-01-15T12:00:00Z',
+          'Track Name': 'Song A',
+          'Artist(s)': 'Artist A, Artist B',
+          'Album': 'Album A',
+          'Play Duration (ms)': '95000',
+          'Track ID': 'trackA',
+          'Genres': 'indie, rock',
+          'Device': 'Phone',
+          'Status': 'COMPLETED'
+        })
+      ]);
+
+      expect(plays).toHaveLength(1);
+      expect(plays[0]).toMatchObject({
+        timestamp: '2024-01-15T12:00:00.000Z',
+        artists: ['Artist A', 'Artist B'],
+        genres: ['indie', 'rock'],
+        playDuration: 95000,
+        duration: null,
+        device: 'Phone'
+      });
+    });
+
+    it('should skip rows without a valid timestamp', () => {
+      expect(parseListeningRows([headers, logRow({ 'Track Name': 'No Time' })])).toEqual([]);
+    });
+
+    it('should handle empty sheets', () => {
+      expect(parseListeningRows([])).toEqual([]);
+      expect(parseListeningRows(undefined)).toEqual([]);
+    });
+  });
+
+  describe('getGroupKey', () => {
+    const sample = play({ timestamp: '2024-01-17T21:15:00.000Z' });
+
+    it('should group by calendar periods', () => {
+      expect(getGroupKey(sample, 'day')).toBe('2024-01-17');
+      expect(getGroupKey(sample, 'week')).toBe('2024-01-15');
+      expect(getGroupKey(sample, 'month')).toBe('2024-01');
+      expect(getGroupKey(sample, 'hour')).toBe('21');
+    });
+
+    it('should start weeks on Monday', () => {
+      expect(getGroupKey(play({ timestamp: '2024-01-21T10:00:00.000Z' }), 'week')).toBe('2024-01-15');
+      expect(getGroupKey(play({ timestamp: '2024-01-22T10:00:00.000Z' }), 'week')).toBe('2024-01-22');
+    });
+
+    it('should group by device', () => {
+      expect(getGroupKey(sample, 'device')).toBe('Phone');
+    });
+  });
+
+  describe('aggregateStats', () => {
+    const plays = [
+      play(),
+      play({ timestamp: '2024-01-15T13:00:00.000Z', playDuration: 60000 }),
+      play({
+        timestamp: '2024-01-16T09:00:00.000Z',
+        trackName: 'Song B',
+        trackId: 'trackB',
+        artists: ['Artist B', 'Artist A'],
+        album: 'Album B',
+        genres: ['rock'],
+        device: 'Laptop'
+      }),
+      play({ timestamp: '2024-01-16T10:00:00.000Z', trackName: 'Episode 4: News', trackId: 'pod' }),
+      play({ timestamp: '2024-01-16T11:00:00.000Z', status: 'ERROR', trackId: 'err' })
+    ];
+
+    it('should compute totals and top lists', () => {
+      const stats = aggregateStats(plays);
+
+      expect(stats.totals).toEqual({
+        plays: 3,
+        minutes: 7,
+        uniqueTracks: 2,
+        uniqueArtists: 2,
+        nonMusicExcluded: 1
+      });
+      expect(stats.topTracks[0]).toEqual({ trackId: 'trackA', name: 'Song A', artist: 'Artist A', plays: 2, minutes: 4 });
+      expect(stats.topArtists.map(a => [a.name, a.plays])).toEqual([['Artist A', 3], ['Artist B', 1]]);
+      expect(stats.topAlbums.map(a => a.name)).toEqual(['Album A', 'Album B']);
+      expect(stats.topGenres.map(g => [g.name, g.plays])).toEqual([['indie', 2], ['rock', 1]]);
+      expect(stats.groups).toBeUndefined();
+    });
+
+    it('should filter by window', () => {
+      const stats = aggregateStats(plays, { from: '2024-01-16T00:00:00.000Z', to: '2024-01-16T23:59:59.999Z' });
+
+      expect(stats.window).toEqual({ from: '2024-01-16T00:00:00.000Z', to: '2024-01-16T23:59:59.999Z' });
+      expect(stats.totals.plays).toBe(1);
+      expect(stats.topTracks[0].name).toBe('Song B');
+    });
+
+    it('should group plays', () => {
+      expect(aggregateStats(plays, { groupBy: 'day' }).groups).toEqual([
+        { key: '2024-01-15', plays: 2, minutes: 4 },
+        { key: '2024-01-16', plays: 1, minutes: 3 }
+      ]);
+      expect(aggregateStats(plays, { groupBy: 'device' }).groups.map(g => g.key)).toEqual(['Laptop', 'Phone']);
+    });
+
+    it('should include non-music plays when requested', () => {
+      const stats = aggregateStats(plays, { includeNonMusic: true });
+
+      expect(stats.totals.plays).toBe(4);
+      expect(stats.totals.nonMusicExcluded).toBe(0);
+    });
+
+    it('should limit top lists', () => {
+      expect(aggregateStats(plays, { limit: 1 }).topArtists).toHaveLength(1);
+    });
+
+    it('should reject unknown groupings', () => {
+      expect(() => aggregateStats(plays, { groupBy: 'year' })).toThrow('Unknown groupBy');
+    });
+  });
+
+  describe('getStatsCacheKey', () => {
+    it('should key by sheet, window and options', () => {
+      expect(getStatsCacheKey({ from: '2024-01-01T00:00:00.000Z', groupBy: 'week' }))
+        .toBe('sheets|Listening Log|2024-01-01T00:00:00.000Z|*|week|10|music');
+      expect(getStatsCacheKey({ sink: 'csv', sheetName: 'Historical Data', includeNonMusic: true }))
+        .toBe('csv|Historical Data|*|*|-|10|all');
+    });
+  });
+
+  describe('getListeningStats', () => {
+    let directory;
+    const originalEnv = { ...process.env };
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'stats-test-'));
+      process.env.STORAGE_SINK = 'csv';
+      process.env.STORAGE_DIR = directory;
+      resetSink();
+    });
+
+    afterEach(async () => {
+      process.env = { ...originalEnv };
+      resetSink();
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should aggregate rows from the configured sink', async () => {
+      await appendRows('Listening Log', [
+        logRow({ 'Timestamp': '2024-01-15T12:00:00Z', 'Track Name': 'Song A', 'Artist(s)': 'Artist A', 'Track ID': 'a', 'Play Duration (ms)': 120000, 'Status': 'COMPLETED' }),
+        logRow({ 'Timestamp': '2024-02-15T12:00:00Z', 'Track Name': 'Song B', 'Artist(s)': 'Artist B', 'Track ID': 'b', 'Play Duration (ms)': 60000, 'Status': 'COMPLETED' })
+      ]);
+
+      const stats = await getListeningStats({ from: '2024-02-01T00:00:00.000Z', cacheTtlMs: 0 });
+
+      expect(stats.cached).toBe(false);
+      expect(stats.totals).toMatchObject({ plays: 1, minutes: 1 });
+      expect(stats.topArtists[0].name).toBe('Artist B');
+    });
+  });
+});
@@ -0,0 +1,312 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  isStreamingHistoryFile,
+  trackIdFromUri,
+  inferDeviceType,
+  normalizeStreamingHistoryEntry,
+  classifyHistoryPlay,
+  formatStreamingHistoryPlay,
+  buildDuplicateIndex,
+  isAlreadyImported,
+  parseJsonArrayStream,
+  importStreamingHistory
+} from '../../lib/streaming-history.js';
+import { getAllRows, appendRows, resetSink } from '../../lib/sinks/index.js';
+import { getSheetHeaders, formatAsSheetRow } from '../../lib/data-formatter.js';
+
+function exportEntry(overrides = {}) {
+  return {
+    ts: '2023-06-01T12:03:00Z',
+    platform: 'Android OS 13 API 33 (Google, Pixel 7)',
+    ms_played: 180000,
+    conn_country: 'US',
+    master_metadata_track_name: 'Test Track',
+    master_metadata_album_artist_name: 'Test Artist',
+    master_metadata_album_album_name: 'Test Album',
+    spotify_track_uri: 'spotify:track:abc123',
+    episode_name: null,
+    spotify_episode_uri: null,
+    reason_start: 'clickrow',
+    reason_end: 'trackdone',
+    shuffle: false,
+    skipped: false,
+    offline: false,
+    incognito_mode: false,
+    ...overrides
+  };
+}
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe('streaming-history', () => {
+  describe('isStreamingHistoryFile', () => {
+    it('should match extended history file names', () => {
+      expect(isStreamingHistoryFile('Streaming_History_Audio_2021-2023_2.json')).toBe(true);
+      expect(isStreamingHistoryFile('endsong_0.json')).toBe(true);
+    });
+
+    it('should reject other export files', () => {
+      expect(isStreamingHistoryFile('Streaming_History_Video_2023.json')).toBe(false);
+      expect(isStreamingHistoryFile('StreamingHistory0.json')).toBe(false);
+      expect(isStreamingHistoryFile('endsong_0.csv')).toBe(false);
+    });
+  });
+
+  describe('trackIdFromUri', () => {
+    it('should extract track IDs', () => {
+      expect(trackIdFromUri('spotify:track:abc123')).toBe('abc123');
+    });
+
+    it('should return null for episodes and missing URIs', () => {
+      expect(trackIdFromUri('spotify:episode:xyz')).toBeNull();
+      expect(trackIdFromUri(null)).toBeNull();
+    });
+  });
+
+  describe('inferDeviceType', () => {
+    it('should map common platforms', () => {
+      expect(inferDeviceType('Android OS 13 API 33 (Google, Pixel 7)')).toBe('Smartphone');
+      expect(inferDeviceType('iOS 16.1 (iPhone14,2)')).toBe('Smartphone');
+      expect(inferDeviceType('Windows 10 (10.0.19041; x64)')).toBe('Computer');
+      expect(inferDeviceType('OS X 12.6.0 [x86 8]')).toBe('Computer');
+      expect(inferDeviceType('')).toBe('Unknown');
+    });
+  });
+
+  describe('normalizeStreamingHistoryEntry', () => {
+    it('should normalize a music entry', () => {
+      const play = normalizeStreamingHistoryEntry(exportEntry({ shuffle: true }));
+
+      expect(play).toEqual({
+        playedAt: '2023-06-01T12:03:00.000Z',
+        trackId: 'abc123',
+        trackName: 'Test Track',
+        artistName: 'Test Artist',
+        albumName: 'Test Album',
+        msPlayed: 180000,
+        reasonStart: 'clickrow',
+        reasonEnd: 'trackdone',
+        shuffle: true,
+        skipped: false,
+        platform: 'Android OS 13 API 33 (Google, Pixel 7)',
+        country: 'US'
+      });
+    });
+
+    it('should return null for podcast episodes', () => {
+      expect(normalizeStreamingHistoryEntry(exportEntry({
+        spotify_track_uri: null,
+        spotify_episode_uri: 'spotify:episode:xyz'
+      }))).toBeNull();
+    });
+
+    it('should return null for invalid timestamps', () => {
+      expect(normalizeStreamingHistoryEntry(exportEntry({ ts: 'not a date' }))).toBeNull();
+    });
+
+    it('should keep unknown skipped flags as null', () => {
+      expect(normalizeStreamingHistoryEntry(exportEntry({ skipped: null })).skipped).toBeNull();
+    });
+  });
+
+  describe('classifyHistoryPlay', () => {
+    it('should classify finished tracks as FULL', () => {
+      expect(classifyHistoryPlay({ msPlayed: 180000, reasonEnd: 'trackdone' })).toBe('FULL');
+    });
+
+    it('should classify early ends as PARTIAL', () => {
+      expect(classifyHistoryPlay({ msPlayed: 90000, reasonEnd: 'fwdbtn' })).toBe('PARTIAL');
+    });
+
+    it('should classify plays under 30 seconds as SKIP', () => {
+      expect(classifyHistoryPlay({ msPlayed: 5000, reasonEnd: 'fwdbtn' })).toBe('SKIP');
+      expect(classifyHistoryPlay({ msPlayed: 5000, reasonEnd: 'trackdone' })).toBe('SKIP');
+    });
+  });
+
+  describe('formatStreamingHistoryPlay', () => {
+    it('should map export fields onto Listening Log columns', () => {
+      const formatted = formatStreamingHistoryPlay(normalizeStreamingHistoryEntry(exportEntry({
+        ms_played: 95000,
+        reason_end: 'fwdbtn',
+        shuffle: true,
+        skipped: true
+      })));
+      const row = formatAsSheetRow(formatted);
+
+      expect(row).toHaveLength(getSheetHeaders().length);
+      expect(formatted.timestamp).toBe('2023-06-01T12:03:00.000Z');
+      expect(formatted.playDuration).toBe(95000);
+      expect(formatted.estimatedListen).toBe(95000);
+      expect(formatted.trackId).toBe('abc123');
+      expect(formatted.device).toBe('Android OS 13 API 33 (Google, Pixel 7) (US)');
+      expect(formatted.deviceType).toBe('Smartphone');
+      expect(formatted.context).toBe('clickrow → fwdbtn (shuffle)');
+      expect(formatted.skipped).toBe(true);
+      expect(formatted.playType).toBe('PARTIAL');
+      expect(formatted.status).toBe('COMPLETED');
+    });
+
+    it('should derive skipped from play type when the export has no flag', () => {
+      const formatted = formatStreamingHistoryPlay(normalizeStreamingHistoryEntry(exportEntry({
+        ms_played: 4000,
+        skipped: null
+      })));
+
+      expect(formatted.skipped).toBe(true);
+      expect(formatted.playType).toBe('SKIP');
+    });
+  });
+
+  describe('duplicate index', () => {
+    const rows = [
+      getSheetHeaders(),
+      ['2023-06-01T12:03:00.000Z', 'Test Track', 'Test Artist', 'Test Album', '', '', '', 'abc123']
+    ];
+
+    it('should detect plays within 5 minutes', () => {
+      const index = buildDuplicateIndex(rows);
+      expect(isAlreadyImported(index, 'abc123', '2023-06-01T12:05:00Z')).toBe(true);
+    });
+
+    it('should not match other times or tracks', () => {
+      const index = buildDuplicateIndex(rows);
+      expect(isAlreadyImported(index, 'abc123', '2023-06-01T12:30:00Z')).toBe(false);
+      expect(isAlreadyImported(index, 'other', '2023-06-01T12:03:00Z')).toBe(false);
+    });
+
+    it('should handle empty sheets', () => {
+      expect(buildDuplicateIndex([]).size).toBe(0);
+      expect(buildDuplicateIndex(undefined).size).toBe(0);
+    });
+  });
+
+  describe('parseJsonArrayStream', () => {
+    it('should yield objects split across chunks', async () => {
+      const json = JSON.stringify([exportEntry(), exportEntry({ master_metadata_track_name: 'Brace } "quote" [x]' })]);
+      const chunks = json.match(/.{1,7}/gs);
+
+      const entries = await collect(parseJsonArrayStream(chunks));
+
+      expect(entries).toHaveLength(2);
+      expect(entries[1].master_metadata_track_name).toBe('Brace } "quote" [x]');
+    });
+
+    it('should decode multi-byte characters split across buffers', async () => {
+      const bytes = Buffer.from(JSON.stringify([{ name: 'Björk – Jóga' }]));
+      const chunks = [bytes.subarray(0, 13), bytes.subarray(13)];
+
+      expect(await collect(parseJsonArrayStream(chunks))).toEqual([{ name: 'Björk – Jóga' }]);
+    });
+
+    it('should handle an empty array', async () => {
+      expect(await collect(parseJsonArrayStream(['[ ]']))).toEqual([]);
+    });
+
+    it('should reject non-array input', async () => {
+      await expect(collect(parseJsonArrayStream(['{"a":1}']))).rejects.toThrow('JSON array');
+    });
+
+    it('should reject truncated input', async () => {
+      await expect(collect(parseJsonArrayStream(['[{"a":1},{"b"']))).rejects.toThrow('Unexpected end');
+    });
+  });
+
+  describe('importStreamingHistory', () => {
+    let directory;
+    const originalEnv = { ...process.env };
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'streaming-history-test-'));
+      process.env.STORAGE_SINK = 'csv';
+      process.env.STORAGE_DIR = directory;
+      resetSink();
+    });
+
+    afterEach(async () => {
+      process.env = { ...originalEnv };
+      resetSink();
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should append rows in chunks with an import timestamp', async () => {
+      const entries = [0, 1, 2, 3, 4].map(i => exportEntry({
+        ts: `2023-06-01T1${i}:00:00Z`,
+        spotify_track_uri: `spotify:track:track${i}`
+      }));
+
+      const chunkStats = [];
+      const stats = await importStreamingHistory(entries, {
+        chunkSize: 2,
+        chunkDelayMs: 0,
+        onChunk: s => chunkStats.push(s.imported)
+      });
+
+      expect(stats.imported).toBe(5);
+      expect(stats.chunks).toBe(3);
+      expect(chunkStats).toEqual([2, 4, 5]);
+      expect(stats.firstPlay).toBe('2023-06-01T10:00:00.000Z');
+      expect(stats.lastPlay).toBe('2023-06-01T14:00:00.000Z');
+
+      const rows = await getAllRows('Historical Data');
+      expect(rows[0][rows[0].length - 1]).toBe('Import Timestamp');
+      expect(rows).toHaveLength(6);
+      expect(rows[1]).toHaveLength(getSheetHeaders().length + 1);
+    });
+
+    it('should skip short plays, non-music and duplicates', async () => {
+      const entries = [
+        exportEntry(),
+        exportEntry(), // exact repeat from an overlapping file
+        exportEntry({ ts: '2023-06-01T13:00:00Z', ms_played: 5000 }),
+        exportEntry({ spotify_track_uri: null, spotify_episode_uri: 'spotify:episode:x' })
+      ];
+
+      const stats = await importStreamingHistory(entries, { chunkDelayMs: 0 });
+
+      expect(stats).toMatchObject({ read: 4, imported: 1, duplicates: 1, short: 1, nonMusic: 1 });
+    });
+
+    it('should not re-import plays already in the sheet or Listening Log', async () => {
+      await importStreamingHistory([exportEntry()], { chunkDelayMs: 0 });
+
+      const logRow = formatAsSheetRow(formatStreamingHistoryPlay(normalizeStreamingHistoryEntry(
+        exportEntry({ ts: '2023-07-01T08:00:00Z', spotify_track_uri: 'spotify:track:live' })
+      )));
+      await appendRows('Listening Log', [logRow]);
+
+      const stats = await importStreamingHistory([
+        exportEntry({ ts: '2023-06-01T12:04:00Z' }),
+        exportEntry({ ts: '2023-07-01T08:01:00Z', spotify_track_uri: 'spotify:track:live' }),
+        exportEntry({ ts: '2023-08-01T08:00:00Z' })
+      ], { chunkDelayMs: 0 });
+
+      expect(stats.duplicates).toBe(2);
+      expect(stats.imported).toBe(1);
+    });
+
+    it('should include short plays when requested', async () => {
+      const stats = await importStreamingHistory([exportEntry({ ms_played: 5000 })], {
+        includeShort: true,
+        chunkDelayMs: 0
+      });
+
+      expect(stats.imported).toBe(1);
+    });
+
+    it('should not write anything in dry run mode', async () => {
+      const stats = await importStreamingHistory([exportEntry()], { dryRun: true, chunkDelayMs: 0 });
+
+      expect(stats.imported).toBe(1);
+      expect(await getAllRows('Historical Data')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { encryptSecret, decryptSecret, hasEncryptionKey } from '../../lib/token-vault.js';
+
+describe('token-vault', () => {
+  const originalKey = process.env.TOKEN_ENCRYPTION_KEY;
+
+  beforeEach(() => {
+    process.env.TOKEN_ENCRYPTION_KEY = 'test-encryption-key';
+  });
+
+  afterAll(() => {
+    if (originalKey === undefined) {
+      delete process.env.TOKEN_ENCRYPTION_KEY;
+    } else {
+      process.env.TOKEN_ENCRYPTION_KEY = originalKey;
+    }
+  });
+
+  it('should round-trip secrets without exposing them', () => {
+    const first = encryptSecret('refresh-token');
+    const second = encryptSecret('refresh-token');
+
+    expect(first).toMatch(/^v1:/);
+    expect(first).not.toContain('refresh-token');
+    expect(first).not.toBe(second);
+    expect(decryptSecret(first)).toBe('refresh-token');
+    expect(decryptSecret(second)).toBe('refresh-token');
+  });
+
+  it('should reject other keys, tampered values and plaintext', () => {
+    const value = encryptSecret('refresh-token');
+    const [version, iv, tag, ciphertext] = value.split(':');
+    const tampered = [version, iv, tag, Buffer.from('x' + ciphertext).toString('base64url')].join(':');
+
+    expect(() => decryptSecret(tampered)).toThrow('Could not decrypt token');
+    expect(() => decryptSecret('refresh-token')).toThrow('Not an encrypted token');
+
+    process.env.TOKEN_ENCRYPTION_KEY = 'another-key';
+    expect(() => decryptSecret(value)).toThrow('was TOKEN_ENCRYPTION_KEY changed?');
+  });
+
+  it('should require TOKEN_ENCRYPTION_KEY', () => {
+    delete process.env.TOKEN_ENCRYPTION_KEY;
+
+    expect(hasEncryptionKey()).toBe(false);
+    expect(() => encryptSecret('refresh-token')).toThrow('TOKEN_ENCRYPTION_KEY is not set');
+  });
+});
@@ -0,0 +1,193 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  parseUserRegistry,
+  loadUsers,
+  runAsUser,
+  getCurrentUserId,
+  getUserSetting,
+  getUserRefreshToken,
+  getUserSpreadsheetId,
+  runForUsers,
+  runForUser,
+  DEFAULT_USER_ID
+} from '../../lib/users.js';
+
+describe('users', () => {
+  const originalEnv = { ...process.env };
+  let tempDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'users-test-'));
+  });
+
+  beforeEach(() => {
+    for (const name of ['USERS', 'USERS_FILE', 'SPOTIFY_REFRESH_TOKEN', 'GOOGLE_SHEETS_ID', 'ENABLE_SKIPS_TAB', 'ALICE_TOKEN', 'USER_RUN_TIMEOUT_SECONDS']) {
+      delete process.env[name];
+    }
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+    process.env = originalEnv;
+  });
+
+  const alice = { id: 'alice', refreshTokenEnv: 'ALICE_TOKEN', spreadsheetId: 'sheet-alice', settings: { ENABLE_SKIPS_TAB: true } };
+  const bob = { id: 'bob', refreshToken: 'bob-token', spreadsheetId: 'sheet-bob' };
+
+  function createResponse() {
+    return {
+      statusCode: null,
+      body: null,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    };
+  }
+
+  describe('parseUserRegistry', () => {
+    it('should normalize entries', () => {
+      expect(parseUserRegistry({ users: [bob] })).toEqual([
+        { id: 'bob', name: 'bob', refreshToken: 'bob-token', refreshTokenEnv: null, spreadsheetId: 'sheet-bob', enabled: true, settings: {} }
+      ]);
+    });
+
+    it('should reject invalid ids, duplicates, missing tokens and unknown settings', () => {
+      expect(() => parseUserRegistry([{ id: '../etc', refreshToken: 'x' }])).toThrow('Invalid user id');
+      expect(() => parseUserRegistry([bob, bob])).toThrow('Duplicate user id "bob"');
+      expect(() => parseUserRegistry([{ id: 'carol' }])).toThrow('needs refreshToken or refreshTokenEnv');
+      expect(() => parseUserRegistry([{ ...bob, settings: { GOOGLE_PRIVATE_KEY: 'x' } }])).toThrow('GOOGLE_PRIVATE_KEY');
+    });
+
+    it('should let the default user fall back to SPOTIFY_REFRESH_TOKEN', () => {
+      process.env.SPOTIFY_REFRESH_TOKEN = 'legacy-token';
+      const [user] = parseUserRegistry([{ id: DEFAULT_USER_ID }]);
+      expect(getUserRefreshToken(user)).toBe('legacy-token');
+    });
+  });
+
+  describe('loadUsers', () => {
+    it('should return the implicit default user without a registry', () => {
+      process.env.USERS_FILE = path.join(tempDir, 'missing.json');
+      expect(() => loadUsers()).toThrow('Could not read user registry');
+
+      delete process.env.USERS_FILE;
+      expect(loadUsers().map(user => user.id)).toEqual([DEFAULT_USER_ID]);
+    });
+
+    it('should read USERS or USERS_FILE', async () => {
+      process.env.USERS = JSON.stringify([alice]);
+      expect(loadUsers().map(user => user.id)).toEqual(['alice']);
+
+      delete process.env.USERS;
+      const file = path.join(tempDir, 'users.json');
+      await fs.writeFile(file, JSON.stringify([alice, bob]));
+      process.env.USERS_FILE = file;
+      expect(loadUsers().map(user => user.id)).toEqual(['alice', 'bob']);
+    });
+  });
+
+  describe('runAsUser', () => {
+    it('should expose the user and their settings to everything awaited inside', async () => {
+      process.env.ALICE_TOKEN = 'alice-token';
+      process.env.GOOGLE_SHEETS_ID = 'env-sheet';
+      const [user] = parseUserRegistry([alice]);
+
+      const seen = await runAsUser(user, async () => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        return [getCurrentUserId(), getUserSetting('ENABLE_SKIPS_TAB'), getUserRefreshToken(), getUserSpreadsheetId()];
+      });
+
+      expect(seen).toEqual(['alice', 'true', 'alice-token', 'sheet-alice']);
+      expect(getCurrentUserId()).toBe(DEFAULT_USER_ID);
+      expect(getUserSpreadsheetId()).toBe('env-sheet');
+    });
+  });
+
+  describe('runForUsers', () => {
+    const run = async (req, res) => {
+      if (getCurrentUserId() === 'alice') {
+        throw new Error('token revoked');
+      }
+      return res.status(200).json({ success: true, user: getCurrentUserId() });
+    };
+
+    it('should send the handler response as is for a single user', async () => {
+      const res = createResponse();
+      await runForUsers({ query: {} }, res, run);
+      expect(res).toMatchObject({ statusCode: 200, body: { success: true, user: DEFAULT_USER_ID } });
+    });
+
+    it('should combine per-user results and isolate failures', async () => {
+      process.env.USERS = JSON.stringify([alice, bob, { ...bob, id: 'dave', enabled: false }]);
+
+      const res = createResponse();
+      await runForUsers({ query: {} }, res, run);
+
+      expect(res.statusCode).toBe(207);
+      expect(res.body.users).toEqual([
+        { userId: 'alice', statusCode: 500, success: false, error: 'token revoked' },
+        { userId: 'bob', statusCode: 200, success: true, user: 'bob' }
+      ]);
+    });
+
+    it('should run users concurrently and fail only the one that runs out of time', async () => {
+      process.env.USERS = JSON.stringify([alice, bob]);
+      process.env.USER_RUN_TIMEOUT_SECONDS = '1';
+      const started = [];
+      const slow = async (req, res) => {
+        started.push(getCurrentUserId());
+        if (getCurrentUserId() === 'alice') {
+          await new Promise(resolve => setTimeout(resolve, 1500));
+        }
+        return res.status(200).json({ success: true });
+      };
+
+      const res = createResponse();
+      await runForUsers({ query: {} }, res, slow);
+
+      expect(started).toEqual(['alice', 'bob']);
+      expect(res.statusCode).toBe(207);
+      expect(res.body.users).toEqual([
+        { userId: 'alice', statusCode: 504, success: false, error: 'Timed out after 1s' },
+        { userId: 'bob', statusCode: 200, success: true }
+      ]);
+      await new Promise(resolve => setTimeout(resolve, 600));
+    });
+
+    it('should run only the user named by ?user', async () => {
+      process.env.USERS = JSON.stringify([alice, bob]);
+
+      const res = createResponse();
+      await runForUsers({ query: { user: 'bob' } }, res, run);
+      expect(res.body).toEqual({ success: true, user: 'bob' });
+
+      const unknown = createResponse();
+      await runForUsers({ query: { user: 'carol' } }, unknown, run);
+      expect(unknown).toMatchObject({ statusCode: 400, body: { error: 'Unknown user "carol"' } });
+    });
+  });
+
+  describe('runForUser', () => {
+    it('should require ?user once several users are registered', async () => {
+      process.env.USERS = JSON.stringify([alice, bob]);
+      const run = async (req, res) => res.status(200).json({ user: getCurrentUserId() });
+
+      const missing = createResponse();
+      await runForUser({ query: {} }, missing, run);
+      expect(missing.statusCode).toBe(400);
+      expect(missing.body.error).toBe('Several users are registered; pass ?user=<id>');
+      expect(JSON.stringify(missing.body)).not.toMatch(/alice|bob/);
+
+      const named = createResponse();
+      await runForUser({ query: { user: 'alice' } }, named, run);
+      expect(named.body).toEqual({ user: 'alice' });
+    });
+  });
+});
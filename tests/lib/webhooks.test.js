@@ -0,0 +1,221 @@
+import http from 'http';
+import {
+  EVENT_TYPES,
+  getWebhookConfig,
+  createEvent,
+  signPayload,
+  verifySignature,
+  createDeliveries,
+  getBackoffMs,
+  sendDelivery,
+  processOutbox,
+  emitEvents,
+  deliverWebhooks
+} from '../../lib/webhooks.js';
+
+const NOW = Date.parse('2024-01-15T12:00:00.000Z');
+
+function delivery(overrides = {}) {
+  return {
+    id: 'evt-1:http://hooks.test/a',
+    url: 'http://hooks.test/a',
+    event: { id: 'evt-1', type: EVENT_TYPES.PLAY_LOGGED, createdAt: '2024-01-15T11:59:00.000Z', data: { trackId: 'abc' } },
+    attempts: 0,
+    nextAttemptAt: '2024-01-15T11:59:00.000Z',
+    lastError: null,
+    ...overrides
+  };
+}
+
+describe('webhooks', () => {
+  describe('getWebhookConfig', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    it('should be disabled without URLs', () => {
+      delete process.env.WEBHOOK_URLS;
+      expect(getWebhookConfig().enabled).toBe(false);
+    });
+
+    it('should parse URLs and event filters', () => {
+      process.env.WEBHOOK_URLS = 'https://a.test/hook, https://b.test/hook,';
+      process.env.WEBHOOK_SECRET = 'secret';
+      process.env.WEBHOOK_EVENTS = 'play.failed';
+
+      const config = getWebhookConfig();
+      expect(config.enabled).toBe(true);
+      expect(config.error).toBeNull();
+      expect(config.urls).toEqual(['https://a.test/hook', 'https://b.test/hook']);
+      expect(config.events).toEqual(['play.failed']);
+    });
+
+    it('should refuse to send events without a secret', async () => {
+      process.env.WEBHOOK_URLS = 'https://a.test/hook';
+      delete process.env.WEBHOOK_SECRET;
+
+      const config = getWebhookConfig();
+      expect(config.enabled).toBe(false);
+      expect(config.error).toContain('WEBHOOK_SECRET is empty');
+      await expect(emitEvents(EVENT_TYPES.PLAY_LOGGED, [{ trackId: 'abc' }])).rejects.toThrow('WEBHOOK_SECRET is empty');
+      await expect(deliverWebhooks()).rejects.toThrow('WEBHOOK_SECRET is empty');
+    });
+
+    it('should send all event types by default', () => {
+      delete process.env.WEBHOOK_EVENTS;
+      expect(getWebhookConfig().events).toEqual(['play.logged', 'play.failed', 'play.retried']);
+    });
+  });
+
+  describe('signPayload / verifySignature', () => {
+    it('should sign the timestamp and body', () => {
+      const signature = signPayload('secret', 1700000000, '{"a":1}');
+
+      expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+      expect(verifySignature('secret', 1700000000, '{"a":1}', signature)).toBe(true);
+    });
+
+    it('should reject a changed body, timestamp or secret', () => {
+      const signature = signPayload('secret', 1700000000, '{"a":1}');
+
+      expect(verifySignature('secret', 1700000000, '{"a":2}', signature)).toBe(false);
+      expect(verifySignature('secret', 1700000001, '{"a":1}', signature)).toBe(false);
+      expect(verifySignature('other', 1700000000, '{"a":1}', signature)).toBe(false);
+      expect(verifySignature('secret', 1700000000, '{"a":1}', undefined)).toBe(false);
+    });
+  });
+
+  describe('createDeliveries', () => {
+    it('should create one due delivery per URL', () => {
+      const event = createEvent(EVENT_TYPES.PLAY_LOGGED, { trackId: 'abc' });
+      const deliveries = createDeliveries(event, ['https://a.test', 'https://b.test']);
+
+      expect(deliveries).toHaveLength(2);
+      expect(deliveries[0]).toEqual({
+        id: `${event.id}:https://a.test`,
+        url: 'https://a.test',
+        event,
+        attempts: 0,
+        nextAttemptAt: event.createdAt,
+        lastError: null
+      });
+    });
+  });
+
+  describe('getBackoffMs', () => {
+    it('should grow with attempts and cap', () => {
+      expect(getBackoffMs(1)).toBe(60000);
+      expect(getBackoffMs(2)).toBeGreaterThan(getBackoffMs(1));
+      expect(getBackoffMs(20)).toBe(getBackoffMs(6));
+    });
+  });
+
+  describe('processOutbox', () => {
+    it('should deliver due entries and leave future ones', async () => {
+      const sent = [];
+      const result = await processOutbox([
+        delivery(),
+        delivery({ id: 'later', nextAttemptAt: '2024-01-15T13:00:00.000Z' })
+      ], {
+        now: NOW,
+        send: async d => { sent.push(d.id); return { ok: true }; }
+      });
+
+      expect(sent).toEqual(['evt-1:http://hooks.test/a']);
+      expect(result).toEqual({ delivered: ['evt-1:http://hooks.test/a'], retried: [], dropped: [] });
+    });
+
+    it('should reschedule failures with backoff', async () => {
+      const result = await processOutbox([delivery({ attempts: 1 })], {
+        now: NOW,
+        send: async () => ({ ok: false, error: 'HTTP 503' })
+      });
+
+      expect(result.retried).toEqual([delivery({
+        attempts: 2,
+        lastError: 'HTTP 503',
+        nextAttemptAt: new Date(NOW + getBackoffMs(2)).toISOString()
+      })]);
+    });
+
+    it('should drop deliveries after max attempts', async () => {
+      const result = await processOutbox([delivery({ attempts: 2 })], {
+        now: NOW,
+        maxAttempts: 3,
+        send: async () => ({ ok: false, error: 'timeout' })
+      });
+
+      expect(result.retried).toEqual([]);
+      expect(result.dropped).toHaveLength(1);
+      expect(result.dropped[0].attempts).toBe(3);
+    });
+
+    it('should stop after the deadline', async () => {
+      const result = await processOutbox([delivery()], {
+        now: NOW,
+        deadline: Date.now() - 1,
+        send: async () => ({ ok: true })
+      });
+
+      expect(result).toEqual({ delivered: [], retried: [], dropped: [] });
+    });
+  });
+
+  describe('sendDelivery', () => {
+    let server;
+    let url;
+    let received;
+    let status;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received = { headers: req.headers, body };
+          res.writeHead(status);
+          res.end();
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}/hook`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should POST a signed event', async () => {
+      status = 204;
+      const result = await sendDelivery(delivery({ url }), 'secret');
+
+      expect(result).toEqual({ ok: true, status: 204, error: null });
+      expect(JSON.parse(received.body)).toEqual(delivery().event);
+      expect(received.headers['x-webhook-event']).toBe('play.logged');
+      expect(received.headers['x-webhook-id']).toBe('evt-1');
+      expect(verifySignature(
+        'secret',
+        received.headers['x-webhook-timestamp'],
+        received.body,
+        received.headers['x-webhook-signature']
+      )).toBe(true);
+    });
+
+    it('should report non-2xx responses as failures', async () => {
+      status = 500;
+      const result = await sendDelivery(delivery({ url }), 'secret');
+
+      expect(result).toEqual({ ok: false, status: 500, error: 'HTTP 500' });
+    });
+
+    it('should not send unsigned requests', async () => {
+      received = null;
+      const result = await sendDelivery(delivery({ url }), '');
+
+      expect(result).toEqual({ ok: false, status: null, error: 'No WEBHOOK_SECRET to sign the request with' });
+      expect(received).toBeNull();
+    });
+  });
+});
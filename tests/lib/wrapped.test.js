@@ -0,0 +1,206 @@
+import {
+  parseReportYear,
+  findLongestStreak,
+  findMostReplayed,
+  describeMood,
+  computeMoodByMonth,
+  findFirstListens,
+  buildWrappedReport,
+  renderWrappedHtml
+} from '../../lib/wrapped.js';
+
+function play(overrides = {}) {
+  return {
+    timestamp: '2023-03-01T12:00:00.000Z',
+    trackName: 'Song A',
+    artists: ['Artist A'],
+    album: 'Album A',
+    duration: 180000,
+    playDuration: 180000,
+    trackId: 'trackA',
+    genres: ['indie'],
+    tempo: 120,
+    energy: 0.8,
+    danceability: 0.6,
+    valence: 0.7,
+    instrumentalness: 0.1,
+    speechiness: 0.05,
+    device: 'Phone',
+    status: 'COMPLETED',
+    nonMusicReason: '',
+    ...overrides
+  };
+}
+
+describe('wrapped', () => {
+  describe('parseReportYear', () => {
+    const now = new Date('2024-06-01T00:00:00Z').getTime();
+
+    it('should default to the current year', () => {
+      expect(parseReportYear(undefined, now)).toBe(2024);
+    });
+
+    it('should accept past years', () => {
+      expect(parseReportYear('2021', now)).toBe(2021);
+    });
+
+    it('should reject future and malformed years', () => {
+      expect(() => parseReportYear('2025', now)).toThrow("hasn't happened yet");
+      expect(() => parseReportYear('23', now)).toThrow('Invalid year');
+    });
+  });
+
+  describe('findLongestStreak', () => {
+    it('should find the longest run of consecutive days', () => {
+      expect(findLongestStreak([
+        '2023-01-01', '2023-01-02',
+        '2023-02-27', '2023-02-28', '2023-03-01', '2023-03-01',
+        '2023-05-10'
+      ])).toEqual({ days: 3, start: '2023-02-27', end: '2023-03-01' });
+    });
+
+    it('should handle unsorted input and single days', () => {
+      expect(findLongestStreak(['2023-01-03', '2023-01-01'])).toEqual({ days: 1, start: '2023-01-01', end: '2023-01-01' });
+    });
+
+    it('should return null without days', () => {
+      expect(findLongestStreak([])).toBeNull();
+    });
+  });
+
+  describe('findMostReplayed', () => {
+    it('should find the longest back-to-back run', () => {
+      const plays = [
+        play({ timestamp: '2023-03-01T10:00:00.000Z' }),
+        play({ timestamp: '2023-03-01T10:03:00.000Z' }),
+        play({ timestamp: '2023-03-02T09:00:00.000Z', trackId: 'trackB', trackName: 'Song B' }),
+        play({ timestamp: '2023-03-02T09:03:00.000Z', trackId: 'trackB', trackName: 'Song B' }),
+        play({ timestamp: '2023-03-02T09:06:00.000Z', trackId: 'trackB', trackName: 'Song B' }),
+        play({ timestamp: '2023-03-03T09:00:00.000Z' })
+      ];
+
+      expect(findMostReplayed(plays)).toEqual({
+        trackId: 'trackB',
+        name: 'Song B',
+        artist: 'Artist A',
+        repeatCount: 3,
+        date: '2023-03-02',
+        totalPlays: 3
+      });
+    });
+
+    it('should sort plays by time first', () => {
+      const plays = [
+        play({ timestamp: '2023-03-01T10:06:00.000Z' }),
+        play({ timestamp: '2023-03-01T10:03:00.000Z', trackId: 'trackB' }),
+        play({ timestamp: '2023-03-01T10:00:00.000Z' })
+      ];
+
+      expect(findMostReplayed(plays)).toBeNull();
+    });
+
+    it('should return null without replays', () => {
+      expect(findMostReplayed([play()])).toBeNull();
+      expect(findMostReplayed([])).toBeNull();
+    });
+  });
+
+  describe('describeMood', () => {
+    it('should label valence and energy quadrants', () => {
+      expect(describeMood(0.7, 0.8)).toBe('Upbeat');
+      expect(describeMood(0.7, 0.3)).toBe('Chill');
+      expect(describeMood(0.2, 0.8)).toBe('Intense');
+      expect(describeMood(0.2, 0.3)).toBe('Melancholic');
+      expect(describeMood(null, 0.3)).toBeNull();
+    });
+  });
+
+  describe('computeMoodByMonth', () => {
+    it('should average audio features per month', () => {
+      const months = computeMoodByMonth([
+        play({ timestamp: '2023-02-01T00:00:00.000Z', energy: 0.2, valence: 0.2, danceability: 0.4, tempo: 90 }),
+        play({ timestamp: '2023-01-01T00:00:00.000Z', energy: 0.6, valence: 0.4 }),
+        play({ timestamp: '2023-01-02T00:00:00.000Z', energy: 0.8, valence: 0.8, tempo: 131 }),
+        play({ timestamp: '2023-01-03T00:00:00.000Z', energy: null, valence: null, danceability: null, tempo: null })
+      ]);
+
+      expect(months).toEqual([
+        { month: '2023-01', plays: 3, energy: 0.7, valence: 0.6, danceability: 0.6, tempo: 126, mood: 'Upbeat' },
+        { month: '2023-02', plays: 1, energy: 0.2, valence: 0.2, danceability: 0.4, tempo: 90, mood: 'Melancholic' }
+      ]);
+    });
+  });
+
+  describe('findFirstListens', () => {
+    it('should find the earliest play per artist', () => {
+      const firstListens = findFirstListens([
+        play({ timestamp: '2023-03-01T00:00:00.000Z', artists: ['Artist A', 'Artist B'] }),
+        play({ timestamp: '2021-07-04T00:00:00.000Z' }),
+        play({ timestamp: '2020-01-01T00:00:00.000Z', artists: ['Artist C'] })
+      ], ['Artist A', 'Artist B']);
+
+      expect(firstListens).toEqual({
+        'Artist A': '2021-07-04T00:00:00.000Z',
+        'Artist B': '2023-03-01T00:00:00.000Z'
+      });
+    });
+  });
+
+  describe('buildWrappedReport', () => {
+    const plays = [
+      play({ timestamp: '2022-11-20T00:00:00.000Z' }),
+      play({ timestamp: '2023-03-01T10:00:00.000Z' }),
+      play({ timestamp: '2023-03-01T10:03:00.000Z' }),
+      play({ timestamp: '2023-03-02T09:00:00.000Z', trackId: 'trackB', trackName: 'Song B', artists: ['Artist B'], genres: ['rock'] }),
+      play({ timestamp: '2023-03-05T09:00:00.000Z', trackName: 'Episode 9: Talk', trackId: 'pod' }),
+      play({ timestamp: '2024-01-01T00:00:00.000Z' })
+    ];
+
+    it('should summarize the year', () => {
+      const report = buildWrappedReport(plays, 2023, { now: new Date('2024-01-02T00:00:00Z').getTime() });
+
+      expect(report.year).toBe(2023);
+      expect(report.generatedAt).toBe('2024-01-02T00:00:00.000Z');
+      expect(report.totals).toEqual({
+        plays: 3,
+        minutes: 9,
+        uniqueTracks: 2,
+        uniqueArtists: 2,
+        daysListened: 2,
+        nonMusicExcluded: 1
+      });
+      expect(report.topArtists[0]).toMatchObject({ name: 'Artist A', plays: 2, firstListenedAt: '2022-11-20T00:00:00.000Z' });
+      expect(report.topTracks.map(t => t.name)).toEqual(['Song A', 'Song B']);
+      expect(report.topGenres.map(g => g.name)).toEqual(['indie', 'rock']);
+      expect(report.longestStreak).toEqual({ days: 2, start: '2023-03-01', end: '2023-03-02' });
+      expect(report.mostReplayed).toMatchObject({ trackId: 'trackA', repeatCount: 2 });
+      expect(report.moodByMonth.map(m => m.month)).toEqual(['2023-03']);
+    });
+
+    it('should handle a year without plays', () => {
+      const report = buildWrappedReport(plays, 2019);
+
+      expect(report.totals.plays).toBe(0);
+      expect(report.topArtists).toEqual([]);
+      expect(report.longestStreak).toBeNull();
+      expect(report.mostReplayed).toBeNull();
+      expect(report.moodByMonth).toEqual([]);
+    });
+  });
+
+  describe('renderWrappedHtml', () => {
+    it('should render a self-contained page with escaped names', () => {
+      const report = buildWrappedReport([
+        play({ trackName: '<script>alert(1)</script>', artists: ['Tom & Jerry'] })
+      ], 2023);
+
+      const html = renderWrappedHtml(report);
+
+      expect(html).toContain('<title>2023 Wrapped</title>');
+      expect(html).toContain('Tom &amp; Jerry');
+      expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+      expect(html).not.toContain('<script>');
+      expect(html).not.toMatch(/<link|src=/);
+    });
+  });
+});
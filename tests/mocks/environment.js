@@ -0,0 +1,115 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createMockSpotifyServer } from './spotify-server.js';
+import { createMockSheetsServer } from './sheets-server.js';
+
+/**
+ * Offline environment for end-to-end handler tests
+ *
+ * Starts the fake Spotify and Sheets servers, points the app at them and
+ * keeps state in a temp STATE_DIR. lib/sheets-api.js and lib/state-manager.js
+ * read their env at import time, so import the handlers dynamically after
+ * startMockEnvironment() (see tests/api/).
+ */
+
+// Env vars that would send requests or state somewhere real
+const ISOLATED_ENV = [
+  'USE_KV',
+  'VERCEL_ENV',
+  'KV_REST_API_URL',
+  'KV_REST_API_TOKEN',
+  'CRON_SECRET',
+  'API_KEYS',
+  'USERS',
+  'USERS_FILE',
+  'TOKEN_ENCRYPTION_KEY',
+  'SPOTIFY_CALLBACK_URL',
+  'STORAGE_SINK',
+  'ENRICHMENT_PROVIDERS',
+  'ENRICHMENT_FILE',
+  'COLUMNS_FILE',
+  'LISTENING_LOG_PARTITIONS',
+  'ARCHIVE_AFTER_MONTHS',
+  'ARCHIVE_SHEETS_ID',
+  'DEDUP_INDEX',
+  'DEDUP_INDEX_DAYS',
+  'DEDUP_INDEX_VERIFY_HOURS',
+  'WEBHOOK_URLS',
+  'SLACK_WEBHOOK_URL',
+  'DISCORD_WEBHOOK_URL',
+  'SENDGRID_API_KEY',
+  'RESEND_API_KEY',
+  'GOOGLE_SERVICE_ACCOUNT_EMAIL',
+  'GOOGLE_PRIVATE_KEY'
+];
+
+/**
+ * Start the mock servers and configure the environment
+ * @returns {Promise<object>} { spotify, sheets, stateDir, stop }
+ */
+export async function startMockEnvironment() {
+  const originalEnv = { ...process.env };
+  const spotify = createMockSpotifyServer();
+  const sheets = createMockSheetsServer();
+
+  await spotify.start();
+  await sheets.start();
+  const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spotify-logger-e2e-'));
+
+  for (const name of ISOLATED_ENV) {
+    delete process.env[name];
+  }
+
+  Object.assign(process.env, {
+    SPOTIFY_CLIENT_ID: 'mock-client-id',
+    SPOTIFY_CLIENT_SECRET: 'mock-client-secret',
+    SPOTIFY_REFRESH_TOKEN: 'mock-refresh-token',
+    SPOTIFY_ACCOUNTS_URL: spotify.url,
+    SPOTIFY_API_BASE: `${spotify.url}/v1`,
+    GOOGLE_SHEETS_ID: 'mock-spreadsheet',
+    GOOGLE_SHEETS_API_URL: sheets.url,
+    STATE_DIR: stateDir,
+    ENABLE_ALERTS: 'false'
+  });
+
+  return {
+    spotify,
+    sheets,
+    stateDir,
+    async stop() {
+      await spotify.stop();
+      await sheets.stop();
+      await fs.rm(stateDir, { recursive: true, force: true });
+      process.env = originalEnv;
+    }
+  };
+}
+
+/**
+ * Minimal Vercel response object
+ * @returns {object} Response with statusCode, headers and body after json()/send()
+ */
+export function createMockResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    }
+  };
+}
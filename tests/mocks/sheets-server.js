@@ -0,0 +1,341 @@
+import http from 'http';
+
+/**
+ * In-memory fake Google Sheets API for offline tests
+ *
+ * Serves the v4 endpoints used by lib/sheets-api.js:
+ * - GET  /v4/spreadsheets/:id                       (sheet list)
+ * - POST /v4/spreadsheets/:id:batchUpdate           (addSheet, deleteSheet, insertDimension, deleteDimension)
+ * - GET  /v4/spreadsheets/:id/values/:range
+ * - POST /v4/spreadsheets/:id/values/:range:append
+ * - PUT  /v4/spreadsheets/:id/values/:range
+ * - POST /v4/spreadsheets/:id/values:batchUpdate
+ * - POST /v4/spreadsheets/:id/values/:range:clear
+ *
+ * Point the app at it with:
+ *   GOOGLE_SHEETS_API_URL=<server.url>
+ *   GOOGLE_SHEETS_ID=<any id>
+ *
+ * Like the real API, values are read back as strings (USER_ENTERED), trailing
+ * empty cells are dropped, null cells leave the existing value on updates and
+ * writing to a missing tab is a 400.
+ */
+
+/**
+ * Send a JSON response
+ * @param {object} res - HTTP response
+ * @param {number} status - Status code
+ * @param {object} body - JSON body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a Google-style error
+ * @param {object} res - HTTP response
+ * @param {number} status - Status code
+ * @param {string} message - Error message
+ */
+function sendError(res, status, message) {
+  sendJson(res, status, { error: { code: status, message, status: status === 429 ? 'RESOURCE_EXHAUSTED' : 'INVALID_ARGUMENT' } });
+}
+
+/**
+ * Read a JSON request body
+ * @param {object} req - HTTP request
+ * @returns {Promise<object>} Parsed body ({} if empty)
+ */
+async function readBody(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+  }
+  return body ? JSON.parse(body) : {};
+}
+
+/**
+ * Convert a written value the way USER_ENTERED values read back
+ * @param {any} value - Cell value
+ * @returns {string} Displayed value
+ */
+function toCellValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  return String(value);
+}
+
+/**
+ * Drop trailing empty cells from a row
+ * @param {array} row - Row values
+ * @returns {array} Trimmed row
+ */
+function trimRow(row) {
+  const trimmed = [...row];
+  while (trimmed.length > 0 && trimmed[trimmed.length - 1] === '') {
+    trimmed.pop();
+  }
+  return trimmed;
+}
+
+/**
+ * Convert A1 column letters to a 0-based index (A -> 0, AB -> 27)
+ * @param {string} letters - Column letters
+ * @returns {number} Column index
+ */
+function columnIndexOf(letters) {
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Parse an A1 range such as "Listening Log!A5:ZZ5" or "'Listening Log'!A:ZZ"
+ * @param {string} range - A1 range
+ * @returns {object} { sheet, startRow, endRow, startColumn } (1-indexed rows, null = open; 0-based column)
+ */
+export function parseRange(range) {
+  const [rawSheet, cells = ''] = range.split('!');
+  const sheet = rawSheet.replace(/^'(.*)'$/, '$1');
+  const [start = '', end = ''] = cells.split(':');
+  const rowOf = ref => (ref.match(/\d+$/) ? parseInt(ref.match(/\d+$/)[0], 10) : null);
+  const startLetters = start.match(/^[A-Z]+/)?.[0];
+
+  return { sheet, startRow: rowOf(start), endRow: rowOf(end), startColumn: startLetters ? columnIndexOf(startLetters) : 0 };
+}
+
+/**
+ * Write values into a tab's rows the way values.update does
+ * @param {object} tab - Tab ({ rows })
+ * @param {string} range - A1 range of the top-left cell
+ * @param {array} values - Rows of raw values (null leaves the cell unchanged)
+ */
+function writeValues(tab, range, values) {
+  const { startRow, startColumn } = parseRange(range);
+
+  values.forEach((rowValues, i) => {
+    const index = (startRow || 1) - 1 + i;
+    while (tab.rows.length <= index) {
+      tab.rows.push([]);
+    }
+
+    const row = [...tab.rows[index]];
+    rowValues.forEach((value, j) => {
+      if (value === null) {
+        return;
+      }
+      while (row.length < startColumn + j) {
+        row.push('');
+      }
+      row[startColumn + j] = toCellValue(value);
+    });
+    tab.rows[index] = trimRow(row);
+  });
+}
+
+/**
+ * Create a fake Google Sheets server
+ * @returns {object} http.Server with { url, start, stop, reset, getRows, fail, requests }
+ */
+export function createMockSheetsServer() {
+  let tabs = new Map();
+  let nextSheetId = 1;
+  let faults = [];
+  const requests = [];
+
+  /**
+   * Take a scripted fault for an operation, if any
+   * @param {string} operation - get, append, update, clear, metadata, batchUpdate or batchUpdateValues
+   * @returns {object|null} Fault
+   */
+  function takeFault(operation) {
+    const fault = faults.find(f => f.operation === operation);
+    if (!fault) {
+      return null;
+    }
+
+    fault.times--;
+    if (fault.times <= 0) {
+      faults = faults.filter(f => f !== fault);
+    }
+    return fault;
+  }
+
+  /**
+   * Route a request
+   * @param {object} req - HTTP request
+   * @param {object} res - HTTP response
+   */
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, server.url);
+    const body = await readBody(req);
+
+    const valuesMatch = pathname.match(/^\/v4\/spreadsheets\/[^/]+\/values\/(.+?)(:append|:clear)?$/);
+    const operation = valuesMatch
+      ? { GET: 'get', PUT: 'update' }[req.method] || valuesMatch[2]?.slice(1)
+      : pathname.endsWith('/values:batchUpdate')
+        ? 'batchUpdateValues'
+        : (pathname.endsWith(':batchUpdate') ? 'batchUpdate' : 'metadata');
+    const range = valuesMatch ? decodeURIComponent(valuesMatch[1]) : null;
+    const spreadsheetId = pathname.match(/^\/v4\/spreadsheets\/([^/:]+)/)?.[1] || null;
+
+    requests.push({ method: req.method, operation, range, spreadsheetId });
+
+    const fault = takeFault(operation);
+    if (fault) {
+      return sendError(res, fault.status, fault.message || `Mock error ${fault.status}`);
+    }
+
+    if (operation === 'metadata') {
+      return sendJson(res, 200, {
+        sheets: [...tabs.entries()].map(([title, tab]) => ({ properties: { title, sheetId: tab.sheetId } }))
+      });
+    }
+
+    if (operation === 'batchUpdate') {
+      const replies = (body.requests || []).map(request => {
+        if (request.insertDimension) {
+          const { sheetId, dimension, startIndex, endIndex } = request.insertDimension.range;
+          const tab = [...tabs.values()].find(entry => entry.sheetId === sheetId);
+          if (dimension === 'COLUMNS' && tab) {
+            // Cells at and after startIndex shift right
+            tab.rows = tab.rows.map(row => (row.length > startIndex
+              ? [...row.slice(0, startIndex), ...Array(endIndex - startIndex).fill(''), ...row.slice(startIndex)]
+              : row));
+          }
+          return {};
+        }
+
+        if (request.deleteDimension) {
+          const { sheetId, dimension, startIndex, endIndex } = request.deleteDimension.range;
+          const tab = [...tabs.values()].find(entry => entry.sheetId === sheetId);
+          if (dimension === 'ROWS' && tab) {
+            tab.rows.splice(startIndex, endIndex - startIndex);
+          }
+          return {};
+        }
+
+        if (request.deleteSheet) {
+          const title = [...tabs.keys()].find(key => tabs.get(key).sheetId === request.deleteSheet.sheetId);
+          tabs.delete(title);
+          return {};
+        }
+
+        const title = request.addSheet?.properties?.title;
+        if (!tabs.has(title)) {
+          tabs.set(title, { sheetId: nextSheetId++, rows: [] });
+        }
+        return { addSheet: { properties: { title, sheetId: tabs.get(title).sheetId } } };
+      });
+      return sendJson(res, 200, { replies });
+    }
+
+    if (operation === 'batchUpdateValues') {
+      for (const { range: dataRange, values } of body.data || []) {
+        const tab = tabs.get(parseRange(dataRange).sheet);
+        if (!tab) {
+          return sendError(res, 400, `Unable to parse range: ${dataRange}`);
+        }
+        writeValues(tab, dataRange, values || []);
+      }
+      return sendJson(res, 200, { totalUpdatedRows: (body.data || []).length });
+    }
+
+    const { sheet, startRow, endRow } = parseRange(range);
+    const tab = tabs.get(sheet);
+    if (!tab) {
+      return sendError(res, 400, `Unable to parse range: ${range}`);
+    }
+
+    if (operation === 'get') {
+      const rows = tab.rows.slice((startRow || 1) - 1, endRow || undefined);
+      return sendJson(res, 200, rows.length > 0 ? { range, majorDimension: 'ROWS', values: rows } : { range, majorDimension: 'ROWS' });
+    }
+
+    if (operation === 'update') {
+      writeValues(tab, range, body.values || []);
+      return sendJson(res, 200, { updatedRange: range, updatedRows: (body.values || []).length });
+    }
+
+    const values = (body.values || []).map(row => trimRow(row.map(toCellValue)));
+
+    if (operation === 'append') {
+      const firstRow = tab.rows.length + 1;
+      tab.rows.push(...values);
+      return sendJson(res, 200, {
+        updates: {
+          updatedRange: `${sheet}!A${firstRow}:ZZ${firstRow + values.length - 1}`,
+          updatedRows: values.length
+        }
+      });
+    }
+
+    // clear
+    const from = (startRow || 1) - 1;
+    tab.rows = tab.rows.slice(0, from);
+    return sendJson(res, 200, { clearedRange: range });
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => sendError(res, 500, error.message));
+  });
+
+  /**
+   * Start listening on a random local port
+   * @returns {Promise<string>} Server URL
+   */
+  server.start = async function start() {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    server.url = `http://127.0.0.1:${server.address().port}`;
+    return server.url;
+  };
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  server.stop = function stop() {
+    return new Promise(resolve => server.close(resolve));
+  };
+
+  /**
+   * Replace all tabs
+   * @param {object} initialTabs - { [title]: rows } (e.g. { 'Listening Log': [headers] })
+   */
+  server.reset = function reset(initialTabs = {}) {
+    tabs = new Map();
+    nextSheetId = 1;
+    for (const [title, rows] of Object.entries(initialTabs)) {
+      tabs.set(title, { sheetId: nextSheetId++, rows: rows.map(row => trimRow(row.map(toCellValue))) });
+    }
+    faults = [];
+    requests.length = 0;
+  };
+
+  /**
+   * Get the rows of a tab as the API would return them
+   * @param {string} title - Tab name
+   * @returns {array|null} Rows (including header) or null if the tab doesn't exist
+   */
+  server.getRows = function getRows(title) {
+    return tabs.has(title) ? tabs.get(title).rows.map(row => [...row]) : null;
+  };
+
+  /**
+   * Script an error response
+   * @param {string} operation - get, append, update, clear, metadata, batchUpdate or batchUpdateValues
+   * @param {number} status - HTTP status (e.g. 429, 500)
+   * @param {object} options - { times = 1, message }
+   */
+  server.fail = function fail(operation, status, options = {}) {
+    faults.push({ operation, status, times: options.times || 1, message: options.message });
+  };
+
+  server.requests = requests;
+  server.url = null;
+
+  return server;
+}
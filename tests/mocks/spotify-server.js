@@ -0,0 +1,378 @@
+import http from 'http';
+import { createHash } from 'crypto';
+
+/**
+ * Fake Spotify Web API + Accounts service for offline tests
+ *
+ * Serves the endpoints used by lib/spotify-auth.js and lib/spotify-api.js:
+ * - GET /authorize (redirects back with a code, remembering the PKCE challenge)
+ * - POST /api/token (refresh_token and authorization_code grants)
+ * - GET /v1/me/player/recently-played (limit, after, before)
+ * - GET /v1/audio-features/:id and /v1/audio-features?ids=
+ * - GET /v1/artists/:id and /v1/artists?ids=
+ * - GET /v1/tracks/:id
+ *
+ * Point the app at it with:
+ *   SPOTIFY_ACCOUNTS_URL=<server.url>
+ *   SPOTIFY_API_BASE=<server.url>/v1
+ *
+ * Recently played is scripted as a timeline: each call returns the next
+ * snapshot of "plays Spotify knows about" (the last snapshot repeats), so
+ * consecutive handler runs can see new plays arrive.
+ *
+ * Errors are scripted with fail(), e.g. fail('/v1/audio-features/t2', 429, { times: 4 }).
+ * rotateRefreshToken(token) makes the next refresh return a new refresh token.
+ */
+
+export const MOCK_ACCESS_TOKEN = 'mock-access-token';
+
+/**
+ * Build a fake Spotify track
+ * @param {string} id - Track ID
+ * @param {object} overrides - Track fields to override
+ * @returns {object} Track object shaped like the Web API's
+ */
+export function makeTrack(id, overrides = {}) {
+  return {
+    id,
+    name: `Song ${id}`,
+    uri: `spotify:track:${id}`,
+    duration_ms: 180000,
+    explicit: false,
+    popularity: 50,
+    artists: [{ id: `artist-${id}`, name: `Artist ${id}` }],
+    album: { id: `album-${id}`, name: `Album ${id}`, release_date: '2020-01-01' },
+    ...overrides
+  };
+}
+
+/**
+ * Build a recently-played item
+ * @param {object} track - Track from makeTrack
+ * @param {string} playedAt - ISO timestamp (when the play ended)
+ * @param {object|null} context - Playback context
+ * @returns {object} Recently played item
+ */
+export function makePlay(track, playedAt, context = { type: 'playlist', uri: 'spotify:playlist:mock' }) {
+  return { track, played_at: playedAt, context };
+}
+
+/**
+ * Send a JSON response
+ * @param {object} res - HTTP response
+ * @param {number} status - Status code
+ * @param {object} body - JSON body
+ * @param {object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Deterministic audio features for a track
+ * @param {string} id - Track ID
+ * @returns {object} Audio features
+ */
+function audioFeaturesFor(id) {
+  return {
+    id,
+    tempo: 120,
+    energy: 0.7,
+    danceability: 0.6,
+    valence: 0.5,
+    acousticness: 0.1,
+    instrumentalness: 0,
+    speechiness: 0.05,
+    loudness: -6
+  };
+}
+
+/**
+ * Create a fake Spotify server
+ * @returns {object} http.Server with { url, start, stop, reset, setTimeline, fail, requests }
+ */
+export function createMockSpotifyServer() {
+  let timeline = [[]];
+  let timelineIndex = 0;
+  let faults = [];
+  let authorizations = new Map();
+  let rotatedRefreshToken = null;
+  const requests = [];
+
+  /**
+   * Take a scripted fault for a request, if any
+   * @param {string} pathname - Request path
+   * @param {object} form - Form fields of POST requests
+   * @returns {object|null} Fault
+   */
+  function takeFault(pathname, form) {
+    const fault = faults.find(f => (f.match instanceof RegExp ? f.match.test(pathname) : pathname.startsWith(f.match))
+      && (!f.refreshToken || form?.refresh_token === f.refreshToken));
+    if (!fault) {
+      return null;
+    }
+
+    fault.times--;
+    if (fault.times <= 0) {
+      faults = faults.filter(f => f !== fault);
+    }
+    return fault;
+  }
+
+  /**
+   * Serve /v1/me/player/recently-played from the current timeline snapshot
+   * @param {URLSearchParams} params - Query params
+   * @returns {object} Recently played response
+   */
+  function recentlyPlayed(params) {
+    const snapshot = timeline[Math.min(timelineIndex, timeline.length - 1)];
+    timelineIndex++;
+
+    const limit = Math.min(parseInt(params.get('limit') || '20', 10), 50);
+    const after = params.get('after') ? Number(params.get('after')) : null;
+    const before = params.get('before') ? Number(params.get('before')) : null;
+
+    const matching = [...snapshot]
+      .filter(item => {
+        const time = new Date(item.played_at).getTime();
+        return (after === null || time > after) && (before === null || time < before);
+      })
+      .sort((a, b) => b.played_at.localeCompare(a.played_at));
+
+    const items = matching.slice(0, limit);
+    const oldest = items[items.length - 1];
+    const hasMore = matching.length > items.length;
+
+    return {
+      items,
+      limit,
+      next: hasMore ? `${server.url}/v1/me/player/recently-played?before=${new Date(oldest.played_at).getTime()}&limit=${limit}` : null,
+      cursors: items.length > 0
+        ? { after: String(new Date(items[0].played_at).getTime()), before: String(new Date(oldest.played_at).getTime()) }
+        : null
+    };
+  }
+
+  /**
+   * Find a track from any timeline snapshot
+   * @param {string} id - Track ID
+   * @returns {object|null} Track
+   */
+  function findTrack(id) {
+    for (const snapshot of timeline) {
+      const item = snapshot.find(i => i.track.id === id);
+      if (item) {
+        return item.track;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find an artist from any timeline snapshot
+   * @param {string} id - Artist ID
+   * @returns {object|null} Artist with genres
+   */
+  function findArtist(id) {
+    for (const snapshot of timeline) {
+      for (const item of snapshot) {
+        const artist = item.track.artists.find(a => a.id === id);
+        if (artist) {
+          return { genres: ['indie'], popularity: 40, ...artist };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read a form-encoded request body
+   * @param {object} req - HTTP request
+   * @returns {Promise<object>} Parsed fields
+   */
+  async function readForm(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    return Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString()));
+  }
+
+  /**
+   * Serve /authorize: consent is implied, redirect back with a code
+   * @param {URLSearchParams} params - Query params
+   * @param {object} res - HTTP response
+   */
+  function authorize(params, res) {
+    const code = `mock-code-${authorizations.size + 1}`;
+    authorizations.set(code, {
+      redirectUri: params.get('redirect_uri'),
+      challenge: params.get('code_challenge'),
+      scope: params.get('scope')
+    });
+
+    const location = new URL(params.get('redirect_uri'));
+    location.searchParams.set('code', code);
+    location.searchParams.set('state', params.get('state'));
+    res.writeHead(302, { Location: location.toString() });
+    res.end();
+  }
+
+  /**
+   * Serve POST /api/token
+   * @param {object} form - Form fields
+   * @param {object} res - HTTP response
+   */
+  function token(form, res) {
+    if (form.grant_type === 'authorization_code') {
+      const authorization = authorizations.get(form.code);
+      const verified = authorization
+        && authorization.redirectUri === form.redirect_uri
+        && createHash('sha256').update(form.code_verifier || '').digest('base64url') === authorization.challenge;
+      authorizations.delete(form.code);
+
+      if (!verified) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Invalid authorization code or code verifier' });
+      }
+      return sendJson(res, 200, {
+        access_token: MOCK_ACCESS_TOKEN,
+        token_type: 'Bearer',
+        expires_in: 3600,
+        refresh_token: `mock-refresh-token-for-${form.code}`,
+        scope: authorization.scope
+      });
+    }
+
+    const rotated = rotatedRefreshToken;
+    rotatedRefreshToken = null;
+    return sendJson(res, 200, {
+      access_token: MOCK_ACCESS_TOKEN,
+      token_type: 'Bearer',
+      expires_in: 3600,
+      ...(rotated && { refresh_token: rotated })
+    });
+  }
+
+  /**
+   * Route a request
+   * @param {object} req - HTTP request
+   * @param {object} res - HTTP response
+   */
+  async function handle(req, res) {
+    const { pathname, searchParams } = new URL(req.url, server.url);
+    const form = req.method === 'POST' ? await readForm(req) : undefined;
+    requests.push({ method: req.method, path: pathname, query: Object.fromEntries(searchParams), form });
+
+    const fault = takeFault(pathname, form);
+    if (fault) {
+      const headers = fault.retryAfter !== undefined ? { 'Retry-After': String(fault.retryAfter) } : {};
+      return sendJson(res, fault.status, { error: { status: fault.status, message: fault.message || `Mock error ${fault.status}` } }, headers);
+    }
+
+    if (req.method === 'GET' && pathname === '/authorize') {
+      return authorize(searchParams, res);
+    }
+
+    if (req.method === 'POST' && pathname === '/api/token') {
+      return token(form, res);
+    }
+
+    if (req.headers.authorization !== `Bearer ${MOCK_ACCESS_TOKEN}`) {
+      return sendJson(res, 401, { error: { status: 401, message: 'Invalid access token' } });
+    }
+
+    if (pathname === '/v1/me/player/recently-played') {
+      return sendJson(res, 200, recentlyPlayed(searchParams));
+    }
+
+    if (pathname === '/v1/audio-features') {
+      const ids = (searchParams.get('ids') || '').split(',');
+      return sendJson(res, 200, { audio_features: ids.map(id => (findTrack(id) ? audioFeaturesFor(id) : null)) });
+    }
+
+    if (pathname === '/v1/artists') {
+      const ids = (searchParams.get('ids') || '').split(',');
+      return sendJson(res, 200, { artists: ids.map(findArtist) });
+    }
+
+    const [, resource, id] = pathname.match(/^\/v1\/(audio-features|artists|tracks)\/([^/]+)$/) || [];
+    const found = {
+      'audio-features': () => (findTrack(id) ? audioFeaturesFor(id) : null),
+      artists: () => findArtist(id),
+      tracks: () => findTrack(id)
+    }[resource]?.();
+
+    if (found) {
+      return sendJson(res, 200, found);
+    }
+
+    return sendJson(res, 404, { error: { status: 404, message: 'Not found' } });
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => sendJson(res, 500, { error: { status: 500, message: error.message } }));
+  });
+
+  /**
+   * Start listening on a random local port
+   * @returns {Promise<string>} Server URL
+   */
+  server.start = async function start() {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    server.url = `http://127.0.0.1:${server.address().port}`;
+    return server.url;
+  };
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  server.stop = function stop() {
+    return new Promise(resolve => server.close(resolve));
+  };
+
+  /**
+   * Clear the timeline, faults and request log
+   */
+  server.reset = function reset() {
+    timeline = [[]];
+    timelineIndex = 0;
+    faults = [];
+    authorizations = new Map();
+    rotatedRefreshToken = null;
+    requests.length = 0;
+  };
+
+  /**
+   * Script recently-played responses
+   * @param {array} snapshots - One array of plays per call (the last one repeats)
+   */
+  server.setTimeline = function setTimeline(snapshots) {
+    timeline = snapshots.length > 0 ? snapshots : [[]];
+    timelineIndex = 0;
+  };
+
+  /**
+   * Script an error response
+   * @param {string|RegExp} match - Path prefix or pattern
+   * @param {number} status - HTTP status (e.g. 429, 500)
+   * @param {object} options - { times = 1, retryAfter, message, refreshToken (only fail refreshes of this token) }
+   */
+  server.fail = function fail(match, status, options = {}) {
+    faults.push({ match, status, times: options.times || 1, retryAfter: options.retryAfter, message: options.message, refreshToken: options.refreshToken });
+  };
+
+  /**
+   * Return a new refresh token with the next refresh
+   * @param {string} refreshToken - Rotated refresh token
+   */
+  server.rotateRefreshToken = function rotateRefreshToken(refreshToken) {
+    rotatedRefreshToken = refreshToken;
+  };
+
+  server.requests = requests;
+  server.url = null;
+
+  return server;
+}